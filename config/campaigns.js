@@ -0,0 +1,48 @@
+// 🟢 MARKETING CAMPAIGNS
+// Throttling and timing for services/campaigns.
+
+// Schedules and quiet hours are in local time
+const CAMPAIGN_TIMEZONE = process.env.TARIFF_TIMEZONE || 'Asia/Kolkata';
+
+// No campaign pushes between these local hours unless a campaign sets its
+// own; a run that falls inside them waits until they end
+const DEFAULT_QUIET_START_HOUR = 21;
+const DEFAULT_QUIET_END_HOUR = 8;
+
+// Across all campaigns, per rider, over a rolling window. A campaign with
+// its own maxPerRider (sends of it per rider per day) uses that instead.
+const MAX_PER_RIDER_PER_DAY = 1;
+const MAX_PER_RIDER_PER_WEEK = 3;
+
+// FCM takes at most 500 tokens per multicast
+const MULTICAST_BATCH_SIZE = 500;
+
+// A run whose sends keep failing outright (FCM down, bad credentials) is
+// retried on the next ticks up to this many times, then given up
+const RUN_MAX_ATTEMPTS = 3;
+
+// Runs claimed this long ago but never finished (process died) are picked
+// up again on the next start
+const STUCK_RUN_MINUTES = 10;
+
+const MAX_NAME_LENGTH = 100;
+const MAX_TITLE_LENGTH = 100;
+const MAX_BODY_LENGTH = 500;
+const MAX_SEND_TIMES = 6;
+const MAX_INACTIVE_DAYS = 365;
+
+module.exports = {
+    CAMPAIGN_TIMEZONE,
+    DEFAULT_QUIET_START_HOUR,
+    DEFAULT_QUIET_END_HOUR,
+    MAX_PER_RIDER_PER_DAY,
+    MAX_PER_RIDER_PER_WEEK,
+    MULTICAST_BATCH_SIZE,
+    RUN_MAX_ATTEMPTS,
+    STUCK_RUN_MINUTES,
+    MAX_NAME_LENGTH,
+    MAX_TITLE_LENGTH,
+    MAX_BODY_LENGTH,
+    MAX_SEND_TIMES,
+    MAX_INACTIVE_DAYS,
+};
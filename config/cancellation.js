@@ -0,0 +1,60 @@
+// 🟢 CANCELLATION POLICY
+// Reason codes each side must pick from, and the fee rules per vehicle
+// type (amounts in ₹, see services/cancellations.js for how they apply).
+
+// feeWaived: never charged, whatever the timing
+const CANCELLATION_REASONS = {
+    rider: {
+        changed_plans: { label: 'My plans changed' },
+        driver_too_far: { label: 'Driver is too far away' },
+        driver_not_moving: { label: 'Driver is not moving' },
+        driver_asked_to_cancel: { label: 'Driver asked me to cancel' },
+        wrong_pickup: { label: 'Wrong pickup location' },
+        booked_by_mistake: { label: 'Booked by mistake' },
+        safety_concern: { label: 'I feel unsafe', feeWaived: true },
+        other: { label: 'Other', needsNote: true },
+    },
+    driver: {
+        vehicle_issue: { label: 'Problem with my vehicle' },
+        pickup_too_far: { label: 'Pickup is too far' },
+        rider_unreachable: { label: 'Rider not answering' },
+        rider_asked_to_cancel: { label: 'Rider asked me to cancel' },
+        safety_concern: { label: 'I feel unsafe', feeWaived: true },
+        other: { label: 'Other', needsNote: true },
+    },
+    admin: {
+        support_request: { label: 'Cancelled on request via support' },
+        duplicate: { label: 'Duplicate booking' },
+        fraud: { label: 'Suspected fraud' },
+        other: { label: 'Other', needsNote: true },
+    },
+};
+
+// freeWindowSeconds: either side cancels free this long after acceptance
+// lateCancelFee:     rider, after the free window (before the wait below)
+// arrivedCancelFee:  rider, once the driver has waited arrivalWaitMinutes
+// noShowFee:         rider, when the driver reports a no-show, which they
+//                    can do after waiting noShowWaitMinutes at the pickup
+// driverCancelFee:   driver, dropping an accepted ride after the free window
+const DEFAULT_POLICY = {
+    freeWindowSeconds: 120,
+    lateCancelFee: 0,
+    arrivalWaitMinutes: 3,
+    arrivedCancelFee: 30,
+    noShowWaitMinutes: 5,
+    noShowFee: 40,
+    driverCancelFee: 25,
+};
+
+const VEHICLE_POLICY = {
+    Bike: { arrivedCancelFee: 20, noShowFee: 25, driverCancelFee: 15 },
+};
+
+// Cancellation rates look back this far
+const CANCELLATION_RATE_DAYS = 30;
+
+function policyFor(vehicleType) {
+    return { ...DEFAULT_POLICY, ...(VEHICLE_POLICY[vehicleType] || {}) };
+}
+
+module.exports = { CANCELLATION_REASONS, DEFAULT_POLICY, VEHICLE_POLICY, CANCELLATION_RATE_DAYS, policyFor };
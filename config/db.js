@@ -17,4 +17,21 @@ pool.on('connect', () => {
 
 module.exports = {
   query: (text, params) => pool.query(text, params),
+
+  // Runs fn(client) inside BEGIN/COMMIT on a single pooled connection.
+  // Any thrown error rolls the whole thing back and is re-thrown.
+  transaction: async (fn) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  },
 };
\ No newline at end of file
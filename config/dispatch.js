@@ -0,0 +1,25 @@
+// 🟢 DISPATCH SETTINGS PER VEHICLE TYPE
+// broadcast:  every sweep sends driver_request to the nearest few drivers,
+//             first to accept wins.
+// sequential: one driver at a time, best ranked first, each gets
+//             offerTimeoutSeconds to accept or decline before we move on.
+// maxAttempts counts sweeps (broadcast) or offers + empty sweeps (sequential);
+// the search also stops at searchTimeoutSeconds, whichever comes first.
+// ratingWeightM ranks drivers by distance + ratingWeightM metres for every
+// star below 5 (0 = nearest first, rating ignored). Drivers with fewer than
+// MIN_RATINGS_FOR_RANKING ratings count as UNRATED_DRIVER_RATING.
+const VEHICLE_DISPATCH = {
+    Auto: { mode: 'sequential', offerTimeoutSeconds: 15, maxAttempts: 30, searchTimeoutSeconds: 180 },
+    Bike: { mode: 'broadcast' },
+};
+
+const DEFAULT_DISPATCH = { mode: 'broadcast', offerTimeoutSeconds: 15, maxAttempts: 12, searchTimeoutSeconds: 65, ratingWeightM: 300 };
+
+const UNRATED_DRIVER_RATING = 4.5;
+const MIN_RATINGS_FOR_RANKING = 5;
+
+function dispatchSettingsFor(vehicleType) {
+    return { ...DEFAULT_DISPATCH, ...(VEHICLE_DISPATCH[vehicleType] || {}) };
+}
+
+module.exports = { VEHICLE_DISPATCH, DEFAULT_DISPATCH, UNRATED_DRIVER_RATING, MIN_RATINGS_FOR_RANKING, dispatchSettingsFor };
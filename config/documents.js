@@ -0,0 +1,29 @@
+// 🟢 DRIVER DOCUMENTS
+// What a driver may upload and what they need before they get rides.
+// hasExpiry documents must carry an expires_on date to be approved.
+const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png'];
+const SCAN_TYPES = [...IMAGE_TYPES, 'application/pdf'];
+
+const DOCUMENT_TYPES = {
+    license:   { label: 'Driving License',         mimeTypes: SCAN_TYPES,  hasExpiry: true },
+    rc:        { label: 'Registration Certificate', mimeTypes: SCAN_TYPES,  hasExpiry: true },
+    insurance: { label: 'Vehicle Insurance',       mimeTypes: SCAN_TYPES,  hasExpiry: true },
+    permit:    { label: 'Permit',                  mimeTypes: SCAN_TYPES,  hasExpiry: true },
+    photo:     { label: 'Profile Photo',           mimeTypes: IMAGE_TYPES, hasExpiry: false },
+};
+
+// Bikes run without a commercial permit
+const REQUIRED_DOCUMENTS = {
+    Auto: ['license', 'rc', 'insurance', 'permit', 'photo'],
+    Bike: ['license', 'rc', 'insurance', 'photo'],
+};
+
+const DEFAULT_REQUIRED = REQUIRED_DOCUMENTS.Auto;
+
+function requiredDocumentsFor(vehicleType) {
+    return REQUIRED_DOCUMENTS[vehicleType] || DEFAULT_REQUIRED;
+}
+
+module.exports = { MAX_DOCUMENT_BYTES, DOCUMENT_TYPES, REQUIRED_DOCUMENTS, requiredDocumentsFor };
@@ -0,0 +1,20 @@
+// 🟢 DRIVER EARNINGS
+// Platform commission as a share of the final fare, per vehicle type.
+const COMMISSION_RATES = {
+    Auto: 0.10,
+    Bike: 0.15,
+};
+
+const DEFAULT_COMMISSION_RATE = 0.10;
+
+// Smallest payout a driver can ask for
+const MIN_PAYOUT_AMOUNT = 100;
+
+// Day and week boundaries for breakdowns and statements
+const EARNINGS_TIMEZONE = process.env.EARNINGS_TIMEZONE || process.env.TARIFF_TIMEZONE || 'Asia/Kolkata';
+
+function commissionRateFor(vehicleType) {
+    return COMMISSION_RATES[vehicleType] != null ? COMMISSION_RATES[vehicleType] : DEFAULT_COMMISSION_RATE;
+}
+
+module.exports = { COMMISSION_RATES, DEFAULT_COMMISSION_RATE, MIN_PAYOUT_AMOUNT, EARNINGS_TIMEZONE, commissionRateFor };
@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+
+// 🟢 Plain SQL migrations, applied once each in filename order.
+// Add new files as migrations/NNN_description.sql — never edit an applied one.
+const migrationsDir = path.join(__dirname, '../migrations');
+
+async function runMigrations() {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            name VARCHAR(255) PRIMARY KEY,
+            applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+    `);
+
+    const applied = await db.query("SELECT name FROM schema_migrations");
+    const done = new Set(applied.rows.map(r => r.name));
+
+    const files = fs.readdirSync(migrationsDir)
+        .filter(f => f.endsWith('.sql'))
+        .sort();
+
+    for (const file of files) {
+        if (done.has(file)) continue;
+
+        const sql = fs.readFileSync(path.join(migrationsDir, file), 'utf8');
+        await db.transaction(async (client) => {
+            await client.query(sql);
+            await client.query("INSERT INTO schema_migrations (name) VALUES ($1)", [file]);
+        });
+        console.log(`🗄️ Applied migration ${file}`);
+    }
+}
+
+module.exports = { runMigrations };
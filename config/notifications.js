@@ -0,0 +1,47 @@
+// 🟢 NOTIFICATIONS
+// Retry policy, defaults and housekeeping for services/notifications.
+
+const CHANNELS = ['push', 'email', 'sms'];
+
+// Where each channel's address lives, per role (drivers have no email)
+const RECIPIENT_COLUMNS = {
+    rider:  { push: 'fcm_token', email: 'email', sms: 'phone' },
+    driver: { push: 'fcm_token', sms: 'phone' },
+};
+
+// What a user gets before they touch their settings. Marketing only ever
+// goes out on the channels that are on here as well.
+const DEFAULT_PREFERENCES = { push: true, email: true, sms: false, marketing: true };
+
+const SUPPORTED_LOCALES = ['en', 'hi'];
+const DEFAULT_LOCALE = 'en';
+
+// Failed sends are retried after BACKOFF_BASE_SECONDS * 2^(attempt - 1),
+// capped at BACKOFF_MAX_SECONDS, until MAX_ATTEMPTS is reached
+const MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_SECONDS = 30;
+const BACKOFF_MAX_SECONDS = 30 * 60;
+
+// How many queued jobs one worker pass picks up
+const WORKER_BATCH_SIZE = 50;
+
+// Jobs claimed this long ago but never finished (process died) go back
+// into the queue on the next start
+const STUCK_SENDING_MINUTES = 5;
+
+// Delivered / dead jobs and their attempts are deleted after this
+const LOG_RETENTION_DAYS = 30;
+
+module.exports = {
+    CHANNELS,
+    RECIPIENT_COLUMNS,
+    DEFAULT_PREFERENCES,
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    MAX_ATTEMPTS,
+    BACKOFF_BASE_SECONDS,
+    BACKOFF_MAX_SECONDS,
+    WORKER_BATCH_SIZE,
+    STUCK_SENDING_MINUTES,
+    LOG_RETENTION_DAYS,
+};
@@ -0,0 +1,32 @@
+// 🟢 ADMIN ROLES & PERMISSIONS
+// Each permission lists the admin roles that hold it. Routes ask for a
+// permission, never for a role, so widening access is a one-line change here.
+const ADMIN_ROLES = ['support', 'ops', 'superadmin'];
+
+const PERMISSIONS = {
+    'drivers:read':         ['support', 'ops', 'superadmin'],
+    'drivers:verify':       ['ops', 'superadmin'],
+    'rides:read':           ['support', 'ops', 'superadmin'],
+    'rides:cancel':         ['support', 'ops', 'superadmin'],
+    'tracking:live':        ['support', 'ops', 'superadmin'],
+    'safety:sos':           ['support', 'ops', 'superadmin'],
+    'notifications:read':   ['support', 'ops', 'superadmin'],
+    'notifications:manage': ['ops', 'superadmin'],
+    'campaigns:manage':     ['ops', 'superadmin'],
+    'promos:manage':        ['ops', 'superadmin'],
+    'tariffs:manage':       ['ops', 'superadmin'],
+    'payouts:manage':       ['ops', 'superadmin'],
+    'wallet:credit':        ['ops', 'superadmin'],
+    'admins:manage':        ['superadmin'],
+};
+
+function hasPermission(adminRole, permission) {
+    const allowed = PERMISSIONS[permission];
+    return Array.isArray(allowed) && allowed.includes(adminRole);
+}
+
+function permissionsFor(adminRole) {
+    return Object.keys(PERMISSIONS).filter(p => hasPermission(adminRole, p));
+}
+
+module.exports = { ADMIN_ROLES, PERMISSIONS, hasPermission, permissionsFor };
@@ -0,0 +1,32 @@
+// 🟢 RIDER PROFILE & SAVED PLACES
+
+const MAX_NAME_LENGTH = 60;
+const MAX_GENDER_LENGTH = 20;
+
+// Codes sent when a rider adds or changes their email / phone
+const CONTACT_CODE_TTL_MINUTES = 10;
+const CONTACT_CODE_MAX_ATTEMPTS = 5;
+const CONTACT_CODE_RESEND_SECONDS = 60;
+
+// HOME and WORK (one each) count towards this too
+const MAX_SAVED_PLACES = 20;
+const MAX_PLACE_LABEL_LENGTH = 40;
+
+// Recent destinations come from completed rides in this window; drops
+// within ~100 m of each other are folded into one entry
+const RECENT_DESTINATIONS_DAYS = 90;
+const RECENT_DESTINATIONS_LIMIT = 10;
+const MAX_RECENT_DESTINATIONS = 25;
+
+module.exports = {
+    MAX_NAME_LENGTH,
+    MAX_GENDER_LENGTH,
+    CONTACT_CODE_TTL_MINUTES,
+    CONTACT_CODE_MAX_ATTEMPTS,
+    CONTACT_CODE_RESEND_SECONDS,
+    MAX_SAVED_PLACES,
+    MAX_PLACE_LABEL_LENGTH,
+    RECENT_DESTINATIONS_DAYS,
+    RECENT_DESTINATIONS_LIMIT,
+    MAX_RECENT_DESTINATIONS,
+};
@@ -0,0 +1,33 @@
+// 🟢 PROMO CODES & REFERRALS
+// Limits and reward sizes for services/promos.
+
+// Codes are stored and matched upper-case
+const CODE_PATTERN = /^[A-Z0-9]{4,20}$/;
+
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_FLAT_DISCOUNT = 1000;
+
+// What each side of a referral gets once the new rider finishes their
+// first ride: a personal flat-discount code, valid for REWARD_VALID_DAYS
+const REFERRER_REWARD_AMOUNT = parseInt(process.env.REFERRER_REWARD_AMOUNT, 10) || 50;
+const REFEREE_REWARD_AMOUNT = parseInt(process.env.REFEREE_REWARD_AMOUNT, 10) || 50;
+const REWARD_VALID_DAYS = 30;
+
+// A rider earns referrer rewards for at most this many friends
+const MAX_REFERRAL_REWARDS = 20;
+
+// Riders' own referral codes: this many characters, no look-alikes (0/O, 1/I)
+const REFERRAL_CODE_LENGTH = 8;
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+module.exports = {
+    CODE_PATTERN,
+    MAX_DESCRIPTION_LENGTH,
+    MAX_FLAT_DISCOUNT,
+    REFERRER_REWARD_AMOUNT,
+    REFEREE_REWARD_AMOUNT,
+    REWARD_VALID_DAYS,
+    MAX_REFERRAL_REWARDS,
+    REFERRAL_CODE_LENGTH,
+    REFERRAL_CODE_ALPHABET,
+};
@@ -0,0 +1,45 @@
+// 🟢 RATINGS
+// Who may rate, for how long, and which issue tags they can pick.
+// Tags are keyed by the side being rated.
+
+// Ratings open once the ride is COMPLETED and close this long after
+const RATING_WINDOW_HOURS = 72;
+
+// The average shown (and used by dispatch) covers the latest N ratings
+const ROLLING_WINDOW_RATINGS = 100;
+
+// Below this average, with at least LOW_RATING_MIN_COUNT ratings, a user
+// shows up in the admin low-rated list
+const LOW_RATING_THRESHOLD = 4.0;
+const LOW_RATING_MIN_COUNT = 5;
+
+const MAX_COMMENT_LENGTH = 500;
+
+const ISSUE_TAGS = {
+    // What a rider can say about a driver
+    driver: {
+        rude_behaviour: 'Rude behaviour',
+        unsafe_driving: 'Unsafe driving',
+        wrong_route: 'Took a longer route',
+        asked_extra_fare: 'Asked for extra fare',
+        vehicle_condition: 'Vehicle in poor condition',
+        late_pickup: 'Late for pickup',
+    },
+    // What a driver can say about a rider
+    rider: {
+        rude_behaviour: 'Rude behaviour',
+        late_to_pickup: 'Kept me waiting',
+        wrong_pickup: 'Wrong pickup location',
+        payment_issue: 'Payment issue',
+        damaged_vehicle: 'Damaged or dirtied vehicle',
+    },
+};
+
+module.exports = {
+    RATING_WINDOW_HOURS,
+    ROLLING_WINDOW_RATINGS,
+    LOW_RATING_THRESHOLD,
+    LOW_RATING_MIN_COUNT,
+    MAX_COMMENT_LENGTH,
+    ISSUE_TAGS,
+};
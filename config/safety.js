@@ -0,0 +1,20 @@
+// 🟢 RIDER SAFETY: SOS & TRIP SHARING
+
+const MAX_EMERGENCY_CONTACTS = 5;
+const MAX_CONTACT_NAME_LENGTH = 60;
+
+// Share links stop working this long after they're made, or this long
+// after the ride ends, whichever comes first
+const SHARE_LINK_TTL_HOURS = 6;
+const SHARE_LINK_GRACE_MINUTES = 15;
+
+// Links in SOS messages and share responses are built on this
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/+$/, '');
+
+module.exports = {
+    MAX_EMERGENCY_CONTACTS,
+    MAX_CONTACT_NAME_LENGTH,
+    SHARE_LINK_TTL_HOURS,
+    SHARE_LINK_GRACE_MINUTES,
+    PUBLIC_BASE_URL,
+};
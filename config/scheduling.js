@@ -0,0 +1,36 @@
+// 🟢 SCHEDULED RIDES
+// How far ahead riders can book, and when we start looking for a driver.
+
+// Pickup must be at least this far out (anything sooner is a normal ride)
+const MIN_LEAD_MINUTES = 30;
+const MAX_ADVANCE_DAYS = 7;
+const MAX_UPCOMING_BOOKINGS = 5;
+
+// Driver matching starts this long before pickup
+const DISPATCH_LEAD_MINUTES = parseInt(process.env.SCHEDULED_DISPATCH_LEAD_MINUTES, 10) || 20;
+
+// If a search finds nobody, try again after this long, until pickup time
+// plus MAX_LATE_MINUTES has passed
+const REDISPATCH_AFTER_MINUTES = 2;
+const MAX_LATE_MINUTES = 10;
+
+// Push reminders to the rider, in minutes before pickup
+const REMINDER_MINUTES = [24 * 60, 60];
+
+// Pickup times in reminders are shown in local time
+const SCHEDULE_TIMEZONE = process.env.TARIFF_TIMEZONE || 'Asia/Kolkata';
+
+// A scheduled quote has to be turned into a booking within this time
+const SCHEDULED_QUOTE_TTL_SECONDS = 10 * 60;
+
+module.exports = {
+    MIN_LEAD_MINUTES,
+    MAX_ADVANCE_DAYS,
+    MAX_UPCOMING_BOOKINGS,
+    DISPATCH_LEAD_MINUTES,
+    REDISPATCH_AFTER_MINUTES,
+    MAX_LATE_MINUTES,
+    REMINDER_MINUTES,
+    SCHEDULE_TIMEZONE,
+    SCHEDULED_QUOTE_TTL_SECONDS,
+};
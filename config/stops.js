@@ -0,0 +1,10 @@
+// 🟢 MULTI-STOP TRIPS
+// Stops include the final drop, so 4 = up to three stops on the way.
+const MAX_STOPS = 4;
+
+// How long the driver has to accept a rider's change to the stops
+const STOP_CHANGE_TTL_SECONDS = 90;
+
+const MAX_ADDRESS_LENGTH = 255;
+
+module.exports = { MAX_STOPS, STOP_CHANGE_TTL_SECONDS, MAX_ADDRESS_LENGTH };
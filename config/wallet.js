@@ -0,0 +1,14 @@
+// 🟢 RIDER WALLET
+// Limits for top-ups and admin credits (services/wallet).
+
+// One top-up, in rupees
+const MIN_TOPUP_AMOUNT = 50;
+const MAX_TOPUP_AMOUNT = 5000;
+
+// A top-up may not take the balance (plus top-ups still being paid) above this
+const MAX_WALLET_BALANCE = parseInt(process.env.MAX_WALLET_BALANCE, 10) || 10000;
+
+// Largest single refund or goodwill credit an admin can issue
+const MAX_ADMIN_CREDIT = 2000;
+
+module.exports = { MIN_TOPUP_AMOUNT, MAX_TOPUP_AMOUNT, MAX_WALLET_BALANCE, MAX_ADMIN_CREDIT };
@@ -2,7 +2,8 @@ const db = require('../config/db');
 
 // Update Driver Status (Online/Offline)
 exports.updateStatus = async (req, res) => {
-    const { driver_id, is_online } = req.body;
+    const driver_id = req.user.id;
+    const { is_online } = req.body;
 
     try {
         const query = 'UPDATE drivers SET is_online = $1 WHERE id = $2 RETURNING *';
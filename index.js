@@ -1,13 +1,46 @@
 const express = require('express');
 const cors = require('cors');
 const http = require('http'); 
-const axios = require('axios'); 
 const { Server } = require("socket.io");
 const db = require('./config/db'); 
 const admin = require("firebase-admin"); 
 const path = require('path'); 
-const cron = require('node-cron');
 require('dotenv').config();
+const { runMigrations } = require('./config/migrate');
+const { socketAuth } = require('./middleware/auth');
+const { findActiveAdmin, ensureBootstrapAdmin } = require('./services/adminService');
+const { hasPermission } = require('./config/permissions');
+const { MAX_STOPS } = require('./config/stops');
+const rideLifecycle = require('./services/rideLifecycle');
+const { RideTransitionError, STATES, ACTIVE_STATES } = rideLifecycle;
+const notifications = require('./services/notifications');
+const tripService = require('./services/tripService');
+const dispatch = require('./services/dispatch');
+const fareService = require('./services/fareService');
+const tripMeter = require('./services/tripMeter');
+const routing = require('./services/routing');
+const etaService = require('./services/etaService');
+const rideRooms = require('./services/rideRooms');
+const sessions = require('./services/sessions');
+const documentService = require('./services/documentService');
+const ledgerService = require('./services/ledgerService');
+const payments = require('./services/payments');
+const ratingService = require('./services/ratingService');
+const scheduledRides = require('./services/scheduledRides');
+const cancellations = require('./services/cancellations');
+const { CancellationError } = cancellations;
+const tripStops = require('./services/tripStops');
+const { StopError } = tripStops;
+const riderProfile = require('./services/riderProfile');
+const { ProfileError } = riderProfile;
+const safety = require('./services/safety');
+const { SafetyError } = safety;
+const campaigns = require('./services/campaigns');
+const promos = require('./services/promos');
+const { PromoError } = promos;
+const wallet = require('./services/wallet');
+const { WalletError } = wallet;
+const { RatingError } = ratingService;
 
 // 🟢 INITIALIZE FIREBASE
 try {
@@ -32,119 +65,90 @@ const app = express();
 const server = http.createServer(app); 
 
 app.use(cors()); 
-app.use(express.json()); 
+// Keep the raw bytes around: payment webhooks are signed over the exact body
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
+// Driver documents used to be uploaded here; they're private now (/api/documents)
+app.use('/uploads', (req, res) => res.status(404).end());
 app.use(express.static(path.join(__dirname, 'public')));
 
-// --- ADMIN API ROUTES ---
-app.get('/api/admin/drivers', async (req, res) => {
-    try {
-        const result = await db.query("SELECT id, name, phone, age, vehicle_type, vehicle_details, license_url, rc_url, is_verified, is_online FROM drivers ORDER BY id DESC");
-        res.json(result.rows);
-    } catch (err) { 
-        res.status(500).json({ error: err.message }); 
-    }
-});
-
-app.get('/api/admin/pending-rides', async (req, res) => {
-    try {
-        const result = await db.query(`
-            SELECT r.id, r.rider_id, r.pickup_lat, r.pickup_lng, r.destination, r.fare, r.status, riders.name as rider_name, riders.phone as rider_phone
-            FROM rides r
-            LEFT JOIN riders ON r.rider_id = riders.id
-            WHERE r.status = 'REQUESTED'
-            ORDER BY r.id DESC
-        `);
-        res.json(result.rows);
-    } catch (err) { res.status(500).json({ error: err.message }); }
-});
-
-app.post('/api/admin/verify-driver', async (req, res) => {
-    const { driverId, status } = req.body; 
-    try {
-        await db.query("UPDATE drivers SET is_verified = $1 WHERE id = $2", [status, driverId]);
-        res.json({ success: true });
-    } catch (err) { res.status(500).json({ error: err.message }); }
-});
-
-app.get('/api/admin/rides', async (req, res) => {
-    try {
-        const result = await db.query(`
-            SELECT r.id, r.fare, r.status, d.name as driver_name 
-            FROM rides r 
-            LEFT JOIN drivers d ON r.driver_id = d.id 
-            ORDER BY r.id DESC LIMIT 50
-        `);
-        res.json(result.rows);
-    } catch (err) { res.status(500).json({ error: err.message }); }
-});
-
 // --- APP ROUTES ---
 const authRoutes = require('./routes/authRoutes'); 
 const driverRoutes = require('./routes/driverRoutes'); 
 const riderAuthRoutes = require('./routes/riderAuthRoutes'); 
+const sessionRoutes = require('./routes/sessionRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const rideRoutes = require('./routes/rideRoutes');
+const documentRoutes = require('./routes/documentRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const scheduledRideRoutes = require('./routes/scheduledRideRoutes');
+const riderProfileRoutes = require('./routes/riderProfileRoutes');
+const shareRoutes = require('./routes/shareRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const promoRoutes = require('./routes/promoRoutes');
 
 app.use('/api/driver', driverRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/rider-auth', riderAuthRoutes); 
+app.use('/api/session', sessionRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/rides', rideRoutes);
+app.use('/api/documents', documentRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/scheduled-rides', scheduledRideRoutes);
+app.use('/api/rider', riderProfileRoutes);
+app.use('/api/share', shareRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/promos', promoRoutes);
 
 const io = new Server(server, { cors: { origin: "*" } });
-const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY; 
+app.set('io', io); // lets REST routes push socket events
 
-db.query("UPDATE drivers SET is_online = false").then(() => {
-    console.log("🧹 Wiped all Ghost Drivers! Database is clean.");
-}).catch(err => console.error("Cleanup error:", err));
+// 🔒 Every socket must present a valid access token. Handlers below
+// trust socket.user = { id, role } and ignore ids sent in payloads.
+io.use(socketAuth);
 
-const rideTimers = new Map();
+// Live tracking is only broadcast to this room, never to io.emit().
+const ADMIN_ROOM = 'admins';
 
-// --- HELPER: Google Route Data ---
-async function getRouteData(startLat, startLng, destinationInput) {
-    if (!GOOGLE_API_KEY) {
-        console.error("❌ MISSING GOOGLE_API_KEY");
-        return null;
-    }
-    try {
-        const destParam = encodeURIComponent(destinationInput);
-        const url = `https://maps.googleapis.com/maps/api/directions/json?origin=${startLat},${startLng}&destination=${destParam}&key=${GOOGLE_API_KEY}`;
-        const response = await axios.get(url);
-        
-        if (response.data.status === "OK" && response.data.routes.length > 0) {
-            const leg = response.data.routes[0].legs[0];
-            return {
-                distanceKm: leg.distance.value / 1000,
-                distanceText: leg.distance.text,
-                durationText: leg.duration.text,
-                polyline: response.data.routes[0].overview_polyline.points,
-                endLat: leg.end_location.lat,
-                endLng: leg.end_location.lng
-            };
-        }
-    } catch (err) {
-        console.error("❌ Network Error (Google Maps):", err.message);
+// 🟢 SOCKET.IO LOGIC
+io.on('connection', (socket) => {
+    console.log(`⚡ Client Connected: ${socket.id} (${socket.user.role} ${socket.user.id})`);
+
+    // Joins "rider:ID" / "driver:ID"; events are addressed there, not to socket ids
+    sessions.onConnect(socket).catch(err => console.error("Session Connect Error:", err.message));
+
+    if (socket.user.role === 'admin') {
+        findActiveAdmin(socket.user.id).then(adminUser => {
+            const tracking = adminUser && hasPermission(adminUser.role, 'tracking:live');
+            const sos = adminUser && hasPermission(adminUser.role, 'safety:sos');
+            if (!tracking && !sos) return socket.disconnect(true);
+            if (tracking) socket.join(ADMIN_ROOM);
+            if (sos) socket.join(safety.SOS_ROOM);
+        }).catch(err => console.error("Admin Room Error:", err.message));
     }
-    return null;
-}
 
-// --- HELPER: Send Push Notification ---
-async function sendPushNotification(token, title, body) {
-    if(!token) return;
-    try {
-        await admin.messaging().send({
-            token: token,
-            notification: { title: title, body: body },
-            data: { click_action: "FLUTTER_NOTIFICATION_CLICK", sound: "default" }
-        });
-    } catch (e) {
-        console.error("Notification Error:", e.message);
-    }
-}
+    // Who is acting, as rideLifecycle expects it
+    const actor = { type: socket.user.role, id: socket.user.id };
 
-// 🟢 SOCKET.IO LOGIC
-io.on('connection', (socket) => {
-    console.log(`⚡ Client Connected: ${socket.id}`);
+    // Push token last saved from driver_location on this connection
+    let lastFcmToken = null;
+
+    // Rejected transitions go back to the caller, anything else is a server bug
+    function handleRideError(label, err, rideId) {
+        if (err instanceof RideTransitionError || err instanceof CancellationError || err instanceof StopError
+            || err instanceof SafetyError) {
+            socket.emit('ride_error', { ride_id: rideId, code: err.code, msg: err.message, ...err.details });
+        } else {
+            console.error(`${label}:`, err.message);
+        }
+    }
 
     // 1. DRIVER LOCATION
     socket.on('driver_location', async (data) => {
+        if (socket.user.role !== 'driver') return;
+        const driverId = socket.user.id;
+
         try {
             await db.query(`UPDATE drivers SET is_online = false, socket_id = NULL WHERE socket_id = $1`, [socket.id]);
 
@@ -154,15 +158,24 @@ io.on('connection', (socket) => {
                      heading = $3, 
                      socket_id = $4,
                      is_online = true,
-                     fcm_token = COALESCE($5, fcm_token)
-                 WHERE id = $6`,
-                [data.lng, data.lat, data.heading, socket.id, data.fcmToken, data.driverId]
+                     last_seen_at = NOW(),
+                     disconnected_at = NULL
+                 WHERE id = $5`,
+                [data.lng, data.lat, data.heading, socket.id, driverId]
             );
 
+            // Pings still carry the push token; only try it once per change,
+            // so a token that gets rejected isn't retried on every ping
+            if (typeof data.fcmToken === 'string' && data.fcmToken && data.fcmToken !== lastFcmToken) {
+                lastFcmToken = data.fcmToken;
+                notifications.registerPushToken('driver', driverId, data.fcmToken)
+                    .catch(err => console.error("Token Save Error:", err.message));
+            }
+
             const activeRide = await db.query(
-                `SELECT id, status, destination FROM rides 
-                 WHERE driver_id = $1 AND status IN ('ACCEPTED', 'ARRIVED', 'ON_TRIP')`,
-                [data.driverId]
+                `SELECT id, status, destination, rider_id, pickup_lat, pickup_lng, drop_lat, drop_lng FROM rides 
+                 WHERE driver_id = $1 AND status = ANY($2::text[])`,
+                [driverId, ACTIVE_STATES]
             );
 
             let driverStatus = "Free";
@@ -171,10 +184,26 @@ io.on('connection', (socket) => {
             if (activeRide.rows.length > 0) {
                 driverStatus = activeRide.rows[0].status;
                 currentRideDest = activeRide.rows[0].destination;
+
+                await tripMeter.recordBreadcrumb({
+                    rideId: activeRide.rows[0].id,
+                    driverId: driverId,
+                    status: driverStatus,
+                    lat: data.lat,
+                    lng: data.lng,
+                    heading: data.heading,
+                    speed: data.speed,
+                    accuracy: data.accuracy
+                });
+
+                etaService.refreshEta(activeRide.rows[0], { lat: data.lat, lng: data.lng })
+                    .catch(err => console.error("ETA Refresh Error:", err.message));
+
+                rideRooms.publishPosition(socket, activeRide.rows[0].id, data);
             }
 
-            io.emit('admin_driver_update', { 
-                id: data.driverId, 
+            io.to(ADMIN_ROOM).emit('admin_driver_update', { 
+                id: driverId, 
                 lat: data.lat, 
                 lng: data.lng, 
                 heading: data.heading,
@@ -187,17 +216,20 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Riders and drivers; drivers' driver_location still carries fcmToken too
     socket.on('update_fcm_token', async (data) => {
+        if (socket.user.role !== 'rider' && socket.user.role !== 'driver') return;
         try {
-            await db.query("UPDATE riders SET fcm_token = $1 WHERE id = $2", [data.token, data.riderId]);
+            await notifications.registerPushToken(socket.user.role, socket.user.id, data.token);
         } catch(e) { 
             console.error("Token Save Error:", e.message); 
         }
     });
 
+    // Drivers get a grace period to reconnect (see dispatch.js) before going offline
     socket.on('disconnect', async () => {
         try {
-             await db.query(`UPDATE drivers SET is_online = false WHERE socket_id = $1`, [socket.id]);
+             await sessions.onDisconnect(socket);
         } catch(e) {
              console.error("Disconnect Error", e.message);
         }
@@ -206,168 +238,199 @@ io.on('connection', (socket) => {
     // 2. GET ESTIMATE
     socket.on('get_estimate', async (data) => {
         try {
-            const tripRoute = await getRouteData(data.pickupLat, data.pickupLng, data.destination);
+            // A saved place, else coordinates when the app has them, else let
+            // the provider geocode the text
+            const place = data.dropPlaceId != null
+                ? await riderProfile.resolvePlace(socket.user.id, data.dropPlaceId)
+                : null;
+            const drop = place ? { lat: place.lat, lng: place.lng }
+                : (data.dropLat != null && data.dropLng != null)
+                ? { lat: data.dropLat, lng: data.dropLng }
+                : data.destination;
+            // Optional stops on the way: [{ lat, lng, address }], drop not included
+            const waypoints = data.stops && data.stops.length > 0
+                ? tripStops.normalizeStops(data.stops, { max: MAX_STOPS - 1 })
+                : [];
+            const tripRoute = await routing.getRouteThrough({ lat: data.pickupLat, lng: data.pickupLng }, waypoints, drop);
             
             if (!tripRoute) {
                 socket.emit('estimate_error', { msg: "Could not calculate route." });
                 return;
             }
 
-            let baseFareAuto = tripRoute.distanceKm * 30; 
-            if (baseFareAuto < 30) baseFareAuto = 30; 
-            const finalFareAuto = Math.round(baseFareAuto); 
+            // A promo code that doesn't check out is reported, not fatal:
+            // the rider still gets undiscounted prices
+            let promo = null;
+            let promoError = null;
+            if (data.promoCode) {
+                try {
+                    promo = await promos.checkCode(socket.user.id, data.promoCode);
+                } catch (err) {
+                    if (!(err instanceof PromoError)) throw err;
+                    promoError = { code: err.code, msg: err.message };
+                }
+            }
 
-            let baseFareBike = tripRoute.distanceKm * 8; 
-            if (baseFareBike < 20) baseFareBike = 20; 
-            const finalFareBike = Math.round(baseFareBike); 
+            const quotes = await fareService.quoteTrip({
+                riderId: socket.user.id,
+                pickupLat: data.pickupLat,
+                pickupLng: data.pickupLng,
+                route: tripRoute,
+                waypoints: waypoints,
+                promo: promo
+            });
 
             socket.emit('estimate_response', {
-                fareUPI: finalFareAuto,   
-                fareBike: finalFareBike,  
+                fareUPI: quotes.Auto ? quotes.Auto.fare : null,   
+                fareBike: quotes.Bike ? quotes.Bike.fare : null,  
+                quotes: quotes, // { Auto: { quoteId, fare, discount, payable, promoIneligible, surge, breakdown, expiresAt }, Bike: {...} }
+                promo: promo ? { code: promo.code, applied: true } : data.promoCode ? { code: data.promoCode, applied: false, ...promoError } : null,
                 tripDistance: tripRoute.distanceText,
+                tripDuration: tripRoute.durationText,
+                tripDurationMin: Math.round(tripRoute.durationMin),
                 dropLat: tripRoute.endLat,
                 dropLng: tripRoute.endLng,
-                polyline: tripRoute.polyline
+                polyline: tripRoute.polyline,
+                legs: tripRoute.legs || null,
+                destination: place ? place.address : data.destination,
+                dropPlaceId: place ? place.placeId : null
             });
 
         } catch (err) {
+            if (err instanceof StopError || err instanceof ProfileError) {
+                socket.emit('estimate_error', { code: err.code, msg: err.message });
+                return;
+            }
             console.error("Estimate Error:", err.message);
         }
     });
 
     // 3. REQUEST RIDE
     socket.on('request_ride', async (data) => {
-        console.log(`🚀 New Ride Request from Rider ${data.riderId} for a ${data.vehicleType || 'Auto'}`);
+        if (socket.user.role !== 'rider') return;
+        const riderId = socket.user.id;
+        console.log(`🚀 New Ride Request from Rider ${riderId} for a ${data.vehicleType || 'Auto'}`);
 
         try {
-            const riderRes = await db.query(`SELECT phone FROM riders WHERE id = $1`, [data.riderId]);
-            const riderPhone = riderRes.rows.length > 0 ? riderRes.rows[0].phone : null;
-
-            const result = await db.query(
-                `INSERT INTO rides (rider_id, rider_socket_id, pickup_lat, pickup_lng, drop_lat, drop_lng, destination, fare, status, vehicle_type) 
-                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'REQUESTED', $9) RETURNING id`,
-                [data.riderId, socket.id, data.pickupLat, data.pickupLng, data.dropLat, data.dropLng, data.destination, data.fare, data.vehicleType || 'Auto']
-            );
-            
-            const rideId = result.rows[0].id;
-            const riderSocketId = socket.id;
-            const ridePayload = { ...data, ride_id: rideId, rider_id: riderSocketId, riderPhone: riderPhone };
-
-            startDriverSearch(rideId, ridePayload, 5000, [], riderSocketId);
-
-        } catch (err) { console.error("Request Error:", err); }
-    });
-
-    async function startDriverSearch(rideId, rideData, radius, notifiedDriverIds, riderSocketId) {
-        console.log(`📡 Starting Radar for ${rideData.vehicleType || 'Auto'} drivers for Ride ${rideId}...`);
+            // The fare comes from our signed quote, never from the client
+            const quote = fareService.verifyQuote(data.quoteId, { riderId, vehicleType: data.vehicleType || 'Auto' });
+            if (!quote) {
+                socket.emit('ride_request_failed', { msg: "Your fare quote has expired. Please check the price again." });
+                return;
+            }
 
-        let attempts = 0;
-        const maxAttempts = 12;
+            // paymentMethod 'WALLET': the wallet must cover the quoted price now,
+            // and is debited when the ride completes
+            const payFromWallet = String(data.paymentMethod || '').toUpperCase() === 'WALLET';
+            if (payFromWallet) {
+                await wallet.assertCanPay(riderId, quote.breakdown.payable != null ? quote.breakdown.payable : quote.fare);
+            }
 
-        const radarInterval = setInterval(async () => {
-            attempts++;
+            // The quote already pins the drop; a saved place just names it
+            const place = data.dropPlaceId != null ? await riderProfile.resolvePlace(riderId, data.dropPlaceId) : null;
+            const destination = place ? place.address : data.destination;
 
-            try {
-                const statusCheck = await db.query("SELECT status FROM rides WHERE id = $1", [rideId]);
-                if (statusCheck.rows.length === 0 || statusCheck.rows[0].status !== 'REQUESTED') {
-                    clearInterval(radarInterval); 
-                    rideTimers.delete(rideId);
-                    return; 
-                }
+            const riderRes = await db.query(`SELECT phone FROM riders WHERE id = $1`, [riderId]);
+            const riderPhone = riderRes.rows.length > 0 ? riderRes.rows[0].phone : null;
 
-                if (attempts > maxAttempts) {
-                    clearInterval(radarInterval);
-                    rideTimers.delete(rideId);
-                    await db.query("UPDATE rides SET status = 'TIMEOUT' WHERE id = $1", [rideId]);
-                    io.to(riderSocketId).emit('no_drivers_found'); 
-                    console.log(`Ride ${rideId} timed out.`);
-                    return;
-                }
+            const created = await rideLifecycle.createRide({
+                rider_id: riderId,
+                rider_socket_id: socket.id,
+                pickup_lat: quote.pickupLat,
+                pickup_lng: quote.pickupLng,
+                drop_lat: quote.dropLat,
+                drop_lng: quote.dropLng,
+                destination: destination,
+                fare: quote.fare,
+                vehicle_type: quote.vehicleType,
+                tariff_id: quote.breakdown.tariffId,
+                surge_multiplier: quote.breakdown.surge,
+                estimated_distance_km: quote.breakdown.distanceKm,
+                estimated_duration_min: quote.breakdown.durationMin,
+                fare_breakdown: quote.breakdown,
+                promo_code_id: quote.breakdown.promo ? quote.breakdown.promo.codeId : null,
+                discount_amount: quote.breakdown.promo ? quote.breakdown.promo.discount : 0,
+                pay_from_wallet: payFromWallet,
+                stops: [...(quote.waypoints || []), { lat: quote.dropLat, lng: quote.dropLng, address: destination }]
+            }, { actor, location: { lat: quote.pickupLat, lng: quote.pickupLng } });
+
+            // If the code ran out since the estimate, the ride goes ahead at full price
+            const { ride, promoError } = await promos.reserve(created);
+            if (promoError) {
+                socket.emit('promo_removed', { ride_id: ride.id, code: promoError.code, msg: promoError.message });
+            }
+            
+            const ridePayload = { ...data, ...dispatch.buildOfferPayload(ride, riderPhone), stops: await tripStops.listStops(ride.id) };
 
-                const nearbyDrivers = await db.query(
-                    `SELECT id, socket_id, fcm_token, 
-                            ST_Distance(location, ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography) as dist_meters
-                     FROM drivers 
-                     WHERE is_online = true 
-                     AND is_available = true 
-                     AND vehicle_type = $5 
-                     AND id != ALL($3::int[]) 
-                     AND ST_DWithin(location, ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography, $4)
-                     ORDER BY dist_meters ASC
-                     LIMIT 5`,
-                    [rideData.pickupLng, rideData.pickupLat, notifiedDriverIds, radius, rideData.vehicleType || 'Auto']
-                );
-
-                if (nearbyDrivers.rows.length > 0) {
-                    console.log(`Radar Sweep ${attempts}: Found ${nearbyDrivers.rows.length} new driver(s)!`);
-                    
-                    nearbyDrivers.rows.forEach(driver => {
-                        notifiedDriverIds.push(driver.id); 
-                        const distKm = (driver.dist_meters / 1000).toFixed(1);
-                        
-                        io.to(driver.socket_id).emit('driver_request', {
-                            ...rideData,
-                            distance: `${distKm} km to pickup` 
-                        });
-
-                        if (driver.fcm_token) {
-                            sendPushNotification(driver.fcm_token, "New Ride Request! 🚖", `Pickup is ${distKm} km away`);
-                        }
-                    });
-                }
+            await dispatch.startDispatch(ride, ridePayload);
 
-            } catch (err) {
-                console.error("Radar Logic Error:", err);
+        } catch (err) {
+            if (err instanceof ProfileError) {
+                socket.emit('ride_request_failed', { code: err.code, msg: err.message });
+                return;
             }
-        }, 5000); 
-
-        rideTimers.set(rideId, radarInterval);
-    }
+            if (err instanceof WalletError) {
+                socket.emit('ride_request_failed', { code: err.code, msg: err.message, ...err.details });
+                return;
+            }
+            console.error("Request Error:", err);
+        }
+    });
 
     // 4. ACCEPT RIDE
     socket.on('accept_ride', async (data) => {
+        if (socket.user.role !== 'driver') return;
+        const driverId = socket.user.id;
+
         try {
-            const result = await db.query(
-                `UPDATE rides 
-                 SET driver_id = $1, status = 'ACCEPTED' 
-                 WHERE id = $2 AND status = 'REQUESTED' 
-                 RETURNING *`, 
-                [data.driver_id, data.ride_id]
-            );
+            if (!(await dispatch.claimOffer(data.ride_id, driverId))) {
+                socket.emit('ride_booking_failed', { msg: "This request is no longer available" });
+                return;
+            }
 
-            if (result.rowCount === 0) {
+            let acceptedRide;
+            try {
+                const result = await rideLifecycle.transition(data.ride_id, STATES.ACCEPTED, {
+                    actor,
+                    location: { lat: data.driverLat, lng: data.driverLng },
+                    fields: { driver_id: driverId, trip_pin: rideLifecycle.generateTripPin() }
+                });
+                acceptedRide = result.ride;
+            } catch (err) {
+                await dispatch.releaseOffer(data.ride_id, driverId);
+                if (!(err instanceof RideTransitionError)) throw err;
                 socket.emit('ride_booking_failed', { msg: "Ride already booked or cancelled" });
                 return; 
             }
 
-            await db.query("UPDATE drivers SET is_available = false WHERE id = $1", [data.driver_id]);
-
-            if (rideTimers.has(data.ride_id)) {
-                clearInterval(rideTimers.get(data.ride_id));
-                rideTimers.delete(data.ride_id);
-            }
+            await dispatch.stopDispatch(acceptedRide.id);
+            rideRooms.joinParticipants(acceptedRide);
 
-            const driverInfo = await db.query(`SELECT name, phone FROM drivers WHERE id = $1`, [data.driver_id]);
+            const driverInfo = await db.query(`SELECT name, phone FROM drivers WHERE id = $1`, [driverId]);
             const driver = driverInfo.rows[0];
-            const acceptedRide = result.rows[0];
+
+            const pickupEta = await etaService.initialPickupEta(acceptedRide, { lat: data.driverLat, lng: data.driverLng });
             
-            io.to(acceptedRide.rider_socket_id).emit('ride_accepted', {
+            await sessions.notifyRider(acceptedRide, 'ride_accepted', {
                 ride_id: data.ride_id, 
                 driverName: driver ? driver.name : "Driver",
                 driverPhone: driver ? driver.phone : "0000000000", 
                 vehicle: acceptedRide.vehicle_type, 
-                eta: "5 mins",
+                eta: pickupEta.etaText,
+                etaMinutes: pickupEta.etaMinutes,
                 lat: data.driverLat, 
                 lng: data.driverLng, 
-                fare: acceptedRide.fare 
+                fare: acceptedRide.fare,
+                tripPin: acceptedRide.trip_pin // rider only, never sent to the driver
             });
 
             socket.emit('ride_booking_success', { ride_id: data.ride_id });
 
-            const pickupRoute = await getRouteData(data.driverLat, data.driverLng, `${data.pickupLat},${data.pickupLng}`);
             socket.emit('ride_started_info', { 
-                pickupPolyline: pickupRoute ? pickupRoute.polyline : null, 
-                totalFare: data.fare 
+                pickupPolyline: pickupEta.route ? pickupEta.route.polyline : null, 
+                pickupEta: pickupEta.etaText,
+                totalFare: acceptedRide.fare,
+                stops: await tripStops.listStops(acceptedRide.id)
             });
 
         } catch (err) { 
@@ -375,86 +438,202 @@ io.on('connection', (socket) => {
         }
     });
 
+    // 4b. DECLINE RIDE (sequential offers move on to the next driver)
+    socket.on('decline_ride', async (data) => {
+        if (socket.user.role !== 'driver') return;
+        try {
+            await dispatch.declineOffer(data.ride_id, socket.user.id, data.reason);
+        } catch (err) { console.error("Decline Ride Error:", err.message); }
+    });
+
     // 5. CANCEL RIDE
+    // Rider, driver (ride goes back to dispatch) or admin: { ride_id, reason, note }
     socket.on('cancel_ride', async (data) => {
-        await db.query("UPDATE rides SET status = 'CANCELLED' WHERE id = $1", [data.ride_id]);
-        
-        if (rideTimers.has(data.ride_id)) {
-            clearInterval(rideTimers.get(data.ride_id));
-            rideTimers.delete(data.ride_id);
-        }
-
-        const rideData = await db.query(`SELECT driver_id FROM rides WHERE id = $1`, [data.ride_id]);
-        if (rideData.rows.length > 0 && rideData.rows[0].driver_id) {
-             
-             await db.query("UPDATE drivers SET is_available = true WHERE id = $1", [rideData.rows[0].driver_id]);
+        try {
+            const { cancellation } = await cancellations.cancelRide(data.ride_id, actor, {
+                reason: data.reason,
+                note: data.note,
+                location: { lat: data.lat, lng: data.lng }
+            });
+            socket.emit('ride_cancelled', cancellation);
+        } catch (err) { handleRideError("Cancel Ride Error", err, data.ride_id); }
+    });
 
-             const driverRes = await db.query(`SELECT socket_id FROM drivers WHERE id = $1`, [rideData.rows[0].driver_id]);
-             if (driverRes.rows.length > 0) io.to(driverRes.rows[0].socket_id).emit('ride_cancelled_by_user');
-        }
+    // Driver waited at the pickup and the rider never came
+    socket.on('report_no_show', async (data) => {
+        if (socket.user.role !== 'driver') return;
+        try {
+            const { cancellation } = await cancellations.reportNoShow(data.ride_id, actor, {
+                note: data.note,
+                location: { lat: data.lat, lng: data.lng }
+            });
+            socket.emit('ride_cancelled', cancellation);
+        } catch (err) { handleRideError("No-Show Error", err, data.ride_id); }
     });
 
     // 6. DRIVER ARRIVED
     socket.on('driver_arrived', async (data) => {
-        await db.query(`UPDATE rides SET status = 'ARRIVED' WHERE id = $1`, [data.ride_id]);
-        const targetSocket = data.rider_id || data.rider_socket_id;
-        io.to(targetSocket).emit('driver_arrived_notification', { msg: "Driver has arrived!" });
+        try {
+            const { ride } = await rideLifecycle.transition(data.ride_id, STATES.ARRIVED, {
+                actor,
+                location: { lat: data.lat, lng: data.lng }
+            });
+            await sessions.notifyRider(ride, 'driver_arrived_notification', { ride_id: ride.id, msg: "Driver has arrived!" });
+        } catch (err) { handleRideError("Driver Arrived Error", err, data.ride_id); }
     });
 
-    // 7. COMPLETE RIDE
-    socket.on('complete_ride', async (data) => {
+    // 7. START TRIP (driver enters the rider's PIN)
+    socket.on('start_trip', async (data) => {
         try {
-            await db.query(`UPDATE rides SET status = 'COMPLETED', payment_method = $1 WHERE id = $2`, [data.paymentMethod, data.ride_id]);
-            socket.emit('ride_saved_success');
+            const ride = await tripService.startTrip({
+                rideId: data.ride_id,
+                pin: data.pin,
+                actor,
+                location: { lat: data.lat, lng: data.lng }
+            });
+            socket.emit('trip_start_success', { ride_id: ride.id, started_at: ride.started_at });
+        } catch (err) {
+            if (err instanceof RideTransitionError) {
+                socket.emit('trip_start_failed', { ride_id: data.ride_id, code: err.code, msg: err.message, ...err.details });
+            } else {
+                console.error("Start Trip Error:", err.message);
+            }
+        }
+    });
 
-            const rideInfo = await db.query(`SELECT driver_id FROM rides WHERE id = $1`, [data.ride_id]);
-            if (rideInfo.rows.length > 0 && rideInfo.rows[0].driver_id) {
-                await db.query("UPDATE drivers SET is_available = true WHERE id = $1", [rideInfo.rows[0].driver_id]);
+    // 8. COMPLETE RIDE
+    socket.on('complete_ride', async (data) => {
+        try {
+            // Re-price from the GPS trail before closing the ride
+            const method = payments.normalizeMethod(data.paymentMethod);
+            if (!method) {
+                return socket.emit('ride_error', { ride_id: data.ride_id, code: 'INVALID_PAYMENT_METHOD', msg: "Payment method must be CASH or UPI" });
             }
 
-            const rideData = await db.query(`SELECT rider_socket_id FROM rides WHERE id = $1`, [data.ride_id]);
-            if (rideData.rows.length > 0) {
-                io.to(rideData.rows[0].rider_socket_id).emit('ride_completed', { ride_id: data.ride_id });
+            const current = await rideLifecycle.getRideForActor(data.ride_id, actor);
+            const finalFare = await tripMeter.finalizeFare(current);
+
+            const { ride } = await rideLifecycle.transition(data.ride_id, STATES.COMPLETED, {
+                actor,
+                location: { lat: data.lat, lng: data.lng },
+                fields: { payment_method: payments.methodLabel(method), ...finalFare.fields },
+                metadata: { estimatedFare: finalFare.breakdown.estimatedFare, finalFare: finalFare.breakdown.total }
+            });
+
+            // The ride is over either way; a gateway hiccup only leaves it UNPAID
+            // (rider can retry UPI, driver can take cash). A wallet ride the
+            // wallet no longer covers goes by the driver's method.
+            let payment = null;
+            try {
+                if (ride.pay_from_wallet) payment = await wallet.payRide(ride);
+                if (!payment) payment = await payments.startRidePayment(ride, method);
+            } catch (err) {
+                console.error("Payment Start Error:", err.message);
             }
-        } catch (err) { console.error("Error completing ride:", err); }
+
+            socket.emit('ride_saved_success', { ride_id: ride.id, fare: finalFare.breakdown.total, discount: finalFare.breakdown.discount, payment: payment });
+            await sessions.notifyRider(ride, 'ride_completed', {
+                ride_id: data.ride_id,
+                fare: finalFare.breakdown.total,
+                discount: finalFare.breakdown.discount,
+                amountDue: finalFare.breakdown.payable,
+                estimatedFare: finalFare.breakdown.estimatedFare,
+                breakdown: finalFare.breakdown,
+                payment: payment
+            });
+        } catch (err) { handleRideError("Error completing ride", err, data.ride_id); }
     });
 
-    // 8. SUBMIT RATING
+    // 9. SUBMIT RATING
+    // Riders rate their driver, drivers rate their rider: { ride_id, rating, tags, comment }
     socket.on('submit_rating', async (data) => {
         try {
-            await db.query(`UPDATE rides SET rating = $1, feedback = $2 WHERE id = $3`, [data.rating, data.comment, data.ride_id]);
-        } catch(e) { console.error("Rating Error", e.message); }
+            await ratingService.submitRating(data.ride_id, actor, { stars: data.rating, tags: data.tags, comment: data.comment });
+        } catch (e) {
+            if (e instanceof RatingError) {
+                return socket.emit('ride_error', { ride_id: data.ride_id, code: e.code, msg: e.message });
+            }
+            handleRideError("Rating Error", e, data.ride_id);
+        }
     });
-});
 
-const dailyPromos = {
-    0: { title: "Sunday Funday 🍿", body: "Don't let traffic ruin your Sunday. Grab an Aye Bike!" },
-    1: { title: "Monday Rush ☕", body: "Beat the Monday blues and the morning traffic. Ride now." },
-    2: { title: "Smooth Tuesday 🛵", body: "Mid-week errands? Get there faster with Aye Auto." },
-    3: { title: "Hump Day! 🐪", body: "You're halfway through the week. Treat yourself to a stress-free ride." },
-    4: { title: "Thursday Hustle 💼", body: "Almost Friday! Let us handle the driving today." },
-    5: { title: "TGIF! 🎉", body: "Kick off your weekend! Book a ride to your favorite spot." },
-    6: { title: "Saturday Vibes 🍕", body: "Going out tonight? Ride safe and fast with Aye Auto." }
-};
-
-cron.schedule('0 9,17 * * *', async () => {
-    const today = new Date().getDay(); 
-    const promo = dailyPromos[today];
-
-    console.log(`⏰ Running Daily Promo: ${promo.title}`);
-    
-    try {
-        const result = await db.query("SELECT fcm_token FROM riders WHERE fcm_token IS NOT NULL");
-        
-        if (result.rows.length > 0) {
-            result.rows.forEach(user => {
-                sendPushNotification(user.fcm_token, promo.title, promo.body);
+    // 9b. STOPS: rider changes the stops still ahead, driver accepts or rejects
+    socket.on('update_stops', async (data) => {
+        if (socket.user.role !== 'rider') return;
+        try {
+            const change = await tripStops.proposeChange(data.ride_id, actor, data.stops);
+            socket.emit('stop_change_pending', {
+                change_id: change.id,
+                ride_id: change.ride_id,
+                oldFare: parseFloat(change.old_fare),
+                newFare: parseFloat(change.new_fare),
+                expiresAt: change.expires_at
             });
-        }
-    } catch (err) {
-        console.error("Marketing Cron Error:", err.message);
-    }
+        } catch (err) { handleRideError("Update Stops Error", err, data.ride_id); }
+    });
+
+    socket.on('respond_stop_change', async (data) => {
+        if (socket.user.role !== 'driver') return;
+        try {
+            await tripStops.respondToChange(data.change_id, actor, data.accept === true);
+        } catch (err) { handleRideError("Stop Change Error", err, data.ride_id); }
+    });
+
+    socket.on('stop_reached', async (data) => {
+        if (socket.user.role !== 'driver') return;
+        try {
+            await tripStops.markStopReached(data.ride_id, actor, data.seq);
+        } catch (err) { handleRideError("Stop Reached Error", err, data.ride_id); }
+    });
+
+    // 9c. SOS (rider): admins and the rider's emergency contacts are alerted.
+    // data: { ride_id, lat, lng, note }; repeat it to refresh the position.
+    socket.on('sos', async (data) => {
+        if (socket.user.role !== 'rider') return;
+        try {
+            // The rider hears back through sos_received on every device
+            await safety.raiseSos(data.ride_id, actor, data, 'socket');
+        } catch (err) { handleRideError("SOS Error", err, data.ride_id); }
+    });
+
+    // 10. LIVE RIDE ROOM (rejoin after reconnect, or an admin watching)
+    socket.on('subscribe_ride', async (data) => {
+        try {
+            const ride = await rideRooms.subscribe(socket, data.ride_id, actor);
+            socket.emit('ride_subscribed', { ride_id: ride.id, status: ride.status });
+        } catch (err) { handleRideError("Subscribe Ride Error", err, data.ride_id); }
+    });
+
+    socket.on('unsubscribe_ride', (data) => {
+        rideRooms.unsubscribe(socket, data.ride_id);
+    });
+
+    // 11. RESUME SESSION (after a reconnect)
+    // data.last_event_id is the last event_id the app saw; everything newer
+    // for its active ride is replayed in order.
+    socket.on('resume_session', async (data) => {
+        if (socket.user.role !== 'rider' && socket.user.role !== 'driver') return;
+        try {
+            const session = await sessions.resume(socket.user, data && data.last_event_id);
+            if (session.ride && ACTIVE_STATES.includes(session.ride.status)) {
+                socket.join(rideRooms.roomName(session.ride.id));
+            }
+            socket.emit('session_resumed', session);
+        } catch (err) { console.error("Resume Session Error:", err.message); }
+    });
 });
 
 const PORT = process.env.PORT || 3001; 
-server.listen(PORT, '0.0.0.0', () => console.log(`🚀 Server on ${PORT}`));
\ No newline at end of file
+sessions.init(io);
+rideRooms.init(io);
+tripStops.init();
+safety.init(io);
+promos.init();
+wallet.init();
+
+runMigrations().then(ensureBootstrapAdmin).then(() => documentService.start()).then(() => ledgerService.start()).then(() => payments.start()).then(() => dispatch.start()).then(() => scheduledRides.start()).then(() => notifications.start()).then(() => campaigns.start()).then(() => {
+    server.listen(PORT, '0.0.0.0', () => console.log(`🚀 Server on ${PORT}`));
+}).catch(err => {
+    console.error("Migration Error:", err.message);
+    process.exit(1);
+});
\ No newline at end of file
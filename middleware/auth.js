@@ -0,0 +1,60 @@
+const { verifyAccessToken, AuthError } = require('../services/tokenService');
+
+function extractBearer(header) {
+    if (!header || !header.startsWith('Bearer ')) return null;
+    return header.slice(7).trim();
+}
+
+// 🟢 EXPRESS: requireAuth() lets any logged-in user through,
+// requireAuth('driver') / requireAuth('rider', 'admin') restricts by role.
+// On success req.user = { id, role }.
+function requireAuth(...roles) {
+    return (req, res, next) => {
+        const token = extractBearer(req.headers.authorization);
+        if (!token) {
+            return res.status(401).json({ success: false, msg: "Authentication required" });
+        }
+
+        try {
+            req.user = verifyAccessToken(token);
+        } catch (err) {
+            const msg = err instanceof AuthError ? err.message : "Invalid token";
+            return res.status(401).json({ success: false, msg: msg });
+        }
+
+        if (roles.length > 0 && !roles.includes(req.user.role)) {
+            return res.status(403).json({ success: false, msg: "Not allowed" });
+        }
+
+        next();
+    };
+}
+
+// Path params like /wallet/:driverId must belong to the caller.
+function requireSelf(paramName) {
+    return (req, res, next) => {
+        if (parseInt(req.params[paramName], 10) !== req.user.id) {
+            return res.status(403).json({ success: false, msg: "Not allowed" });
+        }
+        next();
+    };
+}
+
+// 🟢 SOCKET.IO: handshake middleware. Clients connect with
+// io(url, { auth: { token } }). Older app builds can pass ?token= instead.
+function socketAuth(socket, next) {
+    const token = (socket.handshake.auth && socket.handshake.auth.token)
+        || extractBearer(socket.handshake.headers.authorization)
+        || (socket.handshake.query && socket.handshake.query.token);
+
+    if (!token) return next(new Error("Authentication required"));
+
+    try {
+        socket.user = verifyAccessToken(token);
+        next();
+    } catch (err) {
+        next(new Error(err instanceof AuthError ? err.message : "Invalid token"));
+    }
+}
+
+module.exports = { requireAuth, requireSelf, socketAuth };
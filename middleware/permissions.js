@@ -0,0 +1,31 @@
+const { requireAuth } = require('./auth');
+const { hasPermission } = require('../config/permissions');
+const { findActiveAdmin } = require('../services/adminService');
+
+// 🟢 requirePermission('drivers:verify')
+// Verifies the admin token, then re-reads the admin row on every request so
+// role changes and deactivations apply immediately. Sets req.admin.
+function requirePermission(permission) {
+    const checkToken = requireAuth('admin');
+
+    return (req, res, next) => {
+        checkToken(req, res, async () => {
+            try {
+                const admin = await findActiveAdmin(req.user.id);
+                if (!admin) {
+                    return res.status(401).json({ success: false, msg: "Admin account disabled" });
+                }
+                if (permission && !hasPermission(admin.role, permission)) {
+                    return res.status(403).json({ success: false, msg: "You don't have permission to do that" });
+                }
+                req.admin = admin;
+                next();
+            } catch (err) {
+                console.error("Permission Check Error:", err.message);
+                res.status(500).json({ success: false, msg: "Server Error" });
+            }
+        });
+    };
+}
+
+module.exports = { requirePermission };
@@ -0,0 +1,15 @@
+-- Audit log for every ride status change (see services/rideLifecycle.js).
+CREATE TABLE IF NOT EXISTS ride_events (
+    id BIGSERIAL PRIMARY KEY,
+    ride_id INTEGER NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    actor_type VARCHAR(20) NOT NULL,
+    actor_id INTEGER,
+    lat DOUBLE PRECISION,
+    lng DOUBLE PRECISION,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ride_events_ride ON ride_events (ride_id, created_at);
@@ -0,0 +1,5 @@
+-- Rider PIN checked at start_trip, plus real trip timestamps.
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS trip_pin VARCHAR(4);
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS pin_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ;
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS ended_at TIMESTAMPTZ;
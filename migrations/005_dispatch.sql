@@ -0,0 +1,34 @@
+-- Driver heartbeat: is_online only counts while pings keep arriving.
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMPTZ;
+
+-- One row per ride while we look for a driver (see services/dispatch.js).
+-- Everything the matching loop needs lives here so a restart can resume it.
+CREATE TABLE IF NOT EXISTS ride_dispatch (
+    ride_id INTEGER PRIMARY KEY REFERENCES rides(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'SEARCHING' CHECK (status IN ('SEARCHING', 'DONE')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL,
+    radius_m INTEGER NOT NULL,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    deadline_at TIMESTAMPTZ NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ride_dispatch_due ON ride_dispatch (next_attempt_at) WHERE status = 'SEARCHING';
+
+-- Every driver_request we send, and what became of it.
+CREATE TABLE IF NOT EXISTS ride_offers (
+    id BIGSERIAL PRIMARY KEY,
+    ride_id INTEGER NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+    driver_id INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'SENT' CHECK (status IN ('SENT', 'ACCEPTED', 'EXPIRED', 'WITHDRAWN')),
+    distance_m DOUBLE PRECISION,
+    sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    responded_at TIMESTAMPTZ,
+    UNIQUE (ride_id, driver_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ride_offers_driver ON ride_offers (driver_id, status);
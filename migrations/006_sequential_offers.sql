@@ -0,0 +1,9 @@
+-- Sequential dispatch: remember which mode a search runs in, and let
+-- drivers decline offers.
+ALTER TABLE ride_dispatch ADD COLUMN IF NOT EXISTS mode VARCHAR(20) NOT NULL DEFAULT 'broadcast';
+ALTER TABLE ride_dispatch ADD COLUMN IF NOT EXISTS offer_timeout_seconds INTEGER NOT NULL DEFAULT 15;
+
+ALTER TABLE ride_offers DROP CONSTRAINT IF EXISTS ride_offers_status_check;
+ALTER TABLE ride_offers ADD CONSTRAINT ride_offers_status_check
+    CHECK (status IN ('SENT', 'ACCEPTED', 'DECLINED', 'EXPIRED', 'WITHDRAWN'));
+ALTER TABLE ride_offers ADD COLUMN IF NOT EXISTS decline_reason VARCHAR(100);
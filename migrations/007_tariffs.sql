@@ -0,0 +1,35 @@
+-- Fare tariffs per city and vehicle type (see services/fareService.js).
+-- A row with city_center_* set applies to pickups inside city_radius_km;
+-- city = 'default' is the fallback everywhere else.
+CREATE TABLE IF NOT EXISTS tariffs (
+    id SERIAL PRIMARY KEY,
+    city VARCHAR(50) NOT NULL DEFAULT 'default',
+    vehicle_type VARCHAR(20) NOT NULL,
+    base_fare NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    per_km NUMERIC(10, 2) NOT NULL,
+    per_minute NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    minimum_fare NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    night_multiplier NUMERIC(4, 2) NOT NULL DEFAULT 1,
+    night_start_hour INTEGER NOT NULL DEFAULT 22,
+    night_end_hour INTEGER NOT NULL DEFAULT 5,
+    free_waiting_minutes INTEGER NOT NULL DEFAULT 3,
+    waiting_per_minute NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    max_surge NUMERIC(4, 2) NOT NULL DEFAULT 2,
+    city_center_lat DOUBLE PRECISION,
+    city_center_lng DOUBLE PRECISION,
+    city_radius_km DOUBLE PRECISION,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (city, vehicle_type)
+);
+
+-- Same prices get_estimate used to hard-code
+INSERT INTO tariffs (city, vehicle_type, per_km, minimum_fare)
+VALUES ('default', 'Auto', 30, 30), ('default', 'Bike', 8, 20)
+ON CONFLICT (city, vehicle_type) DO NOTHING;
+
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS tariff_id INTEGER REFERENCES tariffs(id);
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS surge_multiplier NUMERIC(4, 2) NOT NULL DEFAULT 1;
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS estimated_distance_km NUMERIC(10, 2);
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS estimated_duration_min NUMERIC(10, 2);
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS fare_breakdown JSONB;
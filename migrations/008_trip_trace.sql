@@ -0,0 +1,24 @@
+-- Driver breadcrumbs while a ride is active, used to price the real trip.
+CREATE TABLE IF NOT EXISTS ride_locations (
+    id BIGSERIAL PRIMARY KEY,
+    ride_id INTEGER NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+    driver_id INTEGER NOT NULL,
+    ride_status VARCHAR(20) NOT NULL,
+    lat DOUBLE PRECISION NOT NULL,
+    lng DOUBLE PRECISION NOT NULL,
+    heading DOUBLE PRECISION,
+    speed DOUBLE PRECISION,
+    accuracy DOUBLE PRECISION,
+    recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ride_locations_ride ON ride_locations (ride_id, recorded_at);
+
+-- rides.fare stays "what the rider pays"; these keep both sides of the story.
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS estimated_fare NUMERIC(10, 2);
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS final_fare NUMERIC(10, 2);
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS actual_distance_km NUMERIC(10, 2);
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS actual_duration_min NUMERIC(10, 2);
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS final_fare_breakdown JSONB;
+
+UPDATE rides SET estimated_fare = fare WHERE estimated_fare IS NULL;
@@ -0,0 +1,7 @@
+-- ETAs: what we promised the rider vs. the latest prediction.
+-- Drift = (eta_updated_at + current_eta_min) - promised arrival.
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS pickup_eta_min NUMERIC(10, 2);
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS pickup_promised_at TIMESTAMPTZ;
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS drop_promised_at TIMESTAMPTZ;
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS current_eta_min NUMERIC(10, 2);
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS eta_updated_at TIMESTAMPTZ;
@@ -0,0 +1,17 @@
+-- Reconnects: a driver whose socket drops keeps their ride for a grace
+-- period (see services/dispatch.js) instead of going offline at once.
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS disconnected_at TIMESTAMPTZ;
+
+-- Ride events sent to a rider or driver, kept so resume_session can replay
+-- whatever a reconnecting app missed (see services/sessions.js).
+CREATE TABLE IF NOT EXISTS session_events (
+    id BIGSERIAL PRIMARY KEY,
+    user_role VARCHAR(20) NOT NULL,
+    user_id INTEGER NOT NULL,
+    ride_id INTEGER REFERENCES rides(id) ON DELETE CASCADE,
+    event VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_events_user ON session_events (user_role, user_id, id);
@@ -0,0 +1,46 @@
+-- Driver documents, each reviewed on its own (see services/documentService.js).
+-- Files live outside public/ and are only served through signed links.
+CREATE TABLE IF NOT EXISTS driver_documents (
+    id SERIAL PRIMARY KEY,
+    driver_id INTEGER NOT NULL REFERENCES drivers(id) ON DELETE CASCADE,
+    doc_type VARCHAR(20) NOT NULL CHECK (doc_type IN ('license', 'rc', 'insurance', 'permit', 'photo')),
+    storage_key VARCHAR(255) NOT NULL,
+    original_name VARCHAR(255),
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER,
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'APPROVED', 'REJECTED', 'EXPIRED')),
+    rejection_reason VARCHAR(255),
+    expires_on DATE,
+    reviewed_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMPTZ,
+    uploaded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_driver_documents_driver ON driver_documents (driver_id, doc_type, uploaded_at DESC);
+CREATE INDEX IF NOT EXISTS idx_driver_documents_review ON driver_documents (status, uploaded_at);
+
+-- Kept in step by documentService; dispatch only matches drivers with it set.
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS documents_valid BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMPTZ;
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS suspension_reason VARCHAR(255);
+
+-- Already verified drivers keep working until their documents go through review
+UPDATE drivers SET documents_valid = true WHERE is_verified = true;
+
+-- Old uploads from public/uploads, queued for review. documentService moves
+-- the files out of the web root on startup.
+INSERT INTO driver_documents (driver_id, doc_type, storage_key, original_name, mime_type)
+SELECT id, 'license', 'legacy/' || regexp_replace(license_url, '^/uploads/', ''), license_url,
+       CASE WHEN license_url ~* '\.pdf$' THEN 'application/pdf'
+            WHEN license_url ~* '\.png$' THEN 'image/png'
+            ELSE 'image/jpeg' END
+FROM drivers WHERE license_url IS NOT NULL;
+
+INSERT INTO driver_documents (driver_id, doc_type, storage_key, original_name, mime_type)
+SELECT id, 'rc', 'legacy/' || regexp_replace(rc_url, '^/uploads/', ''), rc_url,
+       CASE WHEN rc_url ~* '\.pdf$' THEN 'application/pdf'
+            WHEN rc_url ~* '\.png$' THEN 'image/png'
+            ELSE 'image/jpeg' END
+FROM drivers WHERE rc_url IS NOT NULL;
+
+UPDATE drivers SET license_url = NULL, rc_url = NULL;
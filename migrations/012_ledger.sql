@@ -0,0 +1,46 @@
+-- Double-entry earnings ledger (see services/ledgerService.js).
+-- Every ledger_transactions row owns entries whose amounts sum to zero.
+-- For the 'driver' account a positive amount is money owed to the driver.
+CREATE TABLE IF NOT EXISTS ledger_transactions (
+    id BIGSERIAL PRIMARY KEY,
+    kind VARCHAR(30) NOT NULL CHECK (kind IN ('ride_completed', 'adjustment', 'payout')),
+    driver_id INTEGER NOT NULL REFERENCES drivers(id) ON DELETE CASCADE,
+    ride_id INTEGER REFERENCES rides(id) ON DELETE SET NULL,
+    description VARCHAR(255),
+    created_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- A ride is posted once, however many times completion is replayed
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ledger_transactions_ride
+    ON ledger_transactions (ride_id) WHERE kind = 'ride_completed';
+
+CREATE TABLE IF NOT EXISTS ledger_entries (
+    id BIGSERIAL PRIMARY KEY,
+    transaction_id BIGINT NOT NULL REFERENCES ledger_transactions(id) ON DELETE CASCADE,
+    account VARCHAR(30) NOT NULL CHECK (account IN ('driver', 'rider_payments', 'platform_commission', 'platform_adjustments', 'payouts')),
+    driver_id INTEGER REFERENCES drivers(id) ON DELETE CASCADE,
+    entry_type VARCHAR(30) NOT NULL CHECK (entry_type IN ('fare', 'commission', 'cash_collected', 'adjustment', 'payout')),
+    amount NUMERIC(12, 2) NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_driver ON ledger_entries (driver_id, created_at) WHERE account = 'driver';
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_transaction ON ledger_entries (transaction_id);
+
+CREATE TABLE IF NOT EXISTS driver_payouts (
+    id SERIAL PRIMARY KEY,
+    driver_id INTEGER NOT NULL REFERENCES drivers(id) ON DELETE CASCADE,
+    amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'REQUESTED' CHECK (status IN ('REQUESTED', 'APPROVED', 'REJECTED', 'PAID')),
+    rejection_reason VARCHAR(255),
+    reference VARCHAR(100),
+    reviewed_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMPTZ,
+    paid_at TIMESTAMPTZ,
+    ledger_transaction_id BIGINT REFERENCES ledger_transactions(id),
+    requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_driver_payouts_status ON driver_payouts (status, requested_at);
+CREATE INDEX IF NOT EXISTS idx_driver_payouts_driver ON driver_payouts (driver_id, requested_at DESC);
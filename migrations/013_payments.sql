@@ -0,0 +1,46 @@
+-- Payments (see services/payments). A ride is only SETTLED once its payment
+-- is confirmed: cash when the driver completes it, UPI when the gateway says so.
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS payment_status VARCHAR(20) NOT NULL DEFAULT 'UNPAID'
+    CHECK (payment_status IN ('UNPAID', 'PENDING', 'SETTLED', 'FAILED'));
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS settled_at TIMESTAMPTZ;
+
+-- Rides finished before payments existed are treated as settled
+UPDATE rides SET payment_status = 'SETTLED', settled_at = ended_at WHERE status = 'COMPLETED';
+
+CREATE TABLE IF NOT EXISTS payments (
+    id SERIAL PRIMARY KEY,
+    ride_id INTEGER NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+    rider_id INTEGER,
+    driver_id INTEGER,
+    method VARCHAR(10) NOT NULL CHECK (method IN ('UPI', 'CASH')),
+    amount NUMERIC(10, 2) NOT NULL,
+    currency VARCHAR(3) NOT NULL DEFAULT 'INR',
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'PAID', 'FAILED', 'CANCELLED')),
+    gateway VARCHAR(20),
+    gateway_ref VARCHAR(100),
+    gateway_payment_id VARCHAR(100),
+    upi_link TEXT,
+    checkout_url TEXT,
+    failure_reason VARCHAR(255),
+    last_checked_at TIMESTAMPTZ,
+    paid_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_gateway_ref ON payments (gateway, gateway_ref);
+CREATE INDEX IF NOT EXISTS idx_payments_ride ON payments (ride_id);
+CREATE INDEX IF NOT EXISTS idx_payments_pending ON payments (created_at) WHERE status = 'PENDING';
+-- At most one open UPI request per ride
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_one_pending ON payments (ride_id) WHERE status = 'PENDING';
+
+-- Every webhook we receive, verified or not, for disputes and debugging
+CREATE TABLE IF NOT EXISTS payment_webhooks (
+    id BIGSERIAL PRIMARY KEY,
+    gateway VARCHAR(20) NOT NULL,
+    signature_valid BOOLEAN NOT NULL,
+    event VARCHAR(100),
+    gateway_ref VARCHAR(100),
+    payload JSONB,
+    received_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,43 @@
+-- Two-way ratings, one per side per ride (see services/ratingService.js).
+-- rides.rating / rides.feedback are kept for old rows but no longer written.
+CREATE TABLE IF NOT EXISTS ride_ratings (
+    id BIGSERIAL PRIMARY KEY,
+    ride_id INTEGER NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+    rater_role VARCHAR(10) NOT NULL CHECK (rater_role IN ('rider', 'driver')),
+    rater_id INTEGER NOT NULL,
+    ratee_role VARCHAR(10) NOT NULL CHECK (ratee_role IN ('rider', 'driver')),
+    ratee_id INTEGER NOT NULL,
+    stars SMALLINT NOT NULL CHECK (stars BETWEEN 1 AND 5),
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    comment TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (ride_id, rater_role)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ride_ratings_ratee ON ride_ratings (ratee_role, ratee_id, created_at DESC);
+
+-- Rolling averages, refreshed on every new rating
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS rating_avg NUMERIC(3, 2);
+ALTER TABLE drivers ADD COLUMN IF NOT EXISTS rating_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE riders ADD COLUMN IF NOT EXISTS rating_avg NUMERIC(3, 2);
+ALTER TABLE riders ADD COLUMN IF NOT EXISTS rating_count INTEGER NOT NULL DEFAULT 0;
+
+-- Carry over what riders already gave (last write won back then)
+INSERT INTO ride_ratings (ride_id, rater_role, rater_id, ratee_role, ratee_id, stars, comment, created_at)
+SELECT id, 'rider', rider_id, 'driver', driver_id, ROUND(rating)::smallint, feedback, COALESCE(ended_at, NOW())
+FROM rides
+WHERE rating IS NOT NULL AND ROUND(rating) BETWEEN 1 AND 5
+AND rider_id IS NOT NULL AND driver_id IS NOT NULL
+ON CONFLICT (ride_id, rater_role) DO NOTHING;
+
+-- Average over the latest 100 (ROLLING_WINDOW_RATINGS), count over all
+UPDATE drivers d SET rating_avg = agg.avg, rating_count = agg.total
+FROM (
+    SELECT ratee_id, ROUND(AVG(stars) FILTER (WHERE n <= 100), 2) AS avg, COUNT(*) AS total
+    FROM (
+        SELECT ratee_id, stars, ROW_NUMBER() OVER (PARTITION BY ratee_id ORDER BY created_at DESC) AS n
+        FROM ride_ratings WHERE ratee_role = 'driver'
+    ) ranked
+    GROUP BY ratee_id
+) agg
+WHERE d.id = agg.ratee_id;
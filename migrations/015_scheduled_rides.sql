@@ -0,0 +1,35 @@
+-- Rides booked ahead (see services/scheduledRides.js). A booking becomes
+-- an ordinary rides row when matching starts; ride_id points at it.
+CREATE TABLE IF NOT EXISTS scheduled_rides (
+    id SERIAL PRIMARY KEY,
+    rider_id INTEGER NOT NULL REFERENCES riders(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'SCHEDULED'
+        CHECK (status IN ('SCHEDULED', 'DISPATCHED', 'CANCELLED', 'FAILED')),
+    pickup_at TIMESTAMPTZ NOT NULL,
+    pickup_lat DOUBLE PRECISION NOT NULL,
+    pickup_lng DOUBLE PRECISION NOT NULL,
+    drop_lat DOUBLE PRECISION NOT NULL,
+    drop_lng DOUBLE PRECISION NOT NULL,
+    destination TEXT,
+    vehicle_type VARCHAR(20) NOT NULL,
+    -- Locked in at booking time
+    fare NUMERIC(10, 2) NOT NULL,
+    fare_breakdown JSONB NOT NULL,
+    tariff_id INTEGER,
+    estimated_distance_km NUMERIC(10, 2),
+    estimated_duration_min NUMERIC(10, 2),
+    ride_id INTEGER REFERENCES rides(id) ON DELETE SET NULL,
+    next_dispatch_at TIMESTAMPTZ,
+    dispatch_attempts INTEGER NOT NULL DEFAULT 0,
+    -- Minute marks from REMINDER_MINUTES already pushed
+    reminders_sent INTEGER[] NOT NULL DEFAULT '{}',
+    cancelled_by VARCHAR(10),
+    cancel_reason VARCHAR(255),
+    failure_reason VARCHAR(255),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_rides_due ON scheduled_rides (next_dispatch_at) WHERE status = 'SCHEDULED';
+CREATE INDEX IF NOT EXISTS idx_scheduled_rides_rider ON scheduled_rides (rider_id, pickup_at DESC);
+CREATE INDEX IF NOT EXISTS idx_scheduled_rides_ride ON scheduled_rides (ride_id);
@@ -0,0 +1,54 @@
+-- Cancellation reasons, fees and no-shows (see services/cancellations.js).
+
+-- When the driver accepted / arrived, for the fee rules. Re-stamped after a reassignment.
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS accepted_at TIMESTAMPTZ;
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS arrived_at TIMESTAMPTZ;
+
+UPDATE rides r SET accepted_at = e.created_at
+FROM (SELECT ride_id, MAX(created_at) AS created_at FROM ride_events WHERE to_status = 'ACCEPTED' GROUP BY ride_id) e
+WHERE e.ride_id = r.id AND r.accepted_at IS NULL;
+
+UPDATE rides r SET arrived_at = e.created_at
+FROM (SELECT ride_id, MAX(created_at) AS created_at FROM ride_events WHERE to_status = 'ARRIVED' GROUP BY ride_id) e
+WHERE e.ride_id = r.id AND r.arrived_at IS NULL;
+
+-- One row per cancellation, including a driver dropping a ride that then
+-- went back to dispatch (the ride itself carries on)
+CREATE TABLE IF NOT EXISTS ride_cancellations (
+    id SERIAL PRIMARY KEY,
+    ride_id INTEGER NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+    cancelled_by VARCHAR(10) NOT NULL CHECK (cancelled_by IN ('rider', 'driver', 'admin')),
+    actor_id INTEGER,
+    rider_id INTEGER,
+    driver_id INTEGER,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('CANCELLATION', 'NO_SHOW')),
+    reason_code VARCHAR(40) NOT NULL,
+    note VARCHAR(500),
+    ride_status VARCHAR(20) NOT NULL,
+    fee_rule VARCHAR(40) NOT NULL,
+    fee_amount NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    fee_payer VARCHAR(10) CHECK (fee_payer IN ('rider', 'driver')),
+    ledger_transaction_id BIGINT REFERENCES ledger_transactions(id),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ride_cancellations_ride ON ride_cancellations (ride_id);
+CREATE INDEX IF NOT EXISTS idx_ride_cancellations_rider ON ride_cancellations (rider_id, created_at) WHERE cancelled_by = 'rider' OR kind = 'NO_SHOW';
+CREATE INDEX IF NOT EXISTS idx_ride_cancellations_driver ON ride_cancellations (driver_id, created_at) WHERE cancelled_by = 'driver';
+
+-- Ledger: riders get an account (negative = they owe us), fees get entry types
+ALTER TABLE ledger_transactions ADD COLUMN IF NOT EXISTS rider_id INTEGER REFERENCES riders(id) ON DELETE SET NULL;
+ALTER TABLE ledger_transactions DROP CONSTRAINT IF EXISTS ledger_transactions_kind_check;
+ALTER TABLE ledger_transactions ADD CONSTRAINT ledger_transactions_kind_check
+    CHECK (kind IN ('ride_completed', 'adjustment', 'payout', 'cancellation'));
+
+ALTER TABLE ledger_entries ADD COLUMN IF NOT EXISTS rider_id INTEGER REFERENCES riders(id) ON DELETE CASCADE;
+ALTER TABLE ledger_entries DROP CONSTRAINT IF EXISTS ledger_entries_account_check;
+ALTER TABLE ledger_entries ADD CONSTRAINT ledger_entries_account_check
+    CHECK (account IN ('driver', 'rider', 'rider_payments', 'platform_commission', 'platform_adjustments', 'platform_fees', 'payouts'));
+ALTER TABLE ledger_entries DROP CONSTRAINT IF EXISTS ledger_entries_entry_type_check;
+ALTER TABLE ledger_entries ADD CONSTRAINT ledger_entries_entry_type_check
+    CHECK (entry_type IN ('fare', 'commission', 'cash_collected', 'adjustment', 'payout', 'cancellation_fee', 'no_show_fee'));
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_rider ON ledger_entries (rider_id, created_at) WHERE account = 'rider';
+
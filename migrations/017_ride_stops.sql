@@ -0,0 +1,42 @@
+-- Ordered stops per ride; the last one is the drop (see services/tripStops.js).
+-- rides.drop_lat / drop_lng / destination keep mirroring the last stop.
+CREATE TABLE IF NOT EXISTS ride_stops (
+    id SERIAL PRIMARY KEY,
+    ride_id INTEGER NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+    seq INTEGER NOT NULL,
+    lat DOUBLE PRECISION NOT NULL,
+    lng DOUBLE PRECISION NOT NULL,
+    address VARCHAR(255),
+    status VARCHAR(10) NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'REACHED', 'SKIPPED')),
+    reached_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (ride_id, seq)
+);
+
+INSERT INTO ride_stops (ride_id, seq, lat, lng, address, status, reached_at)
+SELECT id, 1, drop_lat, drop_lng, LEFT(destination, 255),
+       CASE WHEN status = 'COMPLETED' THEN 'REACHED' ELSE 'PENDING' END,
+       CASE WHEN status = 'COMPLETED' THEN ended_at END
+FROM rides
+WHERE drop_lat IS NOT NULL AND drop_lng IS NOT NULL
+ON CONFLICT (ride_id, seq) DO NOTHING;
+
+-- A rider's change to the remaining stops, waiting for the driver
+CREATE TABLE IF NOT EXISTS ride_stop_changes (
+    id SERIAL PRIMARY KEY,
+    ride_id INTEGER NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+    stops JSONB NOT NULL,
+    old_fare NUMERIC(10, 2) NOT NULL,
+    new_fare NUMERIC(10, 2) NOT NULL,
+    fare_breakdown JSONB NOT NULL,
+    distance_km NUMERIC(10, 2),
+    duration_min NUMERIC(10, 2),
+    polyline TEXT,
+    status VARCHAR(12) NOT NULL DEFAULT 'PENDING'
+        CHECK (status IN ('PENDING', 'ACCEPTED', 'REJECTED', 'EXPIRED', 'SUPERSEDED', 'CANCELLED')),
+    expires_at TIMESTAMPTZ NOT NULL,
+    responded_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ride_stop_changes_pending ON ride_stop_changes (ride_id) WHERE status = 'PENDING';
@@ -0,0 +1,34 @@
+-- Riders' saved places (see services/riderProfile.js). At most one HOME
+-- and one WORK each; CUSTOM places carry their own label.
+CREATE TABLE IF NOT EXISTS rider_saved_places (
+    id SERIAL PRIMARY KEY,
+    rider_id INTEGER NOT NULL REFERENCES riders(id) ON DELETE CASCADE,
+    label_type VARCHAR(10) NOT NULL CHECK (label_type IN ('HOME', 'WORK', 'CUSTOM')),
+    label VARCHAR(40) NOT NULL,
+    lat DOUBLE PRECISION NOT NULL,
+    lng DOUBLE PRECISION NOT NULL,
+    address VARCHAR(255),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rider_saved_places_fixed
+    ON rider_saved_places (rider_id, label_type) WHERE label_type IN ('HOME', 'WORK');
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rider_saved_places_label
+    ON rider_saved_places (rider_id, LOWER(label));
+
+-- An email / phone a rider wants on their profile, waiting for the code.
+-- One outstanding request per channel; a new one replaces it.
+CREATE TABLE IF NOT EXISTS rider_contact_changes (
+    rider_id INTEGER NOT NULL REFERENCES riders(id) ON DELETE CASCADE,
+    channel VARCHAR(5) NOT NULL CHECK (channel IN ('email', 'phone')),
+    value VARCHAR(255) NOT NULL,
+    code_hash VARCHAR(64) NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (rider_id, channel)
+);
+
+-- Recent destinations scan a rider's completed rides newest first
+CREATE INDEX IF NOT EXISTS idx_rides_rider_ended ON rides (rider_id, ended_at DESC) WHERE status = 'COMPLETED';
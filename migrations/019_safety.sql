@@ -0,0 +1,58 @@
+-- People a rider wants told when they raise an SOS (see services/safety.js)
+CREATE TABLE IF NOT EXISTS rider_emergency_contacts (
+    id SERIAL PRIMARY KEY,
+    rider_id INTEGER NOT NULL REFERENCES riders(id) ON DELETE CASCADE,
+    name VARCHAR(60) NOT NULL,
+    phone VARCHAR(20),
+    email VARCHAR(255),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (phone IS NOT NULL OR email IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rider_emergency_contacts_rider ON rider_emergency_contacts (rider_id);
+
+-- One row per SOS; positions are what we knew when it was raised
+CREATE TABLE IF NOT EXISTS ride_sos_alerts (
+    id SERIAL PRIMARY KEY,
+    ride_id INTEGER NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+    rider_id INTEGER NOT NULL REFERENCES riders(id) ON DELETE CASCADE,
+    driver_id INTEGER,
+    ride_status VARCHAR(20) NOT NULL,
+    source VARCHAR(10) NOT NULL CHECK (source IN ('socket', 'rest')),
+    rider_lat DOUBLE PRECISION,
+    rider_lng DOUBLE PRECISION,
+    driver_lat DOUBLE PRECISION,
+    driver_lng DOUBLE PRECISION,
+    driver_position_at TIMESTAMPTZ,
+    note TEXT,
+    contacts_notified INTEGER NOT NULL DEFAULT 0,
+    status VARCHAR(12) NOT NULL DEFAULT 'OPEN' CHECK (status IN ('OPEN', 'ACKNOWLEDGED', 'RESOLVED')),
+    acknowledged_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+    acknowledged_at TIMESTAMPTZ,
+    resolved_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMPTZ,
+    resolution_note TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- A ride has at most one SOS that isn't resolved
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ride_sos_alerts_open ON ride_sos_alerts (ride_id) WHERE status <> 'RESOLVED';
+CREATE INDEX IF NOT EXISTS idx_ride_sos_alerts_status ON ride_sos_alerts (status, created_at);
+
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS sos_raised_at TIMESTAMPTZ;
+
+-- Read-only trip links; the token itself is a signed payload carrying the id
+CREATE TABLE IF NOT EXISTS ride_share_links (
+    id SERIAL PRIMARY KEY,
+    ride_id INTEGER NOT NULL REFERENCES rides(id) ON DELETE CASCADE,
+    rider_id INTEGER NOT NULL REFERENCES riders(id) ON DELETE CASCADE,
+    reason VARCHAR(10) NOT NULL DEFAULT 'SHARE' CHECK (reason IN ('SHARE', 'SOS')),
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    view_count INTEGER NOT NULL DEFAULT 0,
+    last_viewed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ride_share_links_ride ON ride_share_links (ride_id);
@@ -0,0 +1,56 @@
+-- Per-user channel settings (see services/notifications). No row means
+-- config/notifications.js DEFAULT_PREFERENCES.
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_role VARCHAR(10) NOT NULL CHECK (user_role IN ('rider', 'driver')),
+    user_id INTEGER NOT NULL,
+    push BOOLEAN NOT NULL DEFAULT TRUE,
+    email BOOLEAN NOT NULL DEFAULT TRUE,
+    sms BOOLEAN NOT NULL DEFAULT FALSE,
+    marketing BOOLEAN NOT NULL DEFAULT TRUE,
+    locale VARCHAR(5) NOT NULL DEFAULT 'en',
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (user_role, user_id)
+);
+
+-- The queue: one row per message per channel. Content is rendered when
+-- queued; the address is looked up when sent (tokens change).
+CREATE TABLE IF NOT EXISTS notification_jobs (
+    id BIGSERIAL PRIMARY KEY,
+    user_role VARCHAR(10) NOT NULL,
+    user_id INTEGER NOT NULL,
+    template VARCHAR(50) NOT NULL,
+    channel VARCHAR(5) NOT NULL CHECK (channel IN ('push', 'email', 'sms')),
+    locale VARCHAR(5) NOT NULL,
+    content JSONB NOT NULL,
+    ride_id INTEGER,
+    status VARCHAR(10) NOT NULL DEFAULT 'PENDING'
+        CHECK (status IN ('PENDING', 'SENDING', 'SENT', 'FAILED', 'EXPIRED')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ,
+    last_error TEXT,
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_jobs_due ON notification_jobs (next_attempt_at) WHERE status = 'PENDING';
+CREATE INDEX IF NOT EXISTS idx_notification_jobs_user ON notification_jobs (user_role, user_id, created_at DESC);
+
+-- Delivery log: every send attempt, good or bad
+CREATE TABLE IF NOT EXISTS notification_attempts (
+    id BIGSERIAL PRIMARY KEY,
+    job_id BIGINT NOT NULL REFERENCES notification_jobs(id) ON DELETE CASCADE,
+    attempt INTEGER NOT NULL,
+    channel VARCHAR(5) NOT NULL,
+    transport VARCHAR(20) NOT NULL,
+    recipient VARCHAR(255),
+    outcome VARCHAR(10) NOT NULL CHECK (outcome IN ('SENT', 'RETRY', 'FAILED')),
+    error_code VARCHAR(100),
+    error TEXT,
+    duration_ms INTEGER,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_attempts_job ON notification_attempts (job_id);
+CREATE INDEX IF NOT EXISTS idx_notification_attempts_created ON notification_attempts (created_at);
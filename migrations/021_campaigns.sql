@@ -0,0 +1,73 @@
+-- Marketing campaigns (see services/campaigns.js). A campaign either
+-- goes out once at send_at, or on days_of_week (0 = Sunday) at each of
+-- send_times ('HH:MM', local) between starts_at and ends_at.
+-- content is { "en": { "title", "body" }, "hi": { ... } }; en is required.
+CREATE TABLE IF NOT EXISTS campaigns (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'DRAFT'
+        CHECK (status IN ('DRAFT', 'ACTIVE', 'PAUSED', 'ENDED')),
+    content JSONB NOT NULL,
+    segment JSONB NOT NULL DEFAULT '{}',
+    send_at TIMESTAMPTZ,
+    days_of_week SMALLINT[],
+    send_times TEXT[],
+    starts_at TIMESTAMPTZ,
+    ends_at TIMESTAMPTZ,
+    quiet_start_hour SMALLINT CHECK (quiet_start_hour BETWEEN 0 AND 23),
+    quiet_end_hour SMALLINT CHECK (quiet_end_hour BETWEEN 0 AND 23),
+    max_per_rider INTEGER CHECK (max_per_rider > 0),
+    created_by INTEGER REFERENCES admins(id),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One row per scheduled send of a campaign
+CREATE TABLE IF NOT EXISTS campaign_runs (
+    id SERIAL PRIMARY KEY,
+    campaign_id INTEGER NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    slot_at TIMESTAMPTZ NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'PENDING'
+        CHECK (status IN ('PENDING', 'SENDING', 'DONE', 'FAILED', 'CANCELLED')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    targeted INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    started_at TIMESTAMPTZ,
+    finished_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (campaign_id, slot_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_runs_due ON campaign_runs (slot_at) WHERE status = 'PENDING';
+
+-- Who a run went to. Also what the per-rider frequency caps count.
+CREATE TABLE IF NOT EXISTS campaign_deliveries (
+    id BIGSERIAL PRIMARY KEY,
+    run_id INTEGER NOT NULL REFERENCES campaign_runs(id) ON DELETE CASCADE,
+    campaign_id INTEGER NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    rider_id INTEGER NOT NULL,
+    locale VARCHAR(5) NOT NULL,
+    token TEXT NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'QUEUED' CHECK (status IN ('QUEUED', 'SENT', 'FAILED')),
+    error_code VARCHAR(100),
+    sent_at TIMESTAMPTZ,
+    opened_at TIMESTAMPTZ,
+    unsubscribed_at TIMESTAMPTZ,
+    UNIQUE (run_id, rider_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_deliveries_queued ON campaign_deliveries (run_id, locale, id) WHERE status = 'QUEUED';
+CREATE INDEX IF NOT EXISTS idx_campaign_deliveries_rider ON campaign_deliveries (rider_id, sent_at) WHERE status = 'SENT';
+CREATE INDEX IF NOT EXISTS idx_campaign_deliveries_campaign ON campaign_deliveries (campaign_id);
+
+-- The daily promos index.js used to push at 9:00 and 17:00
+INSERT INTO campaigns (name, status, content, days_of_week, send_times)
+VALUES
+    ('Daily promo: Sunday', 'ACTIVE', '{"en": {"title": "Sunday Funday 🍿", "body": "Don''t let traffic ruin your Sunday. Grab an Aye Bike!"}}', '{0}', '{09:00,17:00}'),
+    ('Daily promo: Monday', 'ACTIVE', '{"en": {"title": "Monday Rush ☕", "body": "Beat the Monday blues and the morning traffic. Ride now."}}', '{1}', '{09:00,17:00}'),
+    ('Daily promo: Tuesday', 'ACTIVE', '{"en": {"title": "Smooth Tuesday 🛵", "body": "Mid-week errands? Get there faster with Aye Auto."}}', '{2}', '{09:00,17:00}'),
+    ('Daily promo: Wednesday', 'ACTIVE', '{"en": {"title": "Hump Day! 🐪", "body": "You''re halfway through the week. Treat yourself to a stress-free ride."}}', '{3}', '{09:00,17:00}'),
+    ('Daily promo: Thursday', 'ACTIVE', '{"en": {"title": "Thursday Hustle 💼", "body": "Almost Friday! Let us handle the driving today."}}', '{4}', '{09:00,17:00}'),
+    ('Daily promo: Friday', 'ACTIVE', '{"en": {"title": "TGIF! 🎉", "body": "Kick off your weekend! Book a ride to your favorite spot."}}', '{5}', '{09:00,17:00}'),
+    ('Daily promo: Saturday', 'ACTIVE', '{"en": {"title": "Saturday Vibes 🍕", "body": "Going out tonight? Ride safe and fast with Aye Auto."}}', '{6}', '{09:00,17:00}');
@@ -0,0 +1,75 @@
+-- Promo codes (see services/promos.js). FLAT takes discount_value rupees
+-- off, PERCENT takes discount_value % capped at max_discount. rider_id set
+-- = a personal code only that rider can use (referral rewards).
+CREATE TABLE IF NOT EXISTS promo_codes (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(20) NOT NULL UNIQUE,
+    description VARCHAR(200),
+    kind VARCHAR(10) NOT NULL DEFAULT 'PROMO' CHECK (kind IN ('PROMO', 'REFERRAL')),
+    discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('FLAT', 'PERCENT')),
+    discount_value NUMERIC(10, 2) NOT NULL CHECK (discount_value > 0),
+    max_discount NUMERIC(10, 2),
+    min_fare NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    starts_at TIMESTAMPTZ,
+    ends_at TIMESTAMPTZ,
+    max_redemptions INTEGER CHECK (max_redemptions > 0),
+    max_per_rider INTEGER NOT NULL DEFAULT 1 CHECK (max_per_rider > 0),
+    vehicle_types TEXT[],
+    first_ride_only BOOLEAN NOT NULL DEFAULT FALSE,
+    rider_id INTEGER REFERENCES riders(id) ON DELETE CASCADE,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by INTEGER REFERENCES admins(id),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_promo_codes_rider ON promo_codes (rider_id) WHERE rider_id IS NOT NULL;
+
+-- One per ride that used a code. RESERVED while the ride runs (counts
+-- towards the limits), APPLIED once completed, RELEASED if it never was.
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+    id SERIAL PRIMARY KEY,
+    code_id INTEGER NOT NULL REFERENCES promo_codes(id) ON DELETE CASCADE,
+    rider_id INTEGER NOT NULL REFERENCES riders(id) ON DELETE CASCADE,
+    ride_id INTEGER NOT NULL UNIQUE REFERENCES rides(id) ON DELETE CASCADE,
+    discount_amount NUMERIC(10, 2) NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'RESERVED' CHECK (status IN ('RESERVED', 'APPLIED', 'RELEASED')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_code ON promo_redemptions (code_id, status);
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_rider ON promo_redemptions (rider_id, code_id);
+
+-- The discount on the ride. fare / final_fare stay the full fare the
+-- driver earns; the rider pays fare minus discount_amount.
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS promo_code_id INTEGER REFERENCES promo_codes(id);
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(10, 2) NOT NULL DEFAULT 0;
+
+-- Referrals: each rider gets a code to share; a new rider enters one
+-- before their first completed ride
+ALTER TABLE riders ADD COLUMN IF NOT EXISTS referral_code VARCHAR(12) UNIQUE;
+
+CREATE TABLE IF NOT EXISTS referrals (
+    id SERIAL PRIMARY KEY,
+    referrer_id INTEGER NOT NULL REFERENCES riders(id) ON DELETE CASCADE,
+    referee_id INTEGER NOT NULL UNIQUE REFERENCES riders(id) ON DELETE CASCADE,
+    status VARCHAR(10) NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'REWARDED')),
+    referrer_code_id INTEGER REFERENCES promo_codes(id) ON DELETE SET NULL,
+    referee_code_id INTEGER REFERENCES promo_codes(id) ON DELETE SET NULL,
+    qualifying_ride_id INTEGER REFERENCES rides(id) ON DELETE SET NULL,
+    rewarded_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_referrals_referrer ON referrals (referrer_id);
+
+-- Ledger: the platform pays for discounts so drivers still get the full fare
+ALTER TABLE ledger_entries DROP CONSTRAINT IF EXISTS ledger_entries_account_check;
+ALTER TABLE ledger_entries ADD CONSTRAINT ledger_entries_account_check
+    CHECK (account IN ('driver', 'rider', 'rider_payments', 'platform_commission', 'platform_adjustments', 'platform_fees',
+                       'platform_promotions', 'payouts'));
+ALTER TABLE ledger_entries DROP CONSTRAINT IF EXISTS ledger_entries_entry_type_check;
+ALTER TABLE ledger_entries ADD CONSTRAINT ledger_entries_entry_type_check
+    CHECK (entry_type IN ('fare', 'commission', 'cash_collected', 'adjustment', 'payout', 'cancellation_fee', 'no_show_fee',
+                          'promo_discount'));
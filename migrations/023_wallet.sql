@@ -0,0 +1,37 @@
+-- Rider wallet (see services/wallet.js). The balance is the rider's
+-- 'rider' ledger account, which already carries cancellation / no-show
+-- fees (negative = owed to us); top-ups, wallet-paid rides and admin
+-- refunds / credits post to it as well.
+
+-- Top-ups are gateway payments with no ride
+ALTER TABLE payments ALTER COLUMN ride_id DROP NOT NULL;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS purpose VARCHAR(10) NOT NULL DEFAULT 'RIDE'
+    CHECK (purpose IN ('RIDE', 'TOPUP'));
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_purpose_ride_check;
+ALTER TABLE payments ADD CONSTRAINT payments_purpose_ride_check
+    CHECK ((purpose = 'RIDE') = (ride_id IS NOT NULL));
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_method_check;
+ALTER TABLE payments ADD CONSTRAINT payments_method_check CHECK (method IN ('UPI', 'CASH', 'WALLET'));
+
+CREATE INDEX IF NOT EXISTS idx_payments_rider_topups ON payments (rider_id, created_at DESC) WHERE purpose = 'TOPUP';
+
+-- The rider chose to pay from the wallet when booking
+ALTER TABLE rides ADD COLUMN IF NOT EXISTS pay_from_wallet BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Ledger: wallet postings have no driver, top-ups point at their payment
+ALTER TABLE ledger_transactions ALTER COLUMN driver_id DROP NOT NULL;
+ALTER TABLE ledger_transactions ADD COLUMN IF NOT EXISTS payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL;
+ALTER TABLE ledger_transactions DROP CONSTRAINT IF EXISTS ledger_transactions_kind_check;
+ALTER TABLE ledger_transactions ADD CONSTRAINT ledger_transactions_kind_check
+    CHECK (kind IN ('ride_completed', 'adjustment', 'payout', 'cancellation', 'wallet_topup', 'wallet_payment', 'wallet_credit'));
+
+-- A top-up is credited once, a ride is paid from the wallet once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ledger_transactions_topup
+    ON ledger_transactions (payment_id) WHERE kind = 'wallet_topup';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ledger_transactions_wallet_ride
+    ON ledger_transactions (ride_id) WHERE kind = 'wallet_payment';
+
+ALTER TABLE ledger_entries DROP CONSTRAINT IF EXISTS ledger_entries_entry_type_check;
+ALTER TABLE ledger_entries ADD CONSTRAINT ledger_entries_entry_type_check
+    CHECK (entry_type IN ('fare', 'commission', 'cash_collected', 'adjustment', 'payout', 'cancellation_fee', 'no_show_fee',
+                          'promo_discount', 'wallet_topup', 'wallet_payment', 'refund', 'credit'));
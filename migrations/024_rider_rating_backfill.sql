@@ -0,0 +1,14 @@
+-- 014 backfilled drivers' rating_avg / rating_count only; do the same for
+-- riders. Average over the latest 100, count over all: keep 100 in step
+-- with ROLLING_WINDOW_RATINGS in config/ratings.js, which ratingService
+-- uses for every later refresh.
+UPDATE riders r SET rating_avg = agg.avg, rating_count = agg.total
+FROM (
+    SELECT ratee_id, ROUND(AVG(stars) FILTER (WHERE n <= 100), 2) AS avg, COUNT(*) AS total
+    FROM (
+        SELECT ratee_id, stars, ROW_NUMBER() OVER (PARTITION BY ratee_id ORDER BY created_at DESC) AS n
+        FROM ride_ratings WHERE ratee_role = 'rider'
+    ) ranked
+    GROUP BY ratee_id
+) agg
+WHERE r.id = agg.ratee_id;
@@ -0,0 +1,11 @@
+-- Scheduled bookings move to MATCHED once a driver accepts their ride, so
+-- they stop counting as upcoming (see services/scheduledRides.js).
+ALTER TABLE scheduled_rides DROP CONSTRAINT IF EXISTS scheduled_rides_status_check;
+ALTER TABLE scheduled_rides ADD CONSTRAINT scheduled_rides_status_check
+    CHECK (status IN ('SCHEDULED', 'DISPATCHED', 'MATCHED', 'CANCELLED', 'FAILED'));
+
+-- Bookings whose ride was already accepted before this
+UPDATE scheduled_rides s SET status = 'MATCHED', updated_at = NOW()
+FROM rides r
+WHERE s.ride_id = r.id AND s.status = 'DISPATCHED'
+  AND r.status IN ('ACCEPTED', 'ARRIVED', 'ON_TRIP', 'COMPLETED');
@@ -0,0 +1,6 @@
+-- The daily promos seeded in 021 go out at 9:00 and 17:00 like the old
+-- cron did, but the cross-campaign caps (config/campaigns.js) would hold
+-- riders to one a day and three a week. Give them their own cap of two a
+-- day, which replaces those (see audienceSql in services/campaigns.js).
+UPDATE campaigns SET max_per_rider = 2, updated_at = NOW()
+WHERE name LIKE 'Daily promo: %' AND created_by IS NULL AND max_per_rider IS NULL;
@@ -0,0 +1,851 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcrypt');
+const db = require('../config/db');
+const { issueTokens, revokeAllForUser } = require('../services/tokenService');
+const { ADMIN_FIELDS } = require('../services/adminService');
+const { requirePermission } = require('../middleware/permissions');
+const { ADMIN_ROLES, permissionsFor } = require('../config/permissions');
+const documentService = require('../services/documentService');
+const ledgerService = require('../services/ledgerService');
+const statements = require('../services/statements');
+const ratingService = require('../services/ratingService');
+const scheduledRides = require('../services/scheduledRides');
+const cancellations = require('../services/cancellations');
+const safety = require('../services/safety');
+const notifications = require('../services/notifications');
+const campaigns = require('../services/campaigns');
+const promos = require('../services/promos');
+const wallet = require('../services/wallet');
+const { RideTransitionError } = require('../services/rideLifecycle');
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 ADMIN LOGIN
+// Route: POST /api/admin/login
+// ═══════════════════════════════════════════════════════════════════════
+router.post('/login', async (req, res) => {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+        return res.status(400).json({ success: false, msg: "Please enter email and password" });
+    }
+
+    try {
+        const result = await db.query("SELECT * FROM admins WHERE email = $1", [email.toLowerCase()]);
+        const admin = result.rows[0];
+
+        // Same message for unknown email and wrong password
+        if (!admin || !admin.is_active || !(await bcrypt.compare(password, admin.password))) {
+            return res.status(401).json({ success: false, msg: "Invalid email or password" });
+        }
+
+        await db.query("UPDATE admins SET last_login_at = NOW() WHERE id = $1", [admin.id]);
+        const tokens = await issueTokens({ id: admin.id, role: 'admin' });
+
+        delete admin.password;
+        res.json({ success: true, admin: admin, permissions: permissionsFor(admin.role), ...tokens });
+    } catch (err) {
+        console.error("Admin Login Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+// Route: GET /api/admin/me
+router.get('/me', requirePermission(), (req, res) => {
+    res.json({ success: true, admin: req.admin, permissions: permissionsFor(req.admin.role) });
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 DRIVERS & RIDES
+// ═══════════════════════════════════════════════════════════════════════
+router.get('/drivers', requirePermission('drivers:read'), async (req, res) => {
+    try {
+        const result = await db.query(`
+            SELECT d.id, d.name, d.phone, d.age, d.vehicle_type, d.vehicle_details, d.is_verified, d.is_online,
+                   d.documents_valid, d.suspended_at, d.suspension_reason, d.rating_avg, d.rating_count,
+                   COALESCE((
+                       SELECT json_agg(doc ORDER BY doc.doc_type) FROM (
+                           SELECT DISTINCT ON (doc_type) id, doc_type, status, rejection_reason, expires_on, uploaded_at
+                           FROM driver_documents WHERE driver_id = d.id
+                           ORDER BY doc_type, uploaded_at DESC
+                       ) doc
+                   ), '[]') AS documents
+            FROM drivers d
+            ORDER BY d.id DESC
+        `);
+        res.json(result.rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.get('/pending-rides', requirePermission('rides:read'), async (req, res) => {
+    try {
+        const result = await db.query(`
+            SELECT r.id, r.rider_id, r.pickup_lat, r.pickup_lng, r.destination, r.fare, r.status, riders.name as rider_name, riders.phone as rider_phone
+            FROM rides r
+            LEFT JOIN riders ON r.rider_id = riders.id
+            WHERE r.status = 'REQUESTED'
+            ORDER BY r.id DESC
+        `);
+        res.json(result.rows);
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+router.post('/verify-driver', requirePermission('drivers:verify'), async (req, res) => {
+    const { driverId, status } = req.body;
+    try {
+        const result = await db.query("UPDATE drivers SET is_verified = $1 WHERE id = $2 RETURNING documents_valid", [status, driverId]);
+        console.log(`🛡️ Admin ${req.admin.id} set driver ${driverId} verified=${status}`);
+        // Dispatch also needs documents_valid, so say if the driver still can't get rides
+        res.json({ success: true, documents_valid: result.rows.length > 0 ? result.rows[0].documents_valid : null });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+router.get('/rides', requirePermission('rides:read'), async (req, res) => {
+    try {
+        const result = await db.query(`
+            SELECT r.id, r.fare, r.status, d.name as driver_name
+            FROM rides r
+            LEFT JOIN drivers d ON r.driver_id = d.id
+            ORDER BY r.id DESC LIMIT 50
+        `);
+        res.json(result.rows);
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// 🟢 SCHEDULE: booked-ahead rides, with bookings per local hour
+// Route: GET /api/admin/scheduled-rides?from=ISO&to=ISO&status=SCHEDULED
+router.get('/scheduled-rides', requirePermission('rides:read'), async (req, res) => {
+    try {
+        const schedule = await scheduledRides.listSchedule({ from: req.query.from, to: req.query.to, status: req.query.status });
+        res.json({ success: true, ...schedule });
+    } catch (err) {
+        if (err instanceof scheduledRides.ScheduleError) {
+            return res.status(400).json({ success: false, code: err.code, msg: err.message });
+        }
+        console.error("Schedule Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+// 🟢 ACTIVE RIDES with ETA drift (positive = running late)
+// Route: GET /api/admin/active-rides
+router.get('/active-rides', requirePermission('rides:read'), async (req, res) => {
+    try {
+        const result = await db.query(`
+            SELECT r.id, r.status, r.destination, r.driver_id, d.name AS driver_name,
+                   r.current_eta_min, r.eta_updated_at,
+                   CASE WHEN r.status = 'ON_TRIP' THEN r.drop_promised_at ELSE r.pickup_promised_at END AS promised_at,
+                   ROUND((EXTRACT(EPOCH FROM (
+                       r.eta_updated_at + make_interval(mins => r.current_eta_min::int)
+                       - CASE WHEN r.status = 'ON_TRIP' THEN r.drop_promised_at ELSE r.pickup_promised_at END
+                   )) / 60)::numeric, 1) AS eta_drift_min
+            FROM rides r
+            LEFT JOIN drivers d ON d.id = r.driver_id
+            WHERE r.status IN ('ACCEPTED', 'ARRIVED', 'ON_TRIP')
+            ORDER BY r.id DESC
+        `);
+        res.json({ success: true, rides: result.rows });
+    } catch (err) {
+        console.error("Active Rides Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+// 🟢 DISPATCH STATS: offer outcomes & acceptance rate per driver
+// Route: GET /api/admin/dispatch/stats?days=7
+router.get('/dispatch/stats', requirePermission('drivers:read'), async (req, res) => {
+    const days = parseInt(req.query.days, 10) || 7;
+    try {
+        const result = await db.query(`
+            SELECT o.driver_id, d.name AS driver_name,
+                   COUNT(*)::int AS offers,
+                   COUNT(*) FILTER (WHERE o.status = 'ACCEPTED')::int AS accepted,
+                   COUNT(*) FILTER (WHERE o.status = 'DECLINED')::int AS declined,
+                   COUNT(*) FILTER (WHERE o.status = 'EXPIRED')::int AS expired,
+                   ROUND(AVG(EXTRACT(EPOCH FROM (o.responded_at - o.sent_at)))
+                         FILTER (WHERE o.status IN ('ACCEPTED', 'DECLINED'))::numeric, 1) AS avg_response_seconds
+            FROM ride_offers o
+            LEFT JOIN drivers d ON d.id = o.driver_id
+            WHERE o.sent_at > NOW() - make_interval(days => $1)
+            AND o.status <> 'WITHDRAWN'
+            GROUP BY o.driver_id, d.name
+            ORDER BY offers DESC
+        `, [days]);
+
+        const stats = result.rows.map(r => ({
+            ...r,
+            acceptance_rate: r.offers > 0 ? Math.round((r.accepted / r.offers) * 100) : null
+        }));
+        res.json({ success: true, days: days, stats: stats });
+    } catch (err) {
+        console.error("Dispatch Stats Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 DRIVER DOCUMENTS
+// ═══════════════════════════════════════════════════════════════════════
+// Route: GET /api/admin/documents?status=PENDING&driverId=7
+router.get('/documents', requirePermission('drivers:read'), async (req, res) => {
+    const status = (req.query.status || 'PENDING').toUpperCase();
+    const driverId = req.query.driverId ? parseInt(req.query.driverId, 10) : null;
+
+    try {
+        const result = await db.query(`
+            SELECT doc.id, doc.driver_id, d.name AS driver_name, d.phone AS driver_phone, doc.doc_type, doc.status,
+                   doc.rejection_reason, doc.expires_on, doc.mime_type, doc.size_bytes, doc.uploaded_at, doc.reviewed_at
+            FROM driver_documents doc
+            JOIN drivers d ON d.id = doc.driver_id
+            WHERE doc.status = $1 AND ($2::int IS NULL OR doc.driver_id = $2)
+            ORDER BY doc.uploaded_at ASC
+            LIMIT 200
+        `, [status, driverId]);
+        res.json({ success: true, documents: result.rows });
+    } catch (err) {
+        console.error("Documents Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+// Route: GET /api/admin/documents/:id/url
+router.get('/documents/:id/url', requirePermission('drivers:read'), async (req, res) => {
+    try {
+        const doc = await documentService.findDocument(parseInt(req.params.id, 10));
+        if (!doc) return res.status(404).json({ success: false, msg: "Document not found" });
+        res.json({ success: true, url: documentService.downloadUrl(doc) });
+    } catch (err) {
+        console.error("Document Link Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+// Route: POST /api/admin/documents/:id/review   { decision: 'approve'|'reject', reason, expires_on }
+router.post('/documents/:id/review', requirePermission('drivers:verify'), async (req, res) => {
+    const { decision, reason, expires_on } = req.body;
+    try {
+        const result = await documentService.reviewDocument(parseInt(req.params.id, 10), req.admin.id, {
+            decision: decision,
+            reason: reason,
+            expiresOn: expires_on
+        });
+        console.log(`🛡️ Admin ${req.admin.id} ${decision}d document ${req.params.id}`);
+        res.json({ success: true, ...result });
+    } catch (err) {
+        if (err instanceof documentService.DocumentError) {
+            return res.status(400).json({ success: false, code: err.code, msg: err.message });
+        }
+        console.error("Document Review Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 DRIVER EARNINGS & PAYOUTS
+// ═══════════════════════════════════════════════════════════════════════
+function handleLedgerError(res, label, err) {
+    if (err instanceof ledgerService.LedgerError) {
+        return res.status(400).json({ success: false, code: err.code, msg: err.message });
+    }
+    console.error(`${label}:`, err.message);
+    res.status(500).json({ success: false, msg: "Server Error" });
+}
+
+// Route: GET /api/admin/drivers/:id/earnings?page=1
+router.get('/drivers/:id/earnings', requirePermission('drivers:read'), async (req, res) => {
+    const driverId = parseInt(req.params.id, 10);
+    try {
+        res.json({
+            success: true,
+            ...(await ledgerService.getBalance(driverId)),
+            ...(await ledgerService.getTransactions(driverId, { page: req.query.page, limit: req.query.limit }))
+        });
+    } catch (err) { handleLedgerError(res, "Driver Earnings Error", err); }
+});
+
+// Route: GET /api/admin/drivers/:id/statement?from=YYYY-MM-DD&to=YYYY-MM-DD&format=csv|pdf
+router.get('/drivers/:id/statement', requirePermission('drivers:read'), async (req, res) => {
+    const { from, to } = req.query;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from || '') || !/^\d{4}-\d{2}-\d{2}$/.test(to || '') || from > to) {
+        return res.status(400).json({ success: false, msg: "from and to must be YYYY-MM-DD with from before to" });
+    }
+    try {
+        const statement = await ledgerService.getStatement(parseInt(req.params.id, 10), { from, to });
+        const format = req.query.format === 'pdf' ? 'pdf' : 'csv';
+        res.set('Content-Disposition', `attachment; filename="driver-${req.params.id}-${from}-to-${to}.${format}"`);
+        if (format === 'pdf') res.type('application/pdf').send(statements.toStatementPdf(statement));
+        else res.type('text/csv').send(statements.toStatementCsv(statement));
+    } catch (err) { handleLedgerError(res, "Driver Statement Error", err); }
+});
+
+// Route: POST /api/admin/drivers/:id/adjustments   { amount, reason }  (+ credits the driver)
+router.post('/drivers/:id/adjustments', requirePermission('payouts:manage'), async (req, res) => {
+    try {
+        const txId = await ledgerService.addAdjustment(parseInt(req.params.id, 10), req.body.amount, req.body.reason, req.admin.id);
+        console.log(`🛡️ Admin ${req.admin.id} adjusted driver ${req.params.id} by ₹${req.body.amount}`);
+        res.json({ success: true, transaction_id: txId });
+    } catch (err) { handleLedgerError(res, "Adjustment Error", err); }
+});
+
+// Route: GET /api/admin/payouts?status=REQUESTED
+router.get('/payouts', requirePermission('drivers:read'), async (req, res) => {
+    try {
+        const payouts = await ledgerService.listPayouts({
+            status: req.query.status ? req.query.status.toUpperCase() : null,
+            driverId: req.query.driverId ? parseInt(req.query.driverId, 10) : null,
+            limit: req.query.limit
+        });
+        res.json({ success: true, payouts: payouts });
+    } catch (err) { handleLedgerError(res, "Payouts Error", err); }
+});
+
+// Route: POST /api/admin/payouts/:id/approve | reject { reason } | pay { reference }
+router.post('/payouts/:id/:action', requirePermission('payouts:manage'), async (req, res) => {
+    try {
+        const payout = await ledgerService.reviewPayout(parseInt(req.params.id, 10), req.admin.id, req.params.action, {
+            reason: req.body.reason,
+            reference: req.body.reference
+        });
+        console.log(`🛡️ Admin ${req.admin.id} set payout ${payout.id} to ${payout.status}`);
+        res.json({ success: true, payout: payout });
+    } catch (err) { handleLedgerError(res, "Payout Review Error", err); }
+});
+
+// Route: GET /api/admin/payments?status=PENDING
+router.get('/payments', requirePermission('rides:read'), async (req, res) => {
+    try {
+        const status = req.query.status ? req.query.status.toUpperCase() : null;
+        const result = await db.query(
+            `SELECT p.id, p.ride_id, p.rider_id, p.driver_id, p.purpose, p.method, p.amount, p.status, p.gateway,
+                    p.gateway_ref, p.failure_reason, p.last_checked_at, p.paid_at, p.created_at, r.payment_status
+             FROM payments p LEFT JOIN rides r ON r.id = p.ride_id
+             WHERE ($1::text IS NULL OR p.status = $1)
+             ORDER BY p.created_at DESC LIMIT 200`,
+            [status]
+        );
+        res.json({ success: true, payments: result.rows });
+    } catch (err) {
+        console.error("Payments List Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 CANCELLATIONS
+// ═══════════════════════════════════════════════════════════════════════
+function handleCancelError(res, label, err) {
+    if (err instanceof RideTransitionError || err instanceof cancellations.CancellationError) {
+        return res.status(400).json({ success: false, code: err.code, msg: err.message, ...err.details });
+    }
+    console.error(`${label}:`, err.message);
+    res.status(500).json({ success: false, msg: "Server Error" });
+}
+
+// Route: POST /api/admin/rides/:id/cancel   body: { reason, note }  (never charges a fee)
+router.post('/rides/:id/cancel', requirePermission('rides:cancel'), async (req, res) => {
+    try {
+        const { cancellation } = await cancellations.cancelRide(parseInt(req.params.id, 10), { type: 'admin', id: req.admin.id }, {
+            reason: req.body.reason,
+            note: req.body.note
+        });
+        console.log(`🛡️ Admin ${req.admin.id} cancelled ride ${cancellation.ride_id} (${cancellation.reason})`);
+        res.json({ success: true, cancellation: cancellation });
+    } catch (err) { handleCancelError(res, "Admin Cancel Error", err); }
+});
+
+// Route: GET /api/admin/cancellations?cancelledBy=driver&kind=NO_SHOW
+router.get('/cancellations', requirePermission('rides:read'), async (req, res) => {
+    try {
+        const rows = await cancellations.listCancellations({
+            cancelledBy: req.query.cancelledBy || null,
+            kind: req.query.kind ? req.query.kind.toUpperCase() : null,
+            limit: req.query.limit
+        });
+        res.json({ success: true, cancellations: rows });
+    } catch (err) { handleCancelError(res, "Cancellations Error", err); }
+});
+
+// Route: GET /api/admin/cancellations/rates?role=driver|rider&minRides=5
+router.get('/cancellations/rates', requirePermission('rides:read'), async (req, res) => {
+    try {
+        const role = req.query.role || 'driver';
+        const users = await cancellations.topCancellers(role, { minRides: req.query.minRides, limit: req.query.limit });
+        res.json({ success: true, role: role, users: users });
+    } catch (err) { handleCancelError(res, "Cancellation Rates Error", err); }
+});
+
+// Route: GET /api/admin/cancellations/rates/driver/7
+router.get('/cancellations/rates/:role/:id', requirePermission('rides:read'), async (req, res) => {
+    try {
+        res.json({ success: true, stats: await cancellations.cancellationStats(req.params.role, parseInt(req.params.id, 10)) });
+    } catch (err) { handleCancelError(res, "Cancellation Rates Error", err); }
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 RATINGS
+// ═══════════════════════════════════════════════════════════════════════
+// Route: GET /api/admin/ratings/low?role=driver|rider&threshold=4&minCount=5
+router.get('/ratings/low', requirePermission('rides:read'), async (req, res) => {
+    try {
+        const role = req.query.role || 'driver';
+        const users = await ratingService.lowRatedUsers(role, {
+            threshold: req.query.threshold,
+            minCount: req.query.minCount,
+            limit: req.query.limit
+        });
+        res.json({ success: true, role: role, users: users });
+    } catch (err) {
+        if (err instanceof ratingService.RatingError) {
+            return res.status(400).json({ success: false, code: err.code, msg: err.message });
+        }
+        console.error("Low Ratings Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+// Route: GET /api/admin/ratings/driver/7 | /ratings/rider/12
+router.get('/ratings/:role/:id', requirePermission('rides:read'), async (req, res) => {
+    if (!['driver', 'rider'].includes(req.params.role)) {
+        return res.status(400).json({ success: false, msg: "Role must be driver or rider" });
+    }
+    try {
+        const received = await ratingService.ratingsReceived(req.params.role, parseInt(req.params.id, 10), req.query.limit);
+        res.json({ success: true, ...received });
+    } catch (err) {
+        console.error("User Ratings Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+// Route: GET /api/admin/rides/:id/ratings
+router.get('/rides/:id/ratings', requirePermission('rides:read'), async (req, res) => {
+    try {
+        res.json({ success: true, ratings: await ratingService.ratingsForRide(parseInt(req.params.id, 10)) });
+    } catch (err) {
+        console.error("Ride Ratings Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 SAFETY (SOS alerts also arrive live as sos_alert / sos_updated on the
+// admin socket for admins with 'safety:sos')
+// ═══════════════════════════════════════════════════════════════════════
+function handleSafetyError(res, label, err) {
+    if (err instanceof safety.SafetyError) {
+        const status = err.code === 'NOT_FOUND' ? 404 : 400;
+        return res.status(status).json({ success: false, code: err.code, msg: err.message });
+    }
+    console.error(`${label}:`, err.message);
+    res.status(500).json({ success: false, msg: "Server Error" });
+}
+
+// Route: GET /api/admin/sos?status=OPEN|ACKNOWLEDGED|RESOLVED
+router.get('/sos', requirePermission('safety:sos'), async (req, res) => {
+    try {
+        const status = req.query.status ? req.query.status.toUpperCase() : null;
+        res.json({ success: true, alerts: await safety.listAlerts({ status: status, limit: req.query.limit }) });
+    } catch (err) { handleSafetyError(res, "SOS List Error", err); }
+});
+
+// Route: GET /api/admin/sos/:id
+router.get('/sos/:id', requirePermission('safety:sos'), async (req, res) => {
+    try {
+        res.json({ success: true, alert: await safety.getAlert(req.params.id) });
+    } catch (err) { handleSafetyError(res, "SOS Error", err); }
+});
+
+// Route: POST /api/admin/sos/:id/acknowledge
+router.post('/sos/:id/acknowledge', requirePermission('safety:sos'), async (req, res) => {
+    try {
+        const alert = await safety.acknowledgeAlert(req.params.id, req.admin.id);
+        console.log(`🛡️ Admin ${req.admin.id} acknowledged SOS ${alert.id} (ride ${alert.ride_id})`);
+        res.json({ success: true, alert: alert });
+    } catch (err) { handleSafetyError(res, "SOS Acknowledge Error", err); }
+});
+
+// Route: POST /api/admin/sos/:id/resolve   body: { note }
+router.post('/sos/:id/resolve', requirePermission('safety:sos'), async (req, res) => {
+    try {
+        const alert = await safety.resolveAlert(req.params.id, req.admin.id, req.body.note);
+        console.log(`🛡️ Admin ${req.admin.id} resolved SOS ${alert.id} (ride ${alert.ride_id})`);
+        res.json({ success: true, alert: alert });
+    } catch (err) { handleSafetyError(res, "SOS Resolve Error", err); }
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 NOTIFICATIONS (queue and delivery log)
+// ═══════════════════════════════════════════════════════════════════════
+function handleNotificationError(res, label, err) {
+    if (err instanceof notifications.NotificationError) {
+        const status = err.code === 'NOT_FOUND' ? 404 : 400;
+        return res.status(status).json({ success: false, code: err.code, msg: err.message });
+    }
+    console.error(`${label}:`, err.message);
+    res.status(500).json({ success: false, msg: "Server Error" });
+}
+
+// Route: GET /api/admin/notifications?status=FAILED&role=driver&userId=7&template=ride_offer
+router.get('/notifications', requirePermission('notifications:read'), async (req, res) => {
+    try {
+        const jobs = await notifications.listJobs({
+            status: req.query.status ? req.query.status.toUpperCase() : null,
+            role: req.query.role || null,
+            userId: req.query.userId || null,
+            template: req.query.template || null,
+            limit: req.query.limit
+        });
+        res.json({ success: true, notifications: jobs });
+    } catch (err) { handleNotificationError(res, "Notifications Error", err); }
+});
+
+// Route: GET /api/admin/notifications/stats?hours=24
+router.get('/notifications/stats', requirePermission('notifications:read'), async (req, res) => {
+    try {
+        res.json({ success: true, stats: await notifications.deliveryStats(req.query.hours) });
+    } catch (err) { handleNotificationError(res, "Notification Stats Error", err); }
+});
+
+// Route: GET /api/admin/notifications/:id   (with every attempt)
+router.get('/notifications/:id', requirePermission('notifications:read'), async (req, res) => {
+    try {
+        res.json({ success: true, notification: await notifications.getJob(parseInt(req.params.id, 10) || 0) });
+    } catch (err) { handleNotificationError(res, "Notification Error", err); }
+});
+
+// Route: POST /api/admin/notifications/:id/retry
+router.post('/notifications/:id/retry', requirePermission('notifications:manage'), async (req, res) => {
+    try {
+        res.json({ success: true, notification: await notifications.retryJob(parseInt(req.params.id, 10) || 0) });
+    } catch (err) { handleNotificationError(res, "Notification Retry Error", err); }
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 MARKETING CAMPAIGNS
+// ═══════════════════════════════════════════════════════════════════════
+function handleCampaignError(res, label, err) {
+    if (err instanceof campaigns.CampaignError) {
+        const status = err.code === 'NOT_FOUND' ? 404 : 400;
+        return res.status(status).json({ success: false, code: err.code, msg: err.message });
+    }
+    console.error(`${label}:`, err.message);
+    res.status(500).json({ success: false, msg: "Server Error" });
+}
+
+// Route: GET /api/admin/campaigns?status=ACTIVE   (each with delivery / open stats)
+router.get('/campaigns', requirePermission('notifications:read'), async (req, res) => {
+    try {
+        const list = await campaigns.listCampaigns({ status: req.query.status ? req.query.status.toUpperCase() : null });
+        res.json({ success: true, campaigns: list });
+    } catch (err) { handleCampaignError(res, "Campaigns Error", err); }
+});
+
+// Route: POST /api/admin/campaigns
+// body: { name, content: { en: { title, body }, hi: { ... } },
+//         segment: { inactiveDays, vehicleType, city },
+//         sendAt | daysOfWeek: [0-6] + sendTimes: ['HH:MM'], startsAt, endsAt,
+//         quietStartHour, quietEndHour, maxPerRider (sends per rider per day) }
+router.post('/campaigns', requirePermission('campaigns:manage'), async (req, res) => {
+    try {
+        const campaign = await campaigns.createCampaign(req.body, req.admin.id);
+        console.log(`🛡️ Admin ${req.admin.id} created campaign ${campaign.id}`);
+        res.status(201).json({ success: true, campaign: campaign });
+    } catch (err) { handleCampaignError(res, "Create Campaign Error", err); }
+});
+
+// Route: GET /api/admin/campaigns/:id   (with totals and the latest runs)
+router.get('/campaigns/:id', requirePermission('notifications:read'), async (req, res) => {
+    try {
+        res.json({ success: true, campaign: await campaigns.getCampaign(parseInt(req.params.id, 10) || 0) });
+    } catch (err) { handleCampaignError(res, "Campaign Error", err); }
+});
+
+// Route: GET /api/admin/campaigns/:id/audience   (riders a send would reach right now)
+router.get('/campaigns/:id/audience', requirePermission('notifications:read'), async (req, res) => {
+    try {
+        res.json({ success: true, audience: await campaigns.previewAudience(parseInt(req.params.id, 10) || 0) });
+    } catch (err) { handleCampaignError(res, "Campaign Audience Error", err); }
+});
+
+// Route: PATCH /api/admin/campaigns/:id   body: any of the POST fields
+router.patch('/campaigns/:id', requirePermission('campaigns:manage'), async (req, res) => {
+    try {
+        const campaign = await campaigns.updateCampaign(parseInt(req.params.id, 10) || 0, req.body);
+        res.json({ success: true, campaign: campaign });
+    } catch (err) { handleCampaignError(res, "Update Campaign Error", err); }
+});
+
+// Route: POST /api/admin/campaigns/:id/activate | /pause | /end
+const CAMPAIGN_ACTIONS = {
+    activate: campaigns.activateCampaign,
+    pause: campaigns.pauseCampaign,
+    end: campaigns.endCampaign,
+};
+
+router.post('/campaigns/:id/:action', requirePermission('campaigns:manage'), async (req, res) => {
+    const action = CAMPAIGN_ACTIONS[req.params.action];
+    if (!action) return res.status(404).json({ success: false, msg: "Unknown campaign action" });
+    try {
+        const campaign = await action(parseInt(req.params.id, 10) || 0);
+        console.log(`🛡️ Admin ${req.admin.id} set campaign ${campaign.id} ${campaign.status}`);
+        res.json({ success: true, campaign: campaign });
+    } catch (err) { handleCampaignError(res, "Campaign Status Error", err); }
+});
+
+// Route: DELETE /api/admin/campaigns/:id   (drafts only)
+router.delete('/campaigns/:id', requirePermission('campaigns:manage'), async (req, res) => {
+    try {
+        await campaigns.deleteCampaign(parseInt(req.params.id, 10) || 0);
+        res.json({ success: true, msg: "Campaign deleted" });
+    } catch (err) { handleCampaignError(res, "Delete Campaign Error", err); }
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 PROMO CODES & REFERRALS
+// ═══════════════════════════════════════════════════════════════════════
+function handlePromoError(res, label, err) {
+    if (err instanceof promos.PromoError) {
+        const status = err.code === 'NOT_FOUND' ? 404 : 400;
+        return res.status(status).json({ success: false, code: err.code, msg: err.message });
+    }
+    console.error(`${label}:`, err.message);
+    res.status(500).json({ success: false, msg: "Server Error" });
+}
+
+// Route: GET /api/admin/promos?kind=PROMO|REFERRAL&active=true&q=DIWALI   (each with redemption totals)
+router.get('/promos', requirePermission('rides:read'), async (req, res) => {
+    try {
+        const codes = await promos.listCodes({
+            kind: req.query.kind ? req.query.kind.toUpperCase() : undefined,
+            active: req.query.active == null ? null : req.query.active === 'true',
+            q: req.query.q,
+            limit: req.query.limit,
+        });
+        res.json({ success: true, codes: codes });
+    } catch (err) { handlePromoError(res, "Promo Codes Error", err); }
+});
+
+// Route: POST /api/admin/promos
+// body: { code, description, discountType: 'FLAT' | 'PERCENT', discountValue, maxDiscount, minFare,
+//         startsAt, endsAt, maxRedemptions, maxPerRider, vehicleTypes: ['Auto', ...], firstRideOnly, isActive }
+router.post('/promos', requirePermission('promos:manage'), async (req, res) => {
+    try {
+        const code = await promos.createCode(req.body, req.admin.id);
+        console.log(`🛡️ Admin ${req.admin.id} created promo code ${code.code}`);
+        res.status(201).json({ success: true, code: code });
+    } catch (err) { handlePromoError(res, "Create Promo Error", err); }
+});
+
+// Route: GET /api/admin/promos/report?from=ISO&to=ISO&kind=PROMO   (completed rides, default last 30 days)
+router.get('/promos/report', requirePermission('rides:read'), async (req, res) => {
+    try {
+        const report = await promos.redemptionReport({
+            from: req.query.from,
+            to: req.query.to,
+            kind: req.query.kind ? req.query.kind.toUpperCase() : null,
+        });
+        res.json({ success: true, report: report });
+    } catch (err) { handlePromoError(res, "Promo Report Error", err); }
+});
+
+// Route: GET /api/admin/promos/:id   (with redemption stats)
+router.get('/promos/:id', requirePermission('rides:read'), async (req, res) => {
+    try {
+        res.json({ success: true, code: await promos.getCode(parseInt(req.params.id, 10) || 0) });
+    } catch (err) { handlePromoError(res, "Promo Code Error", err); }
+});
+
+// Route: GET /api/admin/promos/:id/redemptions?status=APPLIED
+router.get('/promos/:id/redemptions', requirePermission('rides:read'), async (req, res) => {
+    try {
+        const redemptions = await promos.listRedemptions(parseInt(req.params.id, 10) || 0, {
+            status: req.query.status ? req.query.status.toUpperCase() : null,
+            limit: req.query.limit,
+        });
+        res.json({ success: true, redemptions: redemptions });
+    } catch (err) { handlePromoError(res, "Promo Redemptions Error", err); }
+});
+
+// Route: PATCH /api/admin/promos/:id   body: any of the POST fields except code
+router.patch('/promos/:id', requirePermission('promos:manage'), async (req, res) => {
+    try {
+        const code = await promos.updateCode(parseInt(req.params.id, 10) || 0, req.body);
+        res.json({ success: true, code: code });
+    } catch (err) { handlePromoError(res, "Update Promo Error", err); }
+});
+
+// Route: DELETE /api/admin/promos/:id   (codes that were used are deactivated instead)
+router.delete('/promos/:id', requirePermission('promos:manage'), async (req, res) => {
+    try {
+        const deleted = await promos.deleteCode(parseInt(req.params.id, 10) || 0);
+        console.log(`🛡️ Admin ${req.admin.id} ${deleted ? 'deleted' : 'deactivated'} promo code ${req.params.id}`);
+        res.json({ success: true, deleted: deleted, msg: deleted ? "Promo code deleted" : "Promo code has been used, so it was deactivated" });
+    } catch (err) { handlePromoError(res, "Delete Promo Error", err); }
+});
+
+// Route: GET /api/admin/referrals?status=PENDING&riderId=12
+router.get('/referrals', requirePermission('rides:read'), async (req, res) => {
+    try {
+        const referrals = await promos.listReferrals({
+            status: req.query.status ? req.query.status.toUpperCase() : null,
+            riderId: req.query.riderId,
+            limit: req.query.limit,
+        });
+        res.json({ success: true, referrals: referrals });
+    } catch (err) { handlePromoError(res, "Referrals Error", err); }
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 RIDER WALLETS
+// ═══════════════════════════════════════════════════════════════════════
+function handleWalletError(res, label, err) {
+    if (err instanceof wallet.WalletError) {
+        const status = err.code === 'NOT_FOUND' ? 404 : 400;
+        return res.status(status).json({ success: false, code: err.code, msg: err.message, ...err.details });
+    }
+    console.error(`${label}:`, err.message);
+    res.status(500).json({ success: false, msg: "Server Error" });
+}
+
+// Route: GET /api/admin/riders/:id/wallet?page=1   (balance and transactions)
+router.get('/riders/:id/wallet', requirePermission('rides:read'), async (req, res) => {
+    try {
+        const statement = await wallet.getStatement(parseInt(req.params.id, 10) || 0, { page: req.query.page, limit: req.query.limit });
+        res.json({ success: true, ...statement });
+    } catch (err) { handleWalletError(res, "Rider Wallet Error", err); }
+});
+
+// Route: POST /api/admin/riders/:id/wallet/credits
+// body: { type: 'refund' | 'credit', amount, reason, rideId }   (rideId required for refunds)
+router.post('/riders/:id/wallet/credits', requirePermission('wallet:credit'), async (req, res) => {
+    try {
+        const credit = await wallet.creditRider(parseInt(req.params.id, 10) || 0, {
+            type: req.body.type,
+            amount: req.body.amount,
+            reason: req.body.reason,
+            rideId: req.body.rideId ? parseInt(req.body.rideId, 10) : null
+        }, req.admin.id);
+        console.log(`🛡️ Admin ${req.admin.id} issued a ${credit.type} of ₹${credit.amount} to rider ${req.params.id}`);
+        res.status(201).json({ success: true, ...credit });
+    } catch (err) { handleWalletError(res, "Rider Credit Error", err); }
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 TARIFFS
+// ═══════════════════════════════════════════════════════════════════════
+const TARIFF_FIELDS = [
+    'base_fare', 'per_km', 'per_minute', 'minimum_fare', 'night_multiplier', 'night_start_hour',
+    'night_end_hour', 'free_waiting_minutes', 'waiting_per_minute', 'max_surge',
+    'city_center_lat', 'city_center_lng', 'city_radius_km', 'is_active',
+];
+
+router.get('/tariffs', requirePermission('tariffs:manage'), async (req, res) => {
+    try {
+        const result = await db.query("SELECT * FROM tariffs ORDER BY city, vehicle_type");
+        res.json({ success: true, tariffs: result.rows });
+    } catch (err) {
+        console.error("List Tariffs Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+// Create or update the tariff for one city + vehicle type
+// Route: PUT /api/admin/tariffs   body: { city, vehicle_type, per_km, ... }
+router.put('/tariffs', requirePermission('tariffs:manage'), async (req, res) => {
+    const { city, vehicle_type } = req.body;
+    if (!vehicle_type || req.body.per_km === undefined) {
+        return res.status(400).json({ success: false, msg: "vehicle_type and per_km are required" });
+    }
+
+    const fields = TARIFF_FIELDS.filter(f => req.body[f] !== undefined);
+    const columns = ['city', 'vehicle_type', ...fields];
+    const values = [city || 'default', vehicle_type, ...fields.map(f => req.body[f])];
+    const placeholders = columns.map((_, i) => `$${i + 1}`);
+    const updates = fields.map(f => `${f} = EXCLUDED.${f}`).concat('updated_at = NOW()');
+
+    try {
+        const result = await db.query(
+            `INSERT INTO tariffs (${columns.join(', ')}) VALUES (${placeholders.join(', ')})
+             ON CONFLICT (city, vehicle_type) DO UPDATE SET ${updates.join(', ')}
+             RETURNING *`,
+            values
+        );
+        console.log(`🛡️ Admin ${req.admin.id} updated tariff ${result.rows[0].city}/${vehicle_type}`);
+        res.json({ success: true, tariff: result.rows[0] });
+    } catch (err) {
+        console.error("Save Tariff Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 ADMIN ACCOUNT MANAGEMENT (superadmin only)
+// ═══════════════════════════════════════════════════════════════════════
+router.get('/admins', requirePermission('admins:manage'), async (req, res) => {
+    try {
+        const result = await db.query(`SELECT ${ADMIN_FIELDS} FROM admins ORDER BY id`);
+        res.json({ success: true, admins: result.rows });
+    } catch (err) {
+        console.error("List Admins Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+router.post('/admins', requirePermission('admins:manage'), async (req, res) => {
+    const { name, email, password, role } = req.body;
+
+    if (!name || !email || !password) {
+        return res.status(400).json({ success: false, msg: "Name, email and password are required" });
+    }
+    if (role && !ADMIN_ROLES.includes(role)) {
+        return res.status(400).json({ success: false, msg: "Invalid role" });
+    }
+
+    try {
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const result = await db.query(
+            `INSERT INTO admins (name, email, password, role) VALUES ($1, $2, $3, $4) RETURNING ${ADMIN_FIELDS}`,
+            [name, email.toLowerCase(), hashedPassword, role || 'support']
+        );
+        res.status(201).json({ success: true, admin: result.rows[0] });
+    } catch (err) {
+        if (err.code === '23505') {
+            return res.status(400).json({ success: false, msg: "An admin with this email already exists" });
+        }
+        console.error("Create Admin Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+router.patch('/admins/:id', requirePermission('admins:manage'), async (req, res) => {
+    const { role, is_active } = req.body;
+    const adminId = parseInt(req.params.id, 10);
+
+    if (role !== undefined && !ADMIN_ROLES.includes(role)) {
+        return res.status(400).json({ success: false, msg: "Invalid role" });
+    }
+    if (adminId === req.admin.id) {
+        return res.status(400).json({ success: false, msg: "You can't change your own account" });
+    }
+
+    try {
+        const result = await db.query(
+            `UPDATE admins SET role = COALESCE($1, role), is_active = COALESCE($2, is_active)
+             WHERE id = $3 RETURNING ${ADMIN_FIELDS}`,
+            [role || null, typeof is_active === 'boolean' ? is_active : null, adminId]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, msg: "Admin not found" });
+        }
+        if (is_active === false) await revokeAllForUser({ id: adminId, role: 'admin' });
+
+        res.json({ success: true, admin: result.rows[0] });
+    } catch (err) {
+        console.error("Update Admin Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+module.exports = router;
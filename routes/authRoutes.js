@@ -1,58 +1,64 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/db'); 
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-
-// 🟢 Setup Image Storage (Saves to public/uploads)
-const uploadDir = path.join(__dirname, '../public/uploads');
-if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
-}
-
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        cb(null, uploadDir);
-    },
-    filename: function (req, file, cb) {
-        cb(null, Date.now() + '-' + file.originalname.replace(/\s+/g, '-'));
-    }
-});
+const { issueTokens } = require('../services/tokenService');
+const documentService = require('../services/documentService');
+const { DocumentError } = documentService;
 
-const upload = multer({ storage: storage });
+// Optional license / RC scans, stored privately and queued for review
+const registrationUpload = documentService.handleUpload(
+    documentService.upload.fields([{ name: 'license', maxCount: 1 }, { name: 'rc', maxCount: 1 }])
+);
 
 // 🟢 1. DRIVER REGISTRATION (Now handles Images!)
-router.post('/register', upload.fields([{ name: 'license', maxCount: 1 }, { name: 'rc', maxCount: 1 }]), async (req, res) => {
+router.post('/register', registrationUpload, async (req, res) => {
     const { name, phone, age, vehicle_details, password, vehicle_type } = req.body;
 
+    // { license: file, rc: file } for whatever was attached
+    const uploads = {};
+    Object.entries(req.files || {}).forEach(([docType, files]) => { uploads[docType] = files[0]; });
+    let stored = false;
+    const discardUploads = () => { if (!stored) documentService.discardFiles(Object.values(uploads)); };
+
     if (!name || !phone || !vehicle_details || !password) {
+        discardUploads();
         return res.status(400).json({ success: false, msg: "Please fill all required fields" });
     }
 
     try {
+        Object.entries(uploads).forEach(([docType, file]) => documentService.validateFile(docType, file));
+
         const checkUser = await db.query("SELECT * FROM drivers WHERE phone = $1", [phone]);
         if (checkUser.rows.length > 0) {
+            discardUploads();
             return res.status(400).json({ success: false, msg: "Phone number already registered" });
         }
 
-        // Get the paths to the saved images
-        const licenseUrl = req.files && req.files['license'] ? `/uploads/${req.files['license'][0].filename}` : null;
-        const rcUrl = req.files && req.files['rc'] ? `/uploads/${req.files['rc'][0].filename}` : null;
-
         // Save everything to the database
         const newDriver = await db.query(
-            "INSERT INTO drivers (name, phone, age, vehicle_details, password, vehicle_type, license_url, rc_url) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *",
-            [name, phone, age || null, vehicle_details, password, vehicle_type || 'Bike', licenseUrl, rcUrl]
+            "INSERT INTO drivers (name, phone, age, vehicle_details, password, vehicle_type) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *",
+            [name, phone, age || null, vehicle_details, password, vehicle_type || 'Bike']
         );
 
+        stored = true;
+        for (const [docType, file] of Object.entries(uploads)) {
+            await documentService.saveDocument(newDriver.rows[0].id, docType, file, { expiresOn: req.body[`${docType}_expires_on`] });
+        }
+
+        const tokens = await issueTokens({ id: newDriver.rows[0].id, role: 'driver' });
+
         res.json({
             success: true,
             msg: "Registration successful",
-            driver: newDriver.rows[0]
+            driver: newDriver.rows[0],
+            ...tokens
         });
 
     } catch (err) {
+        discardUploads();
+        if (err instanceof DocumentError) {
+            return res.status(400).json({ success: false, code: err.code, msg: err.message });
+        }
         console.error("Registration Error:", err);
         res.status(500).json({ success: false, msg: "Server Error" });
     }
@@ -79,10 +85,13 @@ router.post('/login', async (req, res) => {
             return res.status(400).json({ success: false, msg: "Incorrect password" });
         }
 
+        const tokens = await issueTokens({ id: driver.id, role: 'driver' });
+
         res.json({
             success: true,
             msg: "Login successful",
-            driver: driver
+            driver: driver,
+            ...tokens
         });
 
     } catch (err) {
@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const documentService = require('../services/documentService');
+const { DocumentError } = documentService;
+const { DOCUMENT_TYPES, requiredDocumentsFor } = require('../config/documents');
+const db = require('../config/db');
+
+// 🟢 1. MY DOCUMENTS (driver)
+// Route: GET /api/documents/mine
+router.get('/mine', requireAuth('driver'), async (req, res) => {
+    try {
+        const driverRes = await db.query(
+            "SELECT vehicle_type, is_verified, documents_valid, suspended_at, suspension_reason FROM drivers WHERE id = $1",
+            [req.user.id]
+        );
+        if (driverRes.rows.length === 0) {
+            return res.status(404).json({ success: false, msg: "Driver not found" });
+        }
+        const driver = driverRes.rows[0];
+
+        res.json({
+            success: true,
+            required: requiredDocumentsFor(driver.vehicle_type),
+            missing: await documentService.missingDocuments(req.user.id),
+            types: DOCUMENT_TYPES,
+            documents: await documentService.latestDocuments(req.user.id),
+            is_verified: driver.is_verified,
+            documents_valid: driver.documents_valid,
+            suspended_at: driver.suspended_at,
+            suspension_reason: driver.suspension_reason
+        });
+    } catch (err) {
+        console.error("Documents Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+// 🟢 2. UPLOAD (driver)
+// Route: POST /api/documents   multipart: file, doc_type, expires_on (YYYY-MM-DD)
+router.post('/', requireAuth('driver'), documentService.handleUpload(documentService.upload.single('file')), async (req, res) => {
+    try {
+        documentService.validateFile(req.body.doc_type, req.file);
+        const doc = await documentService.saveDocument(req.user.id, req.body.doc_type, req.file, { expiresOn: req.body.expires_on });
+        res.json({ success: true, document: doc });
+    } catch (err) {
+        if (req.file) documentService.discardFiles([req.file]);
+        if (err instanceof DocumentError) {
+            return res.status(400).json({ success: false, code: err.code, msg: err.message });
+        }
+        console.error("Document Upload Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+// 🟢 3. SIGNED LINK to one of my documents (driver)
+// Admins get theirs from GET /api/admin/documents/:id/url
+// Route: GET /api/documents/:id/url
+router.get('/:id/url', requireAuth('driver'), async (req, res) => {
+    try {
+        const doc = await documentService.findDocument(parseInt(req.params.id, 10));
+        if (!doc || doc.driver_id !== req.user.id) {
+            return res.status(404).json({ success: false, msg: "Document not found" });
+        }
+        res.json({ success: true, url: documentService.downloadUrl(doc) });
+    } catch (err) {
+        console.error("Document Link Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+// 🟢 4. DOWNLOAD (the signed token is the authorization)
+// Route: GET /api/documents/:id/download?token=...
+router.get('/:id/download', async (req, res) => {
+    try {
+        const found = await documentService.openDownload(parseInt(req.params.id, 10), req.query.token);
+        if (!found) {
+            return res.status(404).json({ success: false, msg: "Link expired or document not found" });
+        }
+        res.set('Cache-Control', 'private, no-store');
+        res.type(found.doc.mime_type);
+        res.sendFile(found.filePath);
+    } catch (err) {
+        console.error("Document Download Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+module.exports = router;
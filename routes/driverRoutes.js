@@ -2,38 +2,40 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/db'); // 🟢 Required for Wallet queries
 const driverController = require('../controllers/driverController'); // 🟢 Your existing controller
+const { requireAuth, requireSelf } = require('../middleware/auth');
+const ledgerService = require('../services/ledgerService');
+const { LedgerError } = ledgerService;
+const statements = require('../services/statements');
 
 // 🟢 1. UPDATE DRIVER STATUS (Existing)
 // Route: POST /api/driver/status
-router.post('/status', driverController.updateStatus);
+router.post('/status', requireAuth('driver'), driverController.updateStatus);
 
-// 🟢 2. GET WALLET EARNINGS (New)
+// 🟢 2. GET WALLET EARNINGS
 // Route: GET /api/driver/wallet/:driverId
-router.get('/wallet/:driverId', async (req, res) => {
+// Lifetime fares split by how the rider paid, from the earnings ledger
+router.get('/wallet/:driverId', requireAuth('driver'), requireSelf('driverId'), async (req, res) => {
     try {
         const { driverId } = req.params;
-        
-        // Calculate Total Cash Earnings
-        const cashRes = await db.query(
-            "SELECT SUM(fare) as total FROM ride_history WHERE driver_id = $1 AND payment_method = 'Cash'", 
-            [driverId]
-        );
 
-        // Calculate Total UPI Earnings
-        const upiRes = await db.query(
-            "SELECT SUM(fare) as total FROM ride_history WHERE driver_id = $1 AND payment_method = 'UPI'", 
+        const result = await db.query(
+            `SELECT COALESCE(SUM(amount) FILTER (WHERE entry_type = 'cash_collected'), 0) AS cash_collected,
+                    COALESCE(SUM(amount) FILTER (WHERE entry_type = 'fare'), 0) AS fares
+             FROM ledger_entries
+             WHERE account = 'driver' AND driver_id = $1`,
             [driverId]
         );
 
-        // Handle null values (if no rides yet)
-        const totalCash = cashRes.rows[0].total || 0;
-        const totalUPI = upiRes.rows[0].total || 0;
+        const totalCash = -parseFloat(result.rows[0].cash_collected);
+        const totalFares = parseFloat(result.rows[0].fares);
+        const balance = await ledgerService.getBalance(parseInt(driverId, 10));
 
         res.json({
             success: true,
-            cash: parseFloat(totalCash),
-            upi: parseFloat(totalUPI),
-            total: parseFloat(totalCash) + parseFloat(totalUPI)
+            cash: totalCash,
+            upi: totalFares - totalCash,
+            total: totalFares,
+            ...balance
         });
     } catch (err) {
         console.error("Error fetching wallet data:", err);
@@ -41,4 +43,90 @@ router.get('/wallet/:driverId', async (req, res) => {
     }
 });
 
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 EARNINGS (ledger)
+// ═══════════════════════════════════════════════════════════════════════
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_RANGE_DAYS = 30;
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD, defaulting to the last 30 days
+function dateRange(query) {
+    const to = query.to || new Date().toISOString().slice(0, 10);
+    const from = query.from || new Date(Date.now() - DEFAULT_RANGE_DAYS * 86400000).toISOString().slice(0, 10);
+    if (!DATE_RE.test(from) || !DATE_RE.test(to) || from > to) return null;
+    return { from, to };
+}
+
+function handleLedgerError(res, label, err) {
+    if (err instanceof LedgerError) {
+        return res.status(400).json({ success: false, code: err.code, msg: err.message });
+    }
+    console.error(`${label}:`, err.message);
+    res.status(500).json({ success: false, msg: "Server Error" });
+}
+
+// Route: GET /api/driver/earnings/balance
+router.get('/earnings/balance', requireAuth('driver'), async (req, res) => {
+    try {
+        res.json({ success: true, ...(await ledgerService.getBalance(req.user.id)) });
+    } catch (err) { handleLedgerError(res, "Balance Error", err); }
+});
+
+// Route: GET /api/driver/earnings/breakdown?period=day|week&from=&to=
+router.get('/earnings/breakdown', requireAuth('driver'), async (req, res) => {
+    const range = dateRange(req.query);
+    if (!range) return res.status(400).json({ success: false, msg: "Dates must be YYYY-MM-DD with from before to" });
+
+    try {
+        const periods = await ledgerService.getBreakdown(req.user.id, { period: req.query.period || 'day', ...range });
+        res.json({ success: true, ...range, periods: periods });
+    } catch (err) { handleLedgerError(res, "Earnings Breakdown Error", err); }
+});
+
+// Route: GET /api/driver/earnings/transactions?page=1&limit=20
+router.get('/earnings/transactions', requireAuth('driver'), async (req, res) => {
+    try {
+        const result = await ledgerService.getTransactions(req.user.id, { page: req.query.page, limit: req.query.limit });
+        res.json({ success: true, ...result });
+    } catch (err) { handleLedgerError(res, "Transactions Error", err); }
+});
+
+// Route: GET /api/driver/earnings/statement?from=&to=&format=csv|pdf
+router.get('/earnings/statement', requireAuth('driver'), async (req, res) => {
+    const range = dateRange(req.query);
+    if (!range) return res.status(400).json({ success: false, msg: "Dates must be YYYY-MM-DD with from before to" });
+    const format = req.query.format === 'pdf' ? 'pdf' : 'csv';
+
+    try {
+        const statement = await ledgerService.getStatement(req.user.id, range);
+        const filename = `statement-${range.from}-to-${range.to}.${format}`;
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'pdf') {
+            res.type('application/pdf').send(statements.toStatementPdf(statement));
+        } else {
+            res.type('text/csv').send(statements.toStatementCsv(statement));
+        }
+    } catch (err) { handleLedgerError(res, "Statement Error", err); }
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 PAYOUTS
+// ═══════════════════════════════════════════════════════════════════════
+// Route: GET /api/driver/payouts
+router.get('/payouts', requireAuth('driver'), async (req, res) => {
+    try {
+        res.json({ success: true, payouts: await ledgerService.listPayouts({ driverId: req.user.id }) });
+    } catch (err) { handleLedgerError(res, "Payouts Error", err); }
+});
+
+// Route: POST /api/driver/payouts   { amount }
+router.post('/payouts', requireAuth('driver'), async (req, res) => {
+    try {
+        const payout = await ledgerService.requestPayout(req.user.id, req.body.amount);
+        console.log(`💸 Driver ${req.user.id} requested a payout of ₹${payout.amount}`);
+        res.json({ success: true, payout: payout });
+    } catch (err) { handleLedgerError(res, "Payout Request Error", err); }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const notifications = require('../services/notifications');
+const { NotificationError } = notifications;
+const campaigns = require('../services/campaigns');
+const { CampaignError } = campaigns;
+
+function handleNotificationError(res, label, err) {
+    if (err instanceof NotificationError || err instanceof CampaignError) {
+        const status = err.code === 'NOT_FOUND' ? 404 : 400;
+        return res.status(status).json({ success: false, code: err.code, msg: err.message });
+    }
+    console.error(`${label}:`, err.message);
+    res.status(500).json({ success: false, msg: "Server Error" });
+}
+
+// 🟢 PREFERENCES (which channels, marketing opt-in, language)
+// Route: GET /api/notifications/preferences
+router.get('/preferences', requireAuth('rider', 'driver'), async (req, res) => {
+    try {
+        res.json({ success: true, preferences: await notifications.getPreferences(req.user.role, req.user.id) });
+    } catch (err) { handleNotificationError(res, "Notification Preferences Error", err); }
+});
+
+// Route: PUT /api/notifications/preferences   body: { push, email, sms, marketing, locale }  (any of them)
+router.put('/preferences', requireAuth('rider', 'driver'), async (req, res) => {
+    try {
+        const preferences = await notifications.updatePreferences(req.user.role, req.user.id, req.body);
+        res.json({ success: true, preferences: preferences });
+    } catch (err) { handleNotificationError(res, "Notification Preferences Error", err); }
+});
+
+// 🟢 PUSH TOKEN (REST alternative to the update_fcm_token socket event)
+// Route: PUT /api/notifications/push-token   body: { token }
+router.put('/push-token', requireAuth('rider', 'driver'), async (req, res) => {
+    try {
+        await notifications.registerPushToken(req.user.role, req.user.id, req.body.token);
+        res.json({ success: true });
+    } catch (err) { handleNotificationError(res, "Push Token Error", err); }
+});
+
+// On logout, so the next person on this phone doesn't get our pushes
+// Route: DELETE /api/notifications/push-token
+router.delete('/push-token', requireAuth('rider', 'driver'), async (req, res) => {
+    try {
+        await notifications.clearPushToken(req.user.role, req.user.id);
+        res.json({ success: true });
+    } catch (err) { handleNotificationError(res, "Push Token Error", err); }
+});
+
+// 🟢 MARKETING CAMPAIGNS
+// campaign_run_id comes in the push's data payload
+// Route: POST /api/notifications/campaign-runs/:runId/opened
+router.post('/campaign-runs/:runId/opened', requireAuth('rider'), async (req, res) => {
+    try {
+        await campaigns.recordOpen(req.user.id, parseInt(req.params.runId, 10) || 0);
+        res.json({ success: true });
+    } catch (err) { handleNotificationError(res, "Campaign Open Error", err); }
+});
+
+// Stops all marketing pushes (PUT /preferences { marketing: true } undoes it)
+// Route: POST /api/notifications/unsubscribe   body: { campaignRunId }  (optional, the push it came from)
+router.post('/unsubscribe', requireAuth('rider'), async (req, res) => {
+    try {
+        const runId = parseInt(req.body && req.body.campaignRunId, 10) || null;
+        const preferences = await campaigns.unsubscribe(req.user.id, runId);
+        res.json({ success: true, preferences: preferences, msg: "You won't get offers and promotions any more" });
+    } catch (err) { handleNotificationError(res, "Unsubscribe Error", err); }
+});
+
+module.exports = router;
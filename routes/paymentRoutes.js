@@ -0,0 +1,102 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const payments = require('../services/payments');
+const { PaymentError } = payments;
+const rideLifecycle = require('../services/rideLifecycle');
+const { RideTransitionError, STATES } = rideLifecycle;
+const wallet = require('../services/wallet');
+const { WalletError } = wallet;
+
+function handlePaymentError(res, label, err) {
+    if (err instanceof WalletError) {
+        return res.status(400).json({ success: false, code: err.code, msg: err.message, ...err.details });
+    }
+    if (err instanceof PaymentError && err.code === 'NOT_FOUND') {
+        return res.status(404).json({ success: false, code: err.code, msg: err.message });
+    }
+    if (err instanceof PaymentError || err instanceof RideTransitionError) {
+        return res.status(400).json({ success: false, code: err.code, msg: err.message });
+    }
+    console.error(`${label}:`, err.message);
+    res.status(500).json({ success: false, msg: "Server Error" });
+}
+
+// 🟢 1. GATEWAY WEBHOOK (signature checked, no login). 'fake' is only
+// accepted outside production.
+// Route: POST /api/payments/webhook/:gateway
+router.post('/webhook/:gateway', async (req, res) => {
+    try {
+        const accepted = await payments.handleWebhook(req.params.gateway, req.rawBody, req.headers, req.body);
+        if (!accepted) return res.status(401).json({ success: false, msg: "Invalid signature" });
+        res.json({ success: true });
+    } catch (err) {
+        if (err instanceof PaymentError && err.code === 'NOT_FOUND') {
+            return res.status(404).json({ success: false, code: err.code, msg: err.message });
+        }
+        // 5xx makes the gateway retry later
+        console.error("Payment Webhook Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+// 🟢 2. PAYMENT STATUS for a ride (rider or driver on it)
+// Route: GET /api/payments/rides/:rideId
+router.get('/rides/:rideId', requireAuth('rider', 'driver'), async (req, res) => {
+    try {
+        const ride = await rideLifecycle.getRideForActor(parseInt(req.params.rideId, 10), { type: req.user.role, id: req.user.id });
+        res.json({ success: true, payment_status: ride.payment_status, payment: await payments.latestPayment(ride.id) });
+    } catch (err) { handlePaymentError(res, "Payment Status Error", err); }
+});
+
+// 🟢 3. RETRY UPI (rider, after a failed or expired request)
+// Route: POST /api/payments/rides/:rideId/upi
+router.post('/rides/:rideId/upi', requireAuth('rider'), async (req, res) => {
+    try {
+        const ride = await rideLifecycle.getRideForActor(parseInt(req.params.rideId, 10), { type: 'rider', id: req.user.id });
+        if (ride.status !== STATES.COMPLETED) throw new PaymentError('NOT_COMPLETED', "Ride is not completed yet");
+        if (ride.payment_status === 'SETTLED') throw new PaymentError('ALREADY_SETTLED', "This ride is already paid");
+
+        res.json({ success: true, payment: await payments.createUpiIntent(ride) });
+    } catch (err) { handlePaymentError(res, "UPI Retry Error", err); }
+});
+
+// 🟢 4. CASH RECEIVED (driver, instead of a UPI payment that didn't go through)
+// Route: POST /api/payments/rides/:rideId/cash
+router.post('/rides/:rideId/cash', requireAuth('driver'), async (req, res) => {
+    try {
+        const payment = await payments.settleWithCash(parseInt(req.params.rideId, 10), req.user.id);
+        res.json({ success: true, payment: payment });
+    } catch (err) { handlePaymentError(res, "Cash Settlement Error", err); }
+});
+
+// 🟢 5. WALLET TOP-UP (rider): a UPI request; the balance goes up once it's paid
+// (wallet_topped_up / wallet_topup_failed arrive on the socket)
+// Route: POST /api/payments/wallet/topups   body: { amount }
+router.post('/wallet/topups', requireAuth('rider'), async (req, res) => {
+    try {
+        const payment = await wallet.startTopup(req.user.id, req.body.amount);
+        res.status(201).json({ success: true, payment: payment });
+    } catch (err) { handlePaymentError(res, "Wallet Top-up Error", err); }
+});
+
+// Route: GET /api/payments/wallet/topups/:paymentId
+router.get('/wallet/topups/:paymentId', requireAuth('rider'), async (req, res) => {
+    try {
+        res.json({ success: true, payment: await payments.getTopup(req.user.id, parseInt(req.params.paymentId, 10) || 0) });
+    } catch (err) { handlePaymentError(res, "Wallet Top-up Status Error", err); }
+});
+
+// 🟢 6. FAKE GATEWAY: pretend the rider paid / failed (never in production)
+// Route: POST /api/payments/fake/:ref/paid | /failed
+if (payments.gatewayName === 'fake' && process.env.NODE_ENV !== 'production') {
+    router.post('/fake/:ref/:outcome', async (req, res) => {
+        const status = req.params.outcome === 'paid' ? 'PAID' : 'FAILED';
+        try {
+            await payments.simulateFakePayment(req.params.ref, status);
+            res.json({ success: true, status: status });
+        } catch (err) { handlePaymentError(res, "Fake Payment Error", err); }
+    });
+}
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const promos = require('../services/promos');
+const { PromoError } = promos;
+
+function handlePromoError(res, label, err) {
+    if (err instanceof PromoError) {
+        return res.status(err.code === 'NOT_FOUND' ? 404 : 400).json({ success: false, code: err.code, msg: err.message });
+    }
+    console.error(`${label}:`, err.message);
+    res.status(500).json({ success: false, msg: "Server Error" });
+}
+
+// 🟢 MY CODES: personal codes (referral rewards) still available to use.
+// Public promo codes are entered at estimate time (get_estimate.promoCode).
+// Route: GET /api/promos
+router.get('/', requireAuth('rider'), async (req, res) => {
+    try {
+        res.json({ success: true, codes: await promos.listRiderCodes(req.user.id) });
+    } catch (err) { handlePromoError(res, "Promo List Error", err); }
+});
+
+// 🟢 REFERRAL: my code to share and how many friends it has brought in
+// Route: GET /api/promos/referral
+router.get('/referral', requireAuth('rider'), async (req, res) => {
+    try {
+        res.json({ success: true, referral: await promos.getReferral(req.user.id) });
+    } catch (err) { handlePromoError(res, "Referral Error", err); }
+});
+
+// New riders enter a friend's code before their first completed ride
+// Route: POST /api/promos/referral   body: { code }
+router.post('/referral', requireAuth('rider'), async (req, res) => {
+    try {
+        const referral = await promos.applyReferral(req.user.id, req.body.code);
+        res.json({ success: true, referral: referral, msg: "Referral code applied. Your reward arrives after your first ride." });
+    } catch (err) { handlePromoError(res, "Apply Referral Error", err); }
+});
+
+module.exports = router;
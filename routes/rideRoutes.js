@@ -0,0 +1,186 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const { RideTransitionError } = require('../services/rideLifecycle');
+const tripService = require('../services/tripService');
+const ratingService = require('../services/ratingService');
+const { RatingError, ISSUE_TAGS } = ratingService;
+const cancellations = require('../services/cancellations');
+const { CancellationError, CANCELLATION_REASONS } = cancellations;
+const ledgerService = require('../services/ledgerService');
+const tripStops = require('../services/tripStops');
+const { StopError } = tripStops;
+const safety = require('../services/safety');
+const { SafetyError } = safety;
+const { getRideForActor } = require('../services/rideLifecycle');
+
+function handleRideError(res, label, err) {
+    if (err instanceof RideTransitionError || err instanceof CancellationError || err instanceof StopError
+        || err instanceof SafetyError) {
+        return res.status(400).json({ success: false, code: err.code, msg: err.message, ...err.details });
+    }
+    console.error(`${label}:`, err.message);
+    res.status(500).json({ success: false, msg: "Server Error" });
+}
+
+// 🟢 START TRIP (REST fallback for the start_trip socket event)
+// Route: POST /api/rides/:rideId/start   body: { pin, lat, lng }
+router.post('/:rideId/start', requireAuth('driver'), async (req, res) => {
+    const { pin, lat, lng } = req.body;
+
+    try {
+        const ride = await tripService.startTrip({
+            rideId: parseInt(req.params.rideId, 10),
+            pin: pin,
+            actor: { type: 'driver', id: req.user.id },
+            location: { lat, lng }
+        });
+        res.json({ success: true, ride_id: ride.id, started_at: ride.started_at });
+    } catch (err) {
+        if (err instanceof RideTransitionError) {
+            return res.status(400).json({ success: false, code: err.code, msg: err.message, ...err.details });
+        }
+        console.error("Start Trip Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+// 🟢 RATING TAGS (what the rating screen offers)
+// Route: GET /api/rides/rating-tags   -> tags for rating the other side
+router.get('/rating-tags', requireAuth('rider', 'driver'), (req, res) => {
+    const rateeRole = req.user.role === 'rider' ? 'driver' : 'rider';
+    res.json({ success: true, tags: ISSUE_TAGS[rateeRole] });
+});
+
+// 🟢 RATE THE RIDE (REST fallback for the submit_rating socket event)
+// Route: POST /api/rides/:rideId/rating   body: { rating, tags, comment }
+router.post('/:rideId/rating', requireAuth('rider', 'driver'), async (req, res) => {
+    try {
+        const rating = await ratingService.submitRating(
+            parseInt(req.params.rideId, 10),
+            { type: req.user.role, id: req.user.id },
+            { stars: req.body.rating, tags: req.body.tags, comment: req.body.comment }
+        );
+        res.json({ success: true, rating: rating });
+    } catch (err) {
+        if (err instanceof RideTransitionError || err instanceof RatingError) {
+            return res.status(400).json({ success: false, code: err.code, msg: err.message });
+        }
+        console.error("Rating Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+// 🟢 CANCELLATION REASONS for my role
+// Route: GET /api/rides/cancellation-reasons
+router.get('/cancellation-reasons', requireAuth('rider', 'driver'), (req, res) => {
+    res.json({ success: true, reasons: CANCELLATION_REASONS[req.user.role] });
+});
+
+// 🟢 CANCELLATION FEE if I cancelled now (for the confirm dialog)
+// Route: GET /api/rides/:rideId/cancellation-fee
+router.get('/:rideId/cancellation-fee', requireAuth('rider', 'driver'), async (req, res) => {
+    try {
+        const preview = await cancellations.previewFee(parseInt(req.params.rideId, 10), { type: req.user.role, id: req.user.id });
+        res.json({ success: true, ...preview });
+    } catch (err) { handleRideError(res, "Cancellation Fee Error", err); }
+});
+
+// 🟢 CANCEL (REST fallback for the cancel_ride socket event)
+// Route: POST /api/rides/:rideId/cancel   body: { reason, note, lat, lng }
+router.post('/:rideId/cancel', requireAuth('rider', 'driver'), async (req, res) => {
+    try {
+        const { cancellation } = await cancellations.cancelRide(parseInt(req.params.rideId, 10), { type: req.user.role, id: req.user.id }, {
+            reason: req.body.reason,
+            note: req.body.note,
+            location: { lat: req.body.lat, lng: req.body.lng }
+        });
+        res.json({ success: true, cancellation: cancellation });
+    } catch (err) { handleRideError(res, "Cancel Ride Error", err); }
+});
+
+// 🟢 RIDER NO-SHOW (driver, REST fallback for report_no_show)
+// Route: POST /api/rides/:rideId/no-show   body: { note, lat, lng }
+router.post('/:rideId/no-show', requireAuth('driver'), async (req, res) => {
+    try {
+        const { cancellation } = await cancellations.reportNoShow(parseInt(req.params.rideId, 10), { type: 'driver', id: req.user.id }, {
+            note: req.body.note,
+            location: { lat: req.body.lat, lng: req.body.lng }
+        });
+        res.json({ success: true, cancellation: cancellation });
+    } catch (err) { handleRideError(res, "No-Show Error", err); }
+});
+
+// 🟢 MY DUES (rider): the wallet balance, negative while cancellation / no-show fees are unpaid
+// Route: GET /api/rides/dues
+router.get('/dues', requireAuth('rider'), async (req, res) => {
+    try {
+        res.json({ success: true, balance: await ledgerService.getRiderBalance(req.user.id) });
+    } catch (err) { handleRideError(res, "Rider Dues Error", err); }
+});
+
+// 🟢 STOPS (rider or driver on the ride), plus any change awaiting the driver
+// Route: GET /api/rides/:rideId/stops
+router.get('/:rideId/stops', requireAuth('rider', 'driver'), async (req, res) => {
+    try {
+        const ride = await getRideForActor(parseInt(req.params.rideId, 10), { type: req.user.role, id: req.user.id });
+        res.json({ success: true, stops: await tripStops.listStops(ride.id), pendingChange: await tripStops.pendingChange(ride.id) });
+    } catch (err) { handleRideError(res, "Stops Error", err); }
+});
+
+// 🟢 CHANGE STOPS (rider, REST fallback for update_stops)
+// Route: PUT /api/rides/:rideId/stops   body: { stops: [{ lat, lng, address }] }  (stops not yet reached, drop last)
+router.put('/:rideId/stops', requireAuth('rider'), async (req, res) => {
+    try {
+        const change = await tripStops.proposeChange(parseInt(req.params.rideId, 10), { type: 'rider', id: req.user.id }, req.body.stops);
+        res.json({ success: true, change: change });
+    } catch (err) { handleRideError(res, "Update Stops Error", err); }
+});
+
+// 🟢 ANSWER A STOP CHANGE (driver, REST fallback for respond_stop_change)
+// Route: POST /api/rides/stop-changes/:changeId/accept | /reject
+router.post('/stop-changes/:changeId/:decision', requireAuth('driver'), async (req, res) => {
+    if (!['accept', 'reject'].includes(req.params.decision)) {
+        return res.status(400).json({ success: false, msg: "Decision must be accept or reject" });
+    }
+    try {
+        const { ride, stops } = await tripStops.respondToChange(parseInt(req.params.changeId, 10), { type: 'driver', id: req.user.id }, req.params.decision === 'accept');
+        res.json({ success: true, fare: parseFloat(ride.fare), stops: stops || null });
+    } catch (err) { handleRideError(res, "Stop Change Error", err); }
+});
+
+// 🟢 SOS (rider, REST fallback for the sos socket event)
+// Route: POST /api/rides/:rideId/sos   body: { lat, lng, note }
+router.post('/:rideId/sos', requireAuth('rider'), async (req, res) => {
+    try {
+        const { alert, repeat } = await safety.raiseSos(parseInt(req.params.rideId, 10), { type: 'rider', id: req.user.id }, req.body, 'rest');
+        res.json({ success: true, sos_id: alert.id, status: alert.status, repeat: repeat });
+    } catch (err) { handleRideError(res, "SOS Error", err); }
+});
+
+// 🟢 SHARE TRIP (rider): a read-only link anyone can open without logging in
+// Route: POST /api/rides/:rideId/share
+router.post('/:rideId/share', requireAuth('rider'), async (req, res) => {
+    try {
+        const link = await safety.createShareLink(parseInt(req.params.rideId, 10), { type: 'rider', id: req.user.id });
+        res.status(201).json({ success: true, link: link });
+    } catch (err) { handleRideError(res, "Share Trip Error", err); }
+});
+
+// Route: GET /api/rides/:rideId/share
+router.get('/:rideId/share', requireAuth('rider'), async (req, res) => {
+    try {
+        const links = await safety.listShareLinks(parseInt(req.params.rideId, 10), { type: 'rider', id: req.user.id });
+        res.json({ success: true, links: links });
+    } catch (err) { handleRideError(res, "Share Links Error", err); }
+});
+
+// Route: DELETE /api/rides/share/:linkId
+router.delete('/share/:linkId', requireAuth('rider'), async (req, res) => {
+    try {
+        await safety.revokeShareLink(req.params.linkId, { type: 'rider', id: req.user.id });
+        res.json({ success: true, msg: "Link stopped" });
+    } catch (err) { handleRideError(res, "Revoke Share Error", err); }
+});
+
+module.exports = router;
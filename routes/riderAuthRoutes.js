@@ -1,66 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
-const crypto = require('crypto');
-const nodemailer = require('nodemailer');
 const db = require('../config/db'); // 🟢 Database Connection
+const { issueTokens } = require('../services/tokenService');
+const { generateCode, sendVerificationEmail } = require('../services/verificationService');
+const { requireAuth, requireSelf } = require('../middleware/auth');
+const wallet = require('../services/wallet');
 
 // ─── 🟢 IN-MEMORY CODE STORE (for email verification) ─────────────────
 // In production, use Redis or a DB table. This works fine for a single-server setup.
 const verificationCodes = new Map(); // key: email, value: { code, name, expiresAt }
 
-// ─── 🟢 EMAIL TRANSPORTER ─────────────────────────────────────────────
-// Configure your email service here. Using Gmail as example.
-// You MUST set EMAIL_USER and EMAIL_PASS in your .env file.
-let transporter = null;
-try {
-    transporter = nodemailer.createTransport({
-        service: 'gmail',
-        auth: {
-            user: process.env.EMAIL_USER || '',
-            pass: process.env.EMAIL_PASS || '', // Use App Password for Gmail
-        },
-    });
-    console.log("📧 Email Transporter Ready");
-} catch (e) {
-    console.log("⚠️ Email Transporter not configured:", e.message);
-}
-
-// ─── HELPER: Generate 6-digit code ────────────────────────────────────
-function generateCode() {
-    return crypto.randomInt(100000, 999999).toString();
-}
-
-// ─── HELPER: Send Email ───────────────────────────────────────────────
-async function sendVerificationEmail(toEmail, code) {
-    if (!transporter) {
-        console.log(`📧 [DEV MODE] Verification code for ${toEmail}: ${code}`);
-        return true; // In dev mode, just log the code
-    }
-
-    try {
-        await transporter.sendMail({
-            from: `"Savaari" <${process.env.EMAIL_USER}>`,
-            to: toEmail,
-            subject: 'Your Savaari Verification Code',
-            html: `
-                <div style="font-family: Arial, sans-serif; max-width: 400px; margin: 0 auto; padding: 30px; text-align: center;">
-                    <h2 style="color: #333;">🚕 Savaari</h2>
-                    <p style="color: #666; font-size: 16px;">Your verification code is:</p>
-                    <div style="background: #FBC02D; color: #000; font-size: 32px; font-weight: bold; letter-spacing: 8px; padding: 20px; border-radius: 12px; margin: 20px 0;">
-                        ${code}
-                    </div>
-                    <p style="color: #999; font-size: 14px;">This code expires in 10 minutes. Do not share it with anyone.</p>
-                </div>
-            `,
-        });
-        return true;
-    } catch (err) {
-        console.error("❌ Email Send Error:", err.message);
-        return false;
-    }
-}
-
 
 // ═══════════════════════════════════════════════════════════════════════
 // 🟢 EMAIL FLOW: SEND VERIFICATION CODE
@@ -142,7 +92,8 @@ router.post('/verify-code', async (req, res) => {
             if (result.rows.length === 0) {
                 return res.json({ success: false, msg: "User not found" });
             }
-            return res.json({ success: true, user: result.rows[0], msg: "Login successful" });
+            const tokens = await issueTokens({ id: result.rows[0].id, role: 'rider' });
+            return res.json({ success: true, user: result.rows[0], ...tokens, msg: "Login successful" });
 
         } else {
             // SIGNUP: Create new user
@@ -154,7 +105,8 @@ router.post('/verify-code', async (req, res) => {
                 "INSERT INTO riders (name, email, phone) VALUES ($1, $2, $3) RETURNING *",
                 [actualName, lowerEmail, actualPhone]
             );
-            return res.json({ success: true, user: newUser.rows[0], msg: "Account Created" });
+            const tokens = await issueTokens({ id: newUser.rows[0].id, role: 'rider' });
+            return res.json({ success: true, user: newUser.rows[0], ...tokens, msg: "Account Created" });
         }
 
     } catch (err) {
@@ -162,7 +114,8 @@ router.post('/verify-code', async (req, res) => {
         if (err.code === '23505') {
             const existingUser = await db.query("SELECT * FROM riders WHERE email = $1", [req.body.email.toLowerCase()]);
             if (existingUser.rows.length > 0) {
-                return res.json({ success: true, user: existingUser.rows[0], msg: "Login successful (existing account)" });
+                const tokens = await issueTokens({ id: existingUser.rows[0].id, role: 'rider' });
+                return res.json({ success: true, user: existingUser.rows[0], ...tokens, msg: "Login successful (existing account)" });
             }
         }
         console.error("Verify Code Error:", err.message);
@@ -203,7 +156,8 @@ router.post('/phone-login', async (req, res) => {
             return res.json({ success: false, msg: "This account was created without a password. Try email login." });
         }
 
-        res.json({ success: true, user: user, msg: "Login successful" });
+        const tokens = await issueTokens({ id: user.id, role: 'rider' });
+        res.json({ success: true, user: user, ...tokens, msg: "Login successful" });
 
     } catch (err) {
         console.error("Phone Login Error:", err.message);
@@ -240,7 +194,8 @@ router.post('/phone-signup', async (req, res) => {
             [actualName, phone, hashedPassword]
         );
 
-        res.json({ success: true, user: newUser.rows[0], msg: "Account Created" });
+        const tokens = await issueTokens({ id: newUser.rows[0].id, role: 'rider' });
+        res.json({ success: true, user: newUser.rows[0], ...tokens, msg: "Account Created" });
 
     } catch (err) {
         if (err.code === '23505') {
@@ -272,7 +227,8 @@ router.post('/register', async (req, res) => {
             [name, phone, email, gender, hashedPassword]
         );
 
-        res.json({ success: true, user: result.rows[0] });
+        const tokens = await issueTokens({ id: result.rows[0].id, role: 'rider' });
+        res.json({ success: true, user: result.rows[0], ...tokens });
 
     } catch (err) {
         // Handle Duplicate Phone Number
@@ -295,7 +251,8 @@ router.post('/login', async (req, res) => {
         const validPass = await bcrypt.compare(password, result.rows[0].password);
         if (!validPass) return res.json({ success: false, msg: "Invalid Password" });
 
-        res.json({ success: true, user: result.rows[0] });
+        const tokens = await issueTokens({ id: result.rows[0].id, role: 'rider' });
+        res.json({ success: true, user: result.rows[0], ...tokens });
     } catch (err) {
         res.status(500).json({ success: false, error: err.message });
     }
@@ -328,7 +285,7 @@ router.post('/reset-password', async (req, res) => {
 });
 
 // 🟢 GET RIDE HISTORY
-router.get('/history/:riderId', async (req, res) => {
+router.get('/history/:riderId', requireAuth('rider'), requireSelf('riderId'), async (req, res) => {
     try {
         const { riderId } = req.params;
         const result = await db.query(
@@ -345,4 +302,16 @@ router.get('/history/:riderId', async (req, res) => {
     }
 });
 
+// 🟢 WALLET: balance and every movement (top-ups, rides, fees, refunds), newest first
+// Route: GET /api/rider-auth/wallet/:riderId?page=1&limit=20
+router.get('/wallet/:riderId', requireAuth('rider'), requireSelf('riderId'), async (req, res) => {
+    try {
+        const statement = await wallet.getStatement(parseInt(req.params.riderId, 10), { page: req.query.page, limit: req.query.limit });
+        res.json({ success: true, ...statement });
+    } catch (err) {
+        console.error("Rider Wallet Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const riderProfile = require('../services/riderProfile');
+const { ProfileError } = riderProfile;
+const safety = require('../services/safety');
+const { SafetyError } = safety;
+
+function handleProfileError(res, label, err) {
+    if (err instanceof ProfileError || err instanceof SafetyError) {
+        const status = err.code === 'NOT_FOUND' ? 404 : err.code === 'TOO_SOON' ? 429 : err.code === 'SMS_UNAVAILABLE' ? 503 : 400;
+        return res.status(status).json({ success: false, code: err.code, msg: err.message, ...err.details });
+    }
+    console.error(`${label}:`, err.message);
+    res.status(500).json({ success: false, msg: "Server Error" });
+}
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 PROFILE
+// ═══════════════════════════════════════════════════════════════════════
+
+// Route: GET /api/rider/profile
+router.get('/profile', requireAuth('rider'), async (req, res) => {
+    try {
+        res.json({ success: true, profile: await riderProfile.getProfile(req.user.id) });
+    } catch (err) { handleProfileError(res, "Profile Error", err); }
+});
+
+// Route: PATCH /api/rider/profile   body: { name, gender }
+router.patch('/profile', requireAuth('rider'), async (req, res) => {
+    try {
+        res.json({ success: true, profile: await riderProfile.updateProfile(req.user.id, req.body) });
+    } catch (err) { handleProfileError(res, "Profile Update Error", err); }
+});
+
+// 🟢 ADD / CHANGE EMAIL OR PHONE (step 1: send a code to the new one)
+// Route: POST /api/rider/profile/contact   body: { channel: 'email' | 'phone', value }
+router.post('/profile/contact', requireAuth('rider'), async (req, res) => {
+    try {
+        const pending = await riderProfile.requestContactChange(req.user.id, req.body);
+        res.json({ success: true, pending: pending, msg: "Verification code sent" });
+    } catch (err) { handleProfileError(res, "Contact Change Error", err); }
+});
+
+// (step 2: the code puts it on the profile)
+// Route: POST /api/rider/profile/contact/verify   body: { channel, code }
+router.post('/profile/contact/verify', requireAuth('rider'), async (req, res) => {
+    try {
+        const profile = await riderProfile.confirmContactChange(req.user.id, req.body);
+        res.json({ success: true, profile: profile, msg: "Profile updated" });
+    } catch (err) { handleProfileError(res, "Contact Verify Error", err); }
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 SAVED PLACES
+// ═══════════════════════════════════════════════════════════════════════
+
+// Route: GET /api/rider/places
+router.get('/places', requireAuth('rider'), async (req, res) => {
+    try {
+        res.json({ success: true, places: await riderProfile.listPlaces(req.user.id) });
+    } catch (err) { handleProfileError(res, "Saved Places Error", err); }
+});
+
+// Route: POST /api/rider/places   body: { labelType: 'HOME' | 'WORK' | 'CUSTOM', label, lat, lng, address }
+router.post('/places', requireAuth('rider'), async (req, res) => {
+    try {
+        const place = await riderProfile.createPlace(req.user.id, req.body);
+        res.status(201).json({ success: true, place: place });
+    } catch (err) { handleProfileError(res, "Save Place Error", err); }
+});
+
+// Route: GET /api/rider/places/:placeId
+router.get('/places/:placeId', requireAuth('rider'), async (req, res) => {
+    try {
+        res.json({ success: true, place: await riderProfile.getPlace(req.user.id, req.params.placeId) });
+    } catch (err) { handleProfileError(res, "Saved Place Error", err); }
+});
+
+// Route: PATCH /api/rider/places/:placeId   body: any of the POST fields
+router.patch('/places/:placeId', requireAuth('rider'), async (req, res) => {
+    try {
+        const place = await riderProfile.updatePlace(req.user.id, req.params.placeId, req.body);
+        res.json({ success: true, place: place });
+    } catch (err) { handleProfileError(res, "Update Place Error", err); }
+});
+
+// Route: DELETE /api/rider/places/:placeId
+router.delete('/places/:placeId', requireAuth('rider'), async (req, res) => {
+    try {
+        await riderProfile.deletePlace(req.user.id, req.params.placeId);
+        res.json({ success: true, msg: "Place removed" });
+    } catch (err) { handleProfileError(res, "Delete Place Error", err); }
+});
+
+// 🟢 RECENT DESTINATIONS (from completed rides)
+// Route: GET /api/rider/recent-destinations?limit=10
+router.get('/recent-destinations', requireAuth('rider'), async (req, res) => {
+    try {
+        const destinations = await riderProfile.recentDestinations(req.user.id, req.query.limit);
+        res.json({ success: true, destinations: destinations });
+    } catch (err) { handleProfileError(res, "Recent Destinations Error", err); }
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 EMERGENCY CONTACTS (messaged when the rider raises an SOS)
+// ═══════════════════════════════════════════════════════════════════════
+
+// Route: GET /api/rider/emergency-contacts
+router.get('/emergency-contacts', requireAuth('rider'), async (req, res) => {
+    try {
+        res.json({ success: true, contacts: await safety.listContacts(req.user.id) });
+    } catch (err) { handleProfileError(res, "Emergency Contacts Error", err); }
+});
+
+// Route: POST /api/rider/emergency-contacts   body: { name, phone, email }  (phone and/or email)
+router.post('/emergency-contacts', requireAuth('rider'), async (req, res) => {
+    try {
+        const contact = await safety.addContact(req.user.id, req.body);
+        res.status(201).json({ success: true, contact: contact });
+    } catch (err) { handleProfileError(res, "Add Emergency Contact Error", err); }
+});
+
+// Route: PATCH /api/rider/emergency-contacts/:contactId
+router.patch('/emergency-contacts/:contactId', requireAuth('rider'), async (req, res) => {
+    try {
+        const contact = await safety.updateContact(req.user.id, req.params.contactId, req.body);
+        res.json({ success: true, contact: contact });
+    } catch (err) { handleProfileError(res, "Update Emergency Contact Error", err); }
+});
+
+// Route: DELETE /api/rider/emergency-contacts/:contactId
+router.delete('/emergency-contacts/:contactId', requireAuth('rider'), async (req, res) => {
+    try {
+        await safety.deleteContact(req.user.id, req.params.contactId);
+        res.json({ success: true, msg: "Contact removed" });
+    } catch (err) { handleProfileError(res, "Delete Emergency Contact Error", err); }
+});
+
+module.exports = router;
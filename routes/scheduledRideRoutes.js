@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const scheduledRides = require('../services/scheduledRides');
+const { ScheduleError } = scheduledRides;
+
+function handleScheduleError(res, label, err) {
+    if (err instanceof ScheduleError) {
+        const status = err.code === 'NOT_FOUND' ? 404 : 400;
+        return res.status(status).json({ success: false, code: err.code, msg: err.message });
+    }
+    console.error(`${label}:`, err.message);
+    res.status(500).json({ success: false, msg: "Server Error" });
+}
+
+// 🟢 1. QUOTE (locked fare for a trip at a future time)
+// Route: POST /api/scheduled-rides/quote
+// body: { pickupLat, pickupLng, dropLat, dropLng | destination, pickupAt }
+router.post('/quote', requireAuth('rider'), async (req, res) => {
+    try {
+        const result = await scheduledRides.quote(req.user.id, req.body);
+        res.json({ success: true, ...result });
+    } catch (err) { handleScheduleError(res, "Scheduled Quote Error", err); }
+});
+
+// 🟢 2. BOOK
+// Route: POST /api/scheduled-rides   body: { quoteId, vehicleType, destination }
+router.post('/', requireAuth('rider'), async (req, res) => {
+    try {
+        const booking = await scheduledRides.createBooking(req.user.id, req.body);
+        res.status(201).json({ success: true, booking: booking });
+    } catch (err) { handleScheduleError(res, "Scheduled Booking Error", err); }
+});
+
+// 🟢 3. MY BOOKINGS (upcoming; ?all=true for past ones too)
+// Route: GET /api/scheduled-rides
+router.get('/', requireAuth('rider'), async (req, res) => {
+    try {
+        const bookings = await scheduledRides.listForRider(req.user.id, { includePast: req.query.all === 'true' });
+        res.json({ success: true, bookings: bookings });
+    } catch (err) { handleScheduleError(res, "Scheduled Rides Error", err); }
+});
+
+// Route: GET /api/scheduled-rides/:id
+router.get('/:id', requireAuth('rider'), async (req, res) => {
+    try {
+        res.json({ success: true, booking: await scheduledRides.getForRider(req.user.id, parseInt(req.params.id, 10)) });
+    } catch (err) { handleScheduleError(res, "Scheduled Ride Error", err); }
+});
+
+// 🟢 4. EDIT (new time / trip needs a fresh quote)
+// Route: PATCH /api/scheduled-rides/:id   body: { quoteId, vehicleType } and/or { destination }
+router.patch('/:id', requireAuth('rider'), async (req, res) => {
+    try {
+        const booking = await scheduledRides.updateBooking(req.user.id, parseInt(req.params.id, 10), req.body);
+        res.json({ success: true, booking: booking });
+    } catch (err) { handleScheduleError(res, "Scheduled Ride Update Error", err); }
+});
+
+// 🟢 5. CANCEL (before matching starts; after that, cancel the ride)
+// Route: POST /api/scheduled-rides/:id/cancel   body: { reason }
+router.post('/:id/cancel', requireAuth('rider'), async (req, res) => {
+    try {
+        const booking = await scheduledRides.cancelBooking(req.user.id, parseInt(req.params.id, 10), req.body.reason);
+        res.json({ success: true, booking: booking });
+    } catch (err) { handleScheduleError(res, "Scheduled Ride Cancel Error", err); }
+});
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const { rotateRefreshToken, revokeRefreshToken, AuthError } = require('../services/tokenService');
+
+// 🟢 REFRESH: trade a refresh token for a new access + refresh pair
+// Route: POST /api/session/refresh
+router.post('/refresh', async (req, res) => {
+    try {
+        const tokens = await rotateRefreshToken(req.body.refreshToken);
+        res.json({ success: true, ...tokens });
+    } catch (err) {
+        if (err instanceof AuthError) {
+            return res.status(401).json({ success: false, msg: err.message });
+        }
+        console.error("Refresh Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+// 🟢 LOGOUT: revoke the refresh token (access token simply expires)
+// Route: POST /api/session/logout
+router.post('/logout', async (req, res) => {
+    try {
+        await revokeRefreshToken(req.body.refreshToken);
+        res.json({ success: true, msg: "Logged out" });
+    } catch (err) {
+        console.error("Logout Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+module.exports = router;
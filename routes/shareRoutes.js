@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const safety = require('../services/safety');
+const { SafetyError } = safety;
+
+// 🟢 SHARED TRIP (public, no login): the token in the link is the only key.
+// Clients poll this while the ride is on.
+// Route: GET /api/share/:token
+router.get('/:token', async (req, res) => {
+    try {
+        res.set('Cache-Control', 'no-store');
+        res.json({ success: true, trip: await safety.viewSharedTrip(req.params.token) });
+    } catch (err) {
+        if (err instanceof SafetyError) {
+            return res.status(410).json({ success: false, code: err.code, msg: err.message });
+        }
+        console.error("Shared Trip Error:", err.message);
+        res.status(500).json({ success: false, msg: "Server Error" });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const bcrypt = require('bcrypt');
+const db = require('../config/db');
+
+const ADMIN_FIELDS = "id, name, email, role, is_active, last_login_at, created_at";
+
+async function findActiveAdmin(id) {
+    const result = await db.query(`SELECT ${ADMIN_FIELDS} FROM admins WHERE id = $1 AND is_active = true`, [id]);
+    return result.rows[0] || null;
+}
+
+// 🟢 FIRST SUPERADMIN
+// On an empty admins table, create one from ADMIN_EMAIL / ADMIN_PASSWORD
+// so a fresh deploy can log in and create everyone else from the panel.
+async function ensureBootstrapAdmin() {
+    const existing = await db.query("SELECT COUNT(*)::int AS count FROM admins");
+    if (existing.rows[0].count > 0) return;
+
+    const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+        console.log("⚠️ No admin accounts. Set ADMIN_EMAIL and ADMIN_PASSWORD to create a superadmin.");
+        return;
+    }
+
+    const hashedPassword = await bcrypt.hash(ADMIN_PASSWORD, 10);
+    await db.query(
+        "INSERT INTO admins (name, email, password, role) VALUES ($1, $2, $3, 'superadmin') ON CONFLICT (email) DO NOTHING",
+        ['Super Admin', ADMIN_EMAIL.toLowerCase(), hashedPassword]
+    );
+    console.log(`👑 Created superadmin ${ADMIN_EMAIL}`);
+}
+
+module.exports = { ADMIN_FIELDS, findActiveAdmin, ensureBootstrapAdmin };
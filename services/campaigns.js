@@ -0,0 +1,607 @@
+const cron = require('node-cron');
+const db = require('../config/db');
+const notifier = require('./notifier');
+const notifications = require('./notifications');
+const { DEFAULT_PREFERENCES, SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../config/notifications');
+const {
+    CAMPAIGN_TIMEZONE, DEFAULT_QUIET_START_HOUR, DEFAULT_QUIET_END_HOUR, MAX_PER_RIDER_PER_DAY,
+    MAX_PER_RIDER_PER_WEEK, MULTICAST_BATCH_SIZE, RUN_MAX_ATTEMPTS, STUCK_RUN_MINUTES, MAX_NAME_LENGTH,
+    MAX_TITLE_LENGTH, MAX_BODY_LENGTH, MAX_SEND_TIMES, MAX_INACTIVE_DAYS
+} = require('../config/campaigns');
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 MARKETING CAMPAIGNS
+// Admins write a campaign (copy per language, audience segment, schedule,
+// quiet hours) and activate it. The minute cron turns each due send into
+// a campaign_runs row; a run picks its audience once into
+// campaign_deliveries and pushes to them in FCM multicast batches.
+//   DRAFT -> ACTIVE <-> PAUSED -> ENDED (one-off sent, or ends_at passed)
+//
+// Only riders with a push token, push and marketing on in their
+// notification preferences, and under the frequency caps are picked.
+// Turning marketing off (unsubscribe) is that same preference. Opens are
+// reported by the app with the campaign_run_id from the push data.
+// ═══════════════════════════════════════════════════════════════════════
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const clockFormat = new Intl.DateTimeFormat('en-GB', {
+    timeZone: CAMPAIGN_TIMEZONE, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+});
+
+let ticking = false;
+
+class CampaignError extends Error {
+    constructor(code, msg) {
+        super(msg);
+        this.name = 'CampaignError';
+        this.code = code;
+    }
+}
+
+// ─── HELPERS ──────────────────────────────────────────────────────────
+// Weekday (0 = Sunday), hour and 'HH:MM' in CAMPAIGN_TIMEZONE
+function localClock(date = new Date()) {
+    const parts = {};
+    clockFormat.formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+    return { day: WEEKDAYS.indexOf(parts.weekday), hour: parseInt(parts.hour, 10), time: `${parts.hour}:${parts.minute}` };
+}
+
+function inQuietHours(campaign, hour) {
+    const start = campaign.quiet_start_hour != null ? campaign.quiet_start_hour : DEFAULT_QUIET_START_HOUR;
+    const end = campaign.quiet_end_hour != null ? campaign.quiet_end_hour : DEFAULT_QUIET_END_HOUR;
+    if (start === end) return false;
+    return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+function optionalDate(value, field) {
+    if (value == null) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) throw new CampaignError('INVALID_SCHEDULE', `${field} must be an ISO date-time`);
+    return date;
+}
+
+function optionalHour(value, field) {
+    if (value == null) return null;
+    if (!Number.isInteger(value) || value < 0 || value > 23) {
+        throw new CampaignError('INVALID_QUIET_HOURS', `${field} must be an hour from 0 to 23`);
+    }
+    return value;
+}
+
+function cleanContent(content) {
+    if (!content || typeof content !== 'object' || !content[DEFAULT_LOCALE]) {
+        throw new CampaignError('INVALID_CONTENT', `content.${DEFAULT_LOCALE} with a title and body is required`);
+    }
+    const clean = {};
+    for (const locale of Object.keys(content)) {
+        if (!SUPPORTED_LOCALES.includes(locale)) {
+            throw new CampaignError('INVALID_CONTENT', `Language must be one of ${SUPPORTED_LOCALES.join(', ')}`);
+        }
+        const entry = content[locale] || {};
+        const title = typeof entry.title === 'string' ? entry.title.trim() : '';
+        const body = typeof entry.body === 'string' ? entry.body.trim() : '';
+        if (!title || title.length > MAX_TITLE_LENGTH || !body || body.length > MAX_BODY_LENGTH) {
+            throw new CampaignError('INVALID_CONTENT',
+                `content.${locale} needs a title (max ${MAX_TITLE_LENGTH} chars) and body (max ${MAX_BODY_LENGTH} chars)`);
+        }
+        clean[locale] = { title, body };
+    }
+    return clean;
+}
+
+// { inactiveDays, vehicleType, city }, all optional. Empty = every rider.
+function cleanSegment(segment) {
+    if (segment == null) return {};
+    if (typeof segment !== 'object') throw new CampaignError('INVALID_SEGMENT', "segment must be an object");
+
+    const clean = {};
+    if (segment.inactiveDays != null) {
+        if (!Number.isInteger(segment.inactiveDays) || segment.inactiveDays < 1 || segment.inactiveDays > MAX_INACTIVE_DAYS) {
+            throw new CampaignError('INVALID_SEGMENT', `inactiveDays must be from 1 to ${MAX_INACTIVE_DAYS}`);
+        }
+        clean.inactiveDays = segment.inactiveDays;
+    }
+    for (const key of ['vehicleType', 'city']) {
+        if (segment[key] == null) continue;
+        if (typeof segment[key] !== 'string' || !segment[key].trim() || segment[key].trim().length > 50) {
+            throw new CampaignError('INVALID_SEGMENT', `${key} must be a name`);
+        }
+        clean[key] = segment[key].trim();
+    }
+    return clean;
+}
+
+// Either sendAt, or daysOfWeek + sendTimes (recurring)
+function cleanSchedule(input, sendAtChanged) {
+    const sendAt = optionalDate(input.sendAt, 'sendAt');
+    const recurring = input.daysOfWeek != null || input.sendTimes != null;
+
+    if (sendAt && recurring) {
+        throw new CampaignError('INVALID_SCHEDULE', "Give either sendAt or daysOfWeek and sendTimes, not both");
+    }
+    if (sendAt) {
+        if (sendAtChanged && sendAt.getTime() < Date.now()) {
+            throw new CampaignError('INVALID_SCHEDULE', "sendAt must be in the future");
+        }
+        return { send_at: sendAt, days_of_week: null, send_times: null };
+    }
+    if (!recurring) return { send_at: null, days_of_week: null, send_times: null };
+
+    const days = input.daysOfWeek;
+    const times = input.sendTimes;
+    if (!Array.isArray(days) || days.length === 0 || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+        throw new CampaignError('INVALID_SCHEDULE', "daysOfWeek must list days from 0 (Sunday) to 6");
+    }
+    if (!Array.isArray(times) || times.length === 0 || times.length > MAX_SEND_TIMES
+        || times.some(t => typeof t !== 'string' || !TIME_PATTERN.test(t))) {
+        throw new CampaignError('INVALID_SCHEDULE', `sendTimes must list 1 to ${MAX_SEND_TIMES} 'HH:MM' times`);
+    }
+    return { send_at: null, days_of_week: [...new Set(days)].sort(), send_times: [...new Set(times)].sort() };
+}
+
+function hasSchedule(campaign) {
+    return campaign.send_at != null || (campaign.days_of_week != null && campaign.send_times != null);
+}
+
+// Row -> the shape admins send, so PATCH can merge onto it
+function toInput(row) {
+    return {
+        name: row.name,
+        content: row.content,
+        segment: row.segment,
+        sendAt: row.send_at,
+        daysOfWeek: row.days_of_week,
+        sendTimes: row.send_times,
+        startsAt: row.starts_at,
+        endsAt: row.ends_at,
+        quietStartHour: row.quiet_start_hour,
+        quietEndHour: row.quiet_end_hour,
+        maxPerRider: row.max_per_rider,
+    };
+}
+
+function cleanCampaign(input, body) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        throw new CampaignError('INVALID_NAME', `Name is required (max ${MAX_NAME_LENGTH} chars)`);
+    }
+
+    const quietStart = optionalHour(input.quietStartHour, 'quietStartHour');
+    const quietEnd = optionalHour(input.quietEndHour, 'quietEndHour');
+    if ((quietStart == null) !== (quietEnd == null)) {
+        throw new CampaignError('INVALID_QUIET_HOURS', "Set both quietStartHour and quietEndHour, or neither");
+    }
+
+    const startsAt = optionalDate(input.startsAt, 'startsAt');
+    const endsAt = optionalDate(input.endsAt, 'endsAt');
+    if (startsAt && endsAt && endsAt <= startsAt) {
+        throw new CampaignError('INVALID_SCHEDULE', "endsAt must be after startsAt");
+    }
+
+    if (input.maxPerRider != null && (!Number.isInteger(input.maxPerRider) || input.maxPerRider < 1)) {
+        throw new CampaignError('INVALID_CAP', "maxPerRider must be a positive whole number");
+    }
+
+    return {
+        name: name,
+        content: cleanContent(input.content),
+        segment: cleanSegment(input.segment),
+        ...cleanSchedule(input, body.sendAt !== undefined),
+        starts_at: startsAt,
+        ends_at: endsAt,
+        quiet_start_hour: quietStart,
+        quiet_end_hour: quietEnd,
+        max_per_rider: input.maxPerRider != null ? input.maxPerRider : null,
+    };
+}
+
+// ─── AUDIENCE ─────────────────────────────────────────────────────────
+// FROM / WHERE for the riders a campaign would reach right now. Riders
+// who never completed a ride count as inactive; vehicleType and city
+// look at completed rides (city = the tariff the fare came from).
+function audienceSql(campaign, params) {
+    const p = (value) => { params.push(value); return `$${params.length}`; };
+    const segment = campaign.segment || {};
+
+    const where = [
+        "r.fcm_token IS NOT NULL",
+        `COALESCE(np.push, ${p(DEFAULT_PREFERENCES.push)})`,
+        `COALESCE(np.marketing, ${p(DEFAULT_PREFERENCES.marketing)})`,
+    ];
+    // A campaign's own cap (sends of it per rider per day) replaces the
+    // cross-campaign ones
+    if (campaign.max_per_rider != null) {
+        where.push(`(SELECT COUNT(*) FROM campaign_deliveries d
+          WHERE d.campaign_id = ${p(campaign.id)} AND d.rider_id = r.id AND d.status = 'SENT'
+            AND d.sent_at > NOW() - INTERVAL '1 day') < ${p(campaign.max_per_rider)}`);
+    } else {
+        where.push(`(SELECT COUNT(*) FROM campaign_deliveries d
+          WHERE d.rider_id = r.id AND d.status = 'SENT' AND d.sent_at > NOW() - INTERVAL '1 day') < ${p(MAX_PER_RIDER_PER_DAY)}`);
+        where.push(`(SELECT COUNT(*) FROM campaign_deliveries d
+          WHERE d.rider_id = r.id AND d.status = 'SENT' AND d.sent_at > NOW() - INTERVAL '7 days') < ${p(MAX_PER_RIDER_PER_WEEK)}`);
+    }
+    if (segment.inactiveDays) {
+        where.push(`NOT EXISTS (SELECT 1 FROM rides x WHERE x.rider_id = r.id AND x.status = 'COMPLETED'
+          AND x.ended_at > NOW() - make_interval(days => ${p(segment.inactiveDays)}::int))`);
+    }
+    if (segment.vehicleType) {
+        where.push(`EXISTS (SELECT 1 FROM rides x WHERE x.rider_id = r.id AND x.status = 'COMPLETED'
+          AND LOWER(x.vehicle_type) = LOWER(${p(segment.vehicleType)}))`);
+    }
+    if (segment.city) {
+        where.push(`EXISTS (SELECT 1 FROM rides x JOIN tariffs t ON t.id = x.tariff_id
+          WHERE x.rider_id = r.id AND x.status = 'COMPLETED' AND LOWER(t.city) = LOWER(${p(segment.city)}))`);
+    }
+
+    return `FROM riders r
+        LEFT JOIN notification_preferences np ON np.user_role = 'rider' AND np.user_id = r.id
+        WHERE ${where.join('\n          AND ')}`;
+}
+
+async function previewAudience(campaignId) {
+    const campaign = await getCampaignRow(campaignId);
+    const params = [];
+    const res = await db.query(`SELECT COUNT(*)::int AS riders ${audienceSql(campaign, params)}`, params);
+    return { riders: res.rows[0].riders };
+}
+
+// ─── ADMIN: CAMPAIGNS ─────────────────────────────────────────────────
+async function getCampaignRow(campaignId) {
+    const res = await db.query("SELECT * FROM campaigns WHERE id = $1", [campaignId]);
+    if (res.rows.length === 0) throw new CampaignError('NOT_FOUND', "Campaign not found");
+    return res.rows[0];
+}
+
+const STATS_SQL = `SELECT campaign_id,
+        COUNT(DISTINCT run_id)::int AS runs,
+        COUNT(*)::int AS targeted,
+        COUNT(*) FILTER (WHERE status = 'SENT')::int AS sent,
+        COUNT(*) FILTER (WHERE status = 'FAILED')::int AS failed,
+        COUNT(*) FILTER (WHERE opened_at IS NOT NULL)::int AS opened,
+        COUNT(*) FILTER (WHERE unsubscribed_at IS NOT NULL)::int AS unsubscribed
+    FROM campaign_deliveries`;
+
+function withRates(stats) {
+    const s = stats || { runs: 0, targeted: 0, sent: 0, failed: 0, opened: 0, unsubscribed: 0 };
+    const { campaign_id, ...counts } = s;
+    return { ...counts, openRate: counts.sent > 0 ? Math.round((counts.opened / counts.sent) * 1000) / 10 : 0 };
+}
+
+async function listCampaigns({ status } = {}) {
+    const res = await db.query(
+        `SELECT c.*, row_to_json(s) AS stats
+         FROM campaigns c
+         LEFT JOIN (${STATS_SQL} GROUP BY campaign_id) s ON s.campaign_id = c.id
+         WHERE ($1::text IS NULL OR c.status = $1)
+         ORDER BY c.created_at DESC`,
+        [status || null]
+    );
+    return res.rows.map(row => ({ ...row, stats: withRates(row.stats) }));
+}
+
+// With totals and the latest runs, each with its own numbers
+async function getCampaign(campaignId) {
+    const campaign = await getCampaignRow(campaignId);
+    const totals = await db.query(`${STATS_SQL} WHERE campaign_id = $1 GROUP BY campaign_id`, [campaignId]);
+    const runs = await db.query(
+        `SELECT r.*,
+                COUNT(d.id) FILTER (WHERE d.status = 'SENT')::int AS sent,
+                COUNT(d.id) FILTER (WHERE d.status = 'FAILED')::int AS failed,
+                COUNT(d.id) FILTER (WHERE d.opened_at IS NOT NULL)::int AS opened,
+                COUNT(d.id) FILTER (WHERE d.unsubscribed_at IS NOT NULL)::int AS unsubscribed
+         FROM campaign_runs r
+         LEFT JOIN campaign_deliveries d ON d.run_id = r.id
+         WHERE r.campaign_id = $1
+         GROUP BY r.id
+         ORDER BY r.slot_at DESC
+         LIMIT 50`,
+        [campaignId]
+    );
+    return { ...campaign, stats: withRates(totals.rows[0]), runs: runs.rows };
+}
+
+async function createCampaign(body = {}, adminId) {
+    const c = cleanCampaign(body, body);
+    const res = await db.query(
+        `INSERT INTO campaigns (name, content, segment, send_at, days_of_week, send_times, starts_at, ends_at,
+                                quiet_start_hour, quiet_end_hour, max_per_rider, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING id`,
+        [c.name, JSON.stringify(c.content), JSON.stringify(c.segment), c.send_at, c.days_of_week, c.send_times,
+         c.starts_at, c.ends_at, c.quiet_start_hour, c.quiet_end_hour, c.max_per_rider, adminId]
+    );
+    return getCampaign(res.rows[0].id);
+}
+
+// body: any of the create fields. Changes apply to runs that haven't started.
+async function updateCampaign(campaignId, body = {}) {
+    const existing = await getCampaignRow(campaignId);
+    if (existing.status === 'ENDED') throw new CampaignError('CAMPAIGN_ENDED', "Ended campaigns can't be edited");
+
+    const merged = toInput(existing);
+    for (const key of Object.keys(merged)) {
+        if (body[key] !== undefined) merged[key] = body[key];
+    }
+    // Switching schedule type clears the other kind
+    if (body.sendAt != null) { merged.daysOfWeek = null; merged.sendTimes = null; }
+    if (body.daysOfWeek != null || body.sendTimes != null) merged.sendAt = null;
+
+    const c = cleanCampaign(merged, body);
+    if (existing.status === 'ACTIVE' && !hasSchedule(c)) {
+        throw new CampaignError('NO_SCHEDULE', "An active campaign needs a schedule");
+    }
+
+    await db.query(
+        `UPDATE campaigns
+         SET name = $1, content = $2, segment = $3, send_at = $4, days_of_week = $5, send_times = $6,
+             starts_at = $7, ends_at = $8, quiet_start_hour = $9, quiet_end_hour = $10, max_per_rider = $11,
+             updated_at = NOW()
+         WHERE id = $12`,
+        [c.name, JSON.stringify(c.content), JSON.stringify(c.segment), c.send_at, c.days_of_week, c.send_times,
+         c.starts_at, c.ends_at, c.quiet_start_hour, c.quiet_end_hour, c.max_per_rider, campaignId]
+    );
+    return getCampaign(campaignId);
+}
+
+async function setStatus(campaignId, status) {
+    const campaign = await getCampaignRow(campaignId);
+    const allowed = {
+        ACTIVE: ['DRAFT', 'PAUSED'],
+        PAUSED: ['ACTIVE'],
+        ENDED: ['DRAFT', 'ACTIVE', 'PAUSED'],
+    }[status];
+    if (!allowed.includes(campaign.status)) {
+        throw new CampaignError('INVALID_STATUS', `A ${campaign.status.toLowerCase()} campaign can't be ${status === 'ACTIVE' ? 'activated' : status.toLowerCase()}`);
+    }
+    if (status === 'ACTIVE' && !hasSchedule(campaign)) {
+        throw new CampaignError('NO_SCHEDULE', "Give the campaign a sendAt or daysOfWeek and sendTimes first");
+    }
+
+    await db.transaction(async (client) => {
+        await client.query("UPDATE campaigns SET status = $1, updated_at = NOW() WHERE id = $2", [status, campaignId]);
+        if (status !== 'ACTIVE') {
+            // Sends waiting out quiet hours don't go once the campaign stops
+            await client.query(
+                "UPDATE campaign_runs SET status = 'CANCELLED', updated_at = NOW() WHERE campaign_id = $1 AND status = 'PENDING'",
+                [campaignId]
+            );
+        }
+    });
+    return getCampaign(campaignId);
+}
+
+const activateCampaign = (campaignId) => setStatus(campaignId, 'ACTIVE');
+const pauseCampaign = (campaignId) => setStatus(campaignId, 'PAUSED');
+const endCampaign = (campaignId) => setStatus(campaignId, 'ENDED');
+
+async function deleteCampaign(campaignId) {
+    const res = await db.query("DELETE FROM campaigns WHERE id = $1 AND status = 'DRAFT' RETURNING id", [campaignId]);
+    if (res.rows.length === 0) {
+        await getCampaignRow(campaignId);
+        throw new CampaignError('INVALID_STATUS', "Only drafts can be deleted; end the campaign instead");
+    }
+}
+
+// ─── RIDERS ───────────────────────────────────────────────────────────
+// The app calls this when a campaign push is tapped
+async function recordOpen(riderId, runId) {
+    const res = await db.query(
+        `UPDATE campaign_deliveries SET opened_at = COALESCE(opened_at, NOW())
+         WHERE run_id = $1 AND rider_id = $2 AND status = 'SENT' RETURNING id`,
+        [runId, riderId]
+    );
+    if (res.rows.length === 0) throw new CampaignError('NOT_FOUND', "Campaign message not found");
+}
+
+// Turns marketing off; runId (optional) credits the campaign that did it
+async function unsubscribe(riderId, runId = null) {
+    if (runId) {
+        await db.query(
+            "UPDATE campaign_deliveries SET unsubscribed_at = COALESCE(unsubscribed_at, NOW()) WHERE run_id = $1 AND rider_id = $2",
+            [runId, riderId]
+        );
+    }
+    return notifications.updatePreferences('rider', riderId, { marketing: false });
+}
+
+// ─── SENDING ──────────────────────────────────────────────────────────
+async function buildAudience(run, campaign) {
+    const params = [run.id, campaign.id, DEFAULT_LOCALE];
+    const res = await db.query(
+        `INSERT INTO campaign_deliveries (run_id, campaign_id, rider_id, locale, token)
+         SELECT $1, $2, r.id, COALESCE(np.locale, $3), r.fcm_token
+         ${audienceSql(campaign, params)}
+         ON CONFLICT (run_id, rider_id) DO NOTHING`,
+        params
+    );
+    await db.query("UPDATE campaign_runs SET targeted = $1, updated_at = NOW() WHERE id = $2", [res.rowCount, run.id]);
+}
+
+async function recordResults(batch, results) {
+    const ids = batch.map(d => d.id);
+    const statuses = results.map(r => (r.ok ? 'SENT' : 'FAILED'));
+    const codes = results.map(r => (r.ok ? null : String(r.error.code || 'SEND_FAILED').slice(0, 100)));
+    await db.query(
+        `UPDATE campaign_deliveries d
+         SET status = u.status, error_code = u.code, sent_at = CASE WHEN u.status = 'SENT' THEN NOW() END
+         FROM unnest($1::bigint[], $2::text[], $3::text[]) AS u(id, status, code)
+         WHERE d.id = u.id`,
+        [ids, statuses, codes]
+    );
+
+    for (let i = 0; i < batch.length; i++) {
+        if (!results[i].ok && results[i].error.invalidRecipient) {
+            // Only if it's still the same token; the app may have sent a new one
+            await notifications.clearPushToken('rider', batch[i].rider_id, batch[i].token);
+        }
+    }
+}
+
+// Throws if a whole batch can't be sent; what went out stays SENT
+async function sendQueued(run, campaign) {
+    for (const locale of SUPPORTED_LOCALES) {
+        const content = campaign.content[locale] || campaign.content[DEFAULT_LOCALE];
+        let batch;
+        do {
+            batch = (await db.query(
+                `SELECT id, rider_id, token FROM campaign_deliveries
+                 WHERE run_id = $1 AND locale = $2 AND status = 'QUEUED'
+                 ORDER BY id LIMIT $3`,
+                [run.id, locale, MULTICAST_BATCH_SIZE]
+            )).rows;
+            if (batch.length === 0) break;
+
+            const results = await notifier.sendMulticast('push', {
+                tokens: batch.map(d => d.token),
+                title: content.title,
+                body: content.body,
+                data: { type: 'campaign', campaign_id: String(campaign.id), campaign_run_id: String(run.id) }
+            });
+            await recordResults(batch, results);
+        } while (batch.length === MULTICAST_BATCH_SIZE);
+    }
+}
+
+async function executeRun(run, campaign) {
+    const started = await db.query("SELECT 1 FROM campaign_deliveries WHERE run_id = $1 LIMIT 1", [run.id]);
+    if (started.rows.length === 0) await buildAudience(run, campaign);
+
+    try {
+        await sendQueued(run, campaign);
+    } catch (err) {
+        const giveUp = err.permanent || run.attempts >= RUN_MAX_ATTEMPTS;
+        console.error(`Campaign Run ${run.id} Error:`, err.message);
+        if (giveUp) {
+            await db.query(
+                "UPDATE campaign_deliveries SET status = 'FAILED', error_code = $1 WHERE run_id = $2 AND status = 'QUEUED'",
+                [String(err.code || 'SEND_FAILED').slice(0, 100), run.id]
+            );
+        }
+        await db.query(
+            "UPDATE campaign_runs SET status = $1, last_error = $2, finished_at = $3, updated_at = NOW() WHERE id = $4",
+            [giveUp ? 'FAILED' : 'PENDING', err.message, giveUp ? new Date() : null, run.id]
+        );
+        return;
+    }
+
+    const done = await db.query(
+        `UPDATE campaign_runs SET status = 'DONE', last_error = NULL, finished_at = NOW(), updated_at = NOW()
+         WHERE id = $1 RETURNING targeted`,
+        [run.id]
+    );
+    console.log(`📣 Campaign "${campaign.name}" run ${run.id} done (${done.rows[0].targeted} rider(s) targeted)`);
+}
+
+async function createDueRuns(now) {
+    // One-off campaigns, once
+    await db.query(
+        `INSERT INTO campaign_runs (campaign_id, slot_at)
+         SELECT id, send_at FROM campaigns
+         WHERE status = 'ACTIVE' AND send_at IS NOT NULL AND send_at <= NOW()
+         ON CONFLICT (campaign_id, slot_at) DO NOTHING`
+    );
+
+    // Recurring ones whose day and time is this minute
+    const clock = localClock(now);
+    const slot = new Date(Math.floor(now.getTime() / 60000) * 60000);
+    await db.query(
+        `INSERT INTO campaign_runs (campaign_id, slot_at)
+         SELECT id, $3 FROM campaigns
+         WHERE status = 'ACTIVE' AND send_at IS NULL
+           AND $1::smallint = ANY(days_of_week) AND $2 = ANY(send_times)
+           AND (starts_at IS NULL OR starts_at <= NOW())
+           AND (ends_at IS NULL OR ends_at > NOW())
+         ON CONFLICT (campaign_id, slot_at) DO NOTHING`,
+        [clock.day, clock.time, slot]
+    );
+}
+
+// One-offs that have gone out, and recurring ones past ends_at
+async function endFinishedCampaigns() {
+    const res = await db.query(
+        `UPDATE campaigns c SET status = 'ENDED', updated_at = NOW()
+         WHERE c.status = 'ACTIVE' AND (
+             (c.send_at IS NULL AND c.ends_at IS NOT NULL AND c.ends_at <= NOW())
+             OR EXISTS (SELECT 1 FROM campaign_runs r
+                        WHERE r.campaign_id = c.id AND r.slot_at = c.send_at AND r.status IN ('DONE', 'FAILED')))
+         RETURNING id`
+    );
+    if (res.rows.length > 0) {
+        await db.query(
+            "UPDATE campaign_runs SET status = 'CANCELLED', updated_at = NOW() WHERE campaign_id = ANY($1::int[]) AND status = 'PENDING'",
+            [res.rows.map(r => r.id)]
+        );
+    }
+}
+
+async function processDueRuns(now) {
+    const hour = localClock(now).hour;
+    const due = await db.query(
+        `SELECT r.id AS run_id, c.*
+         FROM campaign_runs r
+         JOIN campaigns c ON c.id = r.campaign_id
+         WHERE r.status = 'PENDING' AND r.slot_at <= NOW() AND c.status = 'ACTIVE'
+         ORDER BY r.slot_at`
+    );
+
+    for (const row of due.rows) {
+        // Waits for the next tick outside quiet hours
+        if (inQuietHours(row, hour)) continue;
+
+        const { run_id: runId, ...campaign } = row;
+        const claimed = await db.query(
+            `UPDATE campaign_runs SET status = 'SENDING', attempts = attempts + 1, started_at = COALESCE(started_at, NOW()),
+                    updated_at = NOW()
+             WHERE id = $1 AND status = 'PENDING' RETURNING *`,
+            [runId]
+        );
+        if (claimed.rows.length === 0) continue;
+
+        await executeRun(claimed.rows[0], campaign)
+            .catch(err => console.error(`Campaign Run ${runId} Error:`, err.message));
+    }
+}
+
+async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+        const now = new Date();
+        await endFinishedCampaigns();
+        await createDueRuns(now);
+        await processDueRuns(now);
+    } catch (err) {
+        console.error("Campaign Cron Error:", err.message);
+    } finally {
+        ticking = false;
+    }
+}
+
+async function start() {
+    const stuck = await db.query(
+        `UPDATE campaign_runs SET status = 'PENDING', updated_at = NOW()
+         WHERE status = 'SENDING' AND updated_at < NOW() - make_interval(mins => $1) RETURNING id`,
+        [STUCK_RUN_MINUTES]
+    );
+    if (stuck.rows.length > 0) console.log(`♻️ Resuming ${stuck.rows.length} campaign run(s)`);
+
+    cron.schedule('* * * * *', tick);
+}
+
+module.exports = {
+    CampaignError,
+    listCampaigns,
+    getCampaign,
+    createCampaign,
+    updateCampaign,
+    activateCampaign,
+    pauseCampaign,
+    endCampaign,
+    deleteCampaign,
+    previewAudience,
+    recordOpen,
+    unsubscribe,
+    tick,
+    start,
+};
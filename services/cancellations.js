@@ -0,0 +1,283 @@
+const db = require('../config/db');
+const rideLifecycle = require('./rideLifecycle');
+const dispatch = require('./dispatch');
+const ledgerService = require('./ledgerService');
+const sessions = require('./sessions');
+const { CANCELLATION_REASONS, CANCELLATION_RATE_DAYS, policyFor } = require('../config/cancellation');
+
+const { STATES } = rideLifecycle;
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 CANCELLATIONS & NO-SHOWS
+// Every cancel goes through here: it needs a reason code, is logged in
+// ride_cancellations and may carry a fee (rules in config/cancellation.js).
+//   rider / admin: the ride is CANCELLED
+//   driver:        the ride goes back to REQUESTED and dispatch starts over
+//   no-show:       driver, after waiting at the pickup; ride is CANCELLED
+// Fees are posted to the ledger in the same transaction as the log row.
+// ═══════════════════════════════════════════════════════════════════════
+
+class CancellationError extends Error {
+    constructor(code, msg, details = {}) {
+        super(msg);
+        this.name = 'CancellationError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+function validateReason(role, reasonCode, note) {
+    const reasons = CANCELLATION_REASONS[role];
+    if (!reasons) throw new CancellationError('NOT_ALLOWED', "You can't cancel rides");
+
+    const reason = Object.hasOwn(reasons, reasonCode) ? reasons[reasonCode] : null;
+    if (!reason) {
+        throw new CancellationError('INVALID_REASON', "Please pick a cancellation reason", { reasons: Object.keys(reasons) });
+    }
+    const text = note ? String(note).trim().slice(0, 500) : null;
+    if (reason.needsNote && !text) {
+        throw new CancellationError('NOTE_REQUIRED', "Please tell us why you're cancelling");
+    }
+    return { reason, note: text };
+}
+
+function secondsSince(timestamp, now) {
+    return timestamp ? (now - new Date(timestamp).getTime()) / 1000 : null;
+}
+
+const FREE = (rule) => ({ rule, amount: 0, payer: null, entryType: null });
+
+// ride must be as it was before the cancel (status = the state it left).
+// Returns { rule, amount, payer, entryType }; amount 0 means free.
+function assessFee(ride, role, { kind = 'CANCELLATION', reason = {}, now = Date.now() } = {}) {
+    const policy = policyFor(ride.vehicle_type);
+
+    if (kind === 'NO_SHOW') {
+        return { rule: 'no_show', amount: policy.noShowFee, payer: 'rider', entryType: 'no_show_fee' };
+    }
+    if (role === 'admin') return FREE('admin');
+    if (reason.feeWaived) return FREE('reason_waived');
+
+    const sinceAccept = secondsSince(ride.accepted_at, now);
+    if (ride.status === STATES.REQUESTED || sinceAccept == null) return FREE('before_acceptance');
+    if (sinceAccept <= policy.freeWindowSeconds) return FREE('free_window');
+
+    if (role === 'driver') {
+        return { rule: 'driver_late_cancel', amount: policy.driverCancelFee, payer: 'driver', entryType: 'cancellation_fee' };
+    }
+
+    const sinceArrival = secondsSince(ride.arrived_at, now);
+    if (ride.status === STATES.ARRIVED && sinceArrival != null && sinceArrival >= policy.arrivalWaitMinutes * 60) {
+        return { rule: 'after_arrival_wait', amount: policy.arrivedCancelFee, payer: 'rider', entryType: 'cancellation_fee' };
+    }
+    return { rule: 'late_cancel', amount: policy.lateCancelFee, payer: 'rider', entryType: 'cancellation_fee' };
+}
+
+// Log row + ledger posting for one cancellation
+async function recordCancellation(ride, actor, { kind, reasonCode, note, fee }) {
+    return db.transaction(async (client) => {
+        let txId = null;
+        if (fee.amount > 0 && ride.driver_id) {
+            txId = await ledgerService.recordCancellationFee(client, {
+                rideId: ride.id,
+                driverId: ride.driver_id,
+                riderId: ride.rider_id,
+                vehicleType: ride.vehicle_type,
+                payer: fee.payer,
+                entryType: fee.entryType,
+                amount: fee.amount,
+                description: `${kind === 'NO_SHOW' ? 'No-show' : 'Cancellation'} fee, Ride #${ride.id}`
+            });
+        }
+
+        const res = await client.query(
+            `INSERT INTO ride_cancellations (ride_id, cancelled_by, actor_id, rider_id, driver_id, kind, reason_code, note,
+                                             ride_status, fee_rule, fee_amount, fee_payer, ledger_transaction_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+             RETURNING *`,
+            [ride.id, actor.type, actor.id, ride.rider_id, ride.driver_id, kind, reasonCode, note,
+             ride.status, fee.rule, txId ? fee.amount : 0, txId ? fee.payer : null, txId]
+        );
+        return res.rows[0];
+    });
+}
+
+function publicCancellation(row) {
+    return {
+        id: row.id,
+        ride_id: row.ride_id,
+        cancelled_by: row.cancelled_by,
+        kind: row.kind,
+        reason: row.reason_code,
+        fee: parseFloat(row.fee_amount),
+        fee_payer: row.fee_payer,
+        fee_rule: row.fee_rule
+    };
+}
+
+// ─── CANCEL ───────────────────────────────────────────────────────────
+// actor: { type: 'rider'|'driver'|'admin', id }
+async function cancelRide(rideId, actor, { reason, note, location } = {}) {
+    const { reason: reasonConfig, note: text } = validateReason(actor.type, reason, note);
+
+    const current = await rideLifecycle.getRideForActor(rideId, actor);
+    const byDriver = actor.type === 'driver';
+    if (byDriver && ![STATES.ACCEPTED, STATES.ARRIVED].includes(current.status)) {
+        throw new CancellationError('NOT_CANCELLABLE', "You can only cancel a ride before the trip starts");
+    }
+
+    const target = byDriver ? STATES.REQUESTED : STATES.CANCELLED;
+    const { ride, from } = await rideLifecycle.transition(rideId, target, {
+        actor,
+        location,
+        fields: byDriver ? { driver_id: null, trip_pin: null } : {},
+        metadata: { reason: reason, note: text }
+    });
+
+    // The ride as it was when cancelled (a reassigned ride has lost its driver)
+    const before = { ...ride, status: from, driver_id: byDriver ? actor.id : ride.driver_id };
+    const fee = assessFee(before, actor.type, { reason: reasonConfig });
+    const cancellation = await recordCancellation(before, actor, { kind: 'CANCELLATION', reasonCode: reason, note: text, fee });
+    const summary = publicCancellation(cancellation);
+
+    if (byDriver) {
+        const riderRes = await db.query("SELECT phone FROM riders WHERE id = $1", [ride.rider_id]);
+        await dispatch.startDispatch(ride, dispatch.buildOfferPayload(ride, riderRes.rows.length > 0 ? riderRes.rows[0].phone : null));
+        await sessions.notifyRider(ride, 'driver_reassigning', { ride_id: ride.id, msg: "Your driver cancelled. Finding you another one..." });
+        console.log(`🔁 Ride ${ride.id} back to dispatch, driver ${actor.id} cancelled (${reason})`);
+    } else {
+        await dispatch.stopDispatch(ride.id);
+        if (ride.driver_id) {
+            const event = actor.type === 'admin' ? 'ride_cancelled_by_admin' : 'ride_cancelled_by_user';
+            await sessions.notifyDriver(ride, event, { ride_id: ride.id, reason: reason, compensation: summary.fee_payer === 'rider' ? summary.fee : 0 });
+        }
+        if (actor.type === 'admin') {
+            await sessions.notifyRider(ride, 'ride_cancelled_by_admin', { ride_id: ride.id, reason: reason });
+        }
+        console.log(`❌ Ride ${ride.id} cancelled by ${actor.type} (${reason}), fee ₹${summary.fee}`);
+    }
+
+    return { ride, cancellation: summary };
+}
+
+// ─── NO-SHOW ──────────────────────────────────────────────────────────
+async function reportNoShow(rideId, actor, { note, location } = {}) {
+    if (actor.type !== 'driver') throw new CancellationError('NOT_ALLOWED', "Only the driver can report a no-show");
+
+    const current = await rideLifecycle.getRideForActor(rideId, actor);
+    if (current.status !== STATES.ARRIVED) {
+        throw new CancellationError('NOT_ARRIVED', "Mark yourself as arrived at the pickup first");
+    }
+    const policy = policyFor(current.vehicle_type);
+    const waited = secondsSince(current.arrived_at, Date.now()) || 0;
+    const waitLeft = Math.ceil(policy.noShowWaitMinutes * 60 - waited);
+    if (waitLeft > 0) {
+        throw new CancellationError('NO_SHOW_TOO_EARLY', `Please wait ${policy.noShowWaitMinutes} minutes at the pickup first`, { wait_seconds_left: waitLeft });
+    }
+
+    const { ride, from } = await rideLifecycle.transition(rideId, STATES.CANCELLED, {
+        actor,
+        location,
+        metadata: { reason: 'rider_no_show', waitedSeconds: Math.round(waited) }
+    });
+
+    const before = { ...ride, status: from };
+    const fee = assessFee(before, 'driver', { kind: 'NO_SHOW' });
+    const cancellation = await recordCancellation(before, actor, {
+        kind: 'NO_SHOW', reasonCode: 'rider_no_show', note: note ? String(note).trim().slice(0, 500) : null, fee
+    });
+    const summary = publicCancellation(cancellation);
+
+    await sessions.notifyRider(ride, 'ride_no_show', { ride_id: ride.id, fee: summary.fee, msg: "Your driver waited but couldn't find you." });
+    console.log(`🚫 Ride ${ride.id}: driver ${actor.id} reported a no-show, fee ₹${summary.fee}`);
+    return { ride, cancellation: summary };
+}
+
+// What cancelling right now would cost (for the confirm dialog)
+async function previewFee(rideId, actor) {
+    const ride = await rideLifecycle.getRideForActor(rideId, actor);
+    if (rideLifecycle.TERMINAL_STATES.includes(ride.status) || ride.status === STATES.ON_TRIP) {
+        throw new CancellationError('NOT_CANCELLABLE', `Ride is ${ride.status}`);
+    }
+    const fee = assessFee(ride, actor.type);
+    return { ride_id: ride.id, status: ride.status, fee: fee.payer === actor.type ? fee.amount : 0, rule: fee.rule };
+}
+
+// ─── RATES ────────────────────────────────────────────────────────────
+// Over the last CANCELLATION_RATE_DAYS. Riders: cancellations and no-shows
+// per ride requested. Drivers: cancellations per ride accepted.
+const RATE_QUERIES = {
+    rider: `
+        SELECT r.id AS user_id, r.name, r.phone,
+               COUNT(DISTINCT rd.id)::int AS rides,
+               (SELECT COUNT(*) FROM ride_cancellations c
+                WHERE c.rider_id = r.id AND c.cancelled_by = 'rider' AND c.created_at > NOW() - make_interval(days => $1))::int AS cancellations,
+               (SELECT COUNT(*) FROM ride_cancellations c
+                WHERE c.rider_id = r.id AND c.kind = 'NO_SHOW' AND c.created_at > NOW() - make_interval(days => $1))::int AS no_shows
+        FROM riders r
+        JOIN rides rd ON rd.rider_id = r.id AND rd.created_at > NOW() - make_interval(days => $1)
+        WHERE ($2::int IS NULL OR r.id = $2)
+        GROUP BY r.id`,
+    driver: `
+        SELECT d.id AS user_id, d.name, d.phone,
+               COUNT(DISTINCT e.ride_id)::int AS rides,
+               (SELECT COUNT(*) FROM ride_cancellations c
+                WHERE c.driver_id = d.id AND c.cancelled_by = 'driver' AND c.kind = 'CANCELLATION'
+                AND c.created_at > NOW() - make_interval(days => $1))::int AS cancellations,
+               0 AS no_shows
+        FROM drivers d
+        JOIN ride_events e ON e.actor_type = 'driver' AND e.actor_id = d.id AND e.to_status = 'ACCEPTED'
+                           AND e.created_at > NOW() - make_interval(days => $1)
+        WHERE ($2::int IS NULL OR d.id = $2)
+        GROUP BY d.id`,
+};
+
+function withRate(row) {
+    const rate = row.rides > 0 ? (row.cancellations + row.no_shows) / row.rides : 0;
+    return { ...row, cancellation_rate: Math.round(rate * 1000) / 1000 };
+}
+
+async function cancellationStats(role, userId) {
+    if (!RATE_QUERIES[role]) throw new CancellationError('INVALID_ROLE', "Role must be driver or rider");
+    const res = await db.query(RATE_QUERIES[role], [CANCELLATION_RATE_DAYS, userId]);
+    const row = res.rows[0] || { user_id: userId, rides: 0, cancellations: 0, no_shows: 0 };
+    return { days: CANCELLATION_RATE_DAYS, ...withRate(row) };
+}
+
+// Highest rates first, ignoring users with too few rides to judge
+async function topCancellers(role, { minRides = 5, limit = 50 } = {}) {
+    if (!RATE_QUERIES[role]) throw new CancellationError('INVALID_ROLE', "Role must be driver or rider");
+    const res = await db.query(RATE_QUERIES[role], [CANCELLATION_RATE_DAYS, null]);
+    return res.rows
+        .filter(r => r.rides >= (parseInt(minRides, 10) || 5))
+        .map(withRate)
+        .filter(r => r.cancellation_rate > 0)
+        .sort((a, b) => b.cancellation_rate - a.cancellation_rate)
+        .slice(0, Math.min(parseInt(limit, 10) || 50, 200));
+}
+
+async function listCancellations({ cancelledBy = null, kind = null, limit = 100 } = {}) {
+    const res = await db.query(
+        `SELECT c.*, riders.name AS rider_name, d.name AS driver_name
+         FROM ride_cancellations c
+         LEFT JOIN riders ON riders.id = c.rider_id
+         LEFT JOIN drivers d ON d.id = c.driver_id
+         WHERE ($1::text IS NULL OR c.cancelled_by = $1) AND ($2::text IS NULL OR c.kind = $2)
+         ORDER BY c.created_at DESC
+         LIMIT $3`,
+        [cancelledBy, kind, Math.min(parseInt(limit, 10) || 100, 500)]
+    );
+    return res.rows;
+}
+
+module.exports = {
+    CancellationError,
+    CANCELLATION_REASONS,
+    assessFee,
+    cancelRide,
+    reportNoShow,
+    previewFee,
+    cancellationStats,
+    topCancellers,
+    listCancellations,
+};
@@ -0,0 +1,420 @@
+const cron = require('node-cron');
+const db = require('../config/db');
+const rideLifecycle = require('./rideLifecycle');
+const notifications = require('./notifications');
+const sessions = require('./sessions');
+const { dispatchSettingsFor, UNRATED_DRIVER_RATING, MIN_RATINGS_FOR_RANKING } = require('../config/dispatch');
+
+const { STATES, RideTransitionError, SYSTEM_ACTOR } = rideLifecycle;
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 DRIVER DISPATCH
+// Matching state lives in ride_dispatch / ride_offers, not in memory.
+// One scheduler ticks every couple of seconds and works through whichever
+// rides are due, so a restart simply carries on where it left off.
+// Broadcast vs. sequential offers is set per vehicle in config/dispatch.js.
+// ═══════════════════════════════════════════════════════════════════════
+
+const SEARCH_RADIUS_M = 5000;
+const SWEEP_INTERVAL_SECONDS = 5;
+const DRIVERS_PER_SWEEP = 5;
+
+// A driver without a location ping for this long is treated as offline
+const DRIVER_STALE_SECONDS = 60;
+
+// How long a disconnected driver has to come back before going offline
+// and, if they were on their way to a pickup, losing the ride
+const DRIVER_RECONNECT_GRACE_SECONDS = 45;
+
+let ticking = false;
+
+// ─── START / STOP ─────────────────────────────────────────────────────
+// payload is what drivers receive in driver_request. A finished search is
+// started over (reassignment); drivers offered the ride before are skipped.
+async function startDispatch(ride, payload) {
+    const settings = dispatchSettingsFor(ride.vehicle_type);
+    console.log(`📡 Starting ${settings.mode} Radar for ${ride.vehicle_type || 'Auto'} drivers for Ride ${ride.id}...`);
+
+    await db.query(
+        `INSERT INTO ride_dispatch (ride_id, mode, offer_timeout_seconds, max_attempts, radius_m, deadline_at, payload)
+         VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(secs => $6), $7)
+         ON CONFLICT (ride_id) DO UPDATE
+         SET status = 'SEARCHING', attempts = 0, next_attempt_at = NOW(),
+             deadline_at = EXCLUDED.deadline_at, payload = EXCLUDED.payload, updated_at = NOW()
+         WHERE ride_dispatch.status = 'DONE'`,
+        [ride.id, settings.mode, settings.offerTimeoutSeconds, settings.maxAttempts, SEARCH_RADIUS_M, settings.searchTimeoutSeconds, JSON.stringify(payload)]
+    );
+}
+
+// Called once the ride leaves REQUESTED. Any offer still open is withdrawn
+// (the accepting driver's offer was already claimed by claimOffer).
+async function stopDispatch(rideId) {
+    await db.query(
+        "UPDATE ride_dispatch SET status = 'DONE', updated_at = NOW() WHERE ride_id = $1 AND status = 'SEARCHING'",
+        [rideId]
+    );
+    await db.query(
+        "UPDATE ride_offers SET status = 'WITHDRAWN', responded_at = NOW() WHERE ride_id = $1 AND status = 'SENT'",
+        [rideId]
+    );
+}
+
+// ─── DRIVER RESPONSES ─────────────────────────────────────────────────
+// A driver may only accept a ride they hold a live offer for. Returns false
+// when there is none (never offered, declined, expired or withdrawn).
+async function claimOffer(rideId, driverId) {
+    const res = await db.query(
+        `UPDATE ride_offers SET status = 'ACCEPTED', responded_at = NOW()
+         WHERE ride_id = $1 AND driver_id = $2 AND status = 'SENT' AND expires_at > NOW()
+         RETURNING id`,
+        [rideId, driverId]
+    );
+    return res.rows.length > 0;
+}
+
+// Undo claimOffer when the ride itself couldn't be accepted after all
+async function releaseOffer(rideId, driverId) {
+    await db.query(
+        "UPDATE ride_offers SET status = 'WITHDRAWN' WHERE ride_id = $1 AND driver_id = $2 AND status = 'ACCEPTED'",
+        [rideId, driverId]
+    );
+}
+
+// Records the decline and, in sequential mode, moves straight on to the
+// next candidate instead of waiting out the countdown.
+async function declineOffer(rideId, driverId, reason) {
+    const res = await db.query(
+        `UPDATE ride_offers SET status = 'DECLINED', responded_at = NOW(), decline_reason = $3
+         WHERE ride_id = $1 AND driver_id = $2 AND status = 'SENT'
+         RETURNING id`,
+        [rideId, driverId, reason || null]
+    );
+    if (res.rows.length === 0) return false;
+
+    await db.query(
+        `UPDATE ride_dispatch SET next_attempt_at = NOW(), updated_at = NOW()
+         WHERE ride_id = $1 AND status = 'SEARCHING' AND mode = 'sequential'`,
+        [rideId]
+    );
+    return true;
+}
+
+// ─── ONE ATTEMPT FOR ONE RIDE ─────────────────────────────────────────
+// Verified drivers with valid documents only, ranked by distance plus a
+// penalty for a low rating (see config/dispatch.js). Drivers who already
+// had an offer for this ride are skipped.
+async function findCandidates(client, job, limit) {
+    const { ratingWeightM } = dispatchSettingsFor(job.vehicle_type);
+    const res = await client.query(
+        `SELECT id, dist_meters, rating_avg
+         FROM (
+            SELECT id, rating_avg,
+                   CASE WHEN rating_count >= $9 THEN rating_avg ELSE $10 END AS ranking_rating,
+                   ST_Distance(location, ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography) as dist_meters
+            FROM drivers
+            WHERE is_online = true
+            AND is_available = true
+            AND is_verified = true
+            AND documents_valid = true
+            AND last_seen_at > NOW() - make_interval(secs => $6)
+            AND vehicle_type = $4
+            AND id NOT IN (SELECT driver_id FROM ride_offers WHERE ride_id = $5)
+            AND ST_DWithin(location, ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography, $3)
+         ) nearby
+         ORDER BY dist_meters + (5 - COALESCE(ranking_rating, $10)) * $8 ASC
+         LIMIT $7`,
+        [job.pickup_lng, job.pickup_lat, job.radius_m, job.vehicle_type || 'Auto', job.ride_id, DRIVER_STALE_SECONDS, limit,
+         ratingWeightM || 0, MIN_RATINGS_FOR_RANKING, UNRATED_DRIVER_RATING]
+    );
+    return res.rows;
+}
+
+async function insertOffers(client, rideId, drivers, expiresAt) {
+    for (const driver of drivers) {
+        await client.query(
+            `INSERT INTO ride_offers (ride_id, driver_id, distance_m, expires_at)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (ride_id, driver_id) DO NOTHING`,
+            [rideId, driver.id, driver.dist_meters, expiresAt]
+        );
+    }
+}
+
+async function scheduleNext(client, rideId, seconds) {
+    await client.query(
+        `UPDATE ride_dispatch
+         SET attempts = attempts + 1, next_attempt_at = NOW() + make_interval(secs => $2), updated_at = NOW()
+         WHERE ride_id = $1`,
+        [rideId, seconds]
+    );
+}
+
+// Broadcast: the next batch of nearby drivers, all sharing the search deadline
+async function broadcastAttempt(client, job) {
+    const drivers = await findCandidates(client, job, DRIVERS_PER_SWEEP);
+    await insertOffers(client, job.ride_id, drivers, job.deadline_at);
+    await scheduleNext(client, job.ride_id, SWEEP_INTERVAL_SECONDS);
+    return { drivers, expired: [], offerExpiresIn: null };
+}
+
+// Sequential: at most one open offer. Expire it once its countdown is up,
+// then offer the ride to the next best driver.
+async function sequentialAttempt(client, job) {
+    const open = await client.query(
+        "SELECT driver_id, expires_at > NOW() AS still_open, expires_at FROM ride_offers WHERE ride_id = $1 AND status = 'SENT'",
+        [job.ride_id]
+    );
+
+    const live = open.rows.find(o => o.still_open);
+    if (live) {
+        // Woken early, keep waiting for this driver
+        await client.query("UPDATE ride_dispatch SET next_attempt_at = $2 WHERE ride_id = $1", [job.ride_id, live.expires_at]);
+        return null;
+    }
+
+    const expired = await client.query(
+        `UPDATE ride_offers SET status = 'EXPIRED', responded_at = NOW()
+         WHERE ride_id = $1 AND status = 'SENT'
+         RETURNING driver_id`,
+        [job.ride_id]
+    );
+
+    const drivers = await findCandidates(client, job, 1);
+    if (drivers.length > 0) {
+        await client.query(
+            `INSERT INTO ride_offers (ride_id, driver_id, distance_m, expires_at)
+             VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))
+             ON CONFLICT (ride_id, driver_id) DO NOTHING`,
+            [job.ride_id, drivers[0].id, drivers[0].dist_meters, job.offer_timeout_seconds]
+        );
+        await scheduleNext(client, job.ride_id, job.offer_timeout_seconds);
+    } else {
+        await scheduleNext(client, job.ride_id, SWEEP_INTERVAL_SECONDS);
+    }
+
+    return { drivers, expired: expired.rows.map(r => r.driver_id), offerExpiresIn: job.offer_timeout_seconds };
+}
+
+async function runAttempt(rideId) {
+    const outcome = await db.transaction(async (client) => {
+        const res = await client.query(
+            `SELECT d.*, r.status AS ride_status, r.rider_id, r.pickup_lat, r.pickup_lng, r.vehicle_type,
+                    NOW() >= d.deadline_at AS past_deadline
+             FROM ride_dispatch d
+             JOIN rides r ON r.id = d.ride_id
+             WHERE d.ride_id = $1 AND d.status = 'SEARCHING'
+             FOR UPDATE OF d SKIP LOCKED`,
+            [rideId]
+        );
+        if (res.rows.length === 0) return null;
+
+        const job = res.rows[0];
+
+        if (job.ride_status !== STATES.REQUESTED) {
+            await client.query("UPDATE ride_dispatch SET status = 'DONE', updated_at = NOW() WHERE ride_id = $1", [rideId]);
+            return null;
+        }
+
+        if (job.attempts >= job.max_attempts || job.past_deadline) {
+            await client.query("UPDATE ride_dispatch SET status = 'DONE', updated_at = NOW() WHERE ride_id = $1", [rideId]);
+            const expired = await client.query(
+                "UPDATE ride_offers SET status = 'EXPIRED', responded_at = NOW() WHERE ride_id = $1 AND status = 'SENT' RETURNING driver_id",
+                [rideId]
+            );
+            return { timedOut: true, job, drivers: [], expired: expired.rows.map(r => r.driver_id) };
+        }
+
+        const result = job.mode === 'sequential'
+            ? await sequentialAttempt(client, job)
+            : await broadcastAttempt(client, job);
+        if (!result) return null;
+
+        return { job, attempt: job.attempts + 1, ...result };
+    });
+
+    if (!outcome) return;
+
+    // Side effects only after the offers are committed
+    await notifyExpired(rideId, outcome.expired);
+
+    if (outcome.timedOut) {
+        try {
+            await rideLifecycle.transition(rideId, STATES.TIMEOUT, { actor: SYSTEM_ACTOR });
+        } catch (err) {
+            // Accepted or cancelled in the meantime
+            if (err instanceof RideTransitionError) return;
+            throw err;
+        }
+        await sessions.notifyRider({ id: rideId, rider_id: outcome.job.rider_id }, 'no_drivers_found', { ride_id: rideId });
+        console.log(`Ride ${rideId} timed out.`);
+        return;
+    }
+
+    if (outcome.drivers.length > 0) {
+        console.log(`Radar Sweep ${outcome.attempt}: Offered Ride ${rideId} to ${outcome.drivers.length} driver(s)!`);
+
+        outcome.drivers.forEach(driver => {
+            const distKm = (driver.dist_meters / 1000).toFixed(1);
+
+            sessions.emitToUser('driver', driver.id, 'driver_request', {
+                ...outcome.job.payload,
+                distance: `${distKm} km to pickup`,
+                offerExpiresIn: outcome.offerExpiresIn
+            });
+
+            notifications.notify('driver', driver.id, 'ride_offer', { distanceKm: distKm }, { rideId: rideId });
+        });
+    }
+}
+
+// Lets the driver app drop the request card once the countdown is over
+async function notifyExpired(rideId, driverIds) {
+    (driverIds || []).forEach(driverId => {
+        sessions.emitToUser('driver', driverId, 'ride_offer_expired', { ride_id: rideId });
+    });
+}
+
+// ─── SCHEDULER ────────────────────────────────────────────────────────
+async function expireStaleDrivers() {
+    await db.query(
+        `UPDATE drivers SET is_online = false
+         WHERE is_online = true AND (last_seen_at IS NULL OR last_seen_at < NOW() - make_interval(secs => $1))`,
+        [DRIVER_STALE_SECONDS]
+    );
+}
+
+// Disconnected past the grace period: offline, and a ride they hadn't
+// started yet goes back to REQUESTED for someone else. ON_TRIP rides stay
+// with the driver since the rider is already in the vehicle.
+async function expireDisconnectedDrivers() {
+    await db.query(
+        `UPDATE drivers SET is_online = false
+         WHERE is_online = true AND disconnected_at < NOW() - make_interval(secs => $1)`,
+        [DRIVER_RECONNECT_GRACE_SECONDS]
+    );
+
+    const abandoned = await db.query(
+        `SELECT r.*, riders.phone AS rider_phone
+         FROM rides r
+         JOIN drivers d ON d.id = r.driver_id
+         LEFT JOIN riders ON riders.id = r.rider_id
+         WHERE r.status = ANY($1::text[])
+         AND d.disconnected_at < NOW() - make_interval(secs => $2)`,
+        [[STATES.ACCEPTED, STATES.ARRIVED], DRIVER_RECONNECT_GRACE_SECONDS]
+    );
+
+    for (const row of abandoned.rows) {
+        let ride;
+        try {
+            ({ ride } = await rideLifecycle.transition(row.id, STATES.REQUESTED, {
+                actor: SYSTEM_ACTOR,
+                fields: { driver_id: null, trip_pin: null },
+                metadata: { reason: 'driver_disconnected', driverId: row.driver_id }
+            }));
+        } catch (err) {
+            // Driver came back or the ride moved on in the meantime
+            if (err instanceof RideTransitionError) continue;
+            throw err;
+        }
+
+        await startDispatch(ride, buildOfferPayload(ride, row.rider_phone));
+        await sessions.notifyRider(ride, 'driver_reassigning', { ride_id: ride.id, msg: "Your driver lost connection. Finding you another one..." });
+        await sessions.notifyUser('driver', row.driver_id, 'ride_reassigned', { ride_id: ride.id }, ride.id);
+        console.log(`🔁 Ride ${ride.id} reassigned, driver ${row.driver_id} did not reconnect`);
+    }
+}
+
+async function tick() {
+    if (ticking) return; // previous tick still running
+    ticking = true;
+
+    try {
+        await expireStaleDrivers();
+        await expireDisconnectedDrivers();
+
+        const due = await db.query(
+            `SELECT ride_id FROM ride_dispatch
+             WHERE status = 'SEARCHING' AND next_attempt_at <= NOW()
+             ORDER BY next_attempt_at ASC
+             LIMIT 50`
+        );
+
+        for (const row of due.rows) {
+            try {
+                await runAttempt(row.ride_id);
+            } catch (err) {
+                console.error(`Radar Logic Error (Ride ${row.ride_id}):`, err.message);
+            }
+        }
+    } catch (err) {
+        console.error("Dispatch Tick Error:", err.message);
+    } finally {
+        ticking = false;
+    }
+}
+
+// REQUESTED rides from before ride_dispatch existed (or whose row was lost)
+// get a fresh search if they're recent, otherwise they time out.
+async function recoverOrphanedRides() {
+    const orphans = await db.query(
+        `SELECT r.*, riders.phone AS rider_phone,
+                r.created_at < NOW() - make_interval(secs => $2) AS too_old
+         FROM rides r
+         LEFT JOIN riders ON riders.id = r.rider_id
+         WHERE r.status = $1
+         AND NOT EXISTS (SELECT 1 FROM ride_dispatch d WHERE d.ride_id = r.id)`,
+        [STATES.REQUESTED, dispatchSettingsFor(null).searchTimeoutSeconds]
+    );
+
+    for (const ride of orphans.rows) {
+        if (ride.too_old) {
+            try {
+                await rideLifecycle.transition(ride.id, STATES.TIMEOUT, { actor: SYSTEM_ACTOR, metadata: { reason: 'recovered_on_boot' } });
+            } catch (err) {
+                if (!(err instanceof RideTransitionError)) throw err;
+            }
+            continue;
+        }
+        await startDispatch(ride, buildOfferPayload(ride, ride.rider_phone));
+    }
+
+    if (orphans.rows.length > 0) console.log(`♻️ Recovered ${orphans.rows.length} in-flight ride request(s)`);
+}
+
+// Same shape the rider app sends in request_ride
+function buildOfferPayload(ride, riderPhone) {
+    return {
+        ride_id: ride.id,
+        rider_id: ride.rider_socket_id,
+        riderId: ride.rider_id,
+        riderPhone: riderPhone,
+        pickupLat: ride.pickup_lat,
+        pickupLng: ride.pickup_lng,
+        dropLat: ride.drop_lat,
+        dropLng: ride.drop_lng,
+        destination: ride.destination,
+        fare: ride.fare,
+        vehicleType: ride.vehicle_type
+    };
+}
+
+// Call once after migrations. Searches that were running when the process
+// died are picked up by the first tick (their next_attempt_at is in the past).
+// Sockets are reached through sessions, so sessions.init(io) must run first.
+async function start() {
+    await recoverOrphanedRides();
+    cron.schedule(`*/2 * * * * *`, tick);
+    console.log("📡 Dispatch scheduler running");
+}
+
+module.exports = {
+    DRIVER_STALE_SECONDS,
+    DRIVER_RECONNECT_GRACE_SECONDS,
+    start,
+    startDispatch,
+    stopDispatch,
+    claimOffer,
+    releaseOffer,
+    declineOffer,
+    buildOfferPayload,
+};
@@ -0,0 +1,350 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cron = require('node-cron');
+const multer = require('multer');
+const db = require('../config/db');
+const { signPayload, verifyPayload } = require('./tokenService');
+const notifications = require('./notifications');
+const sessions = require('./sessions');
+const { MAX_DOCUMENT_BYTES, DOCUMENT_TYPES, requiredDocumentsFor } = require('../config/documents');
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 DRIVER DOCUMENTS
+// Uploads are checked (type, size, actual file contents), stored outside
+// public/ under random names and only handed out through short-lived
+// signed links. Each document is reviewed on its own; a driver gets rides
+// only while every required document is approved and in date
+// (drivers.documents_valid, kept in step by refreshDriver()).
+// ═══════════════════════════════════════════════════════════════════════
+
+const DOCUMENT_DIR = process.env.DOCUMENT_STORAGE_DIR || path.join(__dirname, '../storage/documents');
+const LEGACY_UPLOAD_DIR = path.join(__dirname, '../public/uploads');
+
+const DOWNLOAD_AUDIENCE = 'document-download';
+const DOWNLOAD_TTL_SECONDS = 5 * 60;
+
+const EXTENSIONS = { 'image/jpeg': '.jpg', 'image/png': '.png', 'application/pdf': '.pdf' };
+const ALL_MIME_TYPES = Object.keys(EXTENSIONS);
+
+if (!fs.existsSync(DOCUMENT_DIR)) {
+    fs.mkdirSync(DOCUMENT_DIR, { recursive: true });
+}
+
+class DocumentError extends Error {
+    constructor(code, msg) {
+        super(msg);
+        this.name = 'DocumentError';
+        this.code = code;
+    }
+}
+
+// ─── UPLOAD ───────────────────────────────────────────────────────────
+// Per-type MIME rules are applied in validateFile(); this only keeps out
+// anything we'd never accept.
+const upload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => cb(null, DOCUMENT_DIR),
+        filename: (req, file, cb) => cb(null, crypto.randomBytes(16).toString('hex') + (EXTENSIONS[file.mimetype] || ''))
+    }),
+    limits: { fileSize: MAX_DOCUMENT_BYTES, files: Object.keys(DOCUMENT_TYPES).length },
+    fileFilter: (req, file, cb) => {
+        if (ALL_MIME_TYPES.includes(file.mimetype)) return cb(null, true);
+        cb(new DocumentError('BAD_FILE_TYPE', "Only JPEG, PNG or PDF files are accepted"));
+    }
+});
+
+// Wraps a multer middleware so its errors come back as our usual JSON
+function handleUpload(middleware) {
+    return (req, res, next) => {
+        middleware(req, res, (err) => {
+            if (!err) return next();
+            const msg = err.code === 'LIMIT_FILE_SIZE'
+                ? `Files must be under ${MAX_DOCUMENT_BYTES / (1024 * 1024)} MB`
+                : err.message;
+            res.status(400).json({ success: false, msg: msg });
+        });
+    };
+}
+
+// What the first bytes of the file say it is, whatever the client claimed
+function sniffMime(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    const head = Buffer.alloc(8);
+    try {
+        fs.readSync(fd, head, 0, 8, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+    if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'image/jpeg';
+    if (head.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+    if (head.slice(0, 4).toString('latin1') === '%PDF') return 'application/pdf';
+    return null;
+}
+
+function discardFiles(files) {
+    (files || []).forEach(f => fs.unlink(f.path, () => {}));
+}
+
+// Throws DocumentError for an unknown type or a file that isn't what the
+// type allows. The caller discards the upload.
+function validateFile(docType, file) {
+    const type = DOCUMENT_TYPES[docType];
+    if (!type) throw new DocumentError('BAD_DOC_TYPE', `Unknown document type: ${docType}`);
+    if (!file) throw new DocumentError('FILE_REQUIRED', "Please attach the document");
+
+    const actual = sniffMime(file.path);
+    if (!actual || actual !== file.mimetype || !type.mimeTypes.includes(actual)) {
+        const allowed = type.mimeTypes.map(m => EXTENSIONS[m].slice(1).toUpperCase()).join(', ');
+        throw new DocumentError('BAD_FILE_TYPE', `${type.label} must be a ${allowed} file`);
+    }
+}
+
+function parseExpiry(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) throw new DocumentError('BAD_EXPIRY', "Expiry date is not a valid date");
+    return date.toISOString().slice(0, 10);
+}
+
+// Stores an uploaded (already validated) file as a PENDING document. Older
+// pending uploads of the same type are superseded.
+async function saveDocument(driverId, docType, file, { expiresOn } = {}) {
+    const doc = await db.transaction(async (client) => {
+        await client.query(
+            `UPDATE driver_documents SET status = 'REJECTED', rejection_reason = 'Replaced by a newer upload'
+             WHERE driver_id = $1 AND doc_type = $2 AND status = 'PENDING'`,
+            [driverId, docType]
+        );
+        const res = await client.query(
+            `INSERT INTO driver_documents (driver_id, doc_type, storage_key, original_name, mime_type, size_bytes, expires_on)
+             VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+            [driverId, docType, file.filename, file.originalname, file.mimetype, file.size, parseExpiry(expiresOn)]
+        );
+        return res.rows[0];
+    });
+
+    await refreshDriver(driverId);
+    return doc;
+}
+
+// ─── DRIVER STATUS ────────────────────────────────────────────────────
+// Latest upload of each type, which is what the driver and reviewers see
+async function latestDocuments(driverId) {
+    const res = await db.query(
+        `SELECT DISTINCT ON (doc_type) id, doc_type, status, rejection_reason, expires_on, mime_type, uploaded_at, reviewed_at
+         FROM driver_documents
+         WHERE driver_id = $1
+         ORDER BY doc_type, uploaded_at DESC`,
+        [driverId]
+    );
+    return res.rows;
+}
+
+// Required types with no approved, in-date document. A renewal waiting for
+// review doesn't count against the driver while the old one is still good.
+async function missingDocuments(driverId) {
+    const driver = await db.query("SELECT vehicle_type FROM drivers WHERE id = $1", [driverId]);
+    if (driver.rows.length === 0) return [];
+
+    const required = requiredDocumentsFor(driver.rows[0].vehicle_type);
+    const valid = await db.query(
+        `SELECT DISTINCT doc_type FROM driver_documents
+         WHERE driver_id = $1 AND status = 'APPROVED'
+         AND (expires_on IS NULL OR expires_on >= CURRENT_DATE)`,
+        [driverId]
+    );
+    const have = new Set(valid.rows.map(r => r.doc_type));
+    return required.filter(t => !have.has(t));
+}
+
+// Recomputes drivers.documents_valid and lifts a lapse suspension once the
+// driver is fully documented again. is_verified stays the admin's call
+// (POST /api/admin/verify-driver); dispatch needs both.
+async function refreshDriver(driverId) {
+    const missing = await missingDocuments(driverId);
+    const valid = missing.length === 0;
+
+    if (valid) {
+        await db.query(
+            `UPDATE drivers SET documents_valid = true, suspended_at = NULL, suspension_reason = NULL
+             WHERE id = $1`,
+            [driverId]
+        );
+    } else {
+        await db.query("UPDATE drivers SET documents_valid = false WHERE id = $1", [driverId]);
+    }
+    return { valid, missing };
+}
+
+async function notifyDriver(driverId, event, payload, template, params) {
+    await sessions.notifyUser('driver', driverId, event, payload);
+    await notifications.notify('driver', driverId, template, params);
+}
+
+// ─── REVIEW ───────────────────────────────────────────────────────────
+// decision is 'approve' or 'reject'. Approving a document type that expires
+// needs an expiry date, from the reviewer or as entered by the driver.
+async function reviewDocument(docId, adminId, { decision, reason, expiresOn }) {
+    if (decision !== 'approve' && decision !== 'reject') {
+        throw new DocumentError('BAD_DECISION', "Decision must be approve or reject");
+    }
+    if (decision === 'reject' && !reason) {
+        throw new DocumentError('REASON_REQUIRED', "Please give a reason for the rejection");
+    }
+
+    const doc = await db.transaction(async (client) => {
+        const current = await client.query(
+            `SELECT *, COALESCE($2::date, expires_on) AS effective_expiry,
+                    COALESCE($2::date, expires_on) < CURRENT_DATE AS already_expired
+             FROM driver_documents WHERE id = $1 FOR UPDATE`,
+            [docId, parseExpiry(expiresOn)]
+        );
+        if (current.rows.length === 0) throw new DocumentError('NOT_FOUND', "Document not found");
+        const existing = current.rows[0];
+        if (existing.status !== 'PENDING') {
+            throw new DocumentError('NOT_PENDING', `Document is already ${existing.status}`);
+        }
+
+        if (decision === 'approve') {
+            if (DOCUMENT_TYPES[existing.doc_type].hasExpiry && !existing.effective_expiry) {
+                throw new DocumentError('EXPIRY_REQUIRED', "Enter the expiry date printed on the document");
+            }
+            if (existing.already_expired) {
+                throw new DocumentError('ALREADY_EXPIRED', "This document has already expired");
+            }
+        }
+
+        const res = await client.query(
+            `UPDATE driver_documents
+             SET status = $2, rejection_reason = $3, expires_on = COALESCE($4::date, expires_on), reviewed_by = $5, reviewed_at = NOW()
+             WHERE id = $1 RETURNING *`,
+            [docId, decision === 'approve' ? 'APPROVED' : 'REJECTED', decision === 'reject' ? reason : null, parseExpiry(expiresOn), adminId]
+        );
+        return res.rows[0];
+    });
+
+    const status = await refreshDriver(doc.driver_id);
+    const label = DOCUMENT_TYPES[doc.doc_type].label;
+
+    if (doc.status === 'APPROVED') {
+        await notifyDriver(doc.driver_id, 'document_reviewed', { document_id: doc.id, doc_type: doc.doc_type, status: doc.status, missing: status.missing },
+            'document_approved', { document: label });
+    } else {
+        await notifyDriver(doc.driver_id, 'document_reviewed', { document_id: doc.id, doc_type: doc.doc_type, status: doc.status, reason: doc.rejection_reason, missing: status.missing },
+            'document_rejected', { document: label, reason: doc.rejection_reason });
+    }
+
+    return { document: doc, driver: status };
+}
+
+// ─── EXPIRY ───────────────────────────────────────────────────────────
+// Approved documents past their date become EXPIRED; drivers left without
+// a valid required document are suspended from dispatch until they upload
+// a replacement and it is approved.
+async function expireDocuments() {
+    const expired = await db.query(
+        `UPDATE driver_documents SET status = 'EXPIRED'
+         WHERE status = 'APPROVED' AND expires_on < CURRENT_DATE
+         RETURNING driver_id, doc_type`
+    );
+
+    const byDriver = new Map();
+    expired.rows.forEach(r => {
+        if (!byDriver.has(r.driver_id)) byDriver.set(r.driver_id, []);
+        byDriver.get(r.driver_id).push(r.doc_type);
+    });
+
+    for (const [driverId, docTypes] of byDriver) {
+        const status = await refreshDriver(driverId);
+        if (status.valid) continue;
+
+        const labels = docTypes.map(t => DOCUMENT_TYPES[t].label).join(', ');
+        await db.query(
+            "UPDATE drivers SET suspended_at = COALESCE(suspended_at, NOW()), suspension_reason = $2 WHERE id = $1",
+            [driverId, `Expired: ${labels}`]
+        );
+        await notifyDriver(driverId, 'documents_expired', { doc_types: docTypes, missing: status.missing },
+            'documents_expired', { documents: labels });
+    }
+
+    if (byDriver.size > 0) console.log(`📄 Expired documents for ${byDriver.size} driver(s)`);
+}
+
+// ─── DOWNLOADS ────────────────────────────────────────────────────────
+// Signed, short-lived link usable from an <img> or <a> without headers
+function downloadUrl(doc) {
+    const token = signPayload({ docId: doc.id }, DOWNLOAD_AUDIENCE, DOWNLOAD_TTL_SECONDS);
+    return `/api/documents/${doc.id}/download?token=${encodeURIComponent(token)}`;
+}
+
+async function findDocument(docId) {
+    const res = await db.query("SELECT * FROM driver_documents WHERE id = $1", [docId]);
+    return res.rows[0] || null;
+}
+
+// Returns { doc, filePath } when the token is valid for this document
+async function openDownload(docId, token) {
+    const payload = verifyPayload(token, DOWNLOAD_AUDIENCE);
+    if (!payload || payload.docId !== docId) return null;
+
+    const doc = await findDocument(docId);
+    if (!doc) return null;
+
+    const filePath = path.join(DOCUMENT_DIR, path.basename(doc.storage_key));
+    if (!fs.existsSync(filePath)) return null;
+    return { doc, filePath };
+}
+
+// ─── STARTUP ──────────────────────────────────────────────────────────
+// Files from the old public/uploads folder (queued by migration 011) are
+// moved into private storage. Rows whose file is gone are rejected so the
+// driver is asked to upload again.
+async function relocateLegacyUploads() {
+    const legacy = await db.query("SELECT id, storage_key, mime_type FROM driver_documents WHERE storage_key LIKE 'legacy/%'");
+
+    for (const doc of legacy.rows) {
+        const source = path.join(LEGACY_UPLOAD_DIR, path.basename(doc.storage_key));
+        if (!fs.existsSync(source)) {
+            await db.query(
+                "UPDATE driver_documents SET storage_key = 'missing', status = 'REJECTED', rejection_reason = 'File missing, please upload again' WHERE id = $1",
+                [doc.id]
+            );
+            continue;
+        }
+
+        const key = crypto.randomBytes(16).toString('hex') + (EXTENSIONS[doc.mime_type] || '');
+        fs.copyFileSync(source, path.join(DOCUMENT_DIR, key));
+        await db.query("UPDATE driver_documents SET storage_key = $2 WHERE id = $1", [doc.id, key]);
+        fs.unlinkSync(source);
+    }
+
+    if (legacy.rows.length > 0) console.log(`📄 Moved ${legacy.rows.length} legacy upload(s) into private storage`);
+}
+
+// Call once after migrations
+async function start() {
+    await relocateLegacyUploads();
+    await expireDocuments();
+    cron.schedule('5 0 * * *', () => {
+        expireDocuments().catch(err => console.error("Document Expiry Error:", err.message));
+    });
+}
+
+module.exports = {
+    DocumentError,
+    upload,
+    handleUpload,
+    discardFiles,
+    validateFile,
+    saveDocument,
+    latestDocuments,
+    missingDocuments,
+    refreshDriver,
+    reviewDocument,
+    expireDocuments,
+    downloadUrl,
+    findDocument,
+    openDownload,
+    start,
+};
@@ -0,0 +1,80 @@
+const db = require('../config/db');
+const routing = require('./routing');
+const { STATES } = require('./rideLifecycle');
+const sessions = require('./sessions');
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 ETAs
+// ACCEPTED: driver -> pickup. ON_TRIP: driver -> drop.
+// The first ETA of each phase is stored as the promise; later ones are
+// pushed to the rider as eta_update and compared against it for drift.
+// ═══════════════════════════════════════════════════════════════════════
+
+// Don't re-route the same ride more often than this
+const ETA_REFRESH_SECONDS = 30;
+
+function toEta(route) {
+    if (!route) return null;
+    return { etaMinutes: Math.max(Math.round(route.durationMin), 1), etaText: route.durationText };
+}
+
+// Called on accept_ride. Returns { route, etaMinutes, etaText } (eta null if
+// no route could be found at all).
+async function initialPickupEta(ride, driverLocation) {
+    const route = await routing.getRoute(driverLocation, { lat: ride.pickup_lat, lng: ride.pickup_lng });
+    const eta = toEta(route);
+
+    if (eta) {
+        await db.query(
+            `UPDATE rides SET pickup_eta_min = $2, current_eta_min = $2, eta_updated_at = NOW(),
+                              pickup_promised_at = NOW() + make_interval(mins => $2)
+             WHERE id = $1`,
+            [ride.id, eta.etaMinutes]
+        );
+    }
+    return { route, ...(eta || { etaMinutes: null, etaText: null }) };
+}
+
+// Called on every driver_location during a ride; throttled per ride.
+async function refreshEta(ride, driverLocation) {
+    let phase, target;
+    if (ride.status === STATES.ACCEPTED) {
+        phase = 'pickup';
+        target = { lat: ride.pickup_lat, lng: ride.pickup_lng };
+    } else if (ride.status === STATES.ON_TRIP && ride.drop_lat != null) {
+        phase = 'drop';
+        target = { lat: ride.drop_lat, lng: ride.drop_lng };
+    } else {
+        return;
+    }
+
+    // Claim this refresh slot so concurrent pings don't all hit the router
+    const claim = await db.query(
+        `UPDATE rides SET eta_updated_at = NOW()
+         WHERE id = $1 AND (eta_updated_at IS NULL OR eta_updated_at < NOW() - make_interval(secs => $2))
+         RETURNING id`,
+        [ride.id, ETA_REFRESH_SECONDS]
+    );
+    if (claim.rows.length === 0) return;
+
+    const eta = toEta(await routing.getRoute(driverLocation, target));
+    if (!eta) return;
+
+    // First ETA of the trip leg becomes the promise
+    await db.query(
+        `UPDATE rides SET current_eta_min = $2,
+                drop_promised_at = CASE WHEN $3 = 'drop' AND drop_promised_at IS NULL
+                                        THEN NOW() + make_interval(mins => $2) ELSE drop_promised_at END
+         WHERE id = $1`,
+        [ride.id, eta.etaMinutes, phase]
+    );
+
+    sessions.emitToUser('rider', ride.rider_id, 'eta_update', {
+        ride_id: ride.id,
+        phase: phase,
+        etaMinutes: eta.etaMinutes,
+        etaText: eta.etaText
+    });
+}
+
+module.exports = { ETA_REFRESH_SECONDS, initialPickupEta, refreshEta };
@@ -0,0 +1,277 @@
+const db = require('../config/db');
+const { signPayload, verifyPayload } = require('./tokenService');
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 FARE ENGINE
+// Prices come from the tariffs table, never from the client. get_estimate
+// hands out a signed quote id and request_ride must bring it back.
+// ═══════════════════════════════════════════════════════════════════════
+
+const QUOTE_AUDIENCE = 'fare-quote';
+const QUOTE_TTL_SECONDS = 5 * 60;
+const SCHEDULED_QUOTE_AUDIENCE = 'scheduled-fare-quote';
+
+// Night hours are judged in local time, not the server's clock
+const TARIFF_TIMEZONE = process.env.TARIFF_TIMEZONE || 'Asia/Kolkata';
+
+// Surge looks at this radius around the pickup
+const SURGE_RADIUS_M = 3000;
+const SURGE_WINDOW_MINUTES = 10;
+// Each extra open request per available driver adds this much
+const SURGE_STEP = 0.25;
+
+const NUMERIC_FIELDS = [
+    'base_fare', 'per_km', 'per_minute', 'minimum_fare', 'night_multiplier',
+    'waiting_per_minute', 'max_surge',
+];
+
+function parseTariff(row) {
+    const tariff = { ...row };
+    NUMERIC_FIELDS.forEach(f => { tariff[f] = parseFloat(row[f]); });
+    return tariff;
+}
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// ─── TARIFF LOOKUP ────────────────────────────────────────────────────
+// The closest city whose radius covers the pickup wins, else 'default'.
+async function getTariffs(lat, lng) {
+    const result = await db.query(
+        `SELECT DISTINCT ON (vehicle_type) *
+         FROM tariffs
+         WHERE is_active = true
+         AND (
+             city = 'default'
+             OR (city_center_lat IS NOT NULL AND ST_DWithin(
+                     ST_SetSRID(ST_MakePoint(city_center_lng, city_center_lat), 4326)::geography,
+                     ST_SetSRID(ST_MakePoint($2, $1), 4326)::geography,
+                     city_radius_km * 1000))
+         )
+         ORDER BY vehicle_type, (city = 'default') ASC,
+                  ST_Distance(ST_SetSRID(ST_MakePoint(COALESCE(city_center_lng, 0), COALESCE(city_center_lat, 0)), 4326)::geography,
+                              ST_SetSRID(ST_MakePoint($2, $1), 4326)::geography) ASC`,
+        [lat, lng]
+    );
+    return result.rows.map(parseTariff);
+}
+
+async function getTariff(vehicleType, lat, lng) {
+    const tariffs = await getTariffs(lat, lng);
+    return tariffs.find(t => t.vehicle_type === vehicleType) || null;
+}
+
+// ─── PRICING ──────────────────────────────────────────────────────────
+function localHour(date) {
+    const hour = new Intl.DateTimeFormat('en-GB', { hour: 'numeric', hourCycle: 'h23', timeZone: TARIFF_TIMEZONE }).format(date);
+    return parseInt(hour, 10);
+}
+
+function isNight(tariff, date) {
+    const hour = localHour(date);
+    if (tariff.night_start_hour === tariff.night_end_hour) return false;
+    if (tariff.night_start_hour < tariff.night_end_hour) {
+        return hour >= tariff.night_start_hour && hour < tariff.night_end_hour;
+    }
+    return hour >= tariff.night_start_hour || hour < tariff.night_end_hour;
+}
+
+// Pure function, also used to re-price the finished trip.
+// Returns the full breakdown; breakdown.total is what the rider pays.
+function computeFare(tariff, { distanceKm, durationMin = 0, waitingMin = 0, surge = 1, at = new Date() }) {
+    const base = tariff.base_fare;
+    const distance = distanceKm * tariff.per_km;
+    const time = durationMin * tariff.per_minute;
+    const billableWaiting = Math.max(waitingMin - tariff.free_waiting_minutes, 0);
+    const waiting = billableWaiting * tariff.waiting_per_minute;
+
+    const nightMultiplier = isNight(tariff, at) ? tariff.night_multiplier : 1;
+    const rideCharge = (base + distance + time) * nightMultiplier * surge;
+
+    const minimumApplied = rideCharge < tariff.minimum_fare;
+    const total = Math.round((minimumApplied ? tariff.minimum_fare : rideCharge) + waiting);
+
+    return {
+        tariffId: tariff.id,
+        base: roundMoney(base),
+        distance: roundMoney(distance),
+        time: roundMoney(time),
+        waiting: roundMoney(waiting),
+        nightMultiplier: nightMultiplier,
+        surge: surge,
+        minimumApplied: minimumApplied,
+        distanceKm: roundMoney(distanceKm),
+        durationMin: roundMoney(durationMin),
+        total: total,
+    };
+}
+
+// ─── PROMO DISCOUNTS ──────────────────────────────────────────────────
+// rule comes from promos.toRule(): { codeId, code, type: 'FLAT' | 'PERCENT',
+// value, maxDiscount, minFare, vehicleTypes }. Whole rupees, never more
+// than the fare itself.
+function computeDiscount(rule, fare) {
+    const raw = rule.type === 'PERCENT' ? fare * rule.value / 100 : rule.value;
+    const capped = rule.maxDiscount != null ? Math.min(raw, rule.maxDiscount) : raw;
+    return Math.max(Math.round(Math.min(capped, fare)), 0);
+}
+
+// Why the rule doesn't apply to this vehicle / fare, or null when it does
+function promoIneligibility(rule, vehicleType, fare) {
+    if (rule.vehicleTypes && !rule.vehicleTypes.includes(vehicleType)) return 'VEHICLE_TYPE';
+    if (fare < rule.minFare) return 'MIN_FARE';
+    return null;
+}
+
+// Adds promo / payable to a breakdown when the rule applies. The promo
+// travels with the ride (rides.fare_breakdown) so the final fare can be
+// discounted the same way.
+function applyPromo(breakdown, rule, vehicleType) {
+    const ineligible = rule ? promoIneligibility(rule, vehicleType, breakdown.total) : null;
+    if (!rule || ineligible) return { breakdown: breakdown, discount: 0, promoIneligible: ineligible };
+
+    const discount = computeDiscount(rule, breakdown.total);
+    return {
+        breakdown: { ...breakdown, promo: { ...rule, discount: discount }, payable: breakdown.total - discount },
+        discount: discount,
+        promoIneligible: null,
+    };
+}
+
+// ─── SURGE ────────────────────────────────────────────────────────────
+// Open REQUESTED rides vs. free drivers near the pickup. 1.0 while supply
+// keeps up, rising by SURGE_STEP per extra request per driver, capped.
+async function computeSurge(tariff, lat, lng) {
+    const result = await db.query(
+        `SELECT
+            (SELECT COUNT(*) FROM rides
+             WHERE status = 'REQUESTED' AND vehicle_type = $3
+             AND created_at > NOW() - make_interval(mins => $5)
+             AND ST_DWithin(ST_SetSRID(ST_MakePoint(pickup_lng, pickup_lat), 4326)::geography,
+                            ST_SetSRID(ST_MakePoint($2, $1), 4326)::geography, $4))::int AS demand,
+            (SELECT COUNT(*) FROM drivers
+             WHERE is_online = true AND is_available = true AND vehicle_type = $3
+             AND ST_DWithin(location, ST_SetSRID(ST_MakePoint($2, $1), 4326)::geography, $4))::int AS supply`,
+        [lat, lng, tariff.vehicle_type, SURGE_RADIUS_M, SURGE_WINDOW_MINUTES]
+    );
+
+    const { demand, supply } = result.rows[0];
+    const ratio = demand / Math.max(supply, 1);
+    if (ratio <= 1) return 1;
+
+    const surge = 1 + (ratio - 1) * SURGE_STEP;
+    return Math.min(Math.round(surge * 10) / 10, tariff.max_surge);
+}
+
+// ─── QUOTES ───────────────────────────────────────────────────────────
+// One signed quote per vehicle type for the same trip. waypoints are the
+// stops before the drop, carried in the quote so request_ride gets them back.
+// promo is a checked promo rule (promos.checkCode) to discount each quote with.
+async function quoteTrip({ riderId, pickupLat, pickupLng, route, waypoints = [], promo = null }) {
+    const tariffs = await getTariffs(pickupLat, pickupLng);
+    const quotes = {};
+
+    for (const tariff of tariffs) {
+        const surge = await computeSurge(tariff, pickupLat, pickupLng);
+        const { breakdown, discount, promoIneligible } = applyPromo(computeFare(tariff, {
+            distanceKm: route.distanceKm,
+            durationMin: route.durationMin,
+            surge: surge
+        }), promo, tariff.vehicle_type);
+
+        const quoteId = signPayload({
+            riderId: riderId,
+            vehicleType: tariff.vehicle_type,
+            fare: breakdown.total,
+            breakdown: breakdown,
+            pickupLat: pickupLat,
+            pickupLng: pickupLng,
+            dropLat: route.endLat,
+            dropLng: route.endLng,
+            waypoints: waypoints,
+        }, QUOTE_AUDIENCE, QUOTE_TTL_SECONDS);
+
+        quotes[tariff.vehicle_type] = {
+            quoteId: quoteId,
+            fare: breakdown.total,
+            discount: discount,
+            payable: breakdown.total - discount,
+            promoIneligible: promoIneligible,
+            surge: surge,
+            breakdown: breakdown,
+            expiresAt: new Date(Date.now() + QUOTE_TTL_SECONDS * 1000).toISOString(),
+        };
+    }
+
+    return quotes;
+}
+
+// Booked-ahead trips are priced for the pickup time (night rates apply by
+// when the ride happens) and without surge, since today's demand says
+// nothing about next week's. The fare is locked into the booking.
+async function quoteScheduledTrip({ riderId, pickupLat, pickupLng, route, pickupAt, ttlSeconds }) {
+    const tariffs = await getTariffs(pickupLat, pickupLng);
+    const quotes = {};
+
+    for (const tariff of tariffs) {
+        const breakdown = computeFare(tariff, {
+            distanceKm: route.distanceKm,
+            durationMin: route.durationMin,
+            at: pickupAt
+        });
+
+        const quoteId = signPayload({
+            riderId: riderId,
+            vehicleType: tariff.vehicle_type,
+            fare: breakdown.total,
+            breakdown: breakdown,
+            pickupAt: pickupAt.toISOString(),
+            pickupLat: pickupLat,
+            pickupLng: pickupLng,
+            dropLat: route.endLat,
+            dropLng: route.endLng,
+        }, SCHEDULED_QUOTE_AUDIENCE, ttlSeconds);
+
+        quotes[tariff.vehicle_type] = {
+            quoteId: quoteId,
+            fare: breakdown.total,
+            breakdown: breakdown,
+            expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+        };
+    }
+
+    return quotes;
+}
+
+function checkQuote(quoteId, audience, { riderId, vehicleType }) {
+    if (!quoteId) return null;
+    const quote = verifyPayload(quoteId, audience);
+    if (!quote || quote.riderId !== riderId || quote.vehicleType !== vehicleType) return null;
+    return quote;
+}
+
+// Returns the quote if it's genuine, unexpired and issued to this rider for
+// this vehicle type, else null.
+function verifyQuote(quoteId, { riderId, vehicleType }) {
+    return checkQuote(quoteId, QUOTE_AUDIENCE, { riderId, vehicleType });
+}
+
+// Same for quotes from quoteScheduledTrip()
+function verifyScheduledQuote(quoteId, { riderId, vehicleType }) {
+    return checkQuote(quoteId, SCHEDULED_QUOTE_AUDIENCE, { riderId, vehicleType });
+}
+
+module.exports = {
+    QUOTE_TTL_SECONDS,
+    getTariff,
+    getTariffs,
+    parseTariff,
+    computeFare,
+    computeSurge,
+    computeDiscount,
+    quoteTrip,
+    quoteScheduledTrip,
+    verifyQuote,
+    verifyScheduledQuote,
+};
@@ -0,0 +1,527 @@
+const cron = require('node-cron');
+const db = require('../config/db');
+const { STATES } = require('./rideLifecycle');
+const sessions = require('./sessions');
+const { paymentEvents } = require('./payments');
+const { MIN_PAYOUT_AMOUNT, EARNINGS_TIMEZONE, commissionRateFor } = require('../config/earnings');
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 EARNINGS LEDGER
+// Double-entry: each ledger_transactions row has entries summing to zero.
+// The 'driver' account is what the platform owes each driver (negative
+// when a cash-heavy driver owes us commission). A settled ride posts:
+//   fare            driver +fare         rider_payments -fare
+//   commission      driver -commission   platform_commission +commission
+//   cash_collected  driver -paid         rider_payments +paid   (cash rides)
+//   promo_discount  rider_payments +discount   platform_promotions -discount
+// where paid = fare - discount: a promo comes out of our pocket, not the
+// driver's.
+// Adjustments and paid-out payouts post against their own accounts.
+// Rides are posted once settled, when we know how the rider really paid.
+// Cancellation and no-show fees a rider owes go to the 'rider' account
+// (negative = owed to us) and to the driver less commission; fees a
+// driver owes go to platform_fees.
+// The 'rider' account is also the rider's wallet:
+//   wallet_topup    rider +amount        rider_payments -amount
+//   wallet_payment  rider -paid          rider_payments +paid   (wallet rides)
+//   refund / credit rider +amount        platform_adjustments -amount
+// ═══════════════════════════════════════════════════════════════════════
+
+// Settled rides this old without a posting are caught up by reconcile()
+const RECONCILE_DAYS = 7;
+const MAX_PAGE_SIZE = 100;
+
+// Anyone can mark a fake-gateway payment paid, so in production one is
+// never credited to a wallet
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+class LedgerError extends Error {
+    constructor(code, msg) {
+        super(msg);
+        this.name = 'LedgerError';
+        this.code = code;
+    }
+}
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function isCash(paymentMethod) {
+    return String(paymentMethod || '').toLowerCase() === 'cash';
+}
+
+// entries: [{ account, driverId, riderId, entryType, amount }]. Returns the
+// transaction id, or null when a unique posting (the ride, a top-up) already exists.
+async function postTransaction(client, { kind, driverId = null, riderId = null, rideId = null, paymentId = null, description = null, createdBy = null }, entries) {
+    const totalCents = entries.reduce((sum, e) => sum + Math.round(e.amount * 100), 0);
+    if (totalCents !== 0) {
+        throw new LedgerError('UNBALANCED', `Ledger transaction does not balance (${totalCents / 100})`);
+    }
+
+    const tx = await client.query(
+        `INSERT INTO ledger_transactions (kind, driver_id, ride_id, description, created_by, rider_id, payment_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT DO NOTHING
+         RETURNING id`,
+        [kind, driverId, rideId, description, createdBy, riderId, paymentId]
+    );
+    if (tx.rows.length === 0) return null;
+
+    const txId = tx.rows[0].id;
+    for (const e of entries) {
+        await client.query(
+            `INSERT INTO ledger_entries (transaction_id, account, driver_id, entry_type, amount, rider_id)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [txId, e.account, e.driverId || null, e.entryType, roundMoney(e.amount), e.riderId || null]
+        );
+    }
+    return txId;
+}
+
+// ─── RIDES ────────────────────────────────────────────────────────────
+// Safe to call more than once for the same ride
+async function recordRideEarnings(ride) {
+    const fare = roundMoney(parseFloat(ride.final_fare != null ? ride.final_fare : ride.fare) || 0);
+    if (!ride.driver_id || fare <= 0) return null;
+
+    const commission = roundMoney(fare * commissionRateFor(ride.vehicle_type));
+    const driverId = ride.driver_id;
+    const discount = Math.min(roundMoney(parseFloat(ride.discount_amount) || 0), fare);
+    const paid = roundMoney(fare - discount);
+
+    const entries = [
+        { account: 'driver', driverId, entryType: 'fare', amount: fare },
+        { account: 'rider_payments', driverId, entryType: 'fare', amount: -fare },
+        { account: 'driver', driverId, entryType: 'commission', amount: -commission },
+        { account: 'platform_commission', driverId, entryType: 'commission', amount: commission },
+    ];
+    if (discount > 0) {
+        // The rider only paid fare - discount; the platform makes up the rest
+        entries.push(
+            { account: 'rider_payments', driverId, entryType: 'promo_discount', amount: discount },
+            { account: 'platform_promotions', driverId, entryType: 'promo_discount', amount: -discount }
+        );
+    }
+    if (isCash(ride.payment_method) && paid > 0) {
+        entries.push(
+            { account: 'driver', driverId, entryType: 'cash_collected', amount: -paid },
+            { account: 'rider_payments', driverId, entryType: 'cash_collected', amount: paid }
+        );
+    }
+
+    return db.transaction(client => postTransaction(client, {
+        kind: 'ride_completed',
+        driverId: driverId,
+        rideId: ride.id,
+        description: `Ride #${ride.id} (${isCash(ride.payment_method) ? 'cash' : 'online'})`
+    }, entries));
+}
+
+// Settled rides that never got posted (crash between commit and posting)
+async function reconcile() {
+    const missing = await db.query(
+        `SELECT r.* FROM rides r
+         WHERE r.status = $1 AND r.payment_status = 'SETTLED' AND r.driver_id IS NOT NULL
+         AND r.ended_at > NOW() - make_interval(days => $2)
+         AND NOT EXISTS (SELECT 1 FROM ledger_transactions t WHERE t.ride_id = r.id AND t.kind = 'ride_completed')`,
+        [STATES.COMPLETED, RECONCILE_DAYS]
+    );
+    for (const ride of missing.rows) {
+        await recordRideEarnings(ride);
+    }
+    if (missing.rows.length > 0) console.log(`📒 Posted earnings for ${missing.rows.length} unposted ride(s)`);
+
+    const topups = await db.query(
+        `SELECT p.* FROM payments p
+         WHERE p.purpose = 'TOPUP' AND p.status = 'PAID' AND p.paid_at > NOW() - make_interval(days => $1)
+         AND NOT EXISTS (SELECT 1 FROM ledger_transactions t WHERE t.payment_id = p.id AND t.kind = 'wallet_topup')
+         AND NOT ($2 AND p.gateway = 'fake')`,
+        [RECONCILE_DAYS, IS_PRODUCTION]
+    );
+    for (const payment of topups.rows) {
+        await recordTopup(payment);
+    }
+    if (topups.rows.length > 0) console.log(`📒 Credited ${topups.rows.length} unposted wallet top-up(s)`);
+}
+
+// ─── CANCELLATION FEES ────────────────────────────────────────────────
+// payer 'rider': the rider owes the fee, the driver gets it less commission.
+// payer 'driver': the driver owes it to the platform.
+// entryType is 'cancellation_fee' or 'no_show_fee'. Runs in the caller's transaction.
+async function recordCancellationFee(client, { rideId, driverId, riderId, vehicleType, payer, entryType, amount, description }) {
+    const fee = roundMoney(amount);
+    let entries;
+    if (payer === 'rider') {
+        const commission = roundMoney(fee * commissionRateFor(vehicleType));
+        entries = [
+            { account: 'rider', driverId, riderId, entryType, amount: -fee },
+            { account: 'driver', driverId, riderId, entryType, amount: fee },
+            { account: 'driver', driverId, riderId, entryType: 'commission', amount: -commission },
+            { account: 'platform_commission', driverId, riderId, entryType: 'commission', amount: commission },
+        ];
+    } else {
+        entries = [
+            { account: 'driver', driverId, entryType, amount: -fee },
+            { account: 'platform_fees', driverId, entryType, amount: fee },
+        ];
+    }
+
+    return postTransaction(client, {
+        kind: 'cancellation', driverId, riderId: payer === 'rider' ? riderId : null, rideId, description
+    }, entries);
+}
+
+// ─── RIDER WALLET ─────────────────────────────────────────────────────
+// What a rider owes (negative) or has in credit
+async function getRiderBalance(riderId, client = db) {
+    const res = await client.query(
+        "SELECT COALESCE(SUM(amount), 0) AS balance FROM ledger_entries WHERE account = 'rider' AND rider_id = $1",
+        [riderId]
+    );
+    return parseFloat(res.rows[0].balance);
+}
+
+// A paid top-up (payments row). Safe to call more than once. Resolves to
+// null when already credited, or when it's a fake-gateway payment in production.
+async function recordTopup(payment) {
+    if (IS_PRODUCTION && payment.gateway === 'fake') {
+        console.log(`⚠️ Not crediting top-up #${payment.id}: fake gateway payment in production`);
+        return null;
+    }
+    const amount = roundMoney(parseFloat(payment.amount));
+    return db.transaction(client => postTransaction(client, {
+        kind: 'wallet_topup', riderId: payment.rider_id, paymentId: payment.id, description: `Wallet top-up #${payment.id}`
+    }, [
+        { account: 'rider', riderId: payment.rider_id, entryType: 'wallet_topup', amount: amount },
+        { account: 'rider_payments', riderId: payment.rider_id, entryType: 'wallet_topup', amount: -amount },
+    ]));
+}
+
+// A ride paid from the wallet. Runs in the caller's transaction, which
+// has checked the balance; the ride's own posting then treats it as online.
+async function recordWalletPayment(client, ride, amount) {
+    const value = roundMoney(amount);
+    return postTransaction(client, {
+        kind: 'wallet_payment', riderId: ride.rider_id, rideId: ride.id, description: `Ride #${ride.id} (wallet)`
+    }, [
+        { account: 'rider', riderId: ride.rider_id, entryType: 'wallet_payment', amount: -value },
+        { account: 'rider_payments', driverId: ride.driver_id, riderId: ride.rider_id, entryType: 'wallet_payment', amount: value },
+    ]);
+}
+
+// entryType 'refund' (money back for a ride) or 'credit' (goodwill).
+// The platform funds it. Runs in the caller's transaction.
+async function creditRider(client, { riderId, amount, entryType, rideId = null, description, adminId = null }) {
+    const value = roundMoney(amount);
+    return postTransaction(client, {
+        kind: 'wallet_credit', riderId, rideId, description, createdBy: adminId
+    }, [
+        { account: 'rider', riderId, entryType, amount: value },
+        { account: 'platform_adjustments', riderId, entryType, amount: -value },
+    ]);
+}
+
+// Newest first, one row per transaction and entry type, each with the
+// balance right after it
+async function getRiderTransactions(riderId, { page = 1, limit = 20 } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_PAGE_SIZE);
+    const pageNo = Math.max(parseInt(page, 10) || 1, 1);
+
+    const [rows, count] = await Promise.all([
+        db.query(
+            `SELECT * FROM (
+                SELECT t.id, t.kind, e.entry_type, t.ride_id, t.payment_id, t.description, t.created_at,
+                       SUM(e.amount) AS amount,
+                       SUM(SUM(e.amount)) OVER (ORDER BY t.created_at, t.id, e.entry_type) AS balance
+                FROM ledger_transactions t
+                JOIN ledger_entries e ON e.transaction_id = t.id AND e.account = 'rider' AND e.rider_id = $1
+                GROUP BY t.id, e.entry_type
+             ) x
+             ORDER BY created_at DESC, id DESC, entry_type DESC
+             LIMIT $2 OFFSET $3`,
+            [riderId, pageSize, (pageNo - 1) * pageSize]
+        ),
+        db.query(
+            `SELECT COUNT(*)::int AS total FROM (
+                SELECT 1 FROM ledger_entries WHERE account = 'rider' AND rider_id = $1 GROUP BY transaction_id, entry_type
+             ) x`,
+            [riderId]
+        )
+    ]);
+
+    return {
+        page: pageNo,
+        limit: pageSize,
+        total: count.rows[0].total,
+        transactions: rows.rows.map(r => ({ ...r, amount: parseFloat(r.amount), balance: parseFloat(r.balance) }))
+    };
+}
+
+// ─── ADJUSTMENTS ──────────────────────────────────────────────────────
+// Positive amounts credit the driver, negative ones debit them
+async function addAdjustment(driverId, amount, reason, adminId) {
+    const value = roundMoney(parseFloat(amount));
+    if (!value) throw new LedgerError('BAD_AMOUNT', "Amount must be a non-zero number");
+    if (!reason) throw new LedgerError('REASON_REQUIRED', "Please give a reason for the adjustment");
+
+    const txId = await db.transaction(client => postTransaction(client, {
+        kind: 'adjustment', driverId, description: reason, createdBy: adminId
+    }, [
+        { account: 'driver', driverId, entryType: 'adjustment', amount: value },
+        { account: 'platform_adjustments', driverId, entryType: 'adjustment', amount: -value },
+    ]));
+
+    await sessions.notifyUser('driver', driverId, 'earnings_adjusted', { amount: value, reason: reason });
+    return txId;
+}
+
+// ─── BALANCES & REPORTS ───────────────────────────────────────────────
+async function getBalance(driverId, client = db) {
+    const res = await client.query(
+        `SELECT
+            COALESCE((SELECT SUM(amount) FROM ledger_entries WHERE account = 'driver' AND driver_id = $1), 0) AS balance,
+            COALESCE((SELECT SUM(amount) FROM driver_payouts WHERE driver_id = $1 AND status IN ('REQUESTED', 'APPROVED')), 0) AS pending_payouts`,
+        [driverId]
+    );
+    const balance = parseFloat(res.rows[0].balance);
+    const pending = parseFloat(res.rows[0].pending_payouts);
+    return { balance, pendingPayouts: pending, available: roundMoney(balance - pending) };
+}
+
+// period is 'day' or 'week'. from / to are dates (inclusive) in EARNINGS_TIMEZONE.
+async function getBreakdown(driverId, { period = 'day', from, to }) {
+    if (period !== 'day' && period !== 'week') throw new LedgerError('BAD_PERIOD', "Period must be day or week");
+
+    const res = await db.query(
+        `SELECT to_char(date_trunc($2, e.created_at AT TIME ZONE $3), 'YYYY-MM-DD') AS period_start,
+                COUNT(DISTINCT t.ride_id) FILTER (WHERE t.kind = 'ride_completed')::int AS rides,
+                COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type = 'fare'), 0) AS fares,
+                COALESCE(-SUM(e.amount) FILTER (WHERE e.entry_type = 'commission'), 0) AS commission,
+                COALESCE(-SUM(e.amount) FILTER (WHERE e.entry_type = 'cash_collected'), 0) AS cash_collected,
+                COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type = 'adjustment'), 0) AS adjustments,
+                COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type IN ('cancellation_fee', 'no_show_fee')), 0) AS cancellation_fees,
+                COALESCE(-SUM(e.amount) FILTER (WHERE e.entry_type = 'payout'), 0) AS payouts,
+                SUM(e.amount) AS net
+         FROM ledger_entries e
+         JOIN ledger_transactions t ON t.id = e.transaction_id
+         WHERE e.account = 'driver' AND e.driver_id = $1
+         AND (e.created_at AT TIME ZONE $3)::date BETWEEN $4::date AND $5::date
+         GROUP BY 1
+         ORDER BY 1 DESC`,
+        [driverId, period, EARNINGS_TIMEZONE, from, to]
+    );
+
+    return res.rows.map(r => {
+        const row = { period_start: r.period_start, rides: r.rides };
+        ['fares', 'commission', 'cash_collected', 'adjustments', 'cancellation_fees', 'payouts', 'net'].forEach(k => { row[k] = parseFloat(r[k]); });
+        // Fares the platform collected and owes on to the driver
+        row.online_due = roundMoney(row.fares - row.cash_collected);
+        return row;
+    });
+}
+
+// Newest first. Each row is one ledger transaction as the driver sees it.
+async function getTransactions(driverId, { page = 1, limit = 20 } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_PAGE_SIZE);
+    const pageNo = Math.max(parseInt(page, 10) || 1, 1);
+
+    const [rows, count] = await Promise.all([
+        db.query(
+            `SELECT t.id, t.kind, t.ride_id, t.description, t.created_at,
+                    SUM(e.amount) AS amount,
+                    json_object_agg(e.entry_type, e.amount) AS entries
+             FROM ledger_transactions t
+             JOIN ledger_entries e ON e.transaction_id = t.id AND e.account = 'driver'
+             WHERE t.driver_id = $1
+             GROUP BY t.id
+             ORDER BY t.created_at DESC, t.id DESC
+             LIMIT $2 OFFSET $3`,
+            [driverId, pageSize, (pageNo - 1) * pageSize]
+        ),
+        db.query("SELECT COUNT(*)::int AS total FROM ledger_transactions WHERE driver_id = $1", [driverId])
+    ]);
+
+    return {
+        page: pageNo,
+        limit: pageSize,
+        total: count.rows[0].total,
+        transactions: rows.rows.map(r => ({ ...r, amount: parseFloat(r.amount) }))
+    };
+}
+
+// Opening balance, every transaction in the range (oldest first) with a
+// running balance, and the closing balance.
+async function getStatement(driverId, { from, to }) {
+    const driver = await db.query("SELECT id, name, phone, vehicle_type FROM drivers WHERE id = $1", [driverId]);
+    if (driver.rows.length === 0) throw new LedgerError('NOT_FOUND', "Driver not found");
+
+    const opening = await db.query(
+        `SELECT COALESCE(SUM(amount), 0) AS balance FROM ledger_entries
+         WHERE account = 'driver' AND driver_id = $1 AND (created_at AT TIME ZONE $2)::date < $3::date`,
+        [driverId, EARNINGS_TIMEZONE, from]
+    );
+
+    const lines = await db.query(
+        `SELECT t.id, t.kind, t.ride_id, t.description,
+                to_char(t.created_at AT TIME ZONE $2, 'YYYY-MM-DD HH24:MI') AS date,
+                COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type = 'fare'), 0) AS fare,
+                COALESCE(-SUM(e.amount) FILTER (WHERE e.entry_type = 'commission'), 0) AS commission,
+                COALESCE(-SUM(e.amount) FILTER (WHERE e.entry_type = 'cash_collected'), 0) AS cash_collected,
+                COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type IN ('adjustment', 'payout', 'cancellation_fee', 'no_show_fee')), 0) AS other,
+                SUM(e.amount) AS amount
+         FROM ledger_transactions t
+         JOIN ledger_entries e ON e.transaction_id = t.id AND e.account = 'driver'
+         WHERE t.driver_id = $1 AND (t.created_at AT TIME ZONE $2)::date BETWEEN $3::date AND $4::date
+         GROUP BY t.id
+         ORDER BY t.created_at ASC, t.id ASC`,
+        [driverId, EARNINGS_TIMEZONE, from, to]
+    );
+
+    let running = parseFloat(opening.rows[0].balance);
+    const openingBalance = running;
+    const rows = lines.rows.map(r => {
+        const amount = parseFloat(r.amount);
+        running = roundMoney(running + amount);
+        return {
+            date: r.date,
+            transaction_id: r.id,
+            kind: r.kind,
+            ride_id: r.ride_id,
+            description: r.description,
+            fare: parseFloat(r.fare),
+            commission: parseFloat(r.commission),
+            cash_collected: parseFloat(r.cash_collected),
+            other: parseFloat(r.other),
+            amount: amount,
+            balance: running
+        };
+    });
+
+    return { driver: driver.rows[0], from, to, timezone: EARNINGS_TIMEZONE, openingBalance, closingBalance: running, rows };
+}
+
+// ─── PAYOUTS ──────────────────────────────────────────────────────────
+// REQUESTED -> APPROVED -> PAID, or REJECTED. Only PAID touches the ledger;
+// until then the amount is held back from what the driver can request.
+async function requestPayout(driverId, amount) {
+    const value = roundMoney(parseFloat(amount));
+    if (!(value >= MIN_PAYOUT_AMOUNT)) {
+        throw new LedgerError('BAD_AMOUNT', `Minimum payout is ₹${MIN_PAYOUT_AMOUNT}`);
+    }
+
+    return db.transaction(async (client) => {
+        // One request at a time per driver
+        await client.query("SELECT id FROM drivers WHERE id = $1 FOR UPDATE", [driverId]);
+        const { available } = await getBalance(driverId, client);
+        if (value > available) {
+            throw new LedgerError('INSUFFICIENT_BALANCE', `You can withdraw up to ₹${Math.max(available, 0)}`);
+        }
+        const res = await client.query(
+            "INSERT INTO driver_payouts (driver_id, amount) VALUES ($1, $2) RETURNING *",
+            [driverId, value]
+        );
+        return res.rows[0];
+    });
+}
+
+async function listPayouts({ driverId = null, status = null, limit = 50 } = {}) {
+    const res = await db.query(
+        `SELECT p.*, d.name AS driver_name, d.phone AS driver_phone
+         FROM driver_payouts p
+         JOIN drivers d ON d.id = p.driver_id
+         WHERE ($1::int IS NULL OR p.driver_id = $1) AND ($2::text IS NULL OR p.status = $2)
+         ORDER BY p.requested_at DESC
+         LIMIT $3`,
+        [driverId, status, Math.min(parseInt(limit, 10) || 50, 200)]
+    );
+    return res.rows;
+}
+
+const PAYOUT_MOVES = {
+    approve: { from: ['REQUESTED'], to: 'APPROVED' },
+    reject: { from: ['REQUESTED', 'APPROVED'], to: 'REJECTED' },
+    pay: { from: ['APPROVED'], to: 'PAID' },
+};
+
+// action is 'approve', 'reject' (needs reason) or 'pay' (needs the bank /
+// UPI reference). Paying posts the payout to the ledger.
+async function reviewPayout(payoutId, adminId, action, { reason, reference } = {}) {
+    const move = PAYOUT_MOVES[action];
+    if (!move) throw new LedgerError('BAD_ACTION', "Action must be approve, reject or pay");
+    if (action === 'reject' && !reason) throw new LedgerError('REASON_REQUIRED', "Please give a reason for the rejection");
+    if (action === 'pay' && !reference) throw new LedgerError('REFERENCE_REQUIRED', "Please enter the transfer reference");
+
+    const payout = await db.transaction(async (client) => {
+        const current = await client.query("SELECT * FROM driver_payouts WHERE id = $1 FOR UPDATE", [payoutId]);
+        if (current.rows.length === 0) throw new LedgerError('NOT_FOUND', "Payout not found");
+        const p = current.rows[0];
+        if (!move.from.includes(p.status)) {
+            throw new LedgerError('INVALID_STATUS', `Payout is ${p.status}, cannot ${action} it`);
+        }
+
+        let txId = null;
+        if (action === 'pay') {
+            const amount = parseFloat(p.amount);
+            txId = await postTransaction(client, {
+                kind: 'payout', driverId: p.driver_id, description: `Payout #${p.id} (${reference})`, createdBy: adminId
+            }, [
+                { account: 'driver', driverId: p.driver_id, entryType: 'payout', amount: -amount },
+                { account: 'payouts', driverId: p.driver_id, entryType: 'payout', amount: amount },
+            ]);
+        }
+
+        const res = await client.query(
+            `UPDATE driver_payouts
+             SET status = $2, reviewed_by = $3, reviewed_at = NOW(),
+                 rejection_reason = COALESCE($4, rejection_reason),
+                 reference = COALESCE($5, reference),
+                 paid_at = CASE WHEN $2 = 'PAID' THEN NOW() ELSE paid_at END,
+                 ledger_transaction_id = COALESCE($6, ledger_transaction_id)
+             WHERE id = $1 RETURNING *`,
+            [payoutId, move.to, adminId, action === 'reject' ? reason : null, action === 'pay' ? reference : null, txId]
+        );
+        return res.rows[0];
+    });
+
+    await sessions.notifyUser('driver', payout.driver_id, 'payout_updated', {
+        payout_id: payout.id,
+        status: payout.status,
+        amount: parseFloat(payout.amount),
+        reason: payout.rejection_reason
+    });
+    return payout;
+}
+
+// Call once after migrations
+async function start() {
+    paymentEvents.on('settled', ({ ride }) => {
+        recordRideEarnings(ride).catch(err => console.error("Ledger Posting Error:", err.message));
+    });
+
+    await reconcile();
+    cron.schedule('15 * * * *', () => {
+        reconcile().catch(err => console.error("Ledger Reconcile Error:", err.message));
+    });
+}
+
+module.exports = {
+    LedgerError,
+    recordRideEarnings,
+    recordCancellationFee,
+    getRiderBalance,
+    recordTopup,
+    recordWalletPayment,
+    creditRider,
+    getRiderTransactions,
+    reconcile,
+    addAdjustment,
+    getBalance,
+    getBreakdown,
+    getTransactions,
+    getStatement,
+    requestPayout,
+    listPayouts,
+    reviewPayout,
+    start,
+};
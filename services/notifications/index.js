@@ -0,0 +1,384 @@
+const cron = require('node-cron');
+const db = require('../../config/db');
+const notifier = require('../notifier');
+const { getTemplate, render } = require('./templates');
+const { escapeHtml } = require('../../utils/html');
+const {
+    CHANNELS,
+    RECIPIENT_COLUMNS,
+    DEFAULT_PREFERENCES,
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    MAX_ATTEMPTS,
+    BACKOFF_BASE_SECONDS,
+    BACKOFF_MAX_SECONDS,
+    WORKER_BATCH_SIZE,
+    STUCK_SENDING_MINUTES,
+    LOG_RETENTION_DAYS,
+} = require('../../config/notifications');
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 NOTIFICATIONS
+// notify('rider', 12, 'trip_started', params) renders a template in the
+// user's language and queues one job per channel the template and the
+// user's preferences allow (notification_jobs). A worker sends due jobs
+// through the notifier transports, retries failures with exponential
+// backoff and writes every attempt to notification_attempts. Push tokens
+// FCM reports as dead are cleared from the user so we stop using them.
+//
+// Socket events (sessions.notifyUser) are separate: they're in-app and
+// always sent. Calls here never throw; a broken notification must not
+// break the ride flow that triggered it.
+// ═══════════════════════════════════════════════════════════════════════
+
+const USER_TABLES = { rider: 'riders', driver: 'drivers' };
+
+class NotificationError extends Error {
+    constructor(code, msg) {
+        super(msg);
+        this.name = 'NotificationError';
+        this.code = code;
+    }
+}
+
+let workerRunning = false;
+
+function backoffSeconds(attempt) {
+    return Math.min(BACKOFF_BASE_SECONDS * 2 ** (attempt - 1), BACKOFF_MAX_SECONDS);
+}
+
+// ─── PREFERENCES ──────────────────────────────────────────────────────
+function withDefaults(row) {
+    return {
+        push: row && row.push != null ? row.push : DEFAULT_PREFERENCES.push,
+        email: row && row.email != null ? row.email : DEFAULT_PREFERENCES.email,
+        sms: row && row.sms != null ? row.sms : DEFAULT_PREFERENCES.sms,
+        marketing: row && row.marketing != null ? row.marketing : DEFAULT_PREFERENCES.marketing,
+        locale: (row && row.locale) || DEFAULT_LOCALE,
+    };
+}
+
+async function getPreferences(role, userId) {
+    const res = await db.query(
+        "SELECT push, email, sms, marketing, locale FROM notification_preferences WHERE user_role = $1 AND user_id = $2",
+        [role, userId]
+    );
+    return {
+        ...withDefaults(res.rows[0]),
+        channels: CHANNELS.filter(ch => RECIPIENT_COLUMNS[role][ch]),
+        locales: SUPPORTED_LOCALES,
+    };
+}
+
+// body: any of { push, email, sms, marketing } as booleans, locale
+async function updatePreferences(role, userId, body = {}) {
+    const current = withDefaults(
+        (await db.query("SELECT * FROM notification_preferences WHERE user_role = $1 AND user_id = $2", [role, userId])).rows[0]
+    );
+
+    const next = { ...current };
+    for (const key of ['push', 'email', 'sms', 'marketing']) {
+        if (body[key] === undefined) continue;
+        if (typeof body[key] !== 'boolean') throw new NotificationError('INVALID_PREFERENCE', `${key} must be true or false`);
+        next[key] = body[key];
+    }
+    if (body.locale !== undefined) {
+        if (!SUPPORTED_LOCALES.includes(body.locale)) {
+            throw new NotificationError('INVALID_LOCALE', `Language must be one of ${SUPPORTED_LOCALES.join(', ')}`);
+        }
+        next.locale = body.locale;
+    }
+
+    await db.query(
+        `INSERT INTO notification_preferences (user_role, user_id, push, email, sms, marketing, locale)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (user_role, user_id) DO UPDATE
+         SET push = $3, email = $4, sms = $5, marketing = $6, locale = $7, updated_at = NOW()`,
+        [role, userId, next.push, next.email, next.sms, next.marketing, next.locale]
+    );
+    return getPreferences(role, userId);
+}
+
+// ─── PUSH TOKENS ──────────────────────────────────────────────────────
+// A token belongs to one install; if someone else signed in on that phone
+// before, it comes off their account.
+async function registerPushToken(role, userId, token) {
+    const table = USER_TABLES[role];
+    if (!table) throw new NotificationError('INVALID_ROLE', "Only riders and drivers get push notifications");
+    if (!token || typeof token !== 'string' || token.length > 4096) {
+        throw new NotificationError('INVALID_TOKEN', "Invalid push token");
+    }
+
+    await db.transaction(async (client) => {
+        await client.query(`UPDATE ${table} SET fcm_token = NULL WHERE fcm_token = $1 AND id <> $2`, [token, userId]);
+        await client.query(`UPDATE ${table} SET fcm_token = $1 WHERE id = $2`, [token, userId]);
+    });
+}
+
+async function clearPushToken(role, userId, token = null) {
+    const table = USER_TABLES[role];
+    if (!table) return;
+    await db.query(
+        `UPDATE ${table} SET fcm_token = NULL WHERE id = $1 AND ($2::text IS NULL OR fcm_token = $2)`,
+        [userId, token]
+    );
+}
+
+// ─── QUEUEING ─────────────────────────────────────────────────────────
+function allowedChannels(role, template, prefs, recipients, only) {
+    return (only || template.channels).filter(channel =>
+        template.channels.includes(channel)
+        && RECIPIENT_COLUMNS[role][channel]
+        && recipients[channel]
+        && prefs[channel]
+        && (template.category !== 'marketing' || prefs.marketing)
+    );
+}
+
+// Queues templateName for one user. options.channels narrows the
+// template's channels; options.rideId is kept on the jobs for the log.
+// Resolves to the queued job ids.
+async function notify(role, userId, templateName, params = {}, { rideId = null, channels = null } = {}) {
+    try {
+        const table = USER_TABLES[role];
+        if (!table || userId == null) return [];
+        const template = getTemplate(templateName);
+
+        const columns = RECIPIENT_COLUMNS[role];
+        const select = Object.keys(columns).map(ch => `u.${columns[ch]} AS ${ch}_to`).join(', ');
+        const res = await db.query(
+            `SELECT ${select}, p.push, p.email, p.sms, p.marketing, p.locale
+             FROM ${table} u
+             LEFT JOIN notification_preferences p ON p.user_role = $1 AND p.user_id = u.id
+             WHERE u.id = $2`,
+            [role, userId]
+        );
+        if (res.rows.length === 0) return [];
+
+        const row = res.rows[0];
+        const prefs = withDefaults(row);
+        const recipients = {};
+        Object.keys(columns).forEach(ch => { recipients[ch] = row[`${ch}_to`]; });
+
+        const targets = allowedChannels(role, template, prefs, recipients, channels);
+        if (targets.length === 0) return [];
+
+        const content = render(templateName, prefs.locale, params);
+        const ids = [];
+        for (const channel of targets) {
+            const job = await db.query(
+                `INSERT INTO notification_jobs (user_role, user_id, template, channel, locale, content, ride_id, expires_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, CASE WHEN $8::int IS NULL THEN NULL ELSE NOW() + make_interval(secs => $8::int) END)
+                 RETURNING id`,
+                [role, userId, templateName, channel, prefs.locale, JSON.stringify(content), rideId, template.ttlSeconds || null]
+            );
+            ids.push(job.rows[0].id);
+        }
+
+        setImmediate(runWorker);
+        return ids;
+    } catch (err) {
+        console.error(`Notify Error (${templateName}):`, err.message);
+        return [];
+    }
+}
+
+// ─── SENDING ──────────────────────────────────────────────────────────
+function buildMessage(channel, content, to) {
+    if (channel === 'push') return { to, title: content.title, body: content.body };
+    if (channel === 'email') {
+        return {
+            to,
+            subject: content.title,
+            text: content.body,
+            html: `<div style="font-family: Arial, sans-serif;"><h3>${escapeHtml(content.title)}</h3><p>${escapeHtml(content.body)}</p></div>`
+        };
+    }
+    return { to, text: `Savaari: ${content.body}` };
+}
+
+async function logAttempt(job, transport, recipient, outcome, err, startedAt) {
+    await db.query(
+        `INSERT INTO notification_attempts (job_id, attempt, channel, transport, recipient, outcome, error_code, error, duration_ms)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [job.id, job.attempts, job.channel, transport, recipient ? String(recipient).slice(0, 255) : null, outcome,
+         err && err.code ? String(err.code).slice(0, 100) : null, err ? err.message : null, Date.now() - startedAt]
+    );
+}
+
+async function deliver(job) {
+    const startedAt = Date.now();
+    const transport = notifier.getTransport(job.channel);
+    const column = RECIPIENT_COLUMNS[job.user_role] && RECIPIENT_COLUMNS[job.user_role][job.channel];
+
+    const res = await db.query(`SELECT ${column} AS recipient FROM ${USER_TABLES[job.user_role]} WHERE id = $1`, [job.user_id]);
+    const recipient = res.rows.length > 0 ? res.rows[0].recipient : null;
+
+    if (!recipient) {
+        const err = { code: 'NO_RECIPIENT', message: `No ${job.channel} address on file` };
+        await logAttempt(job, transport.name, null, 'FAILED', err, startedAt);
+        await db.query(
+            "UPDATE notification_jobs SET status = 'FAILED', last_error = $1, updated_at = NOW() WHERE id = $2",
+            [err.message, job.id]
+        );
+        return;
+    }
+
+    try {
+        await transport.send(buildMessage(job.channel, job.content, recipient));
+        await logAttempt(job, transport.name, recipient, 'SENT', null, startedAt);
+        await db.query(
+            "UPDATE notification_jobs SET status = 'SENT', sent_at = NOW(), last_error = NULL, updated_at = NOW() WHERE id = $1",
+            [job.id]
+        );
+    } catch (err) {
+        const giveUp = err.permanent || job.attempts >= MAX_ATTEMPTS;
+        await logAttempt(job, transport.name, recipient, giveUp ? 'FAILED' : 'RETRY', err, startedAt);
+
+        if (err.invalidRecipient && job.channel === 'push') {
+            // Only if it's still the same token; the app may have sent a new one
+            await clearPushToken(job.user_role, job.user_id, recipient);
+            console.log(`🧹 Dropped dead push token for ${job.user_role} ${job.user_id}`);
+        }
+
+        await db.query(
+            `UPDATE notification_jobs
+             SET status = $1, last_error = $2, next_attempt_at = NOW() + make_interval(secs => $3), updated_at = NOW()
+             WHERE id = $4`,
+            [giveUp ? 'FAILED' : 'PENDING', err.message, giveUp ? 0 : backoffSeconds(job.attempts), job.id]
+        );
+    }
+}
+
+async function claimDueJobs() {
+    await db.query(
+        "UPDATE notification_jobs SET status = 'EXPIRED', updated_at = NOW() WHERE status = 'PENDING' AND expires_at <= NOW()"
+    );
+    const res = await db.query(
+        `UPDATE notification_jobs
+         SET status = 'SENDING', attempts = attempts + 1, updated_at = NOW()
+         WHERE id IN (
+             SELECT id FROM notification_jobs
+             WHERE status = 'PENDING' AND next_attempt_at <= NOW()
+             ORDER BY next_attempt_at
+             LIMIT $1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [WORKER_BATCH_SIZE]
+    );
+    return res.rows;
+}
+
+// One pass at a time; notify() kicks it, the cron catches retries
+async function runWorker() {
+    if (workerRunning) return;
+    workerRunning = true;
+    try {
+        let jobs;
+        do {
+            jobs = await claimDueJobs();
+            for (const job of jobs) {
+                await deliver(job).catch(err => console.error(`Notification ${job.id} Error:`, err.message));
+            }
+        } while (jobs.length === WORKER_BATCH_SIZE);
+    } catch (err) {
+        console.error("Notification Worker Error:", err.message);
+    } finally {
+        workerRunning = false;
+    }
+}
+
+async function pruneLog() {
+    const res = await db.query(
+        `DELETE FROM notification_jobs
+         WHERE status IN ('SENT', 'FAILED', 'EXPIRED') AND updated_at < NOW() - make_interval(days => $1)`,
+        [LOG_RETENTION_DAYS]
+    );
+    if (res.rowCount > 0) console.log(`🧹 Pruned ${res.rowCount} old notification(s)`);
+}
+
+// ─── ADMIN ────────────────────────────────────────────────────────────
+async function listJobs({ status, role, userId, template, limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+    const add = (sql, value) => { params.push(value); where.push(sql.replace('?', `$${params.length}`)); };
+    if (status) add('j.status = ?', status);
+    if (role) add('j.user_role = ?', role);
+    if (userId) add('j.user_id = ?', parseInt(userId, 10));
+    if (template) add('j.template = ?', template);
+    params.push(Math.min(parseInt(limit, 10) || 100, 500));
+
+    const res = await db.query(
+        `SELECT j.* FROM notification_jobs j
+         ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+         ORDER BY j.created_at DESC
+         LIMIT $${params.length}`,
+        params
+    );
+    return res.rows;
+}
+
+async function getJob(jobId) {
+    const job = await db.query("SELECT * FROM notification_jobs WHERE id = $1", [jobId]);
+    if (job.rows.length === 0) throw new NotificationError('NOT_FOUND', "Notification not found");
+    const attempts = await db.query("SELECT * FROM notification_attempts WHERE job_id = $1 ORDER BY id", [jobId]);
+    return { ...job.rows[0], attemptLog: attempts.rows };
+}
+
+// A FAILED job gets a fresh set of attempts
+async function retryJob(jobId) {
+    const res = await db.query(
+        `UPDATE notification_jobs SET status = 'PENDING', attempts = 0, next_attempt_at = NOW(), expires_at = NULL, updated_at = NOW()
+         WHERE id = $1 AND status = 'FAILED' RETURNING id`,
+        [jobId]
+    );
+    if (res.rows.length === 0) throw new NotificationError('NOT_RETRYABLE', "Only failed notifications can be retried");
+    setImmediate(runWorker);
+    return getJob(jobId);
+}
+
+// Per template and channel over the last `hours`
+async function deliveryStats(hours = 24) {
+    const res = await db.query(
+        `SELECT template, channel,
+                COUNT(*)::int AS total,
+                COUNT(*) FILTER (WHERE status = 'SENT')::int AS sent,
+                COUNT(*) FILTER (WHERE status = 'FAILED')::int AS failed,
+                COUNT(*) FILTER (WHERE status = 'EXPIRED')::int AS expired,
+                COUNT(*) FILTER (WHERE status IN ('PENDING', 'SENDING'))::int AS queued
+         FROM notification_jobs
+         WHERE created_at > NOW() - make_interval(hours => $1)
+         GROUP BY template, channel
+         ORDER BY template, channel`,
+        [Math.min(parseInt(hours, 10) || 24, 24 * LOG_RETENTION_DAYS)]
+    );
+    return res.rows;
+}
+
+async function start() {
+    const stuck = await db.query(
+        `UPDATE notification_jobs SET status = 'PENDING', updated_at = NOW()
+         WHERE status = 'SENDING' AND updated_at < NOW() - make_interval(mins => $1) RETURNING id`,
+        [STUCK_SENDING_MINUTES]
+    );
+    if (stuck.rows.length > 0) console.log(`♻️ Re-queued ${stuck.rows.length} notification(s)`);
+
+    cron.schedule('*/5 * * * * *', runWorker);
+    cron.schedule('30 3 * * *', () => pruneLog().catch(err => console.error("Notification Prune Error:", err.message)));
+}
+
+module.exports = {
+    NotificationError,
+    getPreferences,
+    updatePreferences,
+    registerPushToken,
+    clearPushToken,
+    notify,
+    runWorker,
+    listJobs,
+    getJob,
+    retryJob,
+    deliveryStats,
+    start,
+};
@@ -0,0 +1,102 @@
+const { DEFAULT_LOCALE } = require('../../config/notifications');
+
+// 🟢 NOTIFICATION TEMPLATES
+// Each template names the channels it may go out on (the user's settings
+// can still turn a channel off), its category ('ride', 'account' or
+// 'marketing'; marketing also needs the user's marketing opt-in) and its
+// text per locale. {{name}} placeholders are filled from the params given
+// to notify(). A locale without its own text falls back to English.
+// ttlSeconds drops the message if it can't be delivered in time.
+const TEMPLATES = {
+    // ─── RIDES ───
+    ride_offer: {
+        category: 'ride',
+        channels: ['push'],
+        ttlSeconds: 30,
+        en: { title: "New Ride Request! 🚖", body: "Pickup is {{distanceKm}} km away" },
+        hi: { title: "नई राइड रिक्वेस्ट! 🚖", body: "पिकअप {{distanceKm}} किमी दूर है" },
+    },
+    trip_started: {
+        category: 'ride',
+        channels: ['push'],
+        ttlSeconds: 10 * 60,
+        en: { title: "Your trip has started 🛺", body: "Sit back and enjoy the ride!" },
+        hi: { title: "आपकी यात्रा शुरू हो गई है 🛺", body: "आराम से बैठिए और सफ़र का आनंद लीजिए!" },
+    },
+
+    // ─── SCHEDULED RIDES ───
+    scheduled_reminder: {
+        category: 'ride',
+        channels: ['push', 'email'],
+        en: { title: "Upcoming ride ⏰", body: "Your {{vehicleType}} is booked for {{when}}." },
+        hi: { title: "आने वाली राइड ⏰", body: "आपका {{vehicleType}} {{when}} के लिए बुक है।" },
+    },
+    scheduled_dispatching: {
+        category: 'ride',
+        channels: ['push'],
+        ttlSeconds: 30 * 60,
+        en: { title: "Finding your driver 🛺", body: "We're matching a driver for your {{when}} pickup." },
+        hi: { title: "ड्राइवर ढूँढ रहे हैं 🛺", body: "आपके {{when}} पिकअप के लिए ड्राइवर ढूँढा जा रहा है।" },
+    },
+    scheduled_no_driver: {
+        category: 'ride',
+        channels: ['push', 'email', 'sms'],
+        en: { title: "No driver found 😔", body: "We couldn't find a driver for your scheduled ride. Please book a ride now." },
+        hi: { title: "कोई ड्राइवर नहीं मिला 😔", body: "आपकी शेड्यूल्ड राइड के लिए ड्राइवर नहीं मिला। कृपया अभी राइड बुक करें।" },
+    },
+
+    // ─── DRIVER DOCUMENTS ───
+    document_approved: {
+        category: 'account',
+        channels: ['push', 'sms'],
+        en: { title: "Document approved ✅", body: "Your {{document}} has been approved." },
+        hi: { title: "दस्तावेज़ स्वीकृत ✅", body: "आपका {{document}} स्वीकृत हो गया है।" },
+    },
+    document_rejected: {
+        category: 'account',
+        channels: ['push', 'sms'],
+        en: { title: "Document rejected ❌", body: "Your {{document}} was rejected: {{reason}}" },
+        hi: { title: "दस्तावेज़ अस्वीकृत ❌", body: "आपका {{document}} अस्वीकृत हुआ: {{reason}}" },
+    },
+    documents_expired: {
+        category: 'account',
+        channels: ['push', 'sms'],
+        en: { title: "Documents expired ⚠️", body: "Your {{documents}} expired. Upload a new one to keep receiving rides." },
+        hi: { title: "दस्तावेज़ की अवधि समाप्त ⚠️", body: "आपके {{documents}} की अवधि समाप्त हो गई है। राइड पाते रहने के लिए नया अपलोड करें।" },
+    },
+
+    // ─── REFERRALS ───
+    referral_reward: {
+        category: 'account',
+        channels: ['push', 'email'],
+        en: { title: "You earned Rs. {{amount}} off 🎁", body: "Use code {{code}} on a ride in the next {{days}} days. Thanks for riding with friends!" },
+        hi: { title: "आपको Rs. {{amount}} की छूट मिली 🎁", body: "अगले {{days}} दिनों में किसी राइड पर कोड {{code}} इस्तेमाल करें। दोस्तों के साथ जुड़ने के लिए धन्यवाद!" },
+    },
+
+    // ─── WALLET ───
+    wallet_credited: {
+        category: 'account',
+        channels: ['push', 'email'],
+        en: { title: "Rs. {{amount}} added to your wallet 👛", body: "{{reason}}" },
+        hi: { title: "आपके वॉलेट में Rs. {{amount}} जोड़े गए 👛", body: "{{reason}}" },
+    },
+};
+
+function getTemplate(name) {
+    const template = TEMPLATES[name];
+    if (!template) throw new Error(`Unknown notification template: ${name}`);
+    return template;
+}
+
+function fill(text, params) {
+    return String(text).replace(/\{\{(\w+)\}\}/g, (match, key) => (params[key] != null ? String(params[key]) : ''));
+}
+
+// { title, body } in the given locale
+function render(name, locale, params = {}) {
+    const template = getTemplate(name);
+    const copy = template[locale] || template[DEFAULT_LOCALE];
+    return { title: fill(copy.title, params), body: fill(copy.body, params) };
+}
+
+module.exports = { TEMPLATES, getTemplate, render };
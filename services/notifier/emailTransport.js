@@ -0,0 +1,41 @@
+const nodemailer = require('nodemailer');
+
+// ─── 🟢 EMAIL TRANSPORTER ─────────────────────────────────────────────
+// Configure your email service here. Using Gmail as example.
+// You MUST set EMAIL_USER and EMAIL_PASS in your .env file.
+let transporter = null;
+try {
+    transporter = nodemailer.createTransport({
+        service: 'gmail',
+        auth: {
+            user: process.env.EMAIL_USER || '',
+            pass: process.env.EMAIL_PASS || '', // Use App Password for Gmail
+        },
+    });
+    console.log("📧 Email Transporter Ready");
+} catch (e) {
+    console.log("⚠️ Email Transporter not configured:", e.message);
+}
+
+function isConfigured() {
+    return transporter !== null;
+}
+
+// Resolves once handed to the mail server, throws otherwise (5xx replies
+// are marked permanent). Without a transporter (dev mode) the message is
+// logged instead.
+async function send({ to, subject, html, text }) {
+    if (!transporter) {
+        console.log(`📧 [DEV MODE] Email to ${to}: ${subject}${text ? `\n${text}` : ''}`);
+        return;
+    }
+
+    try {
+        await transporter.sendMail({ from: `"Savaari" <${process.env.EMAIL_USER}>`, to, subject, html, text });
+    } catch (err) {
+        err.permanent = err.responseCode >= 500 && err.responseCode < 600;
+        throw err;
+    }
+}
+
+module.exports = { name: 'email', isConfigured, send };
@@ -0,0 +1,29 @@
+// 🟢 FAKE TRANSPORT (tests and local development)
+// Keeps every message in memory instead of sending it. failNext() makes the
+// next sends throw, e.g. failNext(1, { code: 'messaging/registration-token-not-registered',
+// permanent: true, invalidRecipient: true }) to play a dead FCM token.
+function createFakeTransport(name = 'fake') {
+    const transport = {
+        name: name,
+        sent: [],
+        failures: [],
+        isConfigured: () => true,
+        async send(message) {
+            if (transport.failures.length > 0) {
+                const failure = transport.failures.shift();
+                throw Object.assign(new Error(failure.message || `${name} send failed`), failure);
+            }
+            transport.sent.push({ ...message, at: new Date() });
+        },
+        failNext(count = 1, failure = {}) {
+            for (let i = 0; i < count; i++) transport.failures.push(failure);
+        },
+        reset() {
+            transport.sent.length = 0;
+            transport.failures.length = 0;
+        },
+    };
+    return transport;
+}
+
+module.exports = { createFakeTransport };
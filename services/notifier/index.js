@@ -0,0 +1,106 @@
+const emailTransport = require('./emailTransport');
+const pushTransport = require('./pushTransport');
+const logSms = require('./logSms');
+const { createFakeTransport } = require('./fakeTransport');
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 NOTIFIER
+// The transports behind every push, email and SMS we send. Each one is
+// { name, isConfigured(), send(message) } and throws when a send fails,
+// with .permanent when a retry can't help and .invalidRecipient when the
+// address itself is dead (e.g. an FCM token from an uninstalled app).
+// Transports that can batch (FCM) also have sendMulticast(message).
+//
+// services/notifications queues messages for riders and drivers on top of
+// this; sendEmail / sendSms below are for people outside the app
+// (verification codes, emergency contacts) and just report true / false.
+//
+// SMS_PROVIDER picks the SMS provider; only 'log' exists so far, so SMS
+// is console-only in development and unavailable in production until a
+// gateway is added to SMS_PROVIDERS.
+// NOTIFICATION_TRANSPORTS=fake swaps every channel for an in-memory fake.
+// ═══════════════════════════════════════════════════════════════════════
+
+const SMS_PROVIDERS = { log: logSms };
+
+function pickSmsProvider() {
+    const configured = process.env.SMS_PROVIDER;
+    if (configured && SMS_PROVIDERS[configured]) return SMS_PROVIDERS[configured];
+    if (configured) console.log(`⚠️ Unknown SMS_PROVIDER "${configured}". Falling back to logging.`);
+    return logSms;
+}
+
+const transports = process.env.NOTIFICATION_TRANSPORTS === 'fake'
+    ? { push: createFakeTransport('fake-push'), email: createFakeTransport('fake-email'), sms: createFakeTransport('fake-sms') }
+    : { push: pushTransport, email: emailTransport, sms: pickSmsProvider() };
+
+// Tests / scripts can swap any side: setTransport('push', createFakeTransport())
+function setTransport(channel, transport) {
+    if (!transports[channel]) throw new Error(`Unknown notifier channel: ${channel}`);
+    transports[channel] = transport;
+}
+
+function getTransport(channel) {
+    if (!transports[channel]) throw new Error(`Unknown notifier channel: ${channel}`);
+    return transports[channel];
+}
+
+function isConfigured(channel) {
+    return getTransport(channel).isConfigured();
+}
+
+// Throws as the transport does
+async function send(channel, message) {
+    return getTransport(channel).send(message);
+}
+
+// One message to many recipients: { tokens, title, body, data }.
+// Resolves to one { ok, error } per recipient; transports without a batch
+// API send one by one.
+async function sendMulticast(channel, { tokens, ...message }) {
+    const transport = getTransport(channel);
+    if (typeof transport.sendMulticast === 'function') return transport.sendMulticast({ tokens, ...message });
+
+    const results = [];
+    for (const to of tokens) {
+        try {
+            await transport.send({ to, ...message });
+            results.push({ ok: true });
+        } catch (err) {
+            results.push({ ok: false, error: err });
+        }
+    }
+    return results;
+}
+
+async function sendEmail(to, { subject, html, text }) {
+    try {
+        await send('email', { to, subject, html, text });
+        return true;
+    } catch (err) {
+        console.error("❌ Email Send Error:", err.message);
+        return false;
+    }
+}
+
+async function sendSms(to, text) {
+    try {
+        await send('sms', { to, text });
+        return true;
+    } catch (err) {
+        console.error("❌ SMS Send Error:", err.message);
+        return false;
+    }
+}
+
+// A person with a phone and/or email: { phone, email }. Resolves to
+// { sms, email } saying which channels took the message (null = not tried).
+async function notifyContact(contact, { subject, text, html }) {
+    const [sms, email] = await Promise.all([
+        contact.phone ? sendSms(contact.phone, text) : null,
+        contact.email ? sendEmail(contact.email, { subject, text, html }) : null,
+    ]);
+    return { sms, email };
+}
+
+module.exports = { setTransport, getTransport, isConfigured, send, sendMulticast, sendEmail, sendSms, notifyContact, createFakeTransport };
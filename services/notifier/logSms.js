@@ -0,0 +1,23 @@
+// 🟢 LOG SMS PROVIDER (local development)
+// Writes messages to the console. Outside development it counts as not
+// configured and refuses every send, so codes never land in production
+// logs and callers don't report an SMS nobody received. A real provider
+// exposes the same { name, isConfigured(), send({ to, text }) }, throws
+// when a send fails (with .permanent when retrying can't help) and is
+// listed in notifier/index.js.
+const IS_DEVELOPMENT = process.env.NODE_ENV !== 'production';
+
+function isConfigured() {
+    return IS_DEVELOPMENT;
+}
+
+async function send({ to, text }) {
+    if (!IS_DEVELOPMENT) {
+        const err = new Error("No SMS provider configured");
+        err.permanent = true;
+        throw err;
+    }
+    console.log(`📱 [DEV MODE] SMS to ${to}: ${text}`);
+}
+
+module.exports = { name: 'log', isConfigured, send };
@@ -0,0 +1,64 @@
+const admin = require('firebase-admin');
+
+// 🟢 FCM PUSH
+// firebase-admin is initialised once in index.js; this just uses the default
+// app. Errors are thrown with .permanent / .invalidRecipient set so the
+// notification queue knows whether to retry and when to drop the token.
+const DEAD_TOKEN_CODES = [
+    'messaging/registration-token-not-registered',
+    'messaging/invalid-registration-token',
+];
+const PERMANENT_CODES = [
+    ...DEAD_TOKEN_CODES,
+    'messaging/invalid-argument',
+    'messaging/invalid-recipient',
+    'messaging/mismatched-credential',
+];
+
+function isConfigured() {
+    return admin.apps.length > 0;
+}
+
+function classify(err) {
+    err.permanent = PERMANENT_CODES.includes(err.code);
+    err.invalidRecipient = DEAD_TOKEN_CODES.includes(err.code);
+    return err;
+}
+
+function payload(title, body, data) {
+    return {
+        notification: { title: title, body: body },
+        data: { click_action: "FLUTTER_NOTIFICATION_CLICK", sound: "default", ...(data || {}) }
+    };
+}
+
+async function send({ to, title, body, data }) {
+    if (!isConfigured()) {
+        console.log(`🔔 [DEV MODE] Push to ${String(to).slice(0, 12)}…: ${title} - ${body}`);
+        return;
+    }
+
+    try {
+        await admin.messaging().send({ token: to, ...payload(title, body, data) });
+    } catch (err) {
+        throw classify(err);
+    }
+}
+
+// Same message to up to 500 tokens in one request. Resolves to one
+// { ok, error } per token, in order; throws only if the whole call fails.
+async function sendMulticast({ tokens, title, body, data }) {
+    if (!isConfigured()) {
+        console.log(`🔔 [DEV MODE] Push to ${tokens.length} device(s): ${title} - ${body}`);
+        return tokens.map(() => ({ ok: true }));
+    }
+
+    try {
+        const res = await admin.messaging().sendEachForMulticast({ tokens: tokens, ...payload(title, body, data) });
+        return res.responses.map(r => (r.success ? { ok: true } : { ok: false, error: classify(r.error) }));
+    } catch (err) {
+        throw classify(err);
+    }
+}
+
+module.exports = { name: 'fcm', isConfigured, send, sendMulticast };
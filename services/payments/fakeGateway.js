@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const { buildUpiLink } = require('./upi');
+
+// 🟢 FAKE GATEWAY (local development and testing)
+// Intents live in memory. POST /api/payments/fake/:ref/paid (or /failed)
+// plays the part of the rider's UPI app: it sends a signed webhook through
+// the same path a real gateway would. Never used in production (see
+// services/payments). Without PAYMENT_WEBHOOK_SECRET each process signs
+// with its own random secret, which simulate() shares.
+const WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+const intents = new Map(); // gatewayRef -> 'PENDING' | 'PAID' | 'FAILED'
+
+function sign(rawBody) {
+    return crypto.createHmac('sha256', WEBHOOK_SECRET).update(rawBody).digest('hex');
+}
+
+async function createIntent({ paymentId, amount, description }) {
+    const gatewayRef = `fake_${paymentId}_${crypto.randomBytes(4).toString('hex')}`;
+    intents.set(gatewayRef, 'PENDING');
+    return {
+        gatewayRef: gatewayRef,
+        upiLink: buildUpiLink({ vpa: 'ayeauto@fakebank', payeeName: 'Aye Auto', amount, note: description, reference: gatewayRef }),
+        checkoutUrl: null
+    };
+}
+
+// After a restart we know nothing, which reads as still pending
+async function fetchStatus(gatewayRef) {
+    return { status: intents.get(gatewayRef) || 'PENDING' };
+}
+
+function verifyWebhook(rawBody, headers) {
+    const given = headers[SIGNATURE_HEADER];
+    if (!given || !rawBody) return false;
+    const expected = Buffer.from(sign(rawBody));
+    const actual = Buffer.from(String(given));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function parseWebhook(body) {
+    if (!body || !body.ref) return null;
+    return { event: body.event, gatewayRef: body.ref, status: body.status, gatewayPaymentId: body.payment_id, reason: body.reason };
+}
+
+// Builds the webhook the fake "bank" would send for this intent
+function simulate(gatewayRef, status) {
+    intents.set(gatewayRef, status);
+    const rawBody = Buffer.from(JSON.stringify({
+        event: `payment.${status.toLowerCase()}`,
+        ref: gatewayRef,
+        status: status,
+        payment_id: `fakepay_${crypto.randomBytes(6).toString('hex')}`,
+        reason: status === 'FAILED' ? 'Declined by fake bank' : undefined
+    }));
+    return { rawBody, headers: { [SIGNATURE_HEADER]: sign(rawBody) } };
+}
+
+module.exports = { name: 'fake', isConfigured: () => true, createIntent, fetchStatus, verifyWebhook, parseWebhook, simulate };
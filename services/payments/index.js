@@ -0,0 +1,419 @@
+const EventEmitter = require('events');
+const cron = require('node-cron');
+const db = require('../../config/db');
+const sessions = require('../sessions');
+const { STATES } = require('../rideLifecycle');
+const fakeGateway = require('./fakeGateway');
+const razorpayGateway = require('./razorpayGateway');
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 PAYMENTS
+// Cash rides settle when the driver completes them. UPI rides get a
+// payment intent (UPI link / QR payload) from the gateway and only settle
+// once a signed webhook, or the reconcile job asking the gateway, says
+// it's paid. 'settled' fires on paymentEvents for the earnings ledger.
+// Wallet top-ups are UPI payments with no ride; 'topup_paid' fires once
+// one is paid (services/wallet credits it). Rides paid from the wallet
+// settle through services/wallet.
+//
+// PAYMENT_GATEWAY=razorpay|fake picks the gateway; unset means Razorpay
+// when its keys are set, else the fake one. Production refuses to start
+// on the fake one, and never accepts its webhooks.
+// ═══════════════════════════════════════════════════════════════════════
+
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const GATEWAYS = IS_PRODUCTION ? { razorpay: razorpayGateway } : { razorpay: razorpayGateway, fake: fakeGateway };
+
+// Pending payments older than this are checked with the gateway...
+const RECONCILE_AFTER_SECONDS = 120;
+// ...and given up on after this long
+const PAYMENT_EXPIRY_MINUTES = 30;
+
+function pickGateway() {
+    const configured = process.env.PAYMENT_GATEWAY;
+    if (configured && GATEWAYS[configured]) return GATEWAYS[configured];
+    if (razorpayGateway.isConfigured()) return razorpayGateway;
+    if (IS_PRODUCTION) {
+        // Anyone could mark a fake payment as paid: settled rides, driver earnings and wallet money out of thin air
+        throw new Error("No payment gateway configured for production. Set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET.");
+    }
+    return fakeGateway;
+}
+
+const gateway = pickGateway();
+console.log(`💳 Payment gateway: ${gateway.name}`);
+
+const paymentEvents = new EventEmitter();
+
+class PaymentError extends Error {
+    constructor(code, msg) {
+        super(msg);
+        this.name = 'PaymentError';
+        this.code = code;
+    }
+}
+
+// 'cash' / 'Cash' / 'UPI' -> 'CASH' / 'UPI'. Missing means cash, as the
+// app has always defaulted to it; anything else is rejected (null).
+function normalizeMethod(value) {
+    if (value == null || value === '') return 'CASH';
+    const method = String(value).trim().toUpperCase();
+    return method === 'CASH' || method === 'UPI' ? method : null;
+}
+
+// What rides.payment_method and the wallet have always stored
+const METHOD_LABELS = { CASH: 'Cash', UPI: 'UPI', WALLET: 'Wallet' };
+
+function methodLabel(method) {
+    return METHOD_LABELS[method] || 'UPI';
+}
+
+function publicPayment(p) {
+    if (!p) return null;
+    return {
+        payment_id: p.id,
+        ride_id: p.ride_id,
+        purpose: p.purpose,
+        method: p.method,
+        amount: parseFloat(p.amount),
+        status: p.status,
+        upiLink: p.upi_link,
+        qrPayload: p.upi_link,
+        checkoutUrl: p.checkout_url,
+        failure_reason: p.failure_reason,
+        paid_at: p.paid_at
+    };
+}
+
+// ─── SETTLEMENT ───────────────────────────────────────────────────────
+// Caller holds the transaction; 'settled' is emitted by the caller after commit.
+async function settleRide(client, rideId, method) {
+    const res = await client.query(
+        `UPDATE rides SET payment_status = 'SETTLED', settled_at = NOW(), payment_method = $2
+         WHERE id = $1 AND payment_status <> 'SETTLED'
+         RETURNING *`,
+        [rideId, methodLabel(method)]
+    );
+    return res.rows[0] || null;
+}
+
+function announceSettled(ride) {
+    if (!ride) return;
+    try {
+        paymentEvents.emit('settled', { ride });
+    } catch (err) {
+        console.error("Payment Event Listener Error:", err.message);
+    }
+}
+
+async function notifySettled(ride, payment) {
+    const payload = { ride_id: ride.id, method: payment.method, amount: parseFloat(payment.amount) };
+    await sessions.notifyRider(ride, 'payment_confirmed', payload);
+    await sessions.notifyDriver(ride, 'payment_confirmed', payload);
+}
+
+// What the rider pays: the fare less any promo discount (which the
+// platform covers, see ledgerService)
+function amountDue(ride) {
+    const fare = parseFloat(ride.final_fare || ride.fare) || 0;
+    const discount = parseFloat(ride.discount_amount) || 0;
+    return Math.max(Math.round((fare - discount) * 100) / 100, 0);
+}
+
+// A payment taken on the spot: cash, or the rider's wallet
+async function recordPaid(client, ride, method) {
+    const res = await client.query(
+        `INSERT INTO payments (ride_id, rider_id, driver_id, method, amount, status, paid_at)
+         VALUES ($1, $2, $3, $4, $5, 'PAID', NOW()) RETURNING *`,
+        [ride.id, ride.rider_id, ride.driver_id, method, amountDue(ride)]
+    );
+    return res.rows[0];
+}
+
+// ─── UPI INTENTS ──────────────────────────────────────────────────────
+// Asks the gateway for a UPI link for a new PENDING payment. Resolves to
+// the updated row, or null (payment marked FAILED) when the gateway
+// can't be reached.
+async function requestIntent(payment, description) {
+    let intent;
+    try {
+        intent = await gateway.createIntent({
+            paymentId: payment.id,
+            rideId: payment.ride_id,
+            amount: parseFloat(payment.amount),
+            description: description
+        });
+    } catch (err) {
+        console.error(`❌ Payment Gateway Error (${gateway.name}):`, err.message);
+        await db.query(
+            "UPDATE payments SET status = 'FAILED', failure_reason = 'Gateway unavailable', updated_at = NOW() WHERE id = $1",
+            [payment.id]
+        );
+        return null;
+    }
+
+    const res = await db.query(
+        `UPDATE payments SET gateway_ref = $2, upi_link = $3, checkout_url = $4, updated_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [payment.id, intent.gatewayRef, intent.upiLink, intent.checkoutUrl]
+    );
+    return res.rows[0];
+}
+
+// Replaces any open request for the ride. Throws PaymentError when the
+// gateway can't be reached; the ride is then left FAILED for a retry.
+async function createUpiIntent(ride) {
+    const amount = amountDue(ride);
+
+    const payment = await db.transaction(async (client) => {
+        await client.query(
+            "UPDATE payments SET status = 'CANCELLED', updated_at = NOW() WHERE ride_id = $1 AND status = 'PENDING'",
+            [ride.id]
+        );
+        await client.query("UPDATE rides SET payment_status = 'PENDING' WHERE id = $1 AND payment_status <> 'SETTLED'", [ride.id]);
+        const res = await client.query(
+            `INSERT INTO payments (ride_id, rider_id, driver_id, method, amount, gateway)
+             VALUES ($1, $2, $3, 'UPI', $4, $5) RETURNING *`,
+            [ride.id, ride.rider_id, ride.driver_id, amount, gateway.name]
+        );
+        return res.rows[0];
+    });
+
+    const requested = await requestIntent(payment, `Aye Auto ride #${ride.id}`);
+    if (!requested) {
+        await db.query("UPDATE rides SET payment_status = 'FAILED' WHERE id = $1 AND payment_status = 'PENDING'", [ride.id]);
+        throw new PaymentError('GATEWAY_ERROR', "Could not start the UPI payment. Please try again or pay cash.");
+    }
+    const created = publicPayment(requested);
+
+    await sessions.notifyRider(ride, 'payment_required', created);
+    await sessions.notifyDriver(ride, 'payment_pending', { ride_id: ride.id, amount: created.amount });
+    return created;
+}
+
+// Called by complete_ride once the ride is COMPLETED
+async function startRidePayment(ride, method) {
+    // Nothing to collect (fully discounted) settles like cash
+    if (method === 'UPI' && amountDue(ride) > 0) return createUpiIntent(ride);
+
+    const { settled, payment } = await db.transaction(async (client) => ({
+        payment: await recordPaid(client, ride, 'CASH'),
+        settled: await settleRide(client, ride.id, 'CASH')
+    }));
+    announceSettled(settled);
+    return publicPayment(payment);
+}
+
+// The driver took cash after all (UPI failed, or the rider preferred it)
+async function settleWithCash(rideId, driverId) {
+    const outcome = await db.transaction(async (client) => {
+        const current = await client.query("SELECT * FROM rides WHERE id = $1 FOR UPDATE", [rideId]);
+        const ride = current.rows[0];
+        if (!ride || ride.driver_id !== driverId) throw new PaymentError('NOT_FOUND', "Ride not found");
+        if (ride.status !== STATES.COMPLETED) throw new PaymentError('NOT_COMPLETED', "Ride is not completed yet");
+        if (ride.payment_status === 'SETTLED') throw new PaymentError('ALREADY_SETTLED', "This ride is already paid");
+
+        await client.query(
+            "UPDATE payments SET status = 'CANCELLED', updated_at = NOW() WHERE ride_id = $1 AND status = 'PENDING'",
+            [rideId]
+        );
+        const payment = await recordPaid(client, ride, 'CASH');
+        return { payment, settled: await settleRide(client, rideId, 'CASH') };
+    });
+
+    announceSettled(outcome.settled);
+    await notifySettled(outcome.settled, outcome.payment);
+    return publicPayment(outcome.payment);
+}
+
+// ─── WALLET TOP-UPS ───────────────────────────────────────────────────
+// A UPI request to add amount to the rider's wallet (limits are checked
+// by services/wallet). Throws PaymentError when the gateway can't be reached.
+async function createTopupIntent(riderId, amount) {
+    const res = await db.query(
+        `INSERT INTO payments (rider_id, purpose, method, amount, gateway)
+         VALUES ($1, 'TOPUP', 'UPI', $2, $3) RETURNING *`,
+        [riderId, amount, gateway.name]
+    );
+
+    const requested = await requestIntent(res.rows[0], "Aye Auto wallet top-up");
+    if (!requested) throw new PaymentError('GATEWAY_ERROR', "Could not start the UPI payment. Please try again.");
+    return publicPayment(requested);
+}
+
+async function getTopup(riderId, paymentId) {
+    const res = await db.query(
+        "SELECT * FROM payments WHERE id = $1 AND rider_id = $2 AND purpose = 'TOPUP'",
+        [paymentId, riderId]
+    );
+    if (res.rows.length === 0) throw new PaymentError('NOT_FOUND', "Top-up not found");
+    return publicPayment(res.rows[0]);
+}
+
+// Top-ups not yet paid, which count towards the wallet limit
+async function pendingTopupTotal(riderId) {
+    const res = await db.query(
+        "SELECT COALESCE(SUM(amount), 0) AS total FROM payments WHERE rider_id = $1 AND purpose = 'TOPUP' AND status = 'PENDING'",
+        [riderId]
+    );
+    return parseFloat(res.rows[0].total);
+}
+
+// ─── GATEWAY RESULTS ──────────────────────────────────────────────────
+// Moves a UPI payment to PAID or FAILED and settles the ride on PAID.
+// A late PAID on a cancelled request still counts: the money arrived.
+async function applyGatewayResult(paymentId, { status, gatewayPaymentId, reason }) {
+    if (status !== 'PAID' && status !== 'FAILED') return null;
+
+    const outcome = await db.transaction(async (client) => {
+        const current = await client.query("SELECT * FROM payments WHERE id = $1 FOR UPDATE", [paymentId]);
+        const payment = current.rows[0];
+        if (!payment || payment.status === 'PAID') return null;
+        if (status === 'FAILED' && payment.status !== 'PENDING') return null;
+
+        const res = await client.query(
+            `UPDATE payments
+             SET status = $2, gateway_payment_id = COALESCE($3, gateway_payment_id), failure_reason = $4,
+                 paid_at = CASE WHEN $2 = 'PAID' THEN NOW() ELSE paid_at END, updated_at = NOW()
+             WHERE id = $1 RETURNING *`,
+            [paymentId, status, gatewayPaymentId || null, status === 'FAILED' ? (reason || 'Payment failed') : null]
+        );
+        const updated = res.rows[0];
+
+        if (updated.purpose === 'TOPUP') return { payment: updated, settled: null };
+
+        if (status === 'PAID') {
+            const settled = await settleRide(client, updated.ride_id, 'UPI');
+            if (!settled) console.log(`⚠️ Payment ${updated.id} arrived for ride ${updated.ride_id}, which was already settled. Refund needed.`);
+            return { payment: updated, settled };
+        }
+
+        await client.query("UPDATE rides SET payment_status = 'FAILED' WHERE id = $1 AND payment_status = 'PENDING'", [updated.ride_id]);
+        return { payment: updated, settled: null };
+    });
+
+    if (!outcome) return null;
+
+    if (outcome.payment.purpose === 'TOPUP') {
+        if (outcome.payment.status === 'PAID') {
+            try {
+                paymentEvents.emit('topup_paid', { payment: outcome.payment });
+            } catch (err) {
+                console.error("Payment Event Listener Error:", err.message);
+            }
+        } else {
+            await sessions.notifyUser('rider', outcome.payment.rider_id, 'wallet_topup_failed', {
+                payment_id: outcome.payment.id, amount: parseFloat(outcome.payment.amount), reason: outcome.payment.failure_reason
+            });
+        }
+    } else if (outcome.settled) {
+        announceSettled(outcome.settled);
+        await notifySettled(outcome.settled, outcome.payment);
+    } else if (outcome.payment.status === 'FAILED') {
+        const ride = { id: outcome.payment.ride_id, rider_id: outcome.payment.rider_id, driver_id: outcome.payment.driver_id };
+        const payload = { ride_id: ride.id, payment_id: outcome.payment.id, reason: outcome.payment.failure_reason };
+        await sessions.notifyRider(ride, 'payment_failed', payload);
+        await sessions.notifyDriver(ride, 'payment_failed', payload);
+    }
+    return outcome.payment;
+}
+
+// Returns false when the signature doesn't check out (caller answers 401);
+// throws PaymentError NOT_FOUND for a gateway we don't take webhooks from
+async function handleWebhook(gatewayName, rawBody, headers, body) {
+    if (!Object.hasOwn(GATEWAYS, gatewayName)) throw new PaymentError('NOT_FOUND', "Unknown payment gateway");
+    const source = GATEWAYS[gatewayName];
+
+    const valid = source.verifyWebhook(rawBody, headers);
+    const parsed = valid ? source.parseWebhook(body) : null;
+
+    await db.query(
+        "INSERT INTO payment_webhooks (gateway, signature_valid, event, gateway_ref, payload) VALUES ($1, $2, $3, $4, $5)",
+        [gatewayName, valid, parsed ? parsed.event : (body && body.event) || null, parsed ? parsed.gatewayRef : null, body ? JSON.stringify(body) : null]
+    );
+    if (!valid) return false;
+    if (!parsed) return true; // an event we don't act on
+
+    const res = await db.query("SELECT id FROM payments WHERE gateway = $1 AND gateway_ref = $2", [gatewayName, parsed.gatewayRef]);
+    if (res.rows.length === 0) {
+        console.log(`⚠️ Webhook for unknown ${gatewayName} payment ${parsed.gatewayRef}`);
+        return true;
+    }
+    await applyGatewayResult(res.rows[0].id, parsed);
+    return true;
+}
+
+// ─── RECONCILE ────────────────────────────────────────────────────────
+// Webhooks get lost. Pending payments are checked with the gateway and
+// failed once they're too old to be waiting on.
+async function reconcileStalePayments() {
+    const stale = await db.query(
+        `SELECT id, gateway, gateway_ref, created_at < NOW() - make_interval(mins => $2) AS expired
+         FROM payments
+         WHERE status = 'PENDING' AND method = 'UPI'
+         AND created_at < NOW() - make_interval(secs => $1)
+         AND (last_checked_at IS NULL OR last_checked_at < NOW() - make_interval(secs => $1))
+         ORDER BY created_at ASC
+         LIMIT 50`,
+        [RECONCILE_AFTER_SECONDS, PAYMENT_EXPIRY_MINUTES]
+    );
+
+    for (const p of stale.rows) {
+        try {
+            await db.query("UPDATE payments SET last_checked_at = NOW() WHERE id = $1", [p.id]);
+
+            let result = { status: 'PENDING' };
+            const source = GATEWAYS[p.gateway];
+            if (source && p.gateway_ref) result = await source.fetchStatus(p.gateway_ref);
+
+            if (result.status === 'PENDING' && p.expired) {
+                result = { status: 'FAILED', reason: 'Payment timed out' };
+            }
+            await applyGatewayResult(p.id, result);
+        } catch (err) {
+            console.error(`Payment Reconcile Error (Payment ${p.id}):`, err.message);
+        }
+    }
+}
+
+// ─── LOOKUPS ──────────────────────────────────────────────────────────
+async function latestPayment(rideId) {
+    const res = await db.query("SELECT * FROM payments WHERE ride_id = $1 ORDER BY created_at DESC LIMIT 1", [rideId]);
+    return publicPayment(res.rows[0]);
+}
+
+// For local testing with the fake gateway only
+async function simulateFakePayment(gatewayRef, status) {
+    const { rawBody, headers } = fakeGateway.simulate(gatewayRef, status);
+    return handleWebhook('fake', rawBody, headers, JSON.parse(rawBody.toString()));
+}
+
+function start() {
+    cron.schedule('*/1 * * * *', () => {
+        reconcileStalePayments().catch(err => console.error("Payment Reconcile Error:", err.message));
+    });
+}
+
+module.exports = {
+    gatewayName: gateway.name,
+    paymentEvents,
+    PaymentError,
+    normalizeMethod,
+    methodLabel,
+    amountDue,
+    publicPayment,
+    recordPaid,
+    settleRide,
+    announceSettled,
+    startRidePayment,
+    createUpiIntent,
+    settleWithCash,
+    createTopupIntent,
+    getTopup,
+    pendingTopupTotal,
+    handleWebhook,
+    reconcileStalePayments,
+    latestPayment,
+    simulateFakePayment,
+    start,
+};
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// 🟢 RAZORPAY (needs RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET, RAZORPAY_WEBHOOK_SECRET)
+// Uses Payment Links with upi_link so the rider lands straight in their UPI app.
+const KEY_ID = process.env.RAZORPAY_KEY_ID;
+const KEY_SECRET = process.env.RAZORPAY_KEY_SECRET;
+const WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET;
+
+const API_URL = 'https://api.razorpay.com/v1';
+const TIMEOUT_MS = 10000;
+
+const LINK_STATUS = { paid: 'PAID', cancelled: 'FAILED', expired: 'FAILED' };
+
+function client() {
+    return axios.create({ baseURL: API_URL, timeout: TIMEOUT_MS, auth: { username: KEY_ID, password: KEY_SECRET } });
+}
+
+async function createIntent({ paymentId, rideId, amount, description }) {
+    const { data } = await client().post('/payment_links', {
+        amount: Math.round(amount * 100), // paise
+        currency: 'INR',
+        upi_link: true,
+        reference_id: rideId ? `ride_${rideId}_payment_${paymentId}` : `topup_payment_${paymentId}`,
+        description: description,
+        notes: rideId ? { payment_id: String(paymentId), ride_id: String(rideId) } : { payment_id: String(paymentId) }
+    });
+    return { gatewayRef: data.id, upiLink: data.short_url, checkoutUrl: data.short_url };
+}
+
+async function fetchStatus(gatewayRef) {
+    const { data } = await client().get(`/payment_links/${gatewayRef}`);
+    const payment = (data.payments || []).find(p => p.status === 'captured');
+    return { status: LINK_STATUS[data.status] || 'PENDING', gatewayPaymentId: payment ? payment.payment_id : null };
+}
+
+function verifyWebhook(rawBody, headers) {
+    const given = headers['x-razorpay-signature'];
+    if (!WEBHOOK_SECRET || !given || !rawBody) return false;
+    const expected = Buffer.from(crypto.createHmac('sha256', WEBHOOK_SECRET).update(rawBody).digest('hex'));
+    const actual = Buffer.from(String(given));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// payment_link.paid / .expired / .cancelled; anything else is ignored
+function parseWebhook(body) {
+    const link = body && body.payload && body.payload.payment_link && body.payload.payment_link.entity;
+    if (!link) return null;
+    const payment = body.payload.payment && body.payload.payment.entity;
+    return {
+        event: body.event,
+        gatewayRef: link.id,
+        status: LINK_STATUS[link.status] || 'PENDING',
+        gatewayPaymentId: payment ? payment.id : null,
+        reason: link.status === 'paid' ? null : `Payment link ${link.status}`
+    };
+}
+
+module.exports = { name: 'razorpay', isConfigured: () => !!(KEY_ID && KEY_SECRET), createIntent, fetchStatus, verifyWebhook, parseWebhook };
@@ -0,0 +1,16 @@
+// 🟢 UPI DEEP LINKS
+// upi://pay links open any UPI app; the same string rendered as a QR code
+// works for scanning from another phone.
+function buildUpiLink({ vpa, payeeName, amount, note, reference }) {
+    const params = new URLSearchParams({
+        pa: vpa,
+        pn: payeeName,
+        am: Number(amount).toFixed(2),
+        cu: 'INR',
+        tn: note,
+        tr: reference,
+    });
+    return `upi://pay?${params.toString().replace(/\+/g, '%20')}`;
+}
+
+module.exports = { buildUpiLink };
@@ -0,0 +1,577 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+const { STATES, rideEvents } = require('./rideLifecycle');
+const notifications = require('./notifications');
+const {
+    CODE_PATTERN, MAX_DESCRIPTION_LENGTH, MAX_FLAT_DISCOUNT, REFERRER_REWARD_AMOUNT, REFEREE_REWARD_AMOUNT,
+    REWARD_VALID_DAYS, MAX_REFERRAL_REWARDS, REFERRAL_CODE_LENGTH, REFERRAL_CODE_ALPHABET
+} = require('../config/promos');
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 PROMO CODES & REFERRALS
+// get_estimate checks a code (checkCode) and fareService discounts each
+// quote with it; the signed quote carries the discount into request_ride,
+// which records it on the ride and reserves a redemption (reserve). The
+// redemption counts towards the code's limits while the ride runs, is
+// APPLIED with the final discount when it completes and RELEASED if it
+// doesn't. The driver still earns the full fare; the ledger books the
+// discount to platform_promotions.
+//
+// Referrals: every rider has a code to share. A new rider enters one
+// before their first completed ride; when that ride completes both get a
+// personal flat-discount code.
+// ═══════════════════════════════════════════════════════════════════════
+
+const MAX_PAGE_SIZE = 200;
+
+class PromoError extends Error {
+    constructor(code, msg) {
+        super(msg);
+        this.name = 'PromoError';
+        this.code = code;
+    }
+}
+
+// ─── HELPERS ──────────────────────────────────────────────────────────
+function normalizeCode(text) {
+    return typeof text === 'string' ? text.trim().toUpperCase() : '';
+}
+
+function randomCode(length) {
+    let code = '';
+    for (let i = 0; i < length; i++) code += REFERRAL_CODE_ALPHABET[crypto.randomInt(REFERRAL_CODE_ALPHABET.length)];
+    return code;
+}
+
+function toNumber(value) {
+    return value == null ? null : parseFloat(value);
+}
+
+function formatCode(row) {
+    return {
+        ...row,
+        discount_value: toNumber(row.discount_value),
+        max_discount: toNumber(row.max_discount),
+        min_fare: toNumber(row.min_fare),
+    };
+}
+
+// What fareService needs to price a quote with the code
+function toRule(row) {
+    return {
+        codeId: row.id,
+        code: row.code,
+        type: row.discount_type,
+        value: parseFloat(row.discount_value),
+        maxDiscount: toNumber(row.max_discount),
+        minFare: parseFloat(row.min_fare),
+        vehicleTypes: row.vehicle_types && row.vehicle_types.length > 0 ? row.vehicle_types : null,
+    };
+}
+
+// Usage so far, not counting rideId (when re-checking for that ride)
+async function usage(client, codeId, riderId, rideId = null) {
+    const res = await client.query(
+        `SELECT COUNT(*)::int AS total,
+                COUNT(*) FILTER (WHERE rider_id = $2)::int AS by_rider
+         FROM promo_redemptions
+         WHERE code_id = $1 AND status IN ('RESERVED', 'APPLIED') AND ($3::int IS NULL OR ride_id <> $3)`,
+        [codeId, riderId, rideId]
+    );
+    return res.rows[0];
+}
+
+// Throws PromoError if the code can't be used by this rider right now
+async function assertUsable(client, row, riderId, rideId = null) {
+    if (!row || !row.is_active || (row.rider_id != null && row.rider_id !== riderId)) {
+        throw new PromoError('INVALID_CODE', "This promo code isn't valid");
+    }
+    const now = Date.now();
+    if (row.starts_at && new Date(row.starts_at).getTime() > now) {
+        throw new PromoError('NOT_STARTED', "This promo code isn't active yet");
+    }
+    if (row.ends_at && new Date(row.ends_at).getTime() <= now) {
+        throw new PromoError('EXPIRED', "This promo code has expired");
+    }
+
+    const used = await usage(client, row.id, riderId, rideId);
+    if (row.max_redemptions != null && used.total >= row.max_redemptions) {
+        throw new PromoError('USAGE_LIMIT', "This promo code has been fully used");
+    }
+    if (used.by_rider >= row.max_per_rider) {
+        throw new PromoError('ALREADY_USED', "You've already used this promo code");
+    }
+
+    if (row.first_ride_only) {
+        const rides = await client.query(
+            "SELECT 1 FROM rides WHERE rider_id = $1 AND status = $2 AND ($3::int IS NULL OR id <> $3) LIMIT 1",
+            [riderId, STATES.COMPLETED, rideId]
+        );
+        if (rides.rows.length > 0) throw new PromoError('FIRST_RIDE_ONLY', "This promo code is for your first ride only");
+    }
+}
+
+// ─── AT FARE TIME ─────────────────────────────────────────────────────
+// Resolves to the rule to price quotes with (fareService.quoteTrip)
+async function checkCode(riderId, codeText) {
+    const code = normalizeCode(codeText);
+    if (!code) throw new PromoError('INVALID_CODE', "Enter a promo code");
+
+    const res = await db.query("SELECT * FROM promo_codes WHERE code = $1", [code]);
+    await assertUsable(db, res.rows[0], riderId);
+    return toRule(res.rows[0]);
+}
+
+// For a ride just created from a discounted quote. Locks the code so two
+// rides can't both take its last use; if the code ran out (or was switched
+// off) since the estimate, the discount comes off the ride. Resolves to
+// { ride, promoError } with the ride as it now stands.
+async function reserve(ride) {
+    if (!ride.promo_code_id) return { ride, promoError: null };
+
+    return db.transaction(async (client) => {
+        const code = await client.query("SELECT * FROM promo_codes WHERE id = $1 FOR UPDATE", [ride.promo_code_id]);
+        try {
+            await assertUsable(client, code.rows[0], ride.rider_id, ride.id);
+        } catch (err) {
+            if (!(err instanceof PromoError)) throw err;
+            const stripped = await client.query(
+                `UPDATE rides SET promo_code_id = NULL, discount_amount = 0, fare_breakdown = fare_breakdown - 'promo' - 'payable'
+                 WHERE id = $1 RETURNING *`,
+                [ride.id]
+            );
+            return { ride: stripped.rows[0], promoError: err };
+        }
+
+        await client.query(
+            `INSERT INTO promo_redemptions (code_id, rider_id, ride_id, discount_amount)
+             VALUES ($1, $2, $3, $4) ON CONFLICT (ride_id) DO NOTHING`,
+            [ride.promo_code_id, ride.rider_id, ride.id, ride.discount_amount]
+        );
+        return { ride, promoError: null };
+    });
+}
+
+// ─── REFERRALS ────────────────────────────────────────────────────────
+async function ensureReferralCode(riderId) {
+    const existing = await db.query("SELECT referral_code FROM riders WHERE id = $1", [riderId]);
+    if (existing.rows.length === 0) throw new PromoError('NOT_FOUND', "Rider not found");
+    if (existing.rows[0].referral_code) return existing.rows[0].referral_code;
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        try {
+            const res = await db.query(
+                `UPDATE riders SET referral_code = COALESCE(referral_code, $1) WHERE id = $2 RETURNING referral_code`,
+                [randomCode(REFERRAL_CODE_LENGTH), riderId]
+            );
+            return res.rows[0].referral_code;
+        } catch (err) {
+            if (err.code !== '23505') throw err; // someone else has it, roll again
+        }
+    }
+    throw new Error("Could not generate a referral code");
+}
+
+// The rider's code to share, who they've brought in and who brought them
+async function getReferral(riderId) {
+    const code = await ensureReferralCode(riderId);
+    const stats = await db.query(
+        `SELECT COUNT(*)::int AS invited,
+                COUNT(*) FILTER (WHERE status = 'REWARDED')::int AS rewarded,
+                COUNT(*) FILTER (WHERE status = 'REWARDED' AND referrer_code_id IS NOT NULL)::int AS rewards_earned
+         FROM referrals WHERE referrer_id = $1`,
+        [riderId]
+    );
+    const referredBy = await db.query("SELECT status FROM referrals WHERE referee_id = $1", [riderId]);
+
+    return {
+        code: code,
+        referrerReward: REFERRER_REWARD_AMOUNT,
+        refereeReward: REFEREE_REWARD_AMOUNT,
+        maxRewards: MAX_REFERRAL_REWARDS,
+        ...stats.rows[0],
+        referred: referredBy.rows.length > 0 ? { status: referredBy.rows[0].status } : null,
+    };
+}
+
+// A new rider enters the code a friend shared
+async function applyReferral(riderId, codeText) {
+    const code = normalizeCode(codeText);
+    const referrer = await db.query("SELECT id FROM riders WHERE referral_code = $1", [code]);
+    if (!code || referrer.rows.length === 0) throw new PromoError('INVALID_CODE', "This referral code isn't valid");
+    if (referrer.rows[0].id === riderId) throw new PromoError('SELF_REFERRAL', "You can't use your own referral code");
+
+    const rides = await db.query("SELECT 1 FROM rides WHERE rider_id = $1 AND status = $2 LIMIT 1", [riderId, STATES.COMPLETED]);
+    if (rides.rows.length > 0) throw new PromoError('NOT_NEW_RIDER', "Referral codes are for riders who haven't ridden yet");
+
+    const res = await db.query(
+        `INSERT INTO referrals (referrer_id, referee_id) VALUES ($1, $2)
+         ON CONFLICT (referee_id) DO NOTHING RETURNING id`,
+        [referrer.rows[0].id, riderId]
+    );
+    if (res.rows.length === 0) throw new PromoError('ALREADY_REFERRED', "You've already used a referral code");
+    return getReferral(riderId);
+}
+
+async function issueRewardCode(client, riderId, amount, description) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const res = await client.query(
+            `INSERT INTO promo_codes (code, description, kind, discount_type, discount_value, max_redemptions, max_per_rider,
+                                      rider_id, ends_at)
+             VALUES ($1, $2, 'REFERRAL', 'FLAT', $3, 1, 1, $4, NOW() + make_interval(days => $5))
+             ON CONFLICT (code) DO NOTHING
+             RETURNING *`,
+            [`RF${randomCode(REFERRAL_CODE_LENGTH)}`, description, amount, riderId, REWARD_VALID_DAYS]
+        );
+        if (res.rows.length > 0) return res.rows[0];
+    }
+    throw new Error("Could not generate a reward code");
+}
+
+// When a referred rider's first ride completes
+async function rewardReferral(ride) {
+    const rewards = await db.transaction(async (client) => {
+        const pending = await client.query(
+            "SELECT * FROM referrals WHERE referee_id = $1 AND status = 'PENDING' FOR UPDATE",
+            [ride.rider_id]
+        );
+        if (pending.rows.length === 0) return null;
+        const referral = pending.rows[0];
+
+        const earned = await client.query(
+            "SELECT COUNT(*)::int AS n FROM referrals WHERE referrer_id = $1 AND referrer_code_id IS NOT NULL",
+            [referral.referrer_id]
+        );
+
+        const refereeCode = await issueRewardCode(client, ride.rider_id, REFEREE_REWARD_AMOUNT, "Welcome reward for joining with a referral");
+        const referrerCode = earned.rows[0].n < MAX_REFERRAL_REWARDS
+            ? await issueRewardCode(client, referral.referrer_id, REFERRER_REWARD_AMOUNT, "Reward for referring a friend")
+            : null;
+
+        await client.query(
+            `UPDATE referrals SET status = 'REWARDED', referee_code_id = $1, referrer_code_id = $2, qualifying_ride_id = $3,
+                    rewarded_at = NOW()
+             WHERE id = $4`,
+            [refereeCode.id, referrerCode ? referrerCode.id : null, ride.id, referral.id]
+        );
+        return { referral, refereeCode, referrerCode };
+    });
+    if (!rewards) return;
+
+    const params = (code) => ({ amount: parseFloat(code.discount_value), code: code.code, days: REWARD_VALID_DAYS });
+    await notifications.notify('rider', ride.rider_id, 'referral_reward', params(rewards.refereeCode));
+    if (rewards.referrerCode) {
+        await notifications.notify('rider', rewards.referral.referrer_id, 'referral_reward', params(rewards.referrerCode));
+    }
+    console.log(`🎁 Referral ${rewards.referral.id} rewarded (ride ${ride.id})`);
+}
+
+// Personal codes (referral rewards) the rider can still use
+async function listRiderCodes(riderId) {
+    const res = await db.query(
+        `SELECT c.id, c.code, c.description, c.discount_type, c.discount_value, c.max_discount, c.min_fare, c.ends_at
+         FROM promo_codes c
+         WHERE c.rider_id = $1 AND c.is_active = true AND (c.ends_at IS NULL OR c.ends_at > NOW())
+           AND (SELECT COUNT(*) FROM promo_redemptions r
+                WHERE r.code_id = c.id AND r.status IN ('RESERVED', 'APPLIED')) < COALESCE(c.max_redemptions, c.max_per_rider)
+         ORDER BY c.ends_at NULLS LAST`,
+        [riderId]
+    );
+    return res.rows.map(formatCode);
+}
+
+// ─── RIDE EVENTS ──────────────────────────────────────────────────────
+async function onRideTransition({ ride, to }) {
+    if (to === STATES.COMPLETED) {
+        if (ride.promo_code_id) {
+            await db.query(
+                `UPDATE promo_redemptions SET status = 'APPLIED', discount_amount = $1, updated_at = NOW()
+                 WHERE ride_id = $2 AND status = 'RESERVED'`,
+                [ride.discount_amount, ride.id]
+            );
+        }
+        await rewardReferral(ride);
+    } else if (to === STATES.CANCELLED || to === STATES.TIMEOUT) {
+        if (!ride.promo_code_id) return;
+        await db.query(
+            "UPDATE promo_redemptions SET status = 'RELEASED', updated_at = NOW() WHERE ride_id = $1 AND status = 'RESERVED'",
+            [ride.id]
+        );
+    }
+}
+
+// ─── ADMIN ────────────────────────────────────────────────────────────
+function optionalDate(value, field) {
+    if (value == null) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) throw new PromoError('INVALID_DATE', `${field} must be an ISO date-time`);
+    return date;
+}
+
+function optionalPositive(value, field, { integer = false } = {}) {
+    if (value == null) return null;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0 || (integer && !Number.isInteger(n))) {
+        throw new PromoError('INVALID_LIMIT', `${field} must be a positive ${integer ? 'whole number' : 'amount'}`);
+    }
+    return n;
+}
+
+function toInput(row) {
+    return {
+        code: row.code,
+        description: row.description,
+        discountType: row.discount_type,
+        discountValue: toNumber(row.discount_value),
+        maxDiscount: toNumber(row.max_discount),
+        minFare: toNumber(row.min_fare),
+        startsAt: row.starts_at,
+        endsAt: row.ends_at,
+        maxRedemptions: row.max_redemptions,
+        maxPerRider: row.max_per_rider,
+        vehicleTypes: row.vehicle_types,
+        firstRideOnly: row.first_ride_only,
+        isActive: row.is_active,
+    };
+}
+
+function cleanCode(input) {
+    const code = normalizeCode(input.code);
+    if (!CODE_PATTERN.test(code)) throw new PromoError('INVALID_CODE', "Code must be 4-20 letters or digits");
+
+    const description = input.description == null ? null : String(input.description).trim();
+    if (description && description.length > MAX_DESCRIPTION_LENGTH) {
+        throw new PromoError('INVALID_DESCRIPTION', `Description can be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+
+    const type = String(input.discountType || '').toUpperCase();
+    if (type !== 'FLAT' && type !== 'PERCENT') throw new PromoError('INVALID_DISCOUNT', "discountType must be FLAT or PERCENT");
+    const value = optionalPositive(input.discountValue, 'discountValue');
+    if (value == null) throw new PromoError('INVALID_DISCOUNT', "discountValue is required");
+    if (type === 'PERCENT' && value > 100) throw new PromoError('INVALID_DISCOUNT', "A percentage can't be over 100");
+    if (type === 'FLAT' && value > MAX_FLAT_DISCOUNT) {
+        throw new PromoError('INVALID_DISCOUNT', `A flat discount can be at most Rs. ${MAX_FLAT_DISCOUNT}`);
+    }
+
+    const minFare = input.minFare == null ? 0 : Number(input.minFare);
+    if (!Number.isFinite(minFare) || minFare < 0) throw new PromoError('INVALID_DISCOUNT', "minFare can't be negative");
+
+    const startsAt = optionalDate(input.startsAt, 'startsAt');
+    const endsAt = optionalDate(input.endsAt, 'endsAt');
+    if (startsAt && endsAt && endsAt <= startsAt) throw new PromoError('INVALID_DATE', "endsAt must be after startsAt");
+
+    let vehicleTypes = null;
+    if (input.vehicleTypes != null) {
+        if (!Array.isArray(input.vehicleTypes) || input.vehicleTypes.some(v => typeof v !== 'string' || !v.trim())) {
+            throw new PromoError('INVALID_VEHICLE_TYPES', "vehicleTypes must be a list of vehicle types");
+        }
+        vehicleTypes = input.vehicleTypes.length > 0 ? [...new Set(input.vehicleTypes.map(v => v.trim()))] : null;
+    }
+
+    for (const key of ['firstRideOnly', 'isActive']) {
+        if (input[key] != null && typeof input[key] !== 'boolean') throw new PromoError('INVALID_FLAG', `${key} must be true or false`);
+    }
+
+    return {
+        code: code,
+        description: description || null,
+        discount_type: type,
+        discount_value: value,
+        max_discount: optionalPositive(input.maxDiscount, 'maxDiscount'),
+        min_fare: minFare,
+        starts_at: startsAt,
+        ends_at: endsAt,
+        max_redemptions: optionalPositive(input.maxRedemptions, 'maxRedemptions', { integer: true }),
+        max_per_rider: optionalPositive(input.maxPerRider, 'maxPerRider', { integer: true }) || 1,
+        vehicle_types: vehicleTypes,
+        first_ride_only: input.firstRideOnly === true,
+        is_active: input.isActive !== false,
+    };
+}
+
+async function getCodeRow(codeId) {
+    const res = await db.query("SELECT * FROM promo_codes WHERE id = $1", [codeId]);
+    if (res.rows.length === 0) throw new PromoError('NOT_FOUND', "Promo code not found");
+    return res.rows[0];
+}
+
+const CODE_STATS_SQL = `SELECT code_id,
+        COUNT(*) FILTER (WHERE status = 'APPLIED')::int AS redemptions,
+        COUNT(*) FILTER (WHERE status = 'RESERVED')::int AS in_progress,
+        COALESCE(SUM(discount_amount) FILTER (WHERE status = 'APPLIED'), 0)::float AS total_discount
+    FROM promo_redemptions`;
+
+// kind: 'PROMO' (admin-made, the default) or 'REFERRAL'; q matches the code
+async function listCodes({ kind = 'PROMO', active, q, limit = 100 } = {}) {
+    const res = await db.query(
+        `SELECT c.*, COALESCE(s.redemptions, 0) AS redemptions, COALESCE(s.in_progress, 0) AS in_progress,
+                COALESCE(s.total_discount, 0) AS total_discount
+         FROM promo_codes c
+         LEFT JOIN (${CODE_STATS_SQL} GROUP BY code_id) s ON s.code_id = c.id
+         WHERE c.kind = $1
+           AND ($2::boolean IS NULL OR c.is_active = $2)
+           AND ($3::text IS NULL OR c.code LIKE '%' || $3 || '%')
+         ORDER BY c.created_at DESC
+         LIMIT $4`,
+        [kind, active == null ? null : active, q ? normalizeCode(q) : null, Math.min(parseInt(limit, 10) || 100, MAX_PAGE_SIZE)]
+    );
+    return res.rows.map(formatCode);
+}
+
+async function getCode(codeId) {
+    const row = await getCodeRow(codeId);
+    const stats = await db.query(
+        `SELECT COUNT(*) FILTER (WHERE status = 'APPLIED')::int AS redemptions,
+                COUNT(*) FILTER (WHERE status = 'RESERVED')::int AS in_progress,
+                COUNT(*) FILTER (WHERE status = 'RELEASED')::int AS released,
+                COUNT(DISTINCT rider_id) FILTER (WHERE status = 'APPLIED')::int AS riders,
+                COALESCE(SUM(discount_amount) FILTER (WHERE status = 'APPLIED'), 0)::float AS total_discount
+         FROM promo_redemptions WHERE code_id = $1`,
+        [codeId]
+    );
+    return { ...formatCode(row), stats: stats.rows[0] };
+}
+
+async function createCode(body = {}, adminId) {
+    const c = cleanCode(body);
+    try {
+        const res = await db.query(
+            `INSERT INTO promo_codes (code, description, discount_type, discount_value, max_discount, min_fare, starts_at, ends_at,
+                                      max_redemptions, max_per_rider, vehicle_types, first_ride_only, is_active, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING id`,
+            [c.code, c.description, c.discount_type, c.discount_value, c.max_discount, c.min_fare, c.starts_at, c.ends_at,
+             c.max_redemptions, c.max_per_rider, c.vehicle_types, c.first_ride_only, c.is_active, adminId]
+        );
+        return getCode(res.rows[0].id);
+    } catch (err) {
+        if (err.code === '23505') throw new PromoError('CODE_TAKEN', "A promo code with that name already exists");
+        throw err;
+    }
+}
+
+// body: any of the create fields except code. Rides already discounted
+// keep the terms they were quoted.
+async function updateCode(codeId, body = {}) {
+    const existing = await getCodeRow(codeId);
+    if (body.code !== undefined && normalizeCode(body.code) !== existing.code) {
+        throw new PromoError('CODE_IMMUTABLE', "A code can't be renamed; create a new one");
+    }
+
+    const merged = toInput(existing);
+    for (const key of Object.keys(merged)) {
+        if (body[key] !== undefined) merged[key] = body[key];
+    }
+    const c = cleanCode(merged);
+
+    await db.query(
+        `UPDATE promo_codes
+         SET description = $1, discount_type = $2, discount_value = $3, max_discount = $4, min_fare = $5, starts_at = $6,
+             ends_at = $7, max_redemptions = $8, max_per_rider = $9, vehicle_types = $10, first_ride_only = $11,
+             is_active = $12, updated_at = NOW()
+         WHERE id = $13`,
+        [c.description, c.discount_type, c.discount_value, c.max_discount, c.min_fare, c.starts_at, c.ends_at,
+         c.max_redemptions, c.max_per_rider, c.vehicle_types, c.first_ride_only, c.is_active, codeId]
+    );
+    return getCode(codeId);
+}
+
+// Used codes are only switched off, so redemption history stays intact.
+// Resolves to true when the code was deleted.
+async function deleteCode(codeId) {
+    await getCodeRow(codeId);
+    const used = await db.query("SELECT 1 FROM promo_redemptions WHERE code_id = $1 LIMIT 1", [codeId]);
+    if (used.rows.length > 0) {
+        await db.query("UPDATE promo_codes SET is_active = false, updated_at = NOW() WHERE id = $1", [codeId]);
+        return false;
+    }
+    await db.query("DELETE FROM promo_codes WHERE id = $1", [codeId]);
+    return true;
+}
+
+async function listRedemptions(codeId, { status, limit = 100 } = {}) {
+    await getCodeRow(codeId);
+    const res = await db.query(
+        `SELECT r.id, r.ride_id, r.rider_id, rd.name AS rider_name, r.discount_amount::float AS discount_amount, r.status,
+                COALESCE(x.final_fare, x.fare)::float AS fare, x.vehicle_type, r.created_at, r.updated_at
+         FROM promo_redemptions r
+         JOIN rides x ON x.id = r.ride_id
+         LEFT JOIN riders rd ON rd.id = r.rider_id
+         WHERE r.code_id = $1 AND ($2::text IS NULL OR r.status = $2)
+         ORDER BY r.created_at DESC
+         LIMIT $3`,
+        [codeId, status || null, Math.min(parseInt(limit, 10) || 100, MAX_PAGE_SIZE)]
+    );
+    return res.rows;
+}
+
+// Completed rides with a discount between from and to (default: the last
+// 30 days), per code, plus totals
+async function redemptionReport({ from, to, kind } = {}) {
+    const end = optionalDate(to, 'to') || new Date();
+    const start = optionalDate(from, 'from') || new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    const res = await db.query(
+        `SELECT c.id, c.code, c.kind, c.discount_type, c.discount_value::float AS discount_value,
+                COUNT(*)::int AS redemptions,
+                COUNT(DISTINCT r.rider_id)::int AS riders,
+                SUM(r.discount_amount)::float AS total_discount,
+                SUM(COALESCE(x.final_fare, x.fare))::float AS gross_fares,
+                ROUND(AVG(r.discount_amount), 2)::float AS avg_discount
+         FROM promo_redemptions r
+         JOIN promo_codes c ON c.id = r.code_id
+         JOIN rides x ON x.id = r.ride_id
+         WHERE r.status = 'APPLIED' AND x.ended_at >= $1 AND x.ended_at < $2
+           AND ($3::text IS NULL OR c.kind = $3)
+         GROUP BY c.id
+         ORDER BY total_discount DESC`,
+        [start, end, kind || null]
+    );
+
+    const totals = res.rows.reduce((t, r) => ({
+        redemptions: t.redemptions + r.redemptions,
+        totalDiscount: Math.round((t.totalDiscount + r.total_discount) * 100) / 100,
+        grossFares: Math.round((t.grossFares + r.gross_fares) * 100) / 100,
+    }), { redemptions: 0, totalDiscount: 0, grossFares: 0 });
+
+    return { from: start.toISOString(), to: end.toISOString(), totals: totals, codes: res.rows };
+}
+
+async function listReferrals({ status, riderId, limit = 100 } = {}) {
+    const res = await db.query(
+        `SELECT f.*, a.name AS referrer_name, b.name AS referee_name
+         FROM referrals f
+         LEFT JOIN riders a ON a.id = f.referrer_id
+         LEFT JOIN riders b ON b.id = f.referee_id
+         WHERE ($1::text IS NULL OR f.status = $1)
+           AND ($2::int IS NULL OR f.referrer_id = $2 OR f.referee_id = $2)
+         ORDER BY f.created_at DESC
+         LIMIT $3`,
+        [status || null, riderId ? parseInt(riderId, 10) : null, Math.min(parseInt(limit, 10) || 100, MAX_PAGE_SIZE)]
+    );
+    return res.rows;
+}
+
+// Call once at startup
+function init() {
+    rideEvents.on('transition', (event) => {
+        onRideTransition(event).catch(err => console.error("Promo Sync Error:", err.message));
+    });
+}
+
+module.exports = {
+    PromoError,
+    checkCode,
+    reserve,
+    getReferral,
+    applyReferral,
+    listRiderCodes,
+    listCodes,
+    getCode,
+    createCode,
+    updateCode,
+    deleteCode,
+    listRedemptions,
+    redemptionReport,
+    listReferrals,
+    init,
+};
@@ -0,0 +1,155 @@
+const db = require('../config/db');
+const { STATES, getRideForActor } = require('./rideLifecycle');
+const sessions = require('./sessions');
+const {
+    RATING_WINDOW_HOURS, ROLLING_WINDOW_RATINGS, LOW_RATING_THRESHOLD,
+    LOW_RATING_MIN_COUNT, MAX_COMMENT_LENGTH, ISSUE_TAGS
+} = require('../config/ratings');
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 RATINGS
+// Rider rates driver and driver rates rider, once each per ride, within
+// RATING_WINDOW_HOURS of completion. Each new rating refreshes the
+// ratee's rolling average (latest ROLLING_WINDOW_RATINGS) on their row,
+// which dispatch reads when ranking drivers.
+// ═══════════════════════════════════════════════════════════════════════
+
+// Whitelist: role -> table holding the aggregate
+const USER_TABLES = { driver: 'drivers', rider: 'riders' };
+
+class RatingError extends Error {
+    constructor(code, msg) {
+        super(msg);
+        this.name = 'RatingError';
+        this.code = code;
+    }
+}
+
+function otherSide(role) {
+    return role === 'rider' ? 'driver' : 'rider';
+}
+
+function validateRating(rateeRole, { stars, tags, comment }) {
+    const value = Number(stars);
+    if (!Number.isInteger(value) || value < 1 || value > 5) {
+        throw new RatingError('INVALID_STARS', "Rating must be a whole number from 1 to 5");
+    }
+
+    const list = tags == null ? [] : tags;
+    if (!Array.isArray(list)) throw new RatingError('INVALID_TAGS', "Tags must be a list");
+    const unknown = list.filter(tag => !Object.hasOwn(ISSUE_TAGS[rateeRole], tag));
+    if (unknown.length > 0) {
+        throw new RatingError('INVALID_TAGS', `Unknown tag(s): ${unknown.join(', ')}`);
+    }
+
+    const text = comment == null ? null : String(comment).trim();
+    if (text && text.length > MAX_COMMENT_LENGTH) {
+        throw new RatingError('COMMENT_TOO_LONG', `Comment can be at most ${MAX_COMMENT_LENGTH} characters`);
+    }
+
+    return { stars: value, tags: [...new Set(list)], comment: text || null };
+}
+
+// Rolling average over the latest ratings, count over all of them
+async function refreshAggregate(client, role, userId) {
+    await client.query(
+        `UPDATE ${USER_TABLES[role]} SET
+            rating_avg = (
+                SELECT ROUND(AVG(stars), 2) FROM (
+                    SELECT stars FROM ride_ratings WHERE ratee_role = $1 AND ratee_id = $2
+                    ORDER BY created_at DESC LIMIT $3
+                ) recent
+            ),
+            rating_count = (SELECT COUNT(*) FROM ride_ratings WHERE ratee_role = $1 AND ratee_id = $2)
+         WHERE id = $2`,
+        [role, userId, ROLLING_WINDOW_RATINGS]
+    );
+}
+
+// actor: { type: 'rider'|'driver', id }. Throws RideTransitionError when
+// the actor isn't on the ride, RatingError for everything else.
+async function submitRating(rideId, actor, input) {
+    if (!USER_TABLES[actor.type]) throw new RatingError('NOT_ALLOWED', "Only riders and drivers can rate");
+
+    const ride = await getRideForActor(rideId, actor);
+    if (ride.status !== STATES.COMPLETED) {
+        throw new RatingError('NOT_COMPLETED', "Only completed rides can be rated");
+    }
+    const endedAt = ride.ended_at ? new Date(ride.ended_at).getTime() : Date.now();
+    if (Date.now() - endedAt > RATING_WINDOW_HOURS * 3600 * 1000) {
+        throw new RatingError('WINDOW_CLOSED', `Rides can only be rated within ${RATING_WINDOW_HOURS} hours`);
+    }
+
+    const rateeRole = otherSide(actor.type);
+    const rateeId = rateeRole === 'driver' ? ride.driver_id : ride.rider_id;
+    if (!rateeId) throw new RatingError('NOT_ALLOWED', "There is no one to rate on this ride");
+    const { stars, tags, comment } = validateRating(rateeRole, input);
+
+    const rating = await db.transaction(async (client) => {
+        const res = await client.query(
+            `INSERT INTO ride_ratings (ride_id, rater_role, rater_id, ratee_role, ratee_id, stars, tags, comment)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             ON CONFLICT (ride_id, rater_role) DO NOTHING
+             RETURNING *`,
+            [ride.id, actor.type, actor.id, rateeRole, rateeId, stars, tags, comment]
+        );
+        if (res.rows.length === 0) return null;
+
+        await refreshAggregate(client, rateeRole, rateeId);
+        return res.rows[0];
+    });
+    if (!rating) throw new RatingError('ALREADY_RATED', "You have already rated this ride");
+
+    console.log(`⭐ ${actor.type} ${actor.id} rated ${rateeRole} ${rateeId} ${stars}/5 for Ride ${ride.id}`);
+    sessions.emitToUser(actor.type, actor.id, 'rating_saved', { ride_id: ride.id, stars: stars });
+    return rating;
+}
+
+// Both sides' ratings for one ride (admin view)
+async function ratingsForRide(rideId) {
+    const res = await db.query("SELECT * FROM ride_ratings WHERE ride_id = $1 ORDER BY created_at", [rideId]);
+    return res.rows;
+}
+
+// Latest ratings a user received, with how often each tag came up
+async function ratingsReceived(role, userId, limit = 50) {
+    const ratings = await db.query(
+        `SELECT id, ride_id, rater_id, stars, tags, comment, created_at
+         FROM ride_ratings WHERE ratee_role = $1 AND ratee_id = $2
+         ORDER BY created_at DESC LIMIT $3`,
+        [role, userId, Math.min(parseInt(limit, 10) || 50, 200)]
+    );
+    const tags = await db.query(
+        `SELECT tag, COUNT(*)::int AS count
+         FROM ride_ratings, unnest(tags) AS tag
+         WHERE ratee_role = $1 AND ratee_id = $2
+         GROUP BY tag ORDER BY count DESC`,
+        [role, userId]
+    );
+    return { ratings: ratings.rows, tagCounts: tags.rows };
+}
+
+// Drivers or riders whose rolling average fell below the threshold
+async function lowRatedUsers(role, { threshold = LOW_RATING_THRESHOLD, minCount = LOW_RATING_MIN_COUNT, limit = 100 } = {}) {
+    if (!USER_TABLES[role]) throw new RatingError('INVALID_ROLE', "Role must be driver or rider");
+    const extra = role === 'driver' ? ', vehicle_type, is_online, is_verified' : '';
+
+    const res = await db.query(
+        `SELECT id, name, phone, rating_avg, rating_count${extra}
+         FROM ${USER_TABLES[role]}
+         WHERE rating_avg < $1 AND rating_count >= $2
+         ORDER BY rating_avg ASC, rating_count DESC
+         LIMIT $3`,
+        [Number(threshold) || LOW_RATING_THRESHOLD, parseInt(minCount, 10) || LOW_RATING_MIN_COUNT, Math.min(parseInt(limit, 10) || 100, 500)]
+    );
+    return res.rows;
+}
+
+module.exports = {
+    RatingError,
+    ISSUE_TAGS,
+    submitRating,
+    ratingsForRide,
+    ratingsReceived,
+    lowRatedUsers,
+};
@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const db = require('../config/db');
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 RIDE LIFECYCLE
+// The only place allowed to change rides.status. Every change runs in a
+// transaction, locks the ride row, checks the transition table below and
+// writes a ride_events audit row.
+// ═══════════════════════════════════════════════════════════════════════
+
+const STATES = {
+    REQUESTED: 'REQUESTED',
+    ACCEPTED: 'ACCEPTED',
+    ARRIVED: 'ARRIVED',
+    ON_TRIP: 'ON_TRIP',
+    COMPLETED: 'COMPLETED',
+    CANCELLED: 'CANCELLED',
+    TIMEOUT: 'TIMEOUT',
+};
+
+// Rides a driver is currently busy with
+const ACTIVE_STATES = [STATES.ACCEPTED, STATES.ARRIVED, STATES.ON_TRIP];
+const TERMINAL_STATES = [STATES.COMPLETED, STATES.CANCELLED, STATES.TIMEOUT];
+
+// from -> to -> actor types allowed to make that move
+const TRANSITIONS = {
+    REQUESTED: {
+        ACCEPTED: ['driver'],
+        CANCELLED: ['rider', 'admin'],
+        TIMEOUT: ['system'],
+    },
+    ACCEPTED: {
+        ARRIVED: ['driver'],
+        CANCELLED: ['rider', 'admin'],
+        // Driver cancelled, or vanished past the reconnect grace; find another one
+        REQUESTED: ['driver', 'system'],
+    },
+    ARRIVED: {
+        // Only via startTrip(), which checks the rider's PIN first
+        ON_TRIP: ['driver'],
+        // Driver only for a no-show (services/cancellations.js)
+        CANCELLED: ['rider', 'driver', 'admin'],
+        REQUESTED: ['driver', 'system'],
+    },
+    ON_TRIP: {
+        COMPLETED: ['driver', 'admin'],
+        CANCELLED: ['admin'],
+    },
+};
+
+// Extra rides columns a transition may set alongside status
+const UPDATABLE_FIELDS = [
+    'driver_id', 'payment_method', 'trip_pin',
+    'fare', 'final_fare', 'actual_distance_km', 'actual_duration_min', 'final_fare_breakdown', 'discount_amount',
+];
+
+// Stamped with NOW() when the ride enters that state
+const STATE_TIMESTAMPS = {
+    ACCEPTED: 'accepted_at',
+    ARRIVED: 'arrived_at',
+    ON_TRIP: 'started_at',
+    COMPLETED: 'ended_at',
+};
+
+// Wrong PINs allowed before start_trip is locked for the ride
+const MAX_PIN_ATTEMPTS = 5;
+
+const SYSTEM_ACTOR = { type: 'system', id: null };
+
+// Fires 'transition' with { ride, from, to, actor } after each change has
+// committed, for side effects that shouldn't live in every handler.
+const rideEvents = new EventEmitter();
+
+function announce(result, to, actor) {
+    try {
+        rideEvents.emit('transition', { ride: result.ride, from: result.from, to, actor });
+    } catch (err) {
+        console.error("Ride Event Listener Error:", err.message);
+    }
+    return result;
+}
+
+class RideTransitionError extends Error {
+    constructor(code, msg, details = {}) {
+        super(msg);
+        this.name = 'RideTransitionError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+function canTransition(from, to, actorType) {
+    const allowed = TRANSITIONS[from] && TRANSITIONS[from][to];
+    return Array.isArray(allowed) && allowed.includes(actorType);
+}
+
+// Riders and drivers may only touch their own rides. The one exception is a
+// driver accepting a REQUESTED ride, which is what assigns them to it.
+function isParticipant(ride, actor, to) {
+    if (actor.type === 'admin' || actor.type === 'system') return true;
+    if (actor.type === 'rider') return ride.rider_id === actor.id;
+    if (actor.type === 'driver') {
+        if (ride.status === STATES.REQUESTED && to === STATES.ACCEPTED) return true;
+        return ride.driver_id === actor.id;
+    }
+    return false;
+}
+
+// Falls back to the driver's last reported position when the client
+// didn't send one with the action.
+async function resolveLocation(client, actor, location) {
+    if (location && location.lat != null && location.lng != null) return location;
+    if (actor.type !== 'driver') return { lat: null, lng: null };
+
+    const res = await client.query(
+        "SELECT ST_Y(location::geometry) AS lat, ST_X(location::geometry) AS lng FROM drivers WHERE id = $1",
+        [actor.id]
+    );
+    return res.rows[0] || { lat: null, lng: null };
+}
+
+async function recordEvent(client, { rideId, from, to, actor, location, metadata }) {
+    const loc = await resolveLocation(client, actor, location);
+    await client.query(
+        `INSERT INTO ride_events (ride_id, from_status, to_status, actor_type, actor_id, lat, lng, metadata)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [rideId, from, to, actor.type, actor.id, loc.lat, loc.lng, JSON.stringify(metadata || {})]
+    );
+}
+
+// ─── CREATE ───────────────────────────────────────────────────────────
+async function createRide(fields, { actor, location }) {
+    return db.transaction(async (client) => {
+        const result = await client.query(
+            `INSERT INTO rides (rider_id, rider_socket_id, pickup_lat, pickup_lng, drop_lat, drop_lng, destination, fare, estimated_fare, status, vehicle_type,
+                                tariff_id, surge_multiplier, estimated_distance_km, estimated_duration_min, fare_breakdown,
+                                promo_code_id, discount_amount, pay_from_wallet)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8, 'REQUESTED', $9, $10, COALESCE($11, 1), $12, $13, $14, $15, COALESCE($16, 0), $17) RETURNING *`,
+            [fields.rider_id, fields.rider_socket_id, fields.pickup_lat, fields.pickup_lng, fields.drop_lat, fields.drop_lng, fields.destination, fields.fare, fields.vehicle_type,
+             fields.tariff_id, fields.surge_multiplier, fields.estimated_distance_km, fields.estimated_duration_min,
+             fields.fare_breakdown ? JSON.stringify(fields.fare_breakdown) : null, fields.promo_code_id || null, fields.discount_amount,
+             fields.pay_from_wallet === true]
+        );
+        const ride = result.rows[0];
+
+        // fields.stops: [{ lat, lng, address }], drop last. Default: just the drop.
+        const stops = fields.stops || [{ lat: fields.drop_lat, lng: fields.drop_lng, address: fields.destination }];
+        for (let i = 0; i < stops.length; i++) {
+            await client.query(
+                "INSERT INTO ride_stops (ride_id, seq, lat, lng, address) VALUES ($1, $2, $3, $4, $5)",
+                [ride.id, i + 1, stops[i].lat, stops[i].lng, stops[i].address ? String(stops[i].address).slice(0, 255) : null]
+            );
+        }
+
+        await recordEvent(client, { rideId: ride.id, from: null, to: STATES.REQUESTED, actor, location });
+        return ride;
+    });
+}
+
+// ─── TRANSITION ───────────────────────────────────────────────────────
+async function lockRide(client, rideId) {
+    const current = await client.query("SELECT * FROM rides WHERE id = $1 FOR UPDATE", [rideId]);
+    if (current.rows.length === 0) {
+        throw new RideTransitionError('NOT_FOUND', "Ride not found");
+    }
+    return current.rows[0];
+}
+
+function assertCanTransition(ride, to, actor) {
+    if (!isParticipant(ride, actor, to)) {
+        throw new RideTransitionError('NOT_PARTICIPANT', "This is not your ride");
+    }
+    if (!canTransition(ride.status, to, actor.type)) {
+        throw new RideTransitionError('INVALID_TRANSITION', `Ride is ${ride.status}, cannot move to ${to}`);
+    }
+}
+
+// Caller must already hold the row lock from lockRide()
+async function applyTransition(client, ride, to, { actor, location, fields = {}, metadata }) {
+    const from = ride.status;
+
+    const setClauses = ['status = $2'];
+    const params = [ride.id, to];
+    for (const key of UPDATABLE_FIELDS) {
+        if (fields[key] !== undefined) {
+            params.push(fields[key]);
+            setClauses.push(`${key} = $${params.length}`);
+        }
+    }
+    if (STATE_TIMESTAMPS[to]) setClauses.push(`${STATE_TIMESTAMPS[to]} = NOW()`);
+
+    const updated = await client.query(
+        `UPDATE rides SET ${setClauses.join(', ')} WHERE id = $1 RETURNING *`,
+        params
+    );
+    const updatedRide = updated.rows[0];
+
+    // Keep the driver's availability in step with the ride
+    if (to === STATES.ACCEPTED) {
+        await client.query("UPDATE drivers SET is_available = false WHERE id = $1", [updatedRide.driver_id]);
+    } else if (TERMINAL_STATES.includes(to) && updatedRide.driver_id) {
+        await client.query("UPDATE drivers SET is_available = true WHERE id = $1", [updatedRide.driver_id]);
+    } else if (to === STATES.REQUESTED && ride.driver_id) {
+        // Reassigned: the old driver is free again once they're back online
+        await client.query("UPDATE drivers SET is_available = true WHERE id = $1", [ride.driver_id]);
+    }
+
+    await recordEvent(client, { rideId: ride.id, from, to, actor, location, metadata });
+
+    return { ride: updatedRide, from };
+}
+
+// transition(rideId, 'ARRIVED', { actor: { type: 'driver', id: 7 }, location: { lat, lng } })
+// Resolves to { ride, from } with the updated row. Throws RideTransitionError
+// when the ride is missing, the actor isn't on it, or the move isn't allowed.
+async function transition(rideId, to, opts = {}) {
+    if (to === STATES.ON_TRIP) {
+        throw new RideTransitionError('PIN_REQUIRED', "Trips are started with the rider's PIN");
+    }
+    const result = await db.transaction(async (client) => {
+        const ride = await lockRide(client, rideId);
+        assertCanTransition(ride, to, opts.actor);
+        return applyTransition(client, ride, to, opts);
+    });
+    return announce(result, to, opts.actor);
+}
+
+// ─── START TRIP (PIN CHECK) ───────────────────────────────────────────
+// The rider gets a 4-digit PIN in ride_accepted and reads it out to the
+// driver. ARRIVED -> ON_TRIP only happens when the driver enters it.
+function generateTripPin() {
+    return crypto.randomInt(0, 10000).toString().padStart(4, '0');
+}
+
+async function startTrip(rideId, pin, { actor, location }) {
+    const outcome = await db.transaction(async (client) => {
+        const ride = await lockRide(client, rideId);
+        assertCanTransition(ride, STATES.ON_TRIP, actor);
+
+        if (ride.pin_attempts >= MAX_PIN_ATTEMPTS) {
+            return { error: new RideTransitionError('PIN_LOCKED', "Too many wrong PINs. Please cancel and rebook this ride.") };
+        }
+
+        if (!ride.trip_pin || String(pin) !== ride.trip_pin) {
+            // Commit the failed attempt, then throw outside the transaction
+            const res = await client.query(
+                "UPDATE rides SET pin_attempts = pin_attempts + 1 WHERE id = $1 RETURNING pin_attempts",
+                [ride.id]
+            );
+            const attemptsLeft = Math.max(MAX_PIN_ATTEMPTS - res.rows[0].pin_attempts, 0);
+            return { error: new RideTransitionError('WRONG_PIN', "Incorrect PIN", { attemptsLeft }) };
+        }
+
+        return applyTransition(client, ride, STATES.ON_TRIP, { actor, location });
+    });
+
+    if (outcome.error) throw outcome.error;
+    return announce(outcome, STATES.ON_TRIP, actor);
+}
+
+// Read-only access check for actions that don't change status (e.g. ratings)
+async function getRideForActor(rideId, actor) {
+    const result = await db.query("SELECT * FROM rides WHERE id = $1", [rideId]);
+    if (result.rows.length === 0) {
+        throw new RideTransitionError('NOT_FOUND', "Ride not found");
+    }
+    const ride = result.rows[0];
+    if (!isParticipant(ride, actor, null)) {
+        throw new RideTransitionError('NOT_PARTICIPANT', "This is not your ride");
+    }
+    return ride;
+}
+
+module.exports = {
+    STATES,
+    ACTIVE_STATES,
+    TERMINAL_STATES,
+    TRANSITIONS,
+    SYSTEM_ACTOR,
+    RideTransitionError,
+    rideEvents,
+    canTransition,
+    MAX_PIN_ATTEMPTS,
+    createRide,
+    transition,
+    generateTripPin,
+    startTrip,
+    getRideForActor,
+};
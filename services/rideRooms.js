@@ -0,0 +1,80 @@
+const rideLifecycle = require('./rideLifecycle');
+const { userRoom } = require('./sessions');
+
+const { STATES, ACTIVE_STATES, TERMINAL_STATES, rideEvents } = rideLifecycle;
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 PER-RIDE ROOMS
+// From acceptance until the ride ends, rider and driver share a Socket.IO
+// room ("ride:<id>") that carries driver_position updates. Admins can
+// subscribe to watch. The room is emptied as soon as the ride finishes.
+// ═══════════════════════════════════════════════════════════════════════
+
+// At most one driver_position per ride in this window
+const POSITION_THROTTLE_MS = 2000;
+
+let io = null;
+const lastPositionAt = new Map(); // rideId -> timestamp of last broadcast
+
+function roomName(rideId) {
+    return `ride:${rideId}`;
+}
+
+// Called on accept. Both sides join through their user rooms, so every
+// device they're signed in on follows along.
+function joinParticipants(ride) {
+    const room = roomName(ride.id);
+    io.in(userRoom('driver', ride.driver_id)).socketsJoin(room);
+    io.in(userRoom('rider', ride.rider_id)).socketsJoin(room);
+}
+
+function closeRoom(rideId, status) {
+    const room = roomName(rideId);
+    io.to(room).emit('ride_room_closed', { ride_id: rideId, status: status });
+    io.in(room).socketsLeave(room);
+    lastPositionAt.delete(rideId);
+}
+
+// subscribe_ride: participants re-joining after a reconnect, or admins.
+// Throws RideTransitionError if the caller isn't on the ride.
+async function subscribe(socket, rideId, actor) {
+    const ride = await rideLifecycle.getRideForActor(rideId, actor);
+    if (!ACTIVE_STATES.includes(ride.status)) {
+        throw new rideLifecycle.RideTransitionError('NOT_ACTIVE', "This ride is no longer active");
+    }
+    socket.join(roomName(ride.id));
+    return ride;
+}
+
+function unsubscribe(socket, rideId) {
+    socket.leave(roomName(rideId));
+}
+
+// Sent by the driver's socket to everyone else in the room
+function publishPosition(driverSocket, rideId, { lat, lng, heading, speed }) {
+    const now = Date.now();
+    const last = lastPositionAt.get(rideId) || 0;
+    if (now - last < POSITION_THROTTLE_MS) return;
+    lastPositionAt.set(rideId, now);
+
+    driverSocket.to(roomName(rideId)).emit('driver_position', {
+        ride_id: rideId,
+        lat: lat,
+        lng: lng,
+        heading: heading != null ? heading : null,
+        speed: speed != null ? speed : null,
+        at: new Date(now).toISOString()
+    });
+}
+
+function init(socketServer) {
+    io = socketServer;
+
+    // Completed, cancelled, timed out or back to REQUESTED for reassignment,
+    // from wherever the transition came
+    rideEvents.on('transition', ({ ride, to }) => {
+        if (TERMINAL_STATES.includes(to) || to === STATES.REQUESTED) closeRoom(ride.id, to);
+    });
+}
+
+module.exports = { roomName, init, joinParticipants, subscribe, unsubscribe, publishPosition };
@@ -0,0 +1,360 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+const { generateCode, sendVerificationEmail, canSendSms, sendVerificationSms } = require('./verificationService');
+const { normalizeEmail, normalizePhone } = require('../utils/contact');
+const {
+    MAX_NAME_LENGTH,
+    MAX_GENDER_LENGTH,
+    CONTACT_CODE_TTL_MINUTES,
+    CONTACT_CODE_MAX_ATTEMPTS,
+    CONTACT_CODE_RESEND_SECONDS,
+    MAX_SAVED_PLACES,
+    MAX_PLACE_LABEL_LENGTH,
+    RECENT_DESTINATIONS_DAYS,
+    RECENT_DESTINATIONS_LIMIT,
+    MAX_RECENT_DESTINATIONS,
+} = require('../config/profile');
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 RIDER PROFILE & SAVED PLACES
+// Name and gender are edited directly. An email or phone only lands on
+// the profile once the rider proves they own it with a code sent there
+// (rider_contact_changes). Saved places are HOME, WORK and CUSTOM pins
+// that get_estimate / request_ride accept instead of a typed destination.
+// ═══════════════════════════════════════════════════════════════════════
+
+class ProfileError extends Error {
+    constructor(code, msg, details = {}) {
+        super(msg);
+        this.name = 'ProfileError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+const PROFILE_COLUMNS = "id, name, email, phone, gender, rating_avg, rating_count, (password IS NOT NULL) AS has_password";
+
+// riders column per verifiable channel
+const CONTACT_COLUMNS = { email: 'email', phone: 'phone' };
+
+const PLACE_TYPES = ['HOME', 'WORK', 'CUSTOM'];
+const FIXED_LABELS = { HOME: 'Home', WORK: 'Work' };
+
+function hashCode(code) {
+    return crypto.createHash('sha256').update(String(code)).digest('hex');
+}
+
+// ─── PROFILE ──────────────────────────────────────────────────────────
+async function getProfile(riderId) {
+    const res = await db.query(`SELECT ${PROFILE_COLUMNS} FROM riders WHERE id = $1`, [riderId]);
+    if (res.rows.length === 0) throw new ProfileError('NOT_FOUND', "Rider not found");
+
+    const pending = await db.query(
+        "SELECT channel, value, expires_at FROM rider_contact_changes WHERE rider_id = $1 AND expires_at > NOW()",
+        [riderId]
+    );
+    return { ...res.rows[0], pendingContacts: pending.rows };
+}
+
+// Only name and gender; email and phone go through requestContactChange
+async function updateProfile(riderId, body = {}) {
+    const sets = [];
+    const values = [];
+
+    if (body.email !== undefined || body.phone !== undefined) {
+        throw new ProfileError('VERIFICATION_REQUIRED', "Email and phone changes need a verification code");
+    }
+
+    if (body.name !== undefined) {
+        const name = String(body.name || '').trim();
+        if (!name) throw new ProfileError('INVALID_NAME', "Name can't be empty");
+        if (name.length > MAX_NAME_LENGTH) {
+            throw new ProfileError('INVALID_NAME', `Name can be at most ${MAX_NAME_LENGTH} characters`);
+        }
+        values.push(name);
+        sets.push(`name = $${values.length}`);
+    }
+
+    if (body.gender !== undefined) {
+        const gender = body.gender ? String(body.gender).trim().slice(0, MAX_GENDER_LENGTH) : null;
+        values.push(gender || null);
+        sets.push(`gender = $${values.length}`);
+    }
+
+    if (sets.length === 0) throw new ProfileError('NOTHING_TO_UPDATE', "Nothing to update");
+
+    values.push(riderId);
+    const res = await db.query(
+        `UPDATE riders SET ${sets.join(', ')} WHERE id = $${values.length} RETURNING ${PROFILE_COLUMNS}`,
+        values
+    );
+    if (res.rows.length === 0) throw new ProfileError('NOT_FOUND', "Rider not found");
+    return res.rows[0];
+}
+
+// ─── CONTACT CHANGES ──────────────────────────────────────────────────
+function normalizeContact(channel, value) {
+    if (!CONTACT_COLUMNS[channel]) throw new ProfileError('INVALID_CHANNEL', "Channel must be email or phone");
+
+    if (channel === 'email') {
+        const email = normalizeEmail(value);
+        if (!email) throw new ProfileError('INVALID_EMAIL', "Invalid email address");
+        return email;
+    }
+
+    const phone = normalizePhone(value);
+    if (!phone) throw new ProfileError('INVALID_PHONE', "Invalid phone number");
+    return phone;
+}
+
+async function requestContactChange(riderId, { channel, value } = {}) {
+    const normalized = normalizeContact(channel, value);
+    const column = CONTACT_COLUMNS[channel];
+    if (channel === 'phone' && !canSendSms()) {
+        throw new ProfileError('SMS_UNAVAILABLE', "Phone verification isn't available right now");
+    }
+
+    const current = await db.query(`SELECT ${column} AS value FROM riders WHERE id = $1`, [riderId]);
+    if (current.rows.length === 0) throw new ProfileError('NOT_FOUND', "Rider not found");
+    if (current.rows[0].value === normalized) {
+        throw new ProfileError('UNCHANGED', `That ${channel} is already on your profile`);
+    }
+
+    const taken = await db.query(`SELECT 1 FROM riders WHERE ${column} = $1 AND id <> $2`, [normalized, riderId]);
+    if (taken.rows.length > 0) {
+        throw new ProfileError('CONTACT_TAKEN', `That ${channel} belongs to another account`);
+    }
+
+    const recent = await db.query(
+        `SELECT 1 FROM rider_contact_changes
+         WHERE rider_id = $1 AND channel = $2 AND created_at > NOW() - make_interval(secs => $3)`,
+        [riderId, channel, CONTACT_CODE_RESEND_SECONDS]
+    );
+    if (recent.rows.length > 0) {
+        throw new ProfileError('TOO_SOON', "Please wait a minute before asking for another code");
+    }
+
+    const code = generateCode();
+    const saved = await db.query(
+        `INSERT INTO rider_contact_changes (rider_id, channel, value, code_hash, expires_at)
+         VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))
+         ON CONFLICT (rider_id, channel) DO UPDATE
+         SET value = EXCLUDED.value, code_hash = EXCLUDED.code_hash, attempts = 0,
+             expires_at = EXCLUDED.expires_at, created_at = NOW()
+         RETURNING channel, value, expires_at`,
+        [riderId, channel, normalized, hashCode(code), CONTACT_CODE_TTL_MINUTES]
+    );
+
+    const sent = channel === 'email'
+        ? await sendVerificationEmail(normalized, code)
+        : await sendVerificationSms(normalized, code);
+    if (!sent) {
+        await db.query("DELETE FROM rider_contact_changes WHERE rider_id = $1 AND channel = $2", [riderId, channel]);
+        throw new ProfileError('SEND_FAILED', "Couldn't send the code. Please try again.");
+    }
+
+    return saved.rows[0];
+}
+
+async function confirmContactChange(riderId, { channel, code } = {}) {
+    if (!CONTACT_COLUMNS[channel]) throw new ProfileError('INVALID_CHANNEL', "Channel must be email or phone");
+
+    const res = await db.query(
+        "SELECT value, code_hash, attempts, expires_at FROM rider_contact_changes WHERE rider_id = $1 AND channel = $2",
+        [riderId, channel]
+    );
+    const pending = res.rows[0];
+    if (!pending) throw new ProfileError('NO_PENDING_CHANGE', "No code was sent. Please request a new one.");
+
+    if (new Date(pending.expires_at) <= new Date() || pending.attempts >= CONTACT_CODE_MAX_ATTEMPTS) {
+        await db.query("DELETE FROM rider_contact_changes WHERE rider_id = $1 AND channel = $2", [riderId, channel]);
+        throw new ProfileError('CODE_EXPIRED', "Code has expired. Please request a new one.");
+    }
+
+    const expected = Buffer.from(pending.code_hash, 'hex');
+    const actual = Buffer.from(hashCode(code), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        await db.query(
+            "UPDATE rider_contact_changes SET attempts = attempts + 1 WHERE rider_id = $1 AND channel = $2",
+            [riderId, channel]
+        );
+        throw new ProfileError('INVALID_CODE', "Incorrect code. Please try again.", {
+            attemptsLeft: Math.max(0, CONTACT_CODE_MAX_ATTEMPTS - pending.attempts - 1)
+        });
+    }
+
+    try {
+        return await db.transaction(async (client) => {
+            const claimed = await client.query(
+                "DELETE FROM rider_contact_changes WHERE rider_id = $1 AND channel = $2 AND code_hash = $3 RETURNING value",
+                [riderId, channel, pending.code_hash]
+            );
+            if (claimed.rows.length === 0) {
+                throw new ProfileError('NO_PENDING_CHANGE', "No code was sent. Please request a new one.");
+            }
+
+            const updated = await client.query(
+                `UPDATE riders SET ${CONTACT_COLUMNS[channel]} = $1 WHERE id = $2 RETURNING ${PROFILE_COLUMNS}`,
+                [claimed.rows[0].value, riderId]
+            );
+            return updated.rows[0];
+        });
+    } catch (err) {
+        // Someone else verified the same address in the meantime
+        if (err.code === '23505') {
+            await db.query("DELETE FROM rider_contact_changes WHERE rider_id = $1 AND channel = $2", [riderId, channel]);
+            throw new ProfileError('CONTACT_TAKEN', `That ${channel} belongs to another account`);
+        }
+        throw err;
+    }
+}
+
+// ─── SAVED PLACES ─────────────────────────────────────────────────────
+// Merges body over existing (for PATCH) and validates the result
+function normalizePlace(body = {}, existing = null) {
+    const labelType = String(body.labelType || (existing ? existing.label_type : 'CUSTOM')).toUpperCase();
+    if (!PLACE_TYPES.includes(labelType)) {
+        throw new ProfileError('INVALID_PLACE', "labelType must be HOME, WORK or CUSTOM");
+    }
+
+    let label = FIXED_LABELS[labelType];
+    if (!label) {
+        const source = body.label !== undefined ? body.label : (existing && existing.label_type === 'CUSTOM' ? existing.label : '');
+        label = String(source || '').trim();
+        if (!label) throw new ProfileError('INVALID_PLACE', "Please give this place a name");
+        if (label.length > MAX_PLACE_LABEL_LENGTH) {
+            throw new ProfileError('INVALID_PLACE', `Place names can be at most ${MAX_PLACE_LABEL_LENGTH} characters`);
+        }
+    }
+
+    const lat = parseFloat(body.lat !== undefined ? body.lat : existing && existing.lat);
+    const lng = parseFloat(body.lng !== undefined ? body.lng : existing && existing.lng);
+    if (!(lat >= -90 && lat <= 90) || !(lng >= -180 && lng <= 180)) {
+        throw new ProfileError('INVALID_PLACE', "A saved place needs a valid lat and lng");
+    }
+
+    const rawAddress = body.address !== undefined ? body.address : existing && existing.address;
+    const address = rawAddress ? String(rawAddress).trim().slice(0, 255) : null;
+
+    return { labelType, label, lat, lng, address };
+}
+
+function placeConflict(err, place) {
+    if (err.code !== '23505') return err;
+    const msg = place.labelType === 'CUSTOM'
+        ? `You already have a place called "${place.label}"`
+        : `You already have ${place.label} saved. Edit it instead.`;
+    return new ProfileError('PLACE_EXISTS', msg);
+}
+
+async function listPlaces(riderId) {
+    const res = await db.query(
+        `SELECT * FROM rider_saved_places WHERE rider_id = $1
+         ORDER BY CASE label_type WHEN 'HOME' THEN 0 WHEN 'WORK' THEN 1 ELSE 2 END, LOWER(label)`,
+        [riderId]
+    );
+    return res.rows;
+}
+
+async function getPlace(riderId, placeId) {
+    const res = await db.query(
+        "SELECT * FROM rider_saved_places WHERE id = $1 AND rider_id = $2",
+        [parseInt(placeId, 10) || 0, riderId]
+    );
+    if (res.rows.length === 0) throw new ProfileError('NOT_FOUND', "Saved place not found");
+    return res.rows[0];
+}
+
+async function createPlace(riderId, body) {
+    const place = normalizePlace(body);
+
+    const count = await db.query("SELECT COUNT(*)::int AS n FROM rider_saved_places WHERE rider_id = $1", [riderId]);
+    if (count.rows[0].n >= MAX_SAVED_PLACES) {
+        throw new ProfileError('TOO_MANY_PLACES', `You can save at most ${MAX_SAVED_PLACES} places`);
+    }
+
+    try {
+        const res = await db.query(
+            `INSERT INTO rider_saved_places (rider_id, label_type, label, lat, lng, address)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+            [riderId, place.labelType, place.label, place.lat, place.lng, place.address]
+        );
+        return res.rows[0];
+    } catch (err) {
+        throw placeConflict(err, place);
+    }
+}
+
+async function updatePlace(riderId, placeId, body) {
+    const existing = await getPlace(riderId, placeId);
+    const place = normalizePlace(body, existing);
+
+    try {
+        const res = await db.query(
+            `UPDATE rider_saved_places
+             SET label_type = $1, label = $2, lat = $3, lng = $4, address = $5, updated_at = NOW()
+             WHERE id = $6 RETURNING *`,
+            [place.labelType, place.label, place.lat, place.lng, place.address, existing.id]
+        );
+        return res.rows[0];
+    } catch (err) {
+        throw placeConflict(err, place);
+    }
+}
+
+async function deletePlace(riderId, placeId) {
+    const res = await db.query(
+        "DELETE FROM rider_saved_places WHERE id = $1 AND rider_id = $2 RETURNING id",
+        [parseInt(placeId, 10) || 0, riderId]
+    );
+    if (res.rows.length === 0) throw new ProfileError('NOT_FOUND', "Saved place not found");
+}
+
+// A saved place as a trip drop: { lat, lng, address } like a ride stop
+async function resolvePlace(riderId, placeId) {
+    const place = await getPlace(riderId, placeId);
+    return { lat: place.lat, lng: place.lng, address: place.address || place.label, placeId: place.id };
+}
+
+// ─── RECENT DESTINATIONS ──────────────────────────────────────────────
+// Where the rider's completed rides ended, newest first. Drops that round
+// to the same ~100 m cell are one entry, shown with the latest address.
+async function recentDestinations(riderId, limit = RECENT_DESTINATIONS_LIMIT) {
+    const n = Math.min(Math.max(parseInt(limit, 10) || RECENT_DESTINATIONS_LIMIT, 1), MAX_RECENT_DESTINATIONS);
+
+    const res = await db.query(
+        `WITH drops AS (
+             SELECT destination, drop_lat, drop_lng, ended_at,
+                    ROUND(drop_lat::numeric, 3) AS lat_key, ROUND(drop_lng::numeric, 3) AS lng_key
+             FROM rides
+             WHERE rider_id = $1 AND status = 'COMPLETED'
+               AND drop_lat IS NOT NULL AND drop_lng IS NOT NULL
+               AND ended_at > NOW() - make_interval(days => $2)
+         ), latest AS (
+             SELECT DISTINCT ON (lat_key, lng_key)
+                    destination AS address, drop_lat AS lat, drop_lng AS lng, ended_at AS last_trip_at,
+                    COUNT(*) OVER (PARTITION BY lat_key, lng_key)::int AS trips
+             FROM drops
+             ORDER BY lat_key, lng_key, ended_at DESC
+         )
+         SELECT * FROM latest ORDER BY last_trip_at DESC LIMIT $3`,
+        [riderId, RECENT_DESTINATIONS_DAYS, n]
+    );
+    return res.rows;
+}
+
+module.exports = {
+    ProfileError,
+    PLACE_TYPES,
+    getProfile,
+    updateProfile,
+    requestContactChange,
+    confirmContactChange,
+    listPlaces,
+    getPlace,
+    createPlace,
+    updatePlace,
+    deletePlace,
+    resolvePlace,
+    recentDestinations,
+};
@@ -0,0 +1,15 @@
+// Human-readable text in the same style Google returns ("4.2 km", "12 mins")
+function distanceText(km) {
+    if (km < 1) return `${Math.round(km * 1000)} m`;
+    return `${km.toFixed(1)} km`;
+}
+
+function durationText(min) {
+    const rounded = Math.max(Math.round(min), 1);
+    if (rounded < 60) return `${rounded} min${rounded === 1 ? '' : 's'}`;
+    const hours = Math.floor(rounded / 60);
+    const mins = rounded % 60;
+    return `${hours} hour${hours === 1 ? '' : 's'}${mins ? ` ${mins} mins` : ''}`;
+}
+
+module.exports = { distanceText, durationText };
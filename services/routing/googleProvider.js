@@ -0,0 +1,29 @@
+const { httpGet } = require('./http');
+
+// 🟢 GOOGLE DIRECTIONS API (needs GOOGLE_API_KEY)
+// Accepts an address string as destination as well as coordinates.
+const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
+
+function toParam(point) {
+    return typeof point === 'string' ? encodeURIComponent(point) : `${point.lat},${point.lng}`;
+}
+
+async function route(origin, destination) {
+    const url = `https://maps.googleapis.com/maps/api/directions/json?origin=${toParam(origin)}&destination=${toParam(destination)}&key=${GOOGLE_API_KEY}`;
+    const data = await httpGet(url);
+
+    if (data.status !== "OK" || data.routes.length === 0) return null;
+
+    const leg = data.routes[0].legs[0];
+    return {
+        distanceKm: leg.distance.value / 1000,
+        distanceText: leg.distance.text,
+        durationMin: leg.duration.value / 60,
+        durationText: leg.duration.text,
+        polyline: data.routes[0].overview_polyline.points,
+        endLat: leg.end_location.lat,
+        endLng: leg.end_location.lng,
+    };
+}
+
+module.exports = { name: 'google', isConfigured: () => !!GOOGLE_API_KEY, route };
@@ -0,0 +1,27 @@
+const axios = require('axios');
+
+// Shared GET with a timeout and a couple of retries on network errors / 5xx.
+const TIMEOUT_MS = parseInt(process.env.ROUTING_TIMEOUT_MS, 10) || 5000;
+const MAX_RETRIES = 2;
+
+function isRetryable(err) {
+    if (!err.response) return true; // timeout, DNS, connection reset
+    return err.response.status >= 500 || err.response.status === 429;
+}
+
+async function httpGet(url) {
+    let lastErr;
+    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+        try {
+            const response = await axios.get(url, { timeout: TIMEOUT_MS });
+            return response.data;
+        } catch (err) {
+            lastErr = err;
+            if (!isRetryable(err) || attempt === MAX_RETRIES) break;
+            await new Promise(resolve => setTimeout(resolve, 300 * (attempt + 1)));
+        }
+    }
+    throw lastErr;
+}
+
+module.exports = { httpGet };
@@ -0,0 +1,131 @@
+const googleProvider = require('./googleProvider');
+const osrmProvider = require('./osrmProvider');
+const offlineProvider = require('./offlineProvider');
+const { encodePolyline, decodePolyline } = require('./polyline');
+const { distanceText, durationText } = require('./format');
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 ROUTING
+// getRoute(origin, destination) -> { distanceKm, distanceText, durationMin,
+//   durationText, polyline, endLat, endLng } or null.
+// origin is { lat, lng }; destination is { lat, lng } or an address string
+// (addresses only work with Google).
+// getRouteThrough(origin, waypoints, destination) does the same through
+// ordered { lat, lng } waypoints, adding legs: [{ distanceKm, durationMin }].
+//
+// ROUTING_PROVIDER=google|osrm|offline picks the provider. Unset means
+// Google when GOOGLE_API_KEY is there, OSRM when OSRM_URL is, else offline.
+// Whatever the choice, the offline provider is the fallback.
+// ═══════════════════════════════════════════════════════════════════════
+
+const PROVIDERS = { google: googleProvider, osrm: osrmProvider, offline: offlineProvider };
+
+const CACHE_TTL_MS = (parseInt(process.env.ROUTE_CACHE_TTL_SECONDS, 10) || 300) * 1000;
+const CACHE_MAX_ENTRIES = 1000;
+// 3 decimals is roughly 100 m, close enough to reuse a route
+const CACHE_PRECISION = 3;
+
+const cache = new Map();
+
+function pickProvider() {
+    const configured = process.env.ROUTING_PROVIDER;
+    if (configured && PROVIDERS[configured]) return PROVIDERS[configured];
+    if (googleProvider.isConfigured()) return googleProvider;
+    if (osrmProvider.isConfigured()) return osrmProvider;
+    return offlineProvider;
+}
+
+const provider = pickProvider();
+console.log(`🗺️ Routing provider: ${provider.name}`);
+
+// "9.59,76.52" strings are treated as coordinates
+function normalizePoint(point) {
+    if (typeof point !== 'string') return { lat: parseFloat(point.lat), lng: parseFloat(point.lng) };
+    const match = point.trim().match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+    return match ? { lat: parseFloat(match[1]), lng: parseFloat(match[2]) } : point;
+}
+
+function cacheKey(origin, destination) {
+    const key = (p) => typeof p === 'string'
+        ? p.trim().toLowerCase()
+        : `${p.lat.toFixed(CACHE_PRECISION)},${p.lng.toFixed(CACHE_PRECISION)}`;
+    return `${key(origin)}|${key(destination)}`;
+}
+
+function readCache(key) {
+    const hit = cache.get(key);
+    if (!hit) return null;
+    if (hit.expiresAt < Date.now()) {
+        cache.delete(key);
+        return null;
+    }
+    return hit.route;
+}
+
+function writeCache(key, route) {
+    if (cache.size >= CACHE_MAX_ENTRIES) {
+        // Map keeps insertion order, so the first key is the oldest
+        cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, { route, expiresAt: Date.now() + CACHE_TTL_MS });
+}
+
+async function getRoute(origin, destination) {
+    const from = normalizePoint(origin);
+    const to = normalizePoint(destination);
+    const key = cacheKey(from, to);
+
+    const cached = readCache(key);
+    if (cached) return cached;
+
+    let route = null;
+    try {
+        route = await provider.route(from, to);
+    } catch (err) {
+        console.error(`❌ Network Error (${provider.name} routing):`, err.message);
+    }
+
+    if (!route && provider !== offlineProvider) {
+        route = await offlineProvider.route(from, to);
+    }
+
+    if (route) writeCache(key, route);
+    return route;
+}
+
+// One leg per hop, each cached on its own, so changing the last stop of a
+// multi-stop trip only routes the hop that changed.
+async function getRouteThrough(origin, waypoints, destination) {
+    if (!waypoints || waypoints.length === 0) return getRoute(origin, destination);
+
+    const points = [origin, ...waypoints, destination];
+    const legs = [];
+    for (let i = 1; i < points.length; i++) {
+        const leg = await getRoute(points[i - 1], points[i]);
+        if (!leg) return null;
+        legs.push(leg);
+    }
+
+    const distanceKm = legs.reduce((sum, l) => sum + l.distanceKm, 0);
+    const durationMin = legs.reduce((sum, l) => sum + l.durationMin, 0);
+    // Each leg starts where the previous one ended; drop the repeated point
+    const path = legs.flatMap((l, i) => decodePolyline(l.polyline).slice(i === 0 ? 0 : 1));
+    const last = legs[legs.length - 1];
+
+    return {
+        distanceKm: distanceKm,
+        distanceText: distanceText(distanceKm),
+        durationMin: durationMin,
+        durationText: durationText(durationMin),
+        polyline: encodePolyline(path),
+        endLat: last.endLat,
+        endLng: last.endLng,
+        legs: legs.map(l => ({ distanceKm: l.distanceKm, durationMin: l.durationMin, endLat: l.endLat, endLng: l.endLng })),
+    };
+}
+
+function clearCache() {
+    cache.clear();
+}
+
+module.exports = { getRoute, getRouteThrough, clearCache, providerName: provider.name };
@@ -0,0 +1,29 @@
+const { haversineMeters } = require('../../utils/geo');
+const { encodePolyline } = require('./polyline');
+const { distanceText, durationText } = require('./format');
+
+// 🟢 OFFLINE ROUTING: no network, no API key.
+// Straight-line distance stretched by a road factor, a fixed average speed
+// for the ETA, and a two-point polyline. Good enough for local development,
+// tests, and as a last resort when the real provider is down.
+const ROAD_FACTOR = parseFloat(process.env.OFFLINE_ROAD_FACTOR) || 1.3;
+const AVG_SPEED_KMPH = parseFloat(process.env.OFFLINE_AVG_SPEED_KMPH) || 22;
+
+async function route(origin, destination) {
+    if (typeof destination === 'string') return null; // can't geocode addresses
+
+    const distanceKm = (haversineMeters(origin, destination) / 1000) * ROAD_FACTOR;
+    const durationMin = (distanceKm / AVG_SPEED_KMPH) * 60;
+
+    return {
+        distanceKm: distanceKm,
+        distanceText: distanceText(distanceKm),
+        durationMin: durationMin,
+        durationText: durationText(durationMin),
+        polyline: encodePolyline([origin, destination]),
+        endLat: destination.lat,
+        endLng: destination.lng,
+    };
+}
+
+module.exports = { name: 'offline', route };
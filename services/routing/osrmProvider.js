@@ -0,0 +1,35 @@
+const { httpGet } = require('./http');
+const { distanceText, durationText } = require('./format');
+
+// 🟢 OSRM-COMPATIBLE HTTP API
+// Point OSRM_URL at a local osrm-backend (e.g. http://localhost:5000) or any
+// server speaking the same /route/v1 API. Coordinates only, no addresses.
+const OSRM_URL = (process.env.OSRM_URL || '').replace(/\/$/, '');
+const OSRM_PROFILE = process.env.OSRM_PROFILE || 'driving';
+
+async function route(origin, destination) {
+    if (typeof destination === 'string') return null;
+
+    const coords = `${origin.lng},${origin.lat};${destination.lng},${destination.lat}`;
+    const url = `${OSRM_URL}/route/v1/${OSRM_PROFILE}/${coords}?overview=full&geometries=polyline`;
+    const data = await httpGet(url);
+
+    if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) return null;
+
+    const best = data.routes[0];
+    const distanceKm = best.distance / 1000;
+    const durationMin = best.duration / 60;
+    const end = data.waypoints && data.waypoints[1] ? data.waypoints[1].location : [destination.lng, destination.lat];
+
+    return {
+        distanceKm: distanceKm,
+        distanceText: distanceText(distanceKm),
+        durationMin: durationMin,
+        durationText: durationText(durationMin),
+        polyline: best.geometry,
+        endLat: end[1],
+        endLng: end[0],
+    };
+}
+
+module.exports = { name: 'osrm', isConfigured: () => !!OSRM_URL, route };
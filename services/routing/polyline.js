@@ -0,0 +1,55 @@
+// 🟢 Google encoded polyline format (precision 5), same as overview_polyline
+function encodeValue(value) {
+    let v = value < 0 ? ~(value << 1) : (value << 1);
+    let out = '';
+    while (v >= 0x20) {
+        out += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+        v >>= 5;
+    }
+    return out + String.fromCharCode(v + 63);
+}
+
+// points: [{ lat, lng }, ...]
+function encodePolyline(points) {
+    let lastLat = 0;
+    let lastLng = 0;
+    let out = '';
+
+    for (const p of points) {
+        const lat = Math.round(p.lat * 1e5);
+        const lng = Math.round(p.lng * 1e5);
+        out += encodeValue(lat - lastLat) + encodeValue(lng - lastLng);
+        lastLat = lat;
+        lastLng = lng;
+    }
+    return out;
+}
+
+// Inverse of encodePolyline
+function decodePolyline(encoded) {
+    const points = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+
+    const next = () => {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = encoded.charCodeAt(index++) - 63;
+            result |= (byte & 0x1f) << shift;
+            shift += 5;
+        } while (byte >= 0x20);
+        return (result & 1) ? ~(result >> 1) : (result >> 1);
+    };
+
+    while (index < encoded.length) {
+        lat += next();
+        lng += next();
+        points.push({ lat: lat / 1e5, lng: lng / 1e5 });
+    }
+    return points;
+}
+
+module.exports = { encodePolyline, decodePolyline };
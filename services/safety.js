@@ -0,0 +1,452 @@
+const db = require('../config/db');
+const rideLifecycle = require('./rideLifecycle');
+const sessions = require('./sessions');
+const notifier = require('./notifier');
+const { signPayload, verifyPayload } = require('./tokenService');
+const { normalizeEmail, normalizePhone } = require('../utils/contact');
+const { escapeHtml } = require('../utils/html');
+const {
+    MAX_EMERGENCY_CONTACTS,
+    MAX_CONTACT_NAME_LENGTH,
+    SHARE_LINK_TTL_HOURS,
+    SHARE_LINK_GRACE_MINUTES,
+    PUBLIC_BASE_URL,
+} = require('../config/safety');
+
+const { ACTIVE_STATES, TERMINAL_STATES, rideEvents } = rideLifecycle;
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 RIDER SAFETY
+// SOS: the rider flags an accepted / ongoing ride. We store where rider
+// and driver were, alert admins holding 'safety:sos' on their own socket
+// room, and message the rider's emergency contacts with a live trip link.
+// Trip sharing: signed, expiring, read-only links to a ride's status and
+// the driver's latest position, viewable without logging in.
+// ═══════════════════════════════════════════════════════════════════════
+
+// Admin sockets with 'safety:sos' join this (see index.js)
+const SOS_ROOM = 'admins:sos';
+
+const SHARE_AUDIENCE = 'trip-share';
+
+let io = null;
+
+class SafetyError extends Error {
+    constructor(code, msg) {
+        super(msg);
+        this.name = 'SafetyError';
+        this.code = code;
+    }
+}
+
+function mapLink(lat, lng) {
+    return lat != null && lng != null ? `https://maps.google.com/?q=${lat},${lng}` : null;
+}
+
+// ─── EMERGENCY CONTACTS ───────────────────────────────────────────────
+function normalizeEmergencyContact(body = {}, existing = null) {
+    const pick = (key) => (body[key] !== undefined ? body[key] : existing && existing[key]);
+
+    const name = String(pick('name') || '').trim();
+    if (!name) throw new SafetyError('INVALID_CONTACT', "Please enter the contact's name");
+    if (name.length > MAX_CONTACT_NAME_LENGTH) {
+        throw new SafetyError('INVALID_CONTACT', `Names can be at most ${MAX_CONTACT_NAME_LENGTH} characters`);
+    }
+
+    const rawPhone = pick('phone');
+    const rawEmail = pick('email');
+    const phone = rawPhone ? normalizePhone(rawPhone) : null;
+    const email = rawEmail ? normalizeEmail(rawEmail) : null;
+    if (rawPhone && !phone) throw new SafetyError('INVALID_CONTACT', "Invalid phone number");
+    if (rawEmail && !email) throw new SafetyError('INVALID_CONTACT', "Invalid email address");
+    if (!phone && !email) throw new SafetyError('INVALID_CONTACT', "Add a phone number or an email");
+
+    return { name, phone, email };
+}
+
+async function listContacts(riderId) {
+    const res = await db.query(
+        "SELECT id, name, phone, email, created_at FROM rider_emergency_contacts WHERE rider_id = $1 ORDER BY id",
+        [riderId]
+    );
+    return res.rows;
+}
+
+async function addContact(riderId, body) {
+    const contact = normalizeEmergencyContact(body);
+
+    const count = await db.query("SELECT COUNT(*)::int AS n FROM rider_emergency_contacts WHERE rider_id = $1", [riderId]);
+    if (count.rows[0].n >= MAX_EMERGENCY_CONTACTS) {
+        throw new SafetyError('TOO_MANY_CONTACTS', `You can add at most ${MAX_EMERGENCY_CONTACTS} emergency contacts`);
+    }
+
+    const res = await db.query(
+        `INSERT INTO rider_emergency_contacts (rider_id, name, phone, email)
+         VALUES ($1, $2, $3, $4) RETURNING id, name, phone, email, created_at`,
+        [riderId, contact.name, contact.phone, contact.email]
+    );
+    return res.rows[0];
+}
+
+async function updateContact(riderId, contactId, body) {
+    const existing = await db.query(
+        "SELECT * FROM rider_emergency_contacts WHERE id = $1 AND rider_id = $2",
+        [parseInt(contactId, 10) || 0, riderId]
+    );
+    if (existing.rows.length === 0) throw new SafetyError('NOT_FOUND', "Contact not found");
+
+    const contact = normalizeEmergencyContact(body, existing.rows[0]);
+    const res = await db.query(
+        `UPDATE rider_emergency_contacts SET name = $1, phone = $2, email = $3
+         WHERE id = $4 RETURNING id, name, phone, email, created_at`,
+        [contact.name, contact.phone, contact.email, existing.rows[0].id]
+    );
+    return res.rows[0];
+}
+
+async function deleteContact(riderId, contactId) {
+    const res = await db.query(
+        "DELETE FROM rider_emergency_contacts WHERE id = $1 AND rider_id = $2 RETURNING id",
+        [parseInt(contactId, 10) || 0, riderId]
+    );
+    if (res.rows.length === 0) throw new SafetyError('NOT_FOUND', "Contact not found");
+}
+
+// ─── TRIP SHARE LINKS ─────────────────────────────────────────────────
+function shareUrl(token) {
+    return `${PUBLIC_BASE_URL}/api/share/${token}`;
+}
+
+async function issueShareLink(ride, reason) {
+    const res = await db.query(
+        `INSERT INTO ride_share_links (ride_id, rider_id, reason, expires_at)
+         VALUES ($1, $2, $3, NOW() + make_interval(hours => $4)) RETURNING id, reason, expires_at, created_at`,
+        [ride.id, ride.rider_id, reason, SHARE_LINK_TTL_HOURS]
+    );
+    const link = res.rows[0];
+    const token = signPayload({ linkId: link.id, rideId: ride.id }, SHARE_AUDIENCE, `${SHARE_LINK_TTL_HOURS}h`);
+    return { ...link, url: shareUrl(token), token: token };
+}
+
+async function createShareLink(rideId, actor) {
+    if (actor.type !== 'rider') throw new SafetyError('NOT_ALLOWED', "Only the rider can share a trip");
+    const ride = await rideLifecycle.getRideForActor(rideId, actor);
+    if (TERMINAL_STATES.includes(ride.status)) {
+        throw new SafetyError('NOT_ACTIVE', "This ride is no longer active");
+    }
+    return issueShareLink(ride, 'SHARE');
+}
+
+async function listShareLinks(rideId, actor) {
+    const ride = await rideLifecycle.getRideForActor(rideId, actor);
+    const res = await db.query(
+        `SELECT id, reason, expires_at, revoked_at, view_count, last_viewed_at, created_at
+         FROM ride_share_links WHERE ride_id = $1 ORDER BY id DESC`,
+        [ride.id]
+    );
+    return res.rows;
+}
+
+async function revokeShareLink(linkId, actor) {
+    if (actor.type !== 'rider') throw new SafetyError('NOT_ALLOWED', "Only the rider can stop sharing");
+    const res = await db.query(
+        `UPDATE ride_share_links SET revoked_at = NOW()
+         WHERE id = $1 AND rider_id = $2 AND revoked_at IS NULL RETURNING id`,
+        [parseInt(linkId, 10) || 0, actor.id]
+    );
+    if (res.rows.length === 0) throw new SafetyError('NOT_FOUND', "Share link not found");
+}
+
+// Latest breadcrumb for the ride, else the driver's last known position
+async function latestDriverPosition(ride) {
+    if (!ride.driver_id) return null;
+
+    const crumb = await db.query(
+        `SELECT lat, lng, heading, recorded_at AS at FROM ride_locations
+         WHERE ride_id = $1 AND driver_id = $2 ORDER BY recorded_at DESC LIMIT 1`,
+        [ride.id, ride.driver_id]
+    );
+    if (crumb.rows.length > 0) return crumb.rows[0];
+
+    const driver = await db.query(
+        `SELECT ST_Y(location::geometry) AS lat, ST_X(location::geometry) AS lng, heading, last_seen_at AS at
+         FROM drivers WHERE id = $1 AND location IS NOT NULL`,
+        [ride.driver_id]
+    );
+    return driver.rows[0] || null;
+}
+
+// What the public link shows. No phone numbers, no trip PIN, no fare.
+async function viewSharedTrip(token) {
+    const payload = verifyPayload(token, SHARE_AUDIENCE);
+    if (!payload) throw new SafetyError('LINK_EXPIRED', "This trip link has expired");
+
+    const link = await db.query(
+        `UPDATE ride_share_links SET view_count = view_count + 1, last_viewed_at = NOW()
+         WHERE id = $1 AND ride_id = $2 AND revoked_at IS NULL AND expires_at > NOW()
+         RETURNING expires_at`,
+        [payload.linkId, payload.rideId]
+    );
+    if (link.rows.length === 0) throw new SafetyError('LINK_EXPIRED', "This trip link has expired");
+
+    const res = await db.query(
+        `SELECT r.*, d.name AS driver_name, rd.name AS rider_name
+         FROM rides r
+         LEFT JOIN drivers d ON d.id = r.driver_id
+         JOIN riders rd ON rd.id = r.rider_id
+         WHERE r.id = $1`,
+        [payload.rideId]
+    );
+    const ride = res.rows[0];
+    if (!ride) throw new SafetyError('LINK_EXPIRED', "This trip link has expired");
+
+    const live = ACTIVE_STATES.includes(ride.status);
+    const stops = await db.query(
+        "SELECT seq, lat, lng, address, status FROM ride_stops WHERE ride_id = $1 ORDER BY seq",
+        [ride.id]
+    );
+
+    return {
+        riderName: ride.rider_name ? ride.rider_name.split(' ')[0] : null,
+        status: ride.status,
+        vehicleType: ride.vehicle_type,
+        driverName: ride.driver_name || null,
+        pickup: { lat: ride.pickup_lat, lng: ride.pickup_lng },
+        drop: { lat: ride.drop_lat, lng: ride.drop_lng, address: ride.destination },
+        stops: stops.rows,
+        driverPosition: live ? await latestDriverPosition(ride) : null,
+        etaMinutes: live && ride.current_eta_min != null ? Number(ride.current_eta_min) : null,
+        etaUpdatedAt: live ? ride.eta_updated_at : null,
+        startedAt: ride.started_at,
+        endedAt: ride.ended_at,
+        linkExpiresAt: link.rows[0].expires_at
+    };
+}
+
+// ─── SOS ──────────────────────────────────────────────────────────────
+async function alertSummary(alertId) {
+    const res = await db.query(
+        `SELECT a.*, r.status AS current_status, r.vehicle_type, r.pickup_lat, r.pickup_lng,
+                r.drop_lat, r.drop_lng, r.destination,
+                rd.name AS rider_name, rd.phone AS rider_phone,
+                d.name AS driver_name, d.phone AS driver_phone
+         FROM ride_sos_alerts a
+         JOIN rides r ON r.id = a.ride_id
+         JOIN riders rd ON rd.id = a.rider_id
+         LEFT JOIN drivers d ON d.id = a.driver_id
+         WHERE a.id = $1`,
+        [alertId]
+    );
+    return res.rows[0] || null;
+}
+
+function broadcastToAdmins(event, alert) {
+    if (io) io.to(SOS_ROOM).emit(event, alert);
+}
+
+async function notifyEmergencyContacts(alert, link) {
+    const contacts = await listContacts(alert.rider_id);
+    if (contacts.length === 0) return 0;
+
+    const riderName = alert.rider_name || 'Your contact';
+    const where = mapLink(alert.rider_lat, alert.rider_lng) || mapLink(alert.driver_lat, alert.driver_lng);
+    const lines = [
+        `🚨 ${riderName} raised an SOS during a Savaari ${alert.vehicle_type || 'ride'}.`,
+        alert.driver_name ? `Driver: ${alert.driver_name}` : null,
+        where ? `Last known location: ${where}` : null,
+        `Follow the trip live: ${link.url}`,
+        `Our safety team has been alerted.`
+    ].filter(Boolean);
+    const text = lines.join('\n');
+
+    const results = await Promise.all(contacts.map(contact =>
+        notifier.notifyContact(contact, {
+            subject: `🚨 SOS from ${riderName}`,
+            text: text,
+            html: `<div style="font-family: Arial, sans-serif;">${lines.map(l => `<p>${escapeHtml(l)}</p>`).join('')}</div>`
+        }).catch(err => {
+            console.error("SOS Contact Error:", err.message);
+            return {};
+        })
+    ));
+    return results.filter(r => r.sms || r.email).length;
+}
+
+// A repeat SOS on the same ride refreshes the rider's position and alerts
+// admins again; contacts are only messaged the first time.
+async function raiseSos(rideId, actor, { lat, lng, note } = {}, source = 'socket') {
+    if (actor.type !== 'rider') throw new SafetyError('NOT_ALLOWED', "Only the rider can raise an SOS");
+
+    const ride = await rideLifecycle.getRideForActor(rideId, actor);
+    if (!ACTIVE_STATES.includes(ride.status)) {
+        throw new SafetyError('NOT_ACTIVE', "SOS is only available during an active ride");
+    }
+
+    const riderLat = parseFloat(lat);
+    const riderLng = parseFloat(lng);
+    const hasPosition = riderLat >= -90 && riderLat <= 90 && riderLng >= -180 && riderLng <= 180;
+    const driverPos = await latestDriverPosition(ride);
+    const cleanNote = note ? String(note).trim().slice(0, 500) : null;
+
+    const existing = await db.query(
+        "SELECT id FROM ride_sos_alerts WHERE ride_id = $1 AND status <> 'RESOLVED'",
+        [ride.id]
+    );
+
+    let alertId;
+    let repeat = existing.rows.length > 0;
+    if (repeat) {
+        alertId = existing.rows[0].id;
+        await db.query(
+            `UPDATE ride_sos_alerts
+             SET rider_lat = COALESCE($1, rider_lat), rider_lng = COALESCE($2, rider_lng),
+                 driver_lat = COALESCE($3, driver_lat), driver_lng = COALESCE($4, driver_lng),
+                 driver_position_at = COALESCE($5, driver_position_at),
+                 note = COALESCE($6, note), updated_at = NOW()
+             WHERE id = $7`,
+            [hasPosition ? riderLat : null, hasPosition ? riderLng : null,
+             driverPos ? driverPos.lat : null, driverPos ? driverPos.lng : null, driverPos ? driverPos.at : null,
+             cleanNote, alertId]
+        );
+    } else {
+        try {
+            const inserted = await db.query(
+                `INSERT INTO ride_sos_alerts
+                    (ride_id, rider_id, driver_id, ride_status, source, rider_lat, rider_lng,
+                     driver_lat, driver_lng, driver_position_at, note)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING id`,
+                [ride.id, ride.rider_id, ride.driver_id, ride.status, source,
+                 hasPosition ? riderLat : null, hasPosition ? riderLng : null,
+                 driverPos ? driverPos.lat : null, driverPos ? driverPos.lng : null, driverPos ? driverPos.at : null,
+                 cleanNote]
+            );
+            alertId = inserted.rows[0].id;
+        } catch (err) {
+            // Two taps at once; the other one created it
+            if (err.code !== '23505') throw err;
+            return raiseSos(rideId, actor, { lat, lng, note }, source);
+        }
+        await db.query("UPDATE rides SET sos_raised_at = COALESCE(sos_raised_at, NOW()) WHERE id = $1", [ride.id]);
+    }
+
+    const alert = await alertSummary(alertId);
+    broadcastToAdmins('sos_alert', { ...alert, repeat: repeat, riderMap: mapLink(alert.rider_lat, alert.rider_lng) });
+    console.log(`🚨 SOS ${repeat ? 'repeated' : 'raised'} on ride ${ride.id} by rider ${ride.rider_id}`);
+
+    if (!repeat) {
+        // Contacts can be slow (email); the rider and admins don't wait for them
+        issueShareLink(ride, 'SOS')
+            .then(link => notifyEmergencyContacts(alert, link))
+            .then(count => db.query(
+                "UPDATE ride_sos_alerts SET contacts_notified = $1, updated_at = NOW() WHERE id = $2",
+                [count, alertId]
+            ).then(() => broadcastToAdmins('sos_updated', { id: alertId, ride_id: ride.id, contacts_notified: count })))
+            .catch(err => console.error("SOS Notify Error:", err.message));
+    }
+
+    await sessions.notifyRider(ride, 'sos_received', {
+        ride_id: ride.id,
+        sos_id: alertId,
+        msg: "Help is on the way. Our safety team has been alerted."
+    });
+
+    return { alert, repeat };
+}
+
+// ─── ADMIN ────────────────────────────────────────────────────────────
+async function listAlerts({ status, limit = 100 } = {}) {
+    const params = [];
+    let where = '';
+    if (status) {
+        params.push(status);
+        where = `WHERE a.status = $${params.length}`;
+    }
+    params.push(Math.min(parseInt(limit, 10) || 100, 500));
+
+    const res = await db.query(
+        `SELECT a.*, rd.name AS rider_name, rd.phone AS rider_phone, d.name AS driver_name, d.phone AS driver_phone,
+                r.status AS current_status, r.vehicle_type
+         FROM ride_sos_alerts a
+         JOIN rides r ON r.id = a.ride_id
+         JOIN riders rd ON rd.id = a.rider_id
+         LEFT JOIN drivers d ON d.id = a.driver_id
+         ${where}
+         ORDER BY (a.status = 'OPEN') DESC, a.created_at DESC
+         LIMIT $${params.length}`,
+        params
+    );
+    return res.rows;
+}
+
+async function getAlert(alertId) {
+    const alert = await alertSummary(parseInt(alertId, 10) || 0);
+    if (!alert) throw new SafetyError('NOT_FOUND', "SOS alert not found");
+    return alert;
+}
+
+async function acknowledgeAlert(alertId, adminId) {
+    const res = await db.query(
+        `UPDATE ride_sos_alerts SET status = 'ACKNOWLEDGED', acknowledged_by = $1, acknowledged_at = NOW(), updated_at = NOW()
+         WHERE id = $2 AND status = 'OPEN' RETURNING id`,
+        [adminId, parseInt(alertId, 10) || 0]
+    );
+    if (res.rows.length === 0) throw new SafetyError('NOT_OPEN', "This alert isn't open");
+
+    const alert = await alertSummary(res.rows[0].id);
+    broadcastToAdmins('sos_updated', alert);
+    await sessions.notifyUser('rider', alert.rider_id, 'sos_acknowledged', {
+        ride_id: alert.ride_id,
+        sos_id: alert.id,
+        msg: "Our safety team is looking into it and may call you."
+    }, alert.ride_id);
+    return alert;
+}
+
+async function resolveAlert(alertId, adminId, note) {
+    const res = await db.query(
+        `UPDATE ride_sos_alerts
+         SET status = 'RESOLVED', resolved_by = $1, resolved_at = NOW(), resolution_note = $2,
+             acknowledged_by = COALESCE(acknowledged_by, $1), acknowledged_at = COALESCE(acknowledged_at, NOW()),
+             updated_at = NOW()
+         WHERE id = $3 AND status <> 'RESOLVED' RETURNING id`,
+        [adminId, note ? String(note).trim().slice(0, 1000) : null, parseInt(alertId, 10) || 0]
+    );
+    if (res.rows.length === 0) throw new SafetyError('NOT_OPEN', "This alert is already resolved");
+
+    const alert = await alertSummary(res.rows[0].id);
+    broadcastToAdmins('sos_updated', alert);
+    return alert;
+}
+
+function init(socketServer) {
+    io = socketServer;
+
+    // Share links outlive the ride only by the grace period
+    rideEvents.on('transition', ({ ride, to }) => {
+        if (!TERMINAL_STATES.includes(to)) return;
+        db.query(
+            `UPDATE ride_share_links SET expires_at = LEAST(expires_at, NOW() + make_interval(mins => $1))
+             WHERE ride_id = $2 AND revoked_at IS NULL`,
+            [SHARE_LINK_GRACE_MINUTES, ride.id]
+        ).catch(err => console.error("Share Link Expiry Error:", err.message));
+    });
+}
+
+module.exports = {
+    SOS_ROOM,
+    SafetyError,
+    listContacts,
+    addContact,
+    updateContact,
+    deleteContact,
+    createShareLink,
+    listShareLinks,
+    revokeShareLink,
+    viewSharedTrip,
+    raiseSos,
+    listAlerts,
+    getAlert,
+    acknowledgeAlert,
+    resolveAlert,
+    init,
+};
@@ -0,0 +1,450 @@
+const cron = require('node-cron');
+const db = require('../config/db');
+const rideLifecycle = require('./rideLifecycle');
+const dispatch = require('./dispatch');
+const fareService = require('./fareService');
+const routing = require('./routing');
+const sessions = require('./sessions');
+const notifications = require('./notifications');
+const {
+    MIN_LEAD_MINUTES, MAX_ADVANCE_DAYS, MAX_UPCOMING_BOOKINGS, DISPATCH_LEAD_MINUTES,
+    REDISPATCH_AFTER_MINUTES, MAX_LATE_MINUTES, REMINDER_MINUTES, SCHEDULE_TIMEZONE,
+    SCHEDULED_QUOTE_TTL_SECONDS
+} = require('../config/scheduling');
+
+const { STATES, SYSTEM_ACTOR, rideEvents } = rideLifecycle;
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 SCHEDULED RIDES
+// A booking holds the trip, the pickup time and a locked fare. Nothing
+// touches rides until DISPATCH_LEAD_MINUTES before pickup, when the
+// minute cron creates an ordinary REQUESTED ride and hands it to dispatch.
+// If that search times out we try again until shortly after pickup time.
+//   SCHEDULED -> DISPATCHED (ride_id set) -> back to SCHEDULED on retry
+//   DISPATCHED -> MATCHED once a driver accepts (from then on it's the ride's story)
+//   SCHEDULED -> CANCELLED (rider) | FAILED (no driver by the deadline)
+// ═══════════════════════════════════════════════════════════════════════
+
+// What riders and admins get back for a booking
+const BOOKING_FIELDS = `id, rider_id, status, pickup_at, pickup_lat, pickup_lng, drop_lat, drop_lng, destination,
+    vehicle_type, fare, fare_breakdown, ride_id, dispatch_attempts, cancelled_by, cancel_reason, failure_reason,
+    created_at, updated_at`;
+
+let ticking = false;
+
+class ScheduleError extends Error {
+    constructor(code, msg) {
+        super(msg);
+        this.name = 'ScheduleError';
+        this.code = code;
+    }
+}
+
+// ─── HELPERS ──────────────────────────────────────────────────────────
+function parsePickupAt(value) {
+    const pickupAt = new Date(value);
+    if (!value || isNaN(pickupAt.getTime())) {
+        throw new ScheduleError('INVALID_PICKUP_TIME', "Pickup time must be an ISO date-time");
+    }
+    return pickupAt;
+}
+
+function assertBookable(pickupAt) {
+    const minutesAhead = (pickupAt.getTime() - Date.now()) / 60000;
+    if (minutesAhead < MIN_LEAD_MINUTES) {
+        throw new ScheduleError('TOO_SOON', `Scheduled rides must be at least ${MIN_LEAD_MINUTES} minutes ahead`);
+    }
+    if (minutesAhead > MAX_ADVANCE_DAYS * 24 * 60) {
+        throw new ScheduleError('TOO_FAR_AHEAD', `Rides can be booked at most ${MAX_ADVANCE_DAYS} days ahead`);
+    }
+}
+
+function dispatchTimeFor(pickupAt) {
+    return new Date(pickupAt.getTime() - DISPATCH_LEAD_MINUTES * 60000);
+}
+
+// Reminders whose moment has already passed are marked sent up front, so a
+// booking made 30 minutes ahead doesn't get a "1 hour to go" push.
+function remindersAlreadyDue(pickupAt) {
+    return REMINDER_MINUTES.filter(m => pickupAt.getTime() - m * 60000 <= Date.now());
+}
+
+function formatPickup(pickupAt) {
+    return new Intl.DateTimeFormat('en-IN', {
+        weekday: 'short', day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit', timeZone: SCHEDULE_TIMEZONE
+    }).format(new Date(pickupAt));
+}
+
+// ─── RIDER API ────────────────────────────────────────────────────────
+// Locked-fare quotes for a trip at pickupAt, one per vehicle type
+async function quote(riderId, { pickupLat, pickupLng, dropLat, dropLng, destination, pickupAt }) {
+    const when = parsePickupAt(pickupAt);
+    assertBookable(when);
+
+    const drop = (dropLat != null && dropLng != null) ? { lat: dropLat, lng: dropLng } : destination;
+    const route = await routing.getRoute({ lat: pickupLat, lng: pickupLng }, drop);
+    if (!route) throw new ScheduleError('NO_ROUTE', "Could not calculate route.");
+
+    const quotes = await fareService.quoteScheduledTrip({
+        riderId, pickupLat, pickupLng, route, pickupAt: when, ttlSeconds: SCHEDULED_QUOTE_TTL_SECONDS
+    });
+    return {
+        pickupAt: when.toISOString(),
+        quotes: quotes,
+        tripDistance: route.distanceText,
+        tripDuration: route.durationText,
+        dropLat: route.endLat,
+        dropLng: route.endLng,
+        polyline: route.polyline
+    };
+}
+
+function tripFromQuote(riderId, quoteId, vehicleType) {
+    const q = fareService.verifyScheduledQuote(quoteId, { riderId, vehicleType: vehicleType || 'Auto' });
+    if (!q) throw new ScheduleError('QUOTE_EXPIRED', "Your fare quote has expired. Please check the price again.");
+
+    const pickupAt = new Date(q.pickupAt);
+    assertBookable(pickupAt);
+    return { q, pickupAt };
+}
+
+async function createBooking(riderId, { quoteId, vehicleType, destination }) {
+    const { q, pickupAt } = tripFromQuote(riderId, quoteId, vehicleType);
+
+    const upcoming = await db.query(
+        "SELECT COUNT(*)::int AS count FROM scheduled_rides WHERE rider_id = $1 AND status IN ('SCHEDULED', 'DISPATCHED')",
+        [riderId]
+    );
+    if (upcoming.rows[0].count >= MAX_UPCOMING_BOOKINGS) {
+        throw new ScheduleError('TOO_MANY_BOOKINGS', `You can have at most ${MAX_UPCOMING_BOOKINGS} upcoming bookings`);
+    }
+
+    const res = await db.query(
+        `INSERT INTO scheduled_rides (rider_id, pickup_at, pickup_lat, pickup_lng, drop_lat, drop_lng, destination, vehicle_type,
+                                      fare, fare_breakdown, tariff_id, estimated_distance_km, estimated_duration_min,
+                                      next_dispatch_at, reminders_sent)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+         RETURNING ${BOOKING_FIELDS}`,
+        [riderId, pickupAt, q.pickupLat, q.pickupLng, q.dropLat, q.dropLng, destination || null, q.vehicleType,
+         q.fare, JSON.stringify(q.breakdown), q.breakdown.tariffId, q.breakdown.distanceKm, q.breakdown.durationMin,
+         dispatchTimeFor(pickupAt), remindersAlreadyDue(pickupAt)]
+    );
+    const booking = res.rows[0];
+    console.log(`📅 Rider ${riderId} booked ${booking.vehicle_type} #${booking.id} for ${booking.pickup_at.toISOString()}`);
+    return booking;
+}
+
+async function listForRider(riderId, { includePast = false } = {}) {
+    const res = await db.query(
+        `SELECT ${BOOKING_FIELDS} FROM scheduled_rides
+         WHERE rider_id = $1 AND ($2 OR status IN ('SCHEDULED', 'DISPATCHED'))
+         ORDER BY pickup_at ${includePast ? 'DESC' : 'ASC'}
+         LIMIT 100`,
+        [riderId, includePast]
+    );
+    return res.rows;
+}
+
+async function getForRider(riderId, bookingId) {
+    const res = await db.query(`SELECT ${BOOKING_FIELDS} FROM scheduled_rides WHERE id = $1 AND rider_id = $2`, [bookingId, riderId]);
+    if (res.rows.length === 0) throw new ScheduleError('NOT_FOUND', "Booking not found");
+    return res.rows[0];
+}
+
+function assertEditable(booking) {
+    if (booking.status === 'DISPATCHED') {
+        throw new ScheduleError('ALREADY_DISPATCHED', "We're already finding your driver. Cancel the ride itself instead.");
+    }
+    if (booking.status !== 'SCHEDULED') {
+        throw new ScheduleError('NOT_EDITABLE', `Booking is ${booking.status}`);
+    }
+}
+
+// A new quoteId changes trip, time and fare together (the fare depends on
+// all three); on its own, destination only relabels the drop.
+async function updateBooking(riderId, bookingId, { quoteId, vehicleType, destination }) {
+    assertEditable(await getForRider(riderId, bookingId));
+
+    let res;
+    if (quoteId) {
+        const { q, pickupAt } = tripFromQuote(riderId, quoteId, vehicleType);
+        res = await db.query(
+            `UPDATE scheduled_rides
+             SET pickup_at = $3, pickup_lat = $4, pickup_lng = $5, drop_lat = $6, drop_lng = $7,
+                 destination = COALESCE($8, destination), vehicle_type = $9, fare = $10, fare_breakdown = $11,
+                 tariff_id = $12, estimated_distance_km = $13, estimated_duration_min = $14,
+                 next_dispatch_at = $15, reminders_sent = $16, updated_at = NOW()
+             WHERE id = $1 AND rider_id = $2 AND status = 'SCHEDULED'
+             RETURNING ${BOOKING_FIELDS}`,
+            [bookingId, riderId, pickupAt, q.pickupLat, q.pickupLng, q.dropLat, q.dropLng, destination || null,
+             q.vehicleType, q.fare, JSON.stringify(q.breakdown), q.breakdown.tariffId, q.breakdown.distanceKm,
+             q.breakdown.durationMin, dispatchTimeFor(pickupAt), remindersAlreadyDue(pickupAt)]
+        );
+    } else if (destination !== undefined) {
+        res = await db.query(
+            `UPDATE scheduled_rides SET destination = $3, updated_at = NOW()
+             WHERE id = $1 AND rider_id = $2 AND status = 'SCHEDULED'
+             RETURNING ${BOOKING_FIELDS}`,
+            [bookingId, riderId, destination || null]
+        );
+    } else {
+        throw new ScheduleError('NOTHING_TO_UPDATE', "Send a new quoteId or destination");
+    }
+
+    // Matching started between the read and the write
+    if (res.rows.length === 0) throw new ScheduleError('ALREADY_DISPATCHED', "We're already finding your driver. Cancel the ride itself instead.");
+    return res.rows[0];
+}
+
+async function cancelBooking(riderId, bookingId, reason) {
+    assertEditable(await getForRider(riderId, bookingId));
+
+    const res = await db.query(
+        `UPDATE scheduled_rides
+         SET status = 'CANCELLED', cancelled_by = 'rider', cancel_reason = $3, updated_at = NOW()
+         WHERE id = $1 AND rider_id = $2 AND status = 'SCHEDULED'
+         RETURNING ${BOOKING_FIELDS}`,
+        [bookingId, riderId, reason ? String(reason).slice(0, 255) : null]
+    );
+    if (res.rows.length === 0) throw new ScheduleError('ALREADY_DISPATCHED', "We're already finding your driver. Cancel the ride itself instead.");
+
+    console.log(`📅 Rider ${riderId} cancelled booking #${bookingId}`);
+    return res.rows[0];
+}
+
+// ─── ADMIN SCHEDULE VIEW ──────────────────────────────────────────────
+// Bookings picking up between from and to (default: the next 48 hours),
+// plus how many fall in each local hour so thin coverage stands out.
+async function listSchedule({ from, to, status } = {}) {
+    const start = from ? new Date(from) : new Date();
+    const end = to ? new Date(to) : new Date(start.getTime() + 48 * 3600 * 1000);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        throw new ScheduleError('INVALID_RANGE', "from and to must be ISO date-times");
+    }
+
+    const bookings = await db.query(
+        `SELECT sr.id, sr.status, sr.pickup_at, sr.vehicle_type, sr.fare, sr.destination,
+                sr.pickup_lat, sr.pickup_lng, sr.dispatch_attempts, sr.failure_reason, sr.ride_id,
+                riders.name AS rider_name, riders.phone AS rider_phone,
+                r.status AS ride_status, d.name AS driver_name
+         FROM scheduled_rides sr
+         JOIN riders ON riders.id = sr.rider_id
+         LEFT JOIN rides r ON r.id = sr.ride_id
+         LEFT JOIN drivers d ON d.id = r.driver_id
+         WHERE sr.pickup_at BETWEEN $1 AND $2
+         AND ($3::text IS NULL OR sr.status = $3)
+         ORDER BY sr.pickup_at ASC
+         LIMIT 500`,
+        [start, end, status || null]
+    );
+    const byHour = await db.query(
+        `SELECT to_char(date_trunc('hour', pickup_at AT TIME ZONE $3), 'YYYY-MM-DD HH24:00') AS hour,
+                vehicle_type, COUNT(*)::int AS bookings
+         FROM scheduled_rides
+         WHERE pickup_at BETWEEN $1 AND $2 AND status IN ('SCHEDULED', 'DISPATCHED')
+         GROUP BY 1, 2 ORDER BY 1, 2`,
+        [start, end, SCHEDULE_TIMEZONE]
+    );
+
+    return { from: start.toISOString(), to: end.toISOString(), timezone: SCHEDULE_TIMEZONE, bookings: bookings.rows, byHour: byHour.rows };
+}
+
+// ─── CRON: REMINDERS ──────────────────────────────────────────────────
+async function sendReminders() {
+    const due = await db.query(
+        `SELECT id, rider_id, pickup_at, vehicle_type, reminders_sent
+         FROM scheduled_rides
+         WHERE status = 'SCHEDULED' AND pickup_at > NOW()
+         AND EXISTS (
+             SELECT 1 FROM unnest($1::int[]) AS m
+             WHERE pickup_at - make_interval(mins => m) <= NOW() AND NOT (m = ANY(reminders_sent))
+         )`,
+        [REMINDER_MINUTES]
+    );
+
+    for (const booking of due.rows) {
+        const marks = remindersAlreadyDue(booking.pickup_at).filter(m => !booking.reminders_sent.includes(m));
+        const claimed = await db.query(
+            `UPDATE scheduled_rides SET reminders_sent = reminders_sent || $2::int[]
+             WHERE id = $1 AND status = 'SCHEDULED' AND NOT (reminders_sent && $2::int[])
+             RETURNING id`,
+            [booking.id, marks]
+        );
+        if (claimed.rows.length === 0) continue;
+
+        const when = formatPickup(booking.pickup_at);
+        await notifications.notify('rider', booking.rider_id, 'scheduled_reminder', { vehicleType: booking.vehicle_type, when: when });
+        sessions.emitToUser('rider', booking.rider_id, 'scheduled_ride_reminder', { booking_id: booking.id, pickup_at: booking.pickup_at });
+    }
+}
+
+// ─── CRON: START MATCHING ─────────────────────────────────────────────
+async function claimDueBooking() {
+    const res = await db.query(
+        `UPDATE scheduled_rides
+         SET status = 'DISPATCHED', dispatch_attempts = dispatch_attempts + 1, updated_at = NOW()
+         WHERE id = (
+             SELECT id FROM scheduled_rides
+             WHERE status = 'SCHEDULED' AND next_dispatch_at <= NOW()
+             ORDER BY next_dispatch_at
+             LIMIT 1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`
+    );
+    return res.rows[0] || null;
+}
+
+async function dispatchBooking(booking) {
+    let ride;
+    try {
+        ride = await rideLifecycle.createRide({
+            rider_id: booking.rider_id,
+            rider_socket_id: null,
+            pickup_lat: booking.pickup_lat,
+            pickup_lng: booking.pickup_lng,
+            drop_lat: booking.drop_lat,
+            drop_lng: booking.drop_lng,
+            destination: booking.destination,
+            fare: booking.fare,
+            vehicle_type: booking.vehicle_type,
+            tariff_id: booking.tariff_id,
+            surge_multiplier: 1,
+            estimated_distance_km: booking.estimated_distance_km,
+            estimated_duration_min: booking.estimated_duration_min,
+            fare_breakdown: booking.fare_breakdown
+        }, { actor: SYSTEM_ACTOR, location: { lat: booking.pickup_lat, lng: booking.pickup_lng } });
+    } catch (err) {
+        await db.query(
+            `UPDATE scheduled_rides SET status = 'SCHEDULED', next_dispatch_at = NOW() + make_interval(mins => $2), updated_at = NOW()
+             WHERE id = $1`,
+            [booking.id, REDISPATCH_AFTER_MINUTES]
+        );
+        throw err;
+    }
+
+    await db.query("UPDATE scheduled_rides SET ride_id = $2, updated_at = NOW() WHERE id = $1", [booking.id, ride.id]);
+
+    const riderRes = await db.query("SELECT phone FROM riders WHERE id = $1", [booking.rider_id]);
+    const riderPhone = riderRes.rows.length > 0 ? riderRes.rows[0].phone : null;
+    await dispatch.startDispatch(ride, {
+        ...dispatch.buildOfferPayload(ride, riderPhone),
+        scheduled: true,
+        pickupAt: booking.pickup_at
+    });
+
+    console.log(`📅 Booking #${booking.id} is now Ride ${ride.id} (attempt ${booking.dispatch_attempts})`);
+    await sessions.notifyUser('rider', booking.rider_id, 'scheduled_ride_dispatched', {
+        booking_id: booking.id,
+        ride_id: ride.id,
+        pickup_at: booking.pickup_at
+    }, ride.id);
+    if (booking.dispatch_attempts === 1) {
+        await notifications.notify('rider', booking.rider_id, 'scheduled_dispatching', { when: formatPickup(booking.pickup_at) });
+    }
+}
+
+async function dispatchDueBookings() {
+    let booking;
+    while ((booking = await claimDueBooking())) {
+        try {
+            await dispatchBooking(booking);
+        } catch (err) {
+            console.error(`Scheduled Dispatch Error (booking ${booking.id}):`, err.message);
+        }
+    }
+}
+
+async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+        await sendReminders();
+        await dispatchDueBookings();
+    } catch (err) {
+        console.error("Scheduled Rides Error:", err.message);
+    } finally {
+        ticking = false;
+    }
+}
+
+// ─── FOLLOW THE RIDE ──────────────────────────────────────────────────
+// A driver accepted: the booking is served and stops counting as upcoming.
+// Nobody accepted: search again until MAX_LATE_MINUTES after pickup.
+// The ride was cancelled: so is the booking.
+async function onRideTransition({ ride, to, actor }) {
+    if (to === STATES.ACCEPTED || to === STATES.COMPLETED) {
+        await db.query(
+            "UPDATE scheduled_rides SET status = 'MATCHED', updated_at = NOW() WHERE ride_id = $1 AND status = 'DISPATCHED'",
+            [ride.id]
+        );
+        return;
+    }
+    if (to !== STATES.TIMEOUT && to !== STATES.CANCELLED) return;
+
+    // MATCHED too: a driver who cancels sends the ride back to dispatch
+    const res = await db.query(
+        "SELECT * FROM scheduled_rides WHERE ride_id = $1 AND status IN ('DISPATCHED', 'MATCHED')",
+        [ride.id]
+    );
+    if (res.rows.length === 0) return;
+    const booking = res.rows[0];
+
+    if (to === STATES.CANCELLED) {
+        await db.query(
+            `UPDATE scheduled_rides SET status = 'CANCELLED', cancelled_by = $2, updated_at = NOW() WHERE id = $1`,
+            [booking.id, actor.type]
+        );
+        return;
+    }
+
+    const deadline = new Date(booking.pickup_at).getTime() + MAX_LATE_MINUTES * 60000;
+    if (Date.now() + REDISPATCH_AFTER_MINUTES * 60000 < deadline) {
+        await db.query(
+            `UPDATE scheduled_rides
+             SET status = 'SCHEDULED', ride_id = NULL, next_dispatch_at = NOW() + make_interval(mins => $2), updated_at = NOW()
+             WHERE id = $1`,
+            [booking.id, REDISPATCH_AFTER_MINUTES]
+        );
+        await sessions.notifyUser('rider', booking.rider_id, 'scheduled_ride_retrying', {
+            booking_id: booking.id,
+            retry_in_minutes: REDISPATCH_AFTER_MINUTES
+        });
+        return;
+    }
+
+    await db.query(
+        `UPDATE scheduled_rides SET status = 'FAILED', failure_reason = 'No driver available', updated_at = NOW() WHERE id = $1`,
+        [booking.id]
+    );
+    console.log(`📅 Booking #${booking.id} failed: no driver by pickup time`);
+    await sessions.notifyUser('rider', booking.rider_id, 'scheduled_ride_failed', { booking_id: booking.id, msg: "No driver available" });
+    await notifications.notify('rider', booking.rider_id, 'scheduled_no_driver');
+}
+
+// Call once after migrations, alongside dispatch.start().
+async function start() {
+    // Claimed but never turned into a ride (process died in between)
+    const orphaned = await db.query(
+        "UPDATE scheduled_rides SET status = 'SCHEDULED', updated_at = NOW() WHERE status = 'DISPATCHED' AND ride_id IS NULL RETURNING id"
+    );
+    if (orphaned.rows.length > 0) console.log(`♻️ Re-queued ${orphaned.rows.length} scheduled booking(s)`);
+
+    rideEvents.on('transition', (event) => {
+        onRideTransition(event).catch(err => console.error("Scheduled Ride Sync Error:", err.message));
+    });
+
+    cron.schedule('* * * * *', tick);
+}
+
+module.exports = {
+    ScheduleError,
+    quote,
+    createBooking,
+    listForRider,
+    getForRider,
+    updateBooking,
+    cancelBooking,
+    listSchedule,
+    start,
+};
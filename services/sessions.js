@@ -0,0 +1,140 @@
+const cron = require('node-cron');
+const db = require('../config/db');
+const { STATES, ACTIVE_STATES } = require('./rideLifecycle');
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 SESSIONS
+// Every socket joins a room for its user ("rider:12", "driver:7"), so events
+// reach the user on whichever socket they have now, not the one they had
+// when the ride was booked. Ride events are also written to session_events
+// and replayed by resume_session after a reconnect.
+// ═══════════════════════════════════════════════════════════════════════
+
+// Without an active ride, resume_session replays events this recent
+const REPLAY_WINDOW_MINUTES = 15;
+const REPLAY_LIMIT = 100;
+const RETENTION_DAYS = 2;
+
+let io = null;
+
+function userRoom(role, id) {
+    return `${role}:${id}`;
+}
+
+// Live-only events (ETAs, offers) that are useless once they're stale
+function emitToUser(role, id, event, payload) {
+    if (!io || id == null) return;
+    io.to(userRoom(role, id)).emit(event, payload);
+}
+
+// Ride events a reconnecting app must not miss. The stored id goes out as
+// event_id so the app can send back the last one it saw.
+async function notifyUser(role, id, event, payload, rideId = null) {
+    if (id == null) return;
+    const res = await db.query(
+        `INSERT INTO session_events (user_role, user_id, ride_id, event, payload)
+         VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+        [role, id, rideId, event, JSON.stringify(payload)]
+    );
+    emitToUser(role, id, event, { ...payload, event_id: res.rows[0].id });
+}
+
+function notifyRider(ride, event, payload) {
+    return notifyUser('rider', ride.rider_id, event, payload, ride.id);
+}
+
+function notifyDriver(ride, event, payload) {
+    return notifyUser('driver', ride.driver_id, event, payload, ride.id);
+}
+
+// ─── CONNECT / DISCONNECT ─────────────────────────────────────────────
+async function onConnect(socket) {
+    const { role, id } = socket.user;
+    socket.join(userRoom(role, id));
+
+    // Back within the grace period: the ride stays theirs
+    if (role === 'driver') {
+        await db.query("UPDATE drivers SET disconnected_at = NULL, socket_id = $2 WHERE id = $1", [id, socket.id]);
+    }
+}
+
+// A driver is only marked disconnected once their last socket is gone.
+// dispatch takes them offline (and reassigns their ride) after the grace.
+async function onDisconnect(socket) {
+    const { role, id } = socket.user;
+    if (role !== 'driver') return;
+
+    const others = await io.in(userRoom(role, id)).fetchSockets();
+    if (others.length > 0) return;
+
+    await db.query("UPDATE drivers SET disconnected_at = NOW() WHERE id = $1", [id]);
+}
+
+// ─── RESUME ───────────────────────────────────────────────────────────
+async function findActiveRide(role, id) {
+    const res = role === 'rider'
+        ? await db.query(
+            `SELECT * FROM rides WHERE rider_id = $1 AND status = ANY($2::text[])
+             ORDER BY created_at DESC LIMIT 1`,
+            [id, [STATES.REQUESTED, ...ACTIVE_STATES]])
+        : await db.query(
+            `SELECT * FROM rides WHERE driver_id = $1 AND status = ANY($2::text[])
+             ORDER BY created_at DESC LIMIT 1`,
+            [id, ACTIVE_STATES]);
+    return res.rows[0] || null;
+}
+
+// What each side may see of the ride; the PIN is the rider's alone
+function rideView(ride, role) {
+    if (!ride) return null;
+    const { trip_pin, rider_socket_id, ...rest } = ride;
+    return role === 'rider' ? { ...rest, trip_pin } : rest;
+}
+
+// Returns { ride, events } for the caller. Events are those after
+// lastEventId that belong to the active ride or are recent enough.
+async function resume(user, lastEventId) {
+    const ride = await findActiveRide(user.role, user.id);
+
+    const events = await db.query(
+        `SELECT id, event, payload, created_at FROM session_events
+         WHERE user_role = $1 AND user_id = $2 AND id > $3
+         AND (ride_id = $4 OR created_at > NOW() - make_interval(mins => $5))
+         ORDER BY id ASC
+         LIMIT $6`,
+        [user.role, user.id, parseInt(lastEventId, 10) || 0, ride ? ride.id : null, REPLAY_WINDOW_MINUTES, REPLAY_LIMIT]
+    );
+
+    return {
+        ride: rideView(ride, user.role),
+        events: events.rows.map(e => ({ ...e.payload, event: e.event, event_id: e.id, sent_at: e.created_at }))
+    };
+}
+
+async function pruneEvents() {
+    try {
+        await db.query(
+            "DELETE FROM session_events WHERE created_at < NOW() - make_interval(days => $1)",
+            [RETENTION_DAYS]
+        );
+    } catch (err) {
+        console.error("Session Prune Error:", err.message);
+    }
+}
+
+function init(socketServer) {
+    io = socketServer;
+    cron.schedule('0 * * * *', pruneEvents);
+}
+
+module.exports = {
+    userRoom,
+    emitToUser,
+    notifyUser,
+    notifyRider,
+    notifyDriver,
+    onConnect,
+    onDisconnect,
+    resume,
+    init,
+};
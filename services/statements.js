@@ -0,0 +1,68 @@
+const { toCsv } = require('../utils/csv');
+const { textToPdf } = require('../utils/pdf');
+
+// 🟢 EARNINGS STATEMENTS
+// Renders ledgerService.getStatement() output as CSV or PDF.
+
+const CSV_COLUMNS = [
+    { key: 'date', label: 'Date' },
+    { key: 'transaction_id', label: 'Transaction' },
+    { key: 'kind', label: 'Type' },
+    { key: 'ride_id', label: 'Ride' },
+    { key: 'description', label: 'Description' },
+    { key: 'fare', label: 'Fare' },
+    { key: 'commission', label: 'Commission' },
+    { key: 'cash_collected', label: 'Cash Collected' },
+    { key: 'other', label: 'Fees/Adjustments/Payouts' },
+    { key: 'amount', label: 'Net' },
+    { key: 'balance', label: 'Balance' },
+];
+
+function money(value) {
+    return Number(value || 0).toFixed(2);
+}
+
+function toStatementCsv(statement) {
+    const rows = [
+        { date: statement.from, description: 'Opening balance', balance: money(statement.openingBalance) },
+        ...statement.rows,
+        { date: statement.to, description: 'Closing balance', balance: money(statement.closingBalance) },
+    ];
+    return toCsv(rows, CSV_COLUMNS);
+}
+
+function totals(rows) {
+    const sum = (key) => rows.reduce((acc, r) => acc + r[key], 0);
+    return { fare: sum('fare'), commission: sum('commission'), cash: sum('cash_collected'), other: sum('other') };
+}
+
+function toStatementPdf(statement) {
+    const t = totals(statement.rows);
+    const col = (text, width) => String(text == null ? '' : text).slice(0, width).padEnd(width);
+    const num = (value, width) => money(value).padStart(width);
+
+    const lines = [
+        'AYE AUTO - DRIVER EARNINGS STATEMENT',
+        '',
+        `Driver:  ${statement.driver.name} (#${statement.driver.id}, ${statement.driver.phone})`,
+        `Period:  ${statement.from} to ${statement.to} (${statement.timezone})`,
+        '',
+        `Opening balance: Rs. ${money(statement.openingBalance)}`,
+        `Fares:           Rs. ${money(t.fare)}`,
+        `Commission:      Rs. ${money(t.commission)}`,
+        `Cash collected:  Rs. ${money(t.cash)}`,
+        `Fees/adj./pay.:  Rs. ${money(t.other)}`,
+        `Closing balance: Rs. ${money(statement.closingBalance)}`,
+        '',
+        `${col('Date', 17)}${col('Description', 26)}${'Fare'.padStart(10)}${'Comm.'.padStart(9)}${'Cash'.padStart(10)}${'Net'.padStart(10)}${'Balance'.padStart(11)}`,
+        '-'.repeat(93),
+        ...statement.rows.map(r =>
+            `${col(r.date, 17)}${col(r.description, 26)}${num(r.fare, 10)}${num(r.commission, 9)}${num(r.cash_collected, 10)}${num(r.amount, 10)}${num(r.balance, 11)}`
+        ),
+    ];
+    if (statement.rows.length === 0) lines.push('No transactions in this period.');
+
+    return textToPdf(lines);
+}
+
+module.exports = { toStatementCsv, toStatementPdf };
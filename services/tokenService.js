@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/db');
+
+// ─── 🟢 CONFIG ────────────────────────────────────────────────────────
+// Set JWT_SECRET in your .env file. Without it every restart invalidates
+// all issued access tokens, which is only acceptable in local development.
+let JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+    JWT_SECRET = crypto.randomBytes(32).toString('hex');
+    console.log("⚠️ JWT_SECRET not set. Using a temporary secret for this process.");
+}
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+const ROLES = ['rider', 'driver', 'admin'];
+
+class AuthError extends Error {
+    constructor(msg) {
+        super(msg);
+        this.name = 'AuthError';
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// ─── ACCESS TOKENS ────────────────────────────────────────────────────
+function signAccessToken({ id, role }) {
+    return jwt.sign({ role }, JWT_SECRET, { subject: String(id), expiresIn: ACCESS_TOKEN_TTL });
+}
+
+// Returns { id, role } for a valid token, throws AuthError otherwise.
+function verifyAccessToken(token) {
+    try {
+        const payload = jwt.verify(token, JWT_SECRET);
+        if (!ROLES.includes(payload.role)) throw new AuthError("Invalid token");
+        return { id: parseInt(payload.sub, 10), role: payload.role };
+    } catch (err) {
+        if (err instanceof AuthError) throw err;
+        throw new AuthError(err.name === 'TokenExpiredError' ? "Token expired" : "Invalid token");
+    }
+}
+
+// ─── SIGNED PAYLOADS ──────────────────────────────────────────────────
+// Short-lived server-signed blobs that aren't logins (fare quotes, share
+// links). The audience keeps one kind from being replayed as another.
+function signPayload(payload, audience, expiresIn) {
+    return jwt.sign(payload, JWT_SECRET, { audience, expiresIn });
+}
+
+// Returns the payload, or null if it's forged, expired or the wrong kind
+function verifyPayload(token, audience) {
+    try {
+        return jwt.verify(token, JWT_SECRET, { audience });
+    } catch (err) {
+        return null;
+    }
+}
+
+// ─── REFRESH TOKENS ───────────────────────────────────────────────────
+// Opaque random strings. Each one can be used exactly once: refreshing
+// revokes the old token and hands back a brand new pair.
+async function issueTokens({ id, role }, client = db) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+
+    await client.query(
+        `INSERT INTO refresh_tokens (user_id, role, token_hash, expires_at)
+         VALUES ($1, $2, $3, NOW() + make_interval(days => $4))`,
+        [id, role, hashToken(refreshToken), REFRESH_TOKEN_DAYS]
+    );
+
+    return {
+        accessToken: signAccessToken({ id, role }),
+        refreshToken: refreshToken,
+    };
+}
+
+async function rotateRefreshToken(refreshToken) {
+    if (!refreshToken) throw new AuthError("Refresh token required");
+
+    return db.transaction(async (client) => {
+        const result = await client.query(
+            `UPDATE refresh_tokens SET revoked_at = NOW()
+             WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+             RETURNING user_id, role`,
+            [hashToken(refreshToken)]
+        );
+
+        if (result.rows.length === 0) throw new AuthError("Session expired. Please login again.");
+
+        const { user_id, role } = result.rows[0];
+        return issueTokens({ id: user_id, role }, client);
+    });
+}
+
+async function revokeRefreshToken(refreshToken) {
+    if (!refreshToken) return;
+    await db.query(
+        "UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_hash = $1 AND revoked_at IS NULL",
+        [hashToken(refreshToken)]
+    );
+}
+
+async function revokeAllForUser({ id, role }) {
+    await db.query(
+        "UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND role = $2 AND revoked_at IS NULL",
+        [id, role]
+    );
+}
+
+module.exports = {
+    AuthError,
+    ROLES,
+    issueTokens,
+    verifyAccessToken,
+    signPayload,
+    verifyPayload,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAllForUser,
+};
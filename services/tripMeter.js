@@ -0,0 +1,149 @@
+const db = require('../config/db');
+const fareService = require('./fareService');
+const { haversineMeters } = require('../utils/geo');
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 TRIP METER
+// driver_location pings during an active ride become a breadcrumb trail.
+// At completion the ON_TRIP part of that trail is measured and the fare is
+// re-priced with the same tariff and surge the rider was quoted.
+// ═══════════════════════════════════════════════════════════════════════
+
+// GPS noise filtering
+const MAX_ACCURACY_M = 50;       // pings the phone itself says are vague
+const MIN_STEP_M = 15;           // jitter while standing still
+const MAX_SPEED_KMPH = 150;      // teleports between two pings
+
+// Final fare may exceed the estimate by at most this much
+const FARE_CAP_RATIO = 0.2;
+
+async function recordBreadcrumb({ rideId, driverId, status, lat, lng, heading, speed, accuracy }) {
+    if (lat == null || lng == null) return;
+    await db.query(
+        `INSERT INTO ride_locations (ride_id, driver_id, ride_status, lat, lng, heading, speed, accuracy)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [rideId, driverId, status, lat, lng, heading || null, speed || null, accuracy || null]
+    );
+}
+
+// Sums the distance of a trail, skipping inaccurate points, sub-MIN_STEP_M
+// jitter and physically impossible jumps.
+function measureTrail(points) {
+    let distanceM = 0;
+    let last = null;
+
+    for (const p of points) {
+        if (p.accuracy != null && p.accuracy > MAX_ACCURACY_M) continue;
+        if (!last) { last = p; continue; }
+
+        const step = haversineMeters(last, p);
+        if (step < MIN_STEP_M) continue;
+
+        const seconds = (new Date(p.recorded_at) - new Date(last.recorded_at)) / 1000;
+        if (seconds > 0 && (step / seconds) * 3.6 > MAX_SPEED_KMPH) continue;
+
+        distanceM += step;
+        last = p;
+    }
+
+    return distanceM / 1000;
+}
+
+async function loadTariff(ride) {
+    if (ride.tariff_id) {
+        const res = await db.query("SELECT * FROM tariffs WHERE id = $1", [ride.tariff_id]);
+        if (res.rows.length > 0) return fareService.parseTariff(res.rows[0]);
+    }
+    return fareService.getTariff(ride.vehicle_type, ride.pickup_lat, ride.pickup_lng);
+}
+
+// Minutes between the driver arriving and the trip starting
+async function waitingMinutes(ride) {
+    const res = await db.query(
+        "SELECT created_at FROM ride_events WHERE ride_id = $1 AND to_status = 'ARRIVED' ORDER BY created_at DESC LIMIT 1",
+        [ride.id]
+    );
+    if (res.rows.length === 0 || !ride.started_at) return 0;
+    return Math.max((new Date(ride.started_at) - new Date(res.rows[0].created_at)) / 60000, 0);
+}
+
+// ─── FINAL FARE ───────────────────────────────────────────────────────
+// A promo on the ride is re-applied to the final fare on the terms it was
+// quoted with (rides.fare_breakdown.promo)
+function promoDiscount(ride, fare) {
+    const promo = ride.promo_code_id && ride.fare_breakdown ? ride.fare_breakdown.promo : null;
+    return promo ? fareService.computeDiscount(promo, fare) : 0;
+}
+
+// Returns the rides columns to write on completion plus a breakdown for the
+// rider. Falls back to the estimate when the trail is too thin to trust.
+async function finalizeFare(ride, endedAt = new Date()) {
+    const estimatedFare = parseFloat(ride.estimated_fare || ride.fare) || 0;
+    const tariff = await loadTariff(ride);
+
+    const trail = await db.query(
+        `SELECT lat, lng, accuracy, recorded_at FROM ride_locations
+         WHERE ride_id = $1 AND ride_status = 'ON_TRIP'
+         ORDER BY recorded_at ASC`,
+        [ride.id]
+    );
+
+    const startedAt = ride.started_at ? new Date(ride.started_at) : endedAt;
+    const durationMin = Math.max((endedAt - startedAt) / 60000, 0);
+    const traceKm = measureTrail(trail.rows);
+    const usedTrace = trail.rows.length >= 2 && traceKm > 0;
+    const distanceKm = usedTrace ? traceKm : parseFloat(ride.estimated_distance_km) || 0;
+
+    if (!tariff) {
+        const discount = promoDiscount(ride, estimatedFare);
+        return {
+            fields: {
+                fare: estimatedFare, final_fare: estimatedFare, actual_distance_km: distanceKm, actual_duration_min: durationMin,
+                discount_amount: discount
+            },
+            breakdown: {
+                total: estimatedFare, estimatedFare: estimatedFare, usedTrace: usedTrace, capped: false,
+                discount: discount, payable: estimatedFare - discount
+            }
+        };
+    }
+
+    const breakdown = fareService.computeFare(tariff, {
+        distanceKm: distanceKm,
+        durationMin: durationMin,
+        waitingMin: await waitingMinutes(ride),
+        surge: parseFloat(ride.surge_multiplier) || 1,
+        at: startedAt
+    });
+
+    // Big overruns are capped; the rider never pays more than estimate + 20%
+    const cap = Math.round(estimatedFare * (1 + FARE_CAP_RATIO));
+    const capped = estimatedFare > 0 && breakdown.total > cap;
+    const finalFare = capped ? cap : breakdown.total;
+
+    const discount = promoDiscount(ride, finalFare);
+    const fullBreakdown = {
+        ...breakdown,
+        uncappedTotal: breakdown.total,
+        total: finalFare,
+        estimatedFare: estimatedFare,
+        usedTrace: usedTrace,
+        capped: capped,
+        discount: discount,
+        payable: finalFare - discount
+    };
+
+    return {
+        fields: {
+            fare: finalFare,
+            final_fare: finalFare,
+            actual_distance_km: Math.round(distanceKm * 100) / 100,
+            actual_duration_min: Math.round(durationMin * 100) / 100,
+            final_fare_breakdown: JSON.stringify(fullBreakdown),
+            discount_amount: discount
+        },
+        breakdown: fullBreakdown
+    };
+}
+
+module.exports = { FARE_CAP_RATIO, recordBreadcrumb, measureTrail, loadTariff, finalizeFare };
@@ -0,0 +1,21 @@
+const rideLifecycle = require('./rideLifecycle');
+const notifications = require('./notifications');
+const sessions = require('./sessions');
+
+// 🟢 START TRIP
+// Shared by the start_trip socket event and POST /api/rides/:rideId/start.
+// Checks the PIN through rideLifecycle, then tells the rider.
+async function startTrip({ rideId, pin, actor, location }) {
+    const { ride } = await rideLifecycle.startTrip(rideId, pin, { actor, location });
+
+    await sessions.notifyRider(ride, 'trip_started', {
+        ride_id: ride.id,
+        started_at: ride.started_at
+    });
+
+    await notifications.notify('rider', ride.rider_id, 'trip_started', {}, { rideId: ride.id });
+
+    return ride;
+}
+
+module.exports = { startTrip };
@@ -0,0 +1,273 @@
+const db = require('../config/db');
+const rideLifecycle = require('./rideLifecycle');
+const routing = require('./routing');
+const fareService = require('./fareService');
+const { loadTariff } = require('./tripMeter');
+const sessions = require('./sessions');
+const { MAX_STOPS, STOP_CHANGE_TTL_SECONDS, MAX_ADDRESS_LENGTH } = require('../config/stops');
+
+const { STATES, TERMINAL_STATES, rideEvents } = rideLifecycle;
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 MULTI-STOP TRIPS
+// ride_stops holds the ordered stops, drop last. While the ride is
+// ACCEPTED, ARRIVED or ON_TRIP the rider may replace the stops not yet
+// reached; that is re-quoted (same tariff and surge as the booking) and
+// only applied once the driver accepts it in ride_stop_changes.
+// ═══════════════════════════════════════════════════════════════════════
+
+const CHANGEABLE_STATES = [STATES.ACCEPTED, STATES.ARRIVED, STATES.ON_TRIP];
+
+class StopError extends Error {
+    constructor(code, msg) {
+        super(msg);
+        this.name = 'StopError';
+        this.code = code;
+    }
+}
+
+// [{ lat, lng, address }] with sane coordinates, at most max of them
+function normalizeStops(list, { max = MAX_STOPS, min = 1 } = {}) {
+    if (!Array.isArray(list) || list.length < min) throw new StopError('INVALID_STOPS', "Please add at least one stop");
+    if (list.length > max) throw new StopError('TOO_MANY_STOPS', `A trip can have at most ${max} stops including the drop`);
+
+    return list.map(stop => {
+        const lat = parseFloat(stop && stop.lat);
+        const lng = parseFloat(stop && stop.lng);
+        if (!(lat >= -90 && lat <= 90) || !(lng >= -180 && lng <= 180)) {
+            throw new StopError('INVALID_STOPS', "Every stop needs a valid lat and lng");
+        }
+        const address = stop.address ? String(stop.address).trim().slice(0, MAX_ADDRESS_LENGTH) : null;
+        return { lat, lng, address };
+    });
+}
+
+async function listStops(rideId, client = db) {
+    const res = await client.query(
+        "SELECT seq, lat, lng, address, status, reached_at FROM ride_stops WHERE ride_id = $1 ORDER BY seq",
+        [rideId]
+    );
+    return res.rows;
+}
+
+// Marks a lapsed request EXPIRED on the way out
+async function pendingChange(rideId) {
+    await db.query(
+        "UPDATE ride_stop_changes SET status = 'EXPIRED' WHERE ride_id = $1 AND status = 'PENDING' AND expires_at <= NOW()",
+        [rideId]
+    );
+    const res = await db.query("SELECT * FROM ride_stop_changes WHERE ride_id = $1 AND status = 'PENDING'", [rideId]);
+    return res.rows[0] || null;
+}
+
+async function driverPosition(driverId) {
+    const res = await db.query(
+        "SELECT ST_Y(location::geometry) AS lat, ST_X(location::geometry) AS lng FROM drivers WHERE id = $1 AND location IS NOT NULL",
+        [driverId]
+    );
+    return res.rows[0] || null;
+}
+
+// ─── RIDER: PROPOSE ───────────────────────────────────────────────────
+// stops replaces every stop not reached yet; its last entry is the new drop.
+async function proposeChange(rideId, actor, stops) {
+    if (actor.type !== 'rider') throw new StopError('NOT_ALLOWED', "Only the rider can change stops");
+
+    const ride = await rideLifecycle.getRideForActor(rideId, actor);
+    if (!CHANGEABLE_STATES.includes(ride.status)) {
+        throw new StopError('NOT_CHANGEABLE', `Stops can't be changed while the ride is ${ride.status}`);
+    }
+
+    const current = await listStops(ride.id);
+    const reached = current.filter(s => s.status === 'REACHED').map(s => ({ lat: s.lat, lng: s.lng, address: s.address }));
+    const upcoming = normalizeStops(stops, { max: MAX_STOPS - reached.length });
+
+    const pickup = { lat: ride.pickup_lat, lng: ride.pickup_lng };
+    const drop = upcoming[upcoming.length - 1];
+
+    // The fare covers the whole trip; the driver's polyline only what's left
+    const fullRoute = await routing.getRouteThrough(pickup, [...reached, ...upcoming.slice(0, -1)], drop);
+    if (!fullRoute) throw new StopError('NO_ROUTE', "Could not calculate a route through these stops.");
+
+    let driverRoute = fullRoute;
+    if (ride.status === STATES.ON_TRIP) {
+        const position = await driverPosition(ride.driver_id);
+        if (position) driverRoute = (await routing.getRouteThrough(position, upcoming.slice(0, -1), drop)) || fullRoute;
+    }
+
+    const tariff = await loadTariff(ride);
+    if (!tariff) throw new StopError('NO_TARIFF', "Pricing isn't available for this trip");
+    const breakdown = fareService.computeFare(tariff, {
+        distanceKm: fullRoute.distanceKm,
+        durationMin: fullRoute.durationMin,
+        surge: parseFloat(ride.surge_multiplier) || 1
+    });
+
+    const change = await db.transaction(async (client) => {
+        await client.query(
+            "UPDATE ride_stop_changes SET status = 'SUPERSEDED' WHERE ride_id = $1 AND status = 'PENDING'",
+            [ride.id]
+        );
+        const res = await client.query(
+            `INSERT INTO ride_stop_changes (ride_id, stops, old_fare, new_fare, fare_breakdown, distance_km, duration_min, polyline, expires_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW() + make_interval(secs => $9))
+             RETURNING *`,
+            [ride.id, JSON.stringify(upcoming), ride.fare, breakdown.total, JSON.stringify(breakdown),
+             fullRoute.distanceKm, fullRoute.durationMin, driverRoute.polyline, STOP_CHANGE_TTL_SECONDS]
+        );
+        return res.rows[0];
+    });
+
+    await sessions.notifyDriver(ride, 'stop_change_requested', {
+        change_id: change.id,
+        ride_id: ride.id,
+        stops: upcoming,
+        oldFare: parseFloat(change.old_fare),
+        newFare: breakdown.total,
+        tripPolyline: driverRoute.polyline,
+        tripDistance: fullRoute.distanceText,
+        tripDuration: fullRoute.durationText,
+        expiresAt: change.expires_at
+    });
+    console.log(`📍 Ride ${ride.id}: rider asked for ${upcoming.length} stop(s), fare ${change.old_fare} -> ${breakdown.total}`);
+    return change;
+}
+
+// ─── DRIVER: ACCEPT / REJECT ──────────────────────────────────────────
+async function respondToChange(changeId, actor, accept) {
+    if (actor.type !== 'driver') throw new StopError('NOT_ALLOWED', "Only the driver can answer a stop change");
+
+    const outcome = await db.transaction(async (client) => {
+        const changeRes = await client.query("SELECT * FROM ride_stop_changes WHERE id = $1 FOR UPDATE", [changeId]);
+        if (changeRes.rows.length === 0) throw new StopError('NOT_FOUND', "Stop change not found");
+        const change = changeRes.rows[0];
+
+        const rideRes = await client.query("SELECT * FROM rides WHERE id = $1 FOR UPDATE", [change.ride_id]);
+        const ride = rideRes.rows[0];
+        if (ride.driver_id !== actor.id) throw new StopError('NOT_PARTICIPANT', "This is not your ride");
+        if (change.status !== 'PENDING') throw new StopError('NOT_PENDING', `This change was ${change.status.toLowerCase()}`);
+        if (new Date(change.expires_at) <= new Date()) {
+            await client.query("UPDATE ride_stop_changes SET status = 'EXPIRED' WHERE id = $1", [change.id]);
+            return { expired: true, ride, change };
+        }
+        if (!CHANGEABLE_STATES.includes(ride.status)) {
+            throw new StopError('NOT_CHANGEABLE', `Ride is ${ride.status}`);
+        }
+
+        if (!accept) {
+            await client.query("UPDATE ride_stop_changes SET status = 'REJECTED', responded_at = NOW() WHERE id = $1", [change.id]);
+            return { ride, change };
+        }
+
+        await client.query("DELETE FROM ride_stops WHERE ride_id = $1 AND status = 'PENDING'", [ride.id]);
+        const seqRes = await client.query("SELECT COALESCE(MAX(seq), 0) AS seq FROM ride_stops WHERE ride_id = $1", [ride.id]);
+        let seq = seqRes.rows[0].seq;
+        for (const stop of change.stops) {
+            seq += 1;
+            await client.query(
+                "INSERT INTO ride_stops (ride_id, seq, lat, lng, address) VALUES ($1, $2, $3, $4, $5)",
+                [ride.id, seq, stop.lat, stop.lng, stop.address]
+            );
+        }
+
+        // estimated_fare moves too: tripMeter caps the final fare against it.
+        // A promo on the ride carries over to the new fare.
+        const drop = change.stops[change.stops.length - 1];
+        const promo = ride.promo_code_id && ride.fare_breakdown ? ride.fare_breakdown.promo : null;
+        const newFare = parseFloat(change.new_fare);
+        const discount = promo ? fareService.computeDiscount(promo, newFare) : 0;
+        const breakdown = promo
+            ? { ...change.fare_breakdown, promo: { ...promo, discount: discount }, payable: newFare - discount }
+            : change.fare_breakdown;
+        const updated = await client.query(
+            `UPDATE rides
+             SET fare = $2, estimated_fare = $2, fare_breakdown = $3, estimated_distance_km = $4, estimated_duration_min = $5,
+                 drop_lat = $6, drop_lng = $7, destination = COALESCE($8, destination), discount_amount = $9
+             WHERE id = $1 RETURNING *`,
+            [ride.id, change.new_fare, JSON.stringify(breakdown), change.distance_km, change.duration_min,
+             drop.lat, drop.lng, drop.address, discount]
+        );
+        await client.query("UPDATE ride_stop_changes SET status = 'ACCEPTED', responded_at = NOW() WHERE id = $1", [change.id]);
+
+        return { accepted: true, ride: updated.rows[0], change, stops: await listStops(ride.id, client) };
+    });
+
+    const { ride, change } = outcome;
+    if (outcome.expired) throw new StopError('EXPIRED', "This change has expired");
+
+    if (!outcome.accepted) {
+        await sessions.notifyRider(ride, 'stop_change_rejected', { change_id: change.id, ride_id: ride.id });
+        return { ride, change };
+    }
+
+    const fare = parseFloat(ride.fare);
+    await sessions.notifyRider(ride, 'stop_change_accepted', { change_id: change.id, ride_id: ride.id, fare: fare, stops: outcome.stops });
+    // Same shape as ride_started_info, for the driver's map
+    await sessions.notifyDriver(ride, 'ride_route_updated', {
+        ride_id: ride.id,
+        tripPolyline: change.polyline,
+        stops: outcome.stops,
+        totalFare: fare
+    });
+    console.log(`📍 Ride ${ride.id}: driver accepted stop change ${change.id}, fare now ${fare}`);
+    return { ride, change, stops: outcome.stops };
+}
+
+// ─── DRIVER: STOP REACHED ─────────────────────────────────────────────
+// Intermediate stops only; the drop is reached by completing the ride.
+async function markStopReached(rideId, actor, seq) {
+    const ride = await rideLifecycle.getRideForActor(rideId, actor);
+    if (actor.type !== 'driver' || ride.status !== STATES.ON_TRIP) {
+        throw new StopError('NOT_ALLOWED', "Stops can only be checked off by the driver during the trip");
+    }
+
+    const res = await db.query(
+        `UPDATE ride_stops SET status = 'REACHED', reached_at = NOW()
+         WHERE ride_id = $1 AND seq = $2 AND status = 'PENDING'
+         AND seq < (SELECT MAX(seq) FROM ride_stops WHERE ride_id = $1)
+         RETURNING seq, lat, lng, address, status, reached_at`,
+        [ride.id, seq]
+    );
+    if (res.rows.length === 0) throw new StopError('NOT_FOUND', "No such stop waiting on this trip");
+
+    await sessions.notifyRider(ride, 'stop_reached', { ride_id: ride.id, stop: res.rows[0] });
+    return res.rows[0];
+}
+
+// The ride finished, fell through or changed driver: settle stops and
+// drop any change the old driver was still being asked about.
+async function onRideTransition({ ride, to }) {
+    if (to === STATES.COMPLETED) {
+        await db.query(
+            `UPDATE ride_stops SET
+                status = CASE WHEN seq = (SELECT MAX(seq) FROM ride_stops WHERE ride_id = $1) THEN 'REACHED' ELSE 'SKIPPED' END,
+                reached_at = CASE WHEN seq = (SELECT MAX(seq) FROM ride_stops WHERE ride_id = $1) THEN NOW() END
+             WHERE ride_id = $1 AND status = 'PENDING'`,
+            [ride.id]
+        );
+    }
+    if (TERMINAL_STATES.includes(to) || to === STATES.REQUESTED) {
+        await db.query(
+            "UPDATE ride_stop_changes SET status = 'CANCELLED' WHERE ride_id = $1 AND status = 'PENDING'",
+            [ride.id]
+        );
+    }
+}
+
+// Call once at startup
+function init() {
+    rideEvents.on('transition', (event) => {
+        onRideTransition(event).catch(err => console.error("Ride Stops Sync Error:", err.message));
+    });
+}
+
+module.exports = {
+    StopError,
+    normalizeStops,
+    listStops,
+    pendingChange,
+    proposeChange,
+    respondToChange,
+    markStopReached,
+    init,
+};
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const notifier = require('./notifier');
+
+// ─── HELPER: Generate 6-digit code ────────────────────────────────────
+function generateCode() {
+    return crypto.randomInt(100000, 999999).toString();
+}
+
+// ─── HELPER: Send Email ───────────────────────────────────────────────
+async function sendVerificationEmail(toEmail, code) {
+    if (!notifier.isConfigured('email')) {
+        console.log(`📧 [DEV MODE] Verification code for ${toEmail}: ${code}`);
+        return true; // In dev mode, just log the code
+    }
+
+    return notifier.sendEmail(toEmail, {
+        subject: 'Your Savaari Verification Code',
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 400px; margin: 0 auto; padding: 30px; text-align: center;">
+                <h2 style="color: #333;">🚕 Savaari</h2>
+                <p style="color: #666; font-size: 16px;">Your verification code is:</p>
+                <div style="background: #FBC02D; color: #000; font-size: 32px; font-weight: bold; letter-spacing: 8px; padding: 20px; border-radius: 12px; margin: 20px 0;">
+                    ${code}
+                </div>
+                <p style="color: #999; font-size: 14px;">This code expires in 10 minutes. Do not share it with anyone.</p>
+            </div>
+        `,
+    });
+}
+
+// ─── HELPER: Send SMS ─────────────────────────────────────────────────
+// False when no SMS provider is set up: phone verification is unavailable
+function canSendSms() {
+    return notifier.isConfigured('sms');
+}
+
+async function sendVerificationSms(toPhone, code) {
+    if (!canSendSms()) return false;
+    return notifier.sendSms(toPhone, `${code} is your Savaari verification code. It expires in 10 minutes. Do not share it with anyone.`);
+}
+
+module.exports = { generateCode, sendVerificationEmail, canSendSms, sendVerificationSms };
@@ -0,0 +1,210 @@
+const db = require('../config/db');
+const ledgerService = require('./ledgerService');
+const payments = require('./payments');
+const { PaymentError, paymentEvents } = payments;
+const sessions = require('./sessions');
+const notifications = require('./notifications');
+const { MIN_TOPUP_AMOUNT, MAX_TOPUP_AMOUNT, MAX_WALLET_BALANCE, MAX_ADMIN_CREDIT } = require('../config/wallet');
+
+// ═══════════════════════════════════════════════════════════════════════
+// 🟢 RIDER WALLET
+// The balance is the rider's 'rider' ledger account (see ledgerService),
+// so cancellation and no-show fees come out of it and a negative balance
+// is money the rider owes. Money goes in through UPI top-ups (a gateway
+// payment with no ride, credited once the gateway says it's paid) and
+// admin refunds / credits; it goes out when a ride booked with
+// paymentMethod 'WALLET' completes. Every movement is a ledger
+// transaction, which is the rider's history.
+// ═══════════════════════════════════════════════════════════════════════
+
+class WalletError extends Error {
+    constructor(code, msg, details = {}) {
+        super(msg);
+        this.name = 'WalletError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function parseAmount(value, min, max) {
+    const amount = roundMoney(parseFloat(value));
+    if (!(amount >= min && amount <= max)) {
+        throw new WalletError('BAD_AMOUNT', `Amount must be between ₹${min} and ₹${max}`);
+    }
+    return amount;
+}
+
+// ─── BALANCE & HISTORY ────────────────────────────────────────────────
+async function getWallet(riderId) {
+    const [balance, pendingTopups] = await Promise.all([
+        ledgerService.getRiderBalance(riderId),
+        payments.pendingTopupTotal(riderId)
+    ]);
+    return {
+        balance: balance,
+        pendingTopups: pendingTopups,
+        minTopup: MIN_TOPUP_AMOUNT,
+        maxTopup: MAX_TOPUP_AMOUNT,
+        maxBalance: MAX_WALLET_BALANCE
+    };
+}
+
+// Balance plus one page of transactions, newest first
+async function getStatement(riderId, { page, limit } = {}) {
+    return {
+        ...(await getWallet(riderId)),
+        ...(await ledgerService.getRiderTransactions(riderId, { page, limit }))
+    };
+}
+
+// request_ride with paymentMethod 'WALLET': the balance must cover the fare
+async function assertCanPay(riderId, amount) {
+    const balance = await ledgerService.getRiderBalance(riderId);
+    if (balance < amount) {
+        throw new WalletError('INSUFFICIENT_BALANCE', `Your wallet has ₹${balance}. Add money or pay by cash or UPI.`, {
+            balance: balance,
+            required: amount
+        });
+    }
+    return balance;
+}
+
+// ─── TOP-UPS ──────────────────────────────────────────────────────────
+// Resolves to the UPI payment request; the money lands on 'topup_paid'
+async function startTopup(riderId, value) {
+    const amount = parseAmount(value, MIN_TOPUP_AMOUNT, MAX_TOPUP_AMOUNT);
+    const { balance, pendingTopups } = await getWallet(riderId);
+    if (balance + pendingTopups + amount > MAX_WALLET_BALANCE) {
+        throw new WalletError('BALANCE_LIMIT', `Your wallet can hold at most ₹${MAX_WALLET_BALANCE}`, {
+            balance: balance,
+            pendingTopups: pendingTopups
+        });
+    }
+    return payments.createTopupIntent(riderId, amount);
+}
+
+async function onTopupPaid({ payment }) {
+    const txId = await ledgerService.recordTopup(payment);
+    if (!txId) return; // already credited, or refused (see recordTopup)
+
+    const amount = parseFloat(payment.amount);
+    const balance = await ledgerService.getRiderBalance(payment.rider_id);
+    await sessions.notifyUser('rider', payment.rider_id, 'wallet_topped_up', { payment_id: payment.id, amount: amount, balance: balance });
+    console.log(`👛 Rider ${payment.rider_id} topped up ₹${amount} (payment ${payment.id})`);
+}
+
+// ─── RIDES ────────────────────────────────────────────────────────────
+// complete_ride, for a ride booked with the wallet. Resolves to the
+// payment, or null when the wallet no longer covers the fare (it may have
+// grown, or a fee came out since): the caller then takes the driver's
+// method instead.
+async function payRide(ride) {
+    const amount = payments.amountDue(ride);
+    if (amount <= 0) return null;
+
+    const outcome = await db.transaction(async (client) => {
+        // One wallet debit at a time per rider
+        await client.query("SELECT id FROM riders WHERE id = $1 FOR UPDATE", [ride.rider_id]);
+        const balance = await ledgerService.getRiderBalance(ride.rider_id, client);
+        if (balance < amount) return { balance, payment: null };
+
+        const settled = await payments.settleRide(client, ride.id, 'WALLET');
+        if (!settled) throw new PaymentError('ALREADY_SETTLED', "This ride is already paid");
+        const payment = await payments.recordPaid(client, settled, 'WALLET');
+        await ledgerService.recordWalletPayment(client, settled, amount);
+        return { balance: roundMoney(balance - amount), payment, settled };
+    });
+
+    if (!outcome.payment) {
+        await sessions.notifyRider(ride, 'wallet_insufficient', {
+            ride_id: ride.id,
+            balance: outcome.balance,
+            required: amount,
+            msg: "Your wallet didn't cover this ride. Please pay your driver."
+        });
+        return null;
+    }
+
+    payments.announceSettled(outcome.settled);
+    return { ...payments.publicPayment(outcome.payment), walletBalance: outcome.balance };
+}
+
+// ─── REFUNDS & CREDITS (admin) ────────────────────────────────────────
+// What the rider paid for the ride (its fare once settled, plus any
+// cancellation / no-show fee) less what was refunded already
+async function refundableAmount(client, ride) {
+    const paid = ride.payment_status === 'SETTLED' ? payments.amountDue(ride) : 0;
+    const res = await client.query(
+        `SELECT COALESCE(-SUM(e.amount) FILTER (WHERE e.entry_type IN ('cancellation_fee', 'no_show_fee')), 0) AS fees,
+                COALESCE(SUM(e.amount) FILTER (WHERE e.entry_type = 'refund'), 0) AS refunded
+         FROM ledger_entries e
+         JOIN ledger_transactions t ON t.id = e.transaction_id
+         WHERE t.ride_id = $1 AND e.account = 'rider' AND e.rider_id = $2`,
+        [ride.id, ride.rider_id]
+    );
+    const { fees, refunded } = res.rows[0];
+    return Math.max(roundMoney(paid + parseFloat(fees) - parseFloat(refunded)), 0);
+}
+
+// type 'refund' (money back for a ride, needs rideId) or 'credit' (goodwill)
+async function creditRider(riderId, { amount, type, rideId, reason } = {}, adminId) {
+    const entryType = String(type || 'credit').toLowerCase();
+    if (entryType !== 'refund' && entryType !== 'credit') throw new WalletError('BAD_TYPE', "Type must be refund or credit");
+    const value = parseAmount(amount, 1, MAX_ADMIN_CREDIT);
+    const text = reason ? String(reason).trim().slice(0, 200) : '';
+    if (!text) throw new WalletError('REASON_REQUIRED', "Please give a reason");
+    if (entryType === 'refund' && !rideId) throw new WalletError('RIDE_REQUIRED', "A refund must name the ride");
+
+    const rider = await db.query("SELECT id FROM riders WHERE id = $1", [riderId]);
+    if (rider.rows.length === 0) throw new WalletError('NOT_FOUND', "Rider not found");
+
+    const txId = await db.transaction(async (client) => {
+        let ride = null;
+        if (rideId) {
+            // Locked so two refunds can't both fit under what's refundable
+            const res = await client.query("SELECT * FROM rides WHERE id = $1 AND rider_id = $2 FOR UPDATE", [rideId, riderId]);
+            if (res.rows.length === 0) throw new WalletError('NOT_FOUND', "This rider has no such ride");
+            ride = res.rows[0];
+        }
+        if (entryType === 'refund') {
+            const refundable = await refundableAmount(client, ride);
+            if (value > refundable) {
+                throw new WalletError('REFUND_TOO_LARGE', `At most ₹${refundable} of this ride can be refunded`, { refundable });
+            }
+        }
+
+        return ledgerService.creditRider(client, {
+            riderId: riderId,
+            amount: value,
+            entryType: entryType,
+            rideId: ride ? ride.id : null,
+            description: `${entryType === 'refund' ? 'Refund' : 'Credit'}${ride ? ` for Ride #${ride.id}` : ''}: ${text}`,
+            adminId: adminId
+        });
+    });
+
+    await notifications.notify('rider', riderId, 'wallet_credited', { amount: value, reason: text });
+    return { transaction_id: txId, amount: value, type: entryType, balance: await ledgerService.getRiderBalance(riderId) };
+}
+
+// Call once at startup
+function init() {
+    paymentEvents.on('topup_paid', (event) => {
+        onTopupPaid(event).catch(err => console.error("Wallet Top-up Error:", err.message));
+    });
+}
+
+module.exports = {
+    WalletError,
+    getWallet,
+    getStatement,
+    assertCanPay,
+    startTopup,
+    payRide,
+    creditRider,
+    init,
+};
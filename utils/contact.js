@@ -0,0 +1,15 @@
+// 🟢 CONTACT HELPERS
+// Return the stored form of an email / phone, or null if it isn't one.
+function normalizeEmail(value) {
+    const email = String(value || '').trim().toLowerCase();
+    if (email.length > 255 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return null;
+    return email;
+}
+
+// Spaces and dashes are dropped; 10-15 digits with an optional leading +
+function normalizePhone(value) {
+    const phone = String(value || '').trim().replace(/[\s-]/g, '');
+    return /^\+?[0-9]{10,15}$/.test(phone) ? phone : null;
+}
+
+module.exports = { normalizeEmail, normalizePhone };
@@ -0,0 +1,20 @@
+// 🟢 CSV HELPERS
+// columns: [{ key: 'amount', label: 'Amount' }, ...]
+function escapeCell(value) {
+    if (value == null) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    // Quote anything with separators, quotes or newlines; neutralise
+    // spreadsheet formulas
+    const safe = /^[=+\-@]/.test(text) && isNaN(Number(text)) ? `'${text}` : text;
+    return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+function toCsv(rows, columns) {
+    const lines = [columns.map(c => escapeCell(c.label)).join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(c => escapeCell(row[c.key])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { toCsv };
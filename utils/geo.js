@@ -0,0 +1,17 @@
+// 🟢 GEO HELPERS (no PostGIS needed)
+const EARTH_RADIUS_M = 6371000;
+
+function toRad(deg) {
+    return deg * Math.PI / 180;
+}
+
+// Great-circle distance in metres between two { lat, lng } points
+function haversineMeters(a, b) {
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+module.exports = { EARTH_RADIUS_M, haversineMeters };
@@ -0,0 +1,7 @@
+// 🟢 HTML HELPERS
+// For text that goes into email bodies (user-supplied names, notes)
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+module.exports = { escapeHtml };
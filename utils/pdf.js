@@ -0,0 +1,65 @@
+// 🟢 MINIMAL PDF WRITER
+// Plain text pages in a monospaced font, enough for statements and
+// receipts without pulling in a PDF library. Only Latin-1 text survives;
+// anything else is replaced with '?'.
+const PAGE_WIDTH = 595;   // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 12;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT);
+
+function escapeText(line) {
+    return String(line)
+        .replace(/[^\x20-\xff]/g, '?')
+        .replace(/\\/g, '\\\\')
+        .replace(/\(/g, '\\(')
+        .replace(/\)/g, '\\)');
+}
+
+function pageStream(lines) {
+    const body = lines.map(l => `(${escapeText(l)}) Tj T*`).join('\n');
+    return `BT\n/F1 ${FONT_SIZE} Tf\n${LINE_HEIGHT} TL\n${MARGIN} ${PAGE_HEIGHT - MARGIN} Td\n${body}\nET`;
+}
+
+// lines: array of strings, one per printed line. Returns a Buffer.
+function textToPdf(lines) {
+    const pages = [];
+    for (let i = 0; i < Math.max(lines.length, 1); i += LINES_PER_PAGE) {
+        pages.push(lines.slice(i, i + LINES_PER_PAGE));
+    }
+
+    // 1 catalog, 2 page tree, 3 font, then a page + content pair per page
+    const objects = [];
+    const pageIds = pages.map((_, i) => 4 + i * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+
+    pages.forEach((pageLines, i) => {
+        const pageId = pageIds[i];
+        const stream = pageStream(pageLines);
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+    });
+
+    let out = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(out, 'latin1');
+        out += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(out, 'latin1');
+    out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        out += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    out += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(out, 'latin1');
+}
+
+module.exports = { textToPdf };